@@ -0,0 +1,754 @@
+#!/usr/bin/env node
+/**
+ * Deployer CLI
+ * Drives the deployer from a terminal or a CI pipeline through its API. Deployments are
+ * followed over the same socket.io events the web interface shows their progress with.
+ *
+ * Usage:
+ *   npm run cli -- <command> [options]
+ *   npx opentofu-deployer <command> [options]
+ *
+ * Exit codes: 0 when the command succeeded (or a plan is waiting for approval), 1 when the
+ * operation or a request failed, was cancelled or its plan was discarded, 2 for invalid usage.
+ *
+ * Environment Variables:
+ * - DEPLOYER_URL: Address of the deployer (defaults to http://localhost:3001)
+ * - DEPLOYER_TOKEN: Session token sent as a Bearer token, as returned by POST /api/auth/login
+ * - DEPLOYER_USERNAME / DEPLOYER_PASSWORD: Local user to sign in as when DEPLOYER_TOKEN is not set
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Symbols of planned resource actions, as OpenTofu prints them
+const ACTION_SYMBOLS = {
+  create: '+',
+  update: '~',
+  delete: '-',
+  replace: '-/+',
+  read: '<='
+};
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  url: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Create an error for a command line that cannot be run
+ * @param {string} message - Error message
+ * @returns {Error} Error with code USAGE
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Describe a failed API request
+ * Prefers the { error } body the server answers with over the generic axios message
+ * @param {Error} error - Request error
+ * @returns {Object} { message, code, details } with the rest of the error body as details
+ */
+function describeRequestError(error) {
+  if (!axios.isAxiosError(error) || !error.response) {
+    return { message: error.message, code: error.code || null, details: {} };
+  }
+  const { error: message, code, ...details } = error.response.data || {};
+  return { message: message || error.message, code: code || null, details };
+}
+
+/**
+ * Print a line of progress; in JSON mode it goes to stderr, leaving stdout to the result
+ * @param {Object} context - Command context
+ * @param {string} line - Line to print
+ */
+function progress(context, line) {
+  (context.json ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Connect to the deployer, signing in first if a username and password are given
+ * @param {string} url - Address of the deployer
+ * @returns {Promise<Object>} { url, token, api } with an axios instance for the API
+ */
+async function connect(url) {
+  let token = process.env.DEPLOYER_TOKEN || null;
+  const baseURL = url.replace(/\/+$/, '');
+
+  if (!token && process.env.DEPLOYER_USERNAME) {
+    const response = await axios.post(`${baseURL}/api/auth/login`, {
+      username: process.env.DEPLOYER_USERNAME,
+      password: process.env.DEPLOYER_PASSWORD || ''
+    });
+    token = response.data.token;
+  }
+
+  const api = axios.create({
+    baseURL,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return { url: baseURL, token, api };
+}
+
+/**
+ * Format a logged or live event of a deployment run as a line of text
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {string|null} Line, or null for events with nothing to show
+ */
+function formatEvent(event, data) {
+  const time = data.timestamp ? `[${new Date(data.timestamp).toISOString().substring(11, 19)}] ` : '';
+  switch (event) {
+    case 'deployment-log':
+    case 'deployment-queued':
+    case 'deployment-complete':
+      return `${time}${String(data.message).trimEnd()}`;
+    case 'deployment-error':
+      return `${time}ERROR ${String(data.message).trimEnd()}`;
+    case 'deployment-plan': {
+      const { add, change, destroy } = data.summary;
+      const lines = (data.resources || []).map(resource => `  ${ACTION_SYMBOLS[resource.action] || resource.action} ${resource.address}`);
+      return [`${time}Plan: ${add} to add, ${change} to change, ${destroy} to destroy.`, ...lines].join('\n');
+    }
+    case 'deployment-drift':
+      return `${time}Drift check: ${data.status}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Print an event of a deployment run
+ * @param {Object} context - Command context
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function printEvent(context, event, data) {
+  const line = formatEvent(event, data);
+  if (line === null) {
+    return;
+  }
+  if (event === 'deployment-error') {
+    process.stderr.write(`${line}\n`);
+    return;
+  }
+  progress(context, line);
+}
+
+/**
+ * Get the outcome of a deployment-complete event
+ * @param {Object} data - Event payload
+ * @returns {string} succeeded, discarded, cancelled or failed
+ */
+function getCompletionStatus(data) {
+  if (data.success) {
+    return 'succeeded';
+  }
+  return data.discarded ? 'discarded' : data.cancelled ? 'cancelled' : 'failed';
+}
+
+/**
+ * Follow a deployment over socket.io until its run completes or its plan waits for approval
+ * The deployment room is joined before the operation is started, so no event is missed
+ * @param {Object} context - Command context
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} options - Options
+ * @param {Function} options.start - Starts the operation once the room is joined
+ * @param {boolean} [options.autoApprove] - Apply the plan as soon as it is ready
+ * @param {boolean} [options.untilComplete] - Keep following past plans, for an approval given by start
+ * @returns {Promise<Object>} { status, message, plan } with status planned, succeeded, discarded,
+ *   cancelled or failed
+ */
+function followDeployment(context, deploymentId, { start, autoApprove = false, untilComplete = false }) {
+  return new Promise((resolve, reject) => {
+    const socket = io(context.session.url, {
+      auth: context.session.token ? { token: context.session.token } : {},
+      reconnectionAttempts: 5
+    });
+    let started = false;
+    let approved = false;
+    let plan = null;
+
+    const finish = (result, error) => {
+      socket.disconnect();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.on('connect', () => {
+      socket.emit('join-deployment', deploymentId);
+      if (started) {
+        return;
+      }
+      started = true;
+      Promise.resolve(start()).catch(error => finish(null, error));
+    });
+
+    socket.on('connect_error', (error) => {
+      if (!started) {
+        finish(null, new Error(`Unable to follow deployment ${deploymentId}: ${error.message}`));
+      }
+    });
+
+    socket.io.on('reconnect_failed', () => {
+      finish(null, new Error(`Lost the connection while following deployment ${deploymentId}; see its progress with: logs ${deploymentId} --follow`));
+    });
+
+    socket.on('join-error', data => finish(null, new Error(data.error)));
+
+    ['deployment-log', 'deployment-error', 'deployment-queued'].forEach((event) => {
+      socket.on(event, data => printEvent(context, event, data));
+    });
+
+    socket.on('deployment-plan', (data) => {
+      printEvent(context, 'deployment-plan', data);
+      plan = data;
+      // Joining a run waiting for approval replays its plan, which the apply command has approved already
+      if (untilComplete) {
+        return;
+      }
+      if (!autoApprove) {
+        finish({ status: 'planned', message: 'Plan waiting for approval', plan });
+        return;
+      }
+      if (approved) {
+        return;
+      }
+      approved = true;
+      progress(context, 'Applying the plan...');
+      context.session.api.post(`/api/deployments/${deploymentId}/apply`)
+        .catch(error => finish(null, error));
+    });
+
+    socket.on('deployment-complete', (data) => {
+      printEvent(context, 'deployment-complete', data);
+      finish({ status: getCompletionStatus(data), message: data.message, plan });
+    });
+  });
+}
+
+/**
+ * Report the outcome of a followed operation
+ * @param {Object} context - Command context
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} result - Result of followDeployment
+ * @returns {number} Exit code
+ */
+function reportOutcome(context, deploymentId, result) {
+  if (context.json) {
+    console.log(JSON.stringify({ deploymentId, ...result }, null, 2));
+  } else if (result.status === 'planned') {
+    console.log(`Plan of ${deploymentId} is waiting for approval; apply it with: apply ${deploymentId}`);
+  }
+  return result.status === 'planned' || result.status === 'succeeded' ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * Split NAME=VALUE assignments of --var
+ * @param {string[]} assignments - Option values
+ * @returns {Array<Array>} [name, value] pairs
+ * @throws {Error} With code USAGE if an assignment has no name
+ */
+function parseAssignments(assignments = []) {
+  return assignments.map((assignment) => {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw createUsageError(`--var must be given as NAME=VALUE, not ${assignment}`);
+    }
+    return [assignment.substring(0, separator).trim(), assignment.substring(separator + 1)];
+  });
+}
+
+/**
+ * Read values of variables with the server's tfvars import, which checks them against their types
+ * @param {Object} context - Command context
+ * @param {Object} repoData - Parsed repository
+ * @param {string} content - tfvars or tfvars.json content
+ * @param {string} filename - Name the content is reported under
+ * @returns {Promise<Object>} { values, unknown }
+ * @throws {Error} With code USAGE if a value does not fit its variable
+ */
+async function importValues(context, repoData, content, filename) {
+  const { data } = await context.session.api.post('/api/tfvars/import', { repoData, content, filename });
+  if (data.mistyped.length > 0) {
+    throw createUsageError(data.mistyped.map(({ name, message }) => `${filename}: ${name}: ${message}`).join('\n'));
+  }
+  return data;
+}
+
+/**
+ * Collect the variable values of a deployment from --var-file and --var, later ones winning
+ * Values of string variables are taken as they are, others are read as HCL like in a tfvars file
+ * @param {Object} context - Command context
+ * @param {Object} repoData - Parsed repository
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} Variable values keyed by name
+ * @throws {Error} With code USAGE if a value cannot be used or a required variable has none
+ */
+async function collectVariables(context, repoData, { var: assignments, 'var-file': varFiles = [] }) {
+  const definitions = repoData.terraformVariables || {};
+  const variables = {};
+
+  for (const file of varFiles) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      throw createUsageError(`Unable to read ${file}: ${error.message}`);
+    }
+    const imported = await importValues(context, repoData, content, path.basename(file));
+    imported.unknown.forEach(name => process.stderr.write(`Warning: ${file} sets ${name}, which the module does not declare\n`));
+    Object.assign(variables, imported.values);
+  }
+
+  const typed = [];
+  parseAssignments(assignments).forEach(([name, value]) => {
+    const definition = definitions[name];
+    if (!definition) {
+      throw createUsageError(`The module does not declare a variable named ${name}`);
+    }
+    if (!definition.terraformType || definition.terraformType === 'string') {
+      variables[name] = value;
+    } else {
+      typed.push(`${name} = ${value}`);
+    }
+  });
+  if (typed.length > 0) {
+    Object.assign(variables, (await importValues(context, repoData, `${typed.join('\n')}\n`, '--var')).values);
+  }
+
+  // Required variables are those without a default; an empty value is not written for OpenTofu
+  const missing = Object.entries(definitions)
+    .filter(([name, definition]) => definition.required && (variables[name] === undefined || variables[name] === null))
+    .map(([name]) => name);
+  if (missing.length > 0) {
+    throw createUsageError(`Required variables have no value: ${missing.join(', ')}. Set them with --var or --var-file`);
+  }
+  return variables;
+}
+
+/**
+ * Parse a repository URL and list its variables
+ */
+async function parseCommand(context, [repoUrl]) {
+  if (!repoUrl) {
+    throw createUsageError('A repository URL is required');
+  }
+  const { data } = await context.session.api.post('/api/parse-repository-url', { repoUrl });
+  if (context.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  console.log(`${data.host}/${data.owner}/${data.repo} (${data.branch})${data.path ? ` ${data.path}` : ''}`);
+  const variables = Object.entries(data.terraformVariables || {});
+  if (variables.length === 0) {
+    console.log('No variables');
+    return EXIT_SUCCESS;
+  }
+  console.log('');
+  variables.forEach(([name, variable]) => {
+    const flags = [variable.terraformType || variable.type, variable.required && 'required', variable.sensitive && 'sensitive']
+      .filter(Boolean).join(', ');
+    const value = variable.original === null || variable.original === undefined || variable.sensitive ? '' : ` = ${variable.original}`;
+    console.log(`${name} (${flags})${value}`);
+    if (variable.description) {
+      console.log(`    ${variable.description}`);
+    }
+  });
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Deploy a repository and follow the plan, and the apply with --auto-approve
+ */
+async function deployCommand(context, [repoUrl], values) {
+  if (!repoUrl) {
+    throw createUsageError('A repository URL is required');
+  }
+  progress(context, `Parsing ${repoUrl}...`);
+  const { data: repoData } = await context.session.api.post('/api/parse-repository-url', { repoUrl });
+  const variables = await collectVariables(context, repoData, values);
+
+  const deploymentId = `deploy-${Date.now()}`;
+  const start = async () => {
+    const { data } = await context.session.api.post('/api/deploy', {
+      repoData,
+      variables,
+      deploymentId,
+      environment: values.environment,
+      backendProfile: values['backend-profile']
+    });
+    progress(context, `Deployment ${deploymentId} started`);
+    return data;
+  };
+
+  if (values.detach) {
+    const started = await start();
+    if (context.json) {
+      console.log(JSON.stringify({ deploymentId, status: 'started', queue: started.queue }, null, 2));
+    }
+    return EXIT_SUCCESS;
+  }
+
+  const result = await followDeployment(context, deploymentId, { start, autoApprove: values['auto-approve'] });
+  return reportOutcome(context, deploymentId, result);
+}
+
+/**
+ * Plan the destruction of a deployment and follow it, and the destroy with --auto-approve
+ */
+async function destroyCommand(context, [deploymentId], values) {
+  if (!deploymentId) {
+    throw createUsageError('A deployment ID is required');
+  }
+  const sensitiveVariables = Object.fromEntries(parseAssignments(values.var));
+  const start = async () => {
+    const { data } = await context.session.api.post(`/api/deployments/${deploymentId}/destroy`, {
+      sensitiveVariables: Object.keys(sensitiveVariables).length > 0 ? sensitiveVariables : undefined
+    });
+    progress(context, `Destroy of ${deploymentId} started`);
+    return data;
+  };
+
+  if (values.detach) {
+    const started = await start();
+    if (context.json) {
+      console.log(JSON.stringify({ deploymentId, status: 'started', queue: started.queue }, null, 2));
+    }
+    return EXIT_SUCCESS;
+  }
+
+  const result = await followDeployment(context, deploymentId, { start, autoApprove: values['auto-approve'] });
+  return reportOutcome(context, deploymentId, result);
+}
+
+/**
+ * Approve the plan waiting for approval and follow the apply
+ */
+async function applyCommand(context, [deploymentId]) {
+  if (!deploymentId) {
+    throw createUsageError('A deployment ID is required');
+  }
+  const result = await followDeployment(context, deploymentId, {
+    start: () => context.session.api.post(`/api/deployments/${deploymentId}/apply`),
+    untilComplete: true
+  });
+  return reportOutcome(context, deploymentId, result);
+}
+
+/**
+ * Show the status of a deployment
+ */
+async function statusCommand(context, [deploymentId]) {
+  if (!deploymentId) {
+    throw createUsageError('A deployment ID is required');
+  }
+  const { data } = await context.session.api.get(`/api/deployments/${deploymentId}`);
+  if (data.error) {
+    throw new Error(`Deployment ${deploymentId} cannot be read: ${data.error}`);
+  }
+  if (context.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  const source = data.source;
+  const rows = [
+    ['Deployment', data.id],
+    ['Status', data.status || 'unknown'],
+    ['Environment', data.environment],
+    ['Source', source && `${source.owner}/${source.repo} (${source.branch}${source.commitSha ? ` @ ${source.commitSha.substring(0, 7)}` : ''})${source.path ? ` ${source.path}` : ''}`],
+    ['Backend', data.backend && `${data.backend.profile} (${data.backend.type})`],
+    ['Last applied', data.lastApplied?.appliedAt],
+    ['Running', data.running],
+    ['Queued', data.queued && `${data.queued.operation}, position ${data.queued.position}`],
+    ['Plan', data.pendingPlan && `${data.pendingPlan} plan waiting for approval`],
+    ['Drift', data.drift && `${data.drift.status}${data.drift.resources?.length ? ` (${data.drift.resources.length} resources)` : ''}`],
+    ['Outputs', String(data.outputCount)],
+    ['Updated', data.updatedAt || data.lastModified]
+  ].filter(([, value]) => value);
+  rows.forEach(([name, value]) => console.log(`${name.padEnd(13)}${value}`));
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Print the log of a run, or follow a live run to its end with --follow
+ */
+async function logsCommand(context, [deploymentId], values) {
+  if (!deploymentId) {
+    throw createUsageError('A deployment ID is required');
+  }
+  const params = { run: values.run };
+
+  if (!values.follow) {
+    const { data } = await context.session.api.get(`/api/deployments/${deploymentId}/logs`, { params });
+    if (context.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else {
+      data.events.forEach(({ event, data: payload }) => printEvent(context, event, payload));
+    }
+    return data.run.finishedAt && !data.run.success ? EXIT_FAILURE : EXIT_SUCCESS;
+  }
+
+  // Followed logs are streamed by the server as newline-delimited JSON entries
+  const response = await context.session.api.get(`/api/deployments/${deploymentId}/logs`, {
+    params: { ...params, follow: 'true' },
+    responseType: 'stream'
+  });
+  let completion = null;
+  for await (const line of readline.createInterface({ input: response.data, crlfDelay: Infinity })) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (context.json) {
+      console.log(line);
+    }
+    const entry = JSON.parse(line);
+    if (!context.json) {
+      printEvent(context, entry.event, entry.data);
+    }
+    if (entry.event === 'deployment-complete') {
+      completion = entry.data;
+    }
+  }
+  if (!completion) {
+    // The stream also ends when the run is superseded or the server goes away
+    process.stderr.write(`Error: The log of deployment ${deploymentId} ended before the run finished\n`);
+    return EXIT_FAILURE;
+  }
+  return completion.success ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * Print the outputs of a deployment, or the raw value of one output
+ */
+async function outputsCommand(context, [deploymentId, name], values) {
+  if (!deploymentId) {
+    throw createUsageError('A deployment ID is required');
+  }
+  const { data } = await context.session.api.get(`/api/deployments/${deploymentId}/outputs`, {
+    params: values.reveal ? { reveal: 'true' } : {}
+  });
+
+  if (name) {
+    const output = data.outputs[name];
+    if (!output) {
+      throw new Error(`Deployment ${deploymentId} has no output named ${name}`);
+    }
+    if (output.sensitive && !data.revealed) {
+      throw new Error(`Output ${name} is sensitive; show it with --reveal`);
+    }
+    // A single string is printed raw, so it can be used in shell scripts
+    console.log(typeof output.value === 'string' && !context.json ? output.value : JSON.stringify(output.value));
+    return EXIT_SUCCESS;
+  }
+
+  if (context.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return EXIT_SUCCESS;
+  }
+  Object.entries(data.outputs).forEach(([outputName, output]) => {
+    const value = output.sensitive && !data.revealed ? '<sensitive>' : JSON.stringify(output.value);
+    console.log(`${outputName} = ${value}`);
+  });
+  return EXIT_SUCCESS;
+}
+
+/**
+ * List the deployments
+ */
+async function listCommand(context) {
+  const { data } = await context.session.api.get('/api/deployments');
+  if (context.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return EXIT_SUCCESS;
+  }
+  if (data.length === 0) {
+    console.log('No deployments');
+    return EXIT_SUCCESS;
+  }
+
+  const rows = data.map(deployment => [
+    deployment.id,
+    deployment.status || 'unknown',
+    deployment.environment || '-',
+    deployment.updatedAt || deployment.lastModified || '',
+    deployment.description || ''
+  ]);
+  const header = ['ID', 'STATUS', 'ENVIRONMENT', 'UPDATED', 'DESCRIPTION'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  [header, ...rows].forEach((row) => {
+    console.log(row.map((value, column) => (column < row.length - 1 ? value.padEnd(widths[column]) : value)).join('  ').trimEnd());
+  });
+  return EXIT_SUCCESS;
+}
+
+// Commands with their arguments, options and help
+const COMMANDS = {
+  parse: {
+    usage: 'parse <repository-url>',
+    description: 'Parse a repository and list the variables it declares',
+    options: {},
+    run: parseCommand
+  },
+  deploy: {
+    usage: 'deploy <repository-url> [--var NAME=VALUE]... [--var-file FILE]... [--environment NAME] [--backend-profile NAME] [--auto-approve] [--detach]',
+    description: 'Deploy a repository; the plan waits for approval unless --auto-approve is given',
+    options: {
+      'var': { type: 'string', multiple: true },
+      'var-file': { type: 'string', multiple: true },
+      'environment': { type: 'string' },
+      'backend-profile': { type: 'string' },
+      'auto-approve': { type: 'boolean' },
+      'detach': { type: 'boolean' }
+    },
+    run: deployCommand
+  },
+  apply: {
+    usage: 'apply <deployment-id>',
+    description: 'Approve the plan waiting for approval and follow the apply',
+    options: {},
+    run: applyCommand
+  },
+  destroy: {
+    usage: 'destroy <deployment-id> [--var NAME=VALUE]... [--auto-approve] [--detach]',
+    description: 'Plan the destruction of a deployment; --var re-enters sensitive variables the server asks for',
+    options: {
+      'var': { type: 'string', multiple: true },
+      'auto-approve': { type: 'boolean' },
+      'detach': { type: 'boolean' }
+    },
+    run: destroyCommand
+  },
+  status: {
+    usage: 'status <deployment-id>',
+    description: 'Show the status of a deployment',
+    options: {},
+    run: statusCommand
+  },
+  logs: {
+    usage: 'logs <deployment-id> [--run RUN-ID] [--follow]',
+    description: 'Print the log of the latest run, or follow it until it ends',
+    options: {
+      'run': { type: 'string' },
+      'follow': { type: 'boolean', short: 'f' }
+    },
+    run: logsCommand
+  },
+  outputs: {
+    usage: 'outputs <deployment-id> [name] [--reveal]',
+    description: 'Print the outputs of the last apply, or the raw value of one',
+    options: {
+      'reveal': { type: 'boolean' }
+    },
+    run: outputsCommand
+  },
+  list: {
+    usage: 'list',
+    description: 'List the deployments',
+    options: {},
+    run: listCommand
+  }
+};
+
+/**
+ * Build the help text
+ * @param {string} [commandName] - Command to describe, all commands when left out
+ * @returns {string} Help text
+ */
+function getHelp(commandName) {
+  const global = 'Options: --url URL (or DEPLOYER_URL), --json for machine-readable output, --help';
+  if (COMMANDS[commandName]) {
+    const command = COMMANDS[commandName];
+    return `Usage: deployer ${command.usage}\n\n${command.description}\n\n${global}`;
+  }
+  const commands = Object.values(COMMANDS).map(command => `  ${command.usage}\n      ${command.description}`);
+  return `Usage: deployer <command> [options]\n\nCommands:\n${commands.join('\n')}\n\n${global}`;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const [commandName, ...rest] = args;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    const known = !commandName || commandName === '--help' || commandName === '-h';
+    (known ? process.stdout : process.stderr).write(`${getHelp()}\n`);
+    return known ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+
+  const json = rest.includes('--json');
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+    if (values.help) {
+      console.log(getHelp(commandName));
+      return EXIT_SUCCESS;
+    }
+
+    const session = await connect(values.url || process.env.DEPLOYER_URL || 'http://localhost:3001');
+    return await command.run({ session, json }, positionals, values);
+  } catch (error) {
+    const usage = error.code === 'USAGE' || error.code?.startsWith('ERR_PARSE_ARGS');
+    const { message, code, details } = usage ? { message: error.message, code: 'USAGE', details: {} } : describeRequestError(error);
+
+    if (json) {
+      console.log(JSON.stringify({ error: message, code, ...details }, null, 2));
+    }
+    process.stderr.write(`Error: ${message}\n`);
+    // Validation failures list each rule the way OpenTofu reports them
+    (details.errors || []).forEach(({ variable, file, line, message: ruleMessage }) => {
+      process.stderr.write(`  ${variable} (${file}:${line}): ${ruleMessage}\n`);
+    });
+    if (details.missing?.length > 0) {
+      process.stderr.write(`  Re-enter with --var: ${details.missing.join(', ')}\n`);
+    }
+    if (usage) {
+      process.stderr.write(`Run deployer ${commandName} --help for its usage\n`);
+    }
+    return usage ? EXIT_USAGE : EXIT_FAILURE;
+  }
+}
+
+// Run when executed, directly or through the npm bin link, not when imported by the tests
+if (process.argv[1] && await fs.realpath(process.argv[1]).catch(() => null) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+export {
+  EXIT_SUCCESS,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  COMMANDS,
+  parseAssignments,
+  collectVariables,
+  formatEvent,
+  getCompletionStatus,
+  getHelp,
+  main
+};
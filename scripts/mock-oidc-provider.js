@@ -0,0 +1,189 @@
+/**
+ * Mock OIDC provider
+ * A minimal OpenID Connect provider for trying out and testing OIDC login locally.
+ * It signs ID tokens with a key generated at startup and lets you pick the user
+ * name and groups on its login page. Never use it outside development.
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then start the deployer with:
+ *   AUTH_ENABLED=true OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=deployer \
+ *   OIDC_CLIENT_SECRET=secret OIDC_ROLE_MAPPING=admins=admin,developers=deployer npm start
+ *
+ * Environment Variables:
+ * - MOCK_OIDC_PORT: Port to listen on (defaults to 4000)
+ * - MOCK_OIDC_CLIENT_ID / MOCK_OIDC_CLIENT_SECRET: Accepted client credentials (defaults to deployer / secret)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'deployer';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, valid for a single token request
+const codes = new Map();
+
+/**
+ * Escape text for HTML output
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Sign claims into an RS256 ID token
+ * @param {Object} claims - Token claims
+ * @returns {string} Compact JWS
+ */
+function signIdToken(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Read a form-encoded request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<URLSearchParams>} Parsed body
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+      if (params.client_id !== CLIENT_ID) {
+        return sendJson(res, 400, { error: 'unauthorized_client' });
+      }
+
+      const hidden = Object.entries(params)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(`<!doctype html>
+<title>Mock OIDC login</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 20rem; margin: 4rem auto">
+  <h1>Mock OIDC login</h1>
+  ${hidden}
+  <p><label>Username<br><input name="username" value="dev" required></label></p>
+  <p><label>Groups (comma separated)<br><input name="groups" value="admins"></label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      const form = await readForm(req);
+      const code = crypto.randomBytes(16).toString('base64url');
+      const username = form.get('username') || 'dev';
+
+      codes.set(code, {
+        clientId: form.get('client_id'),
+        redirectUri: form.get('redirect_uri'),
+        nonce: form.get('nonce'),
+        codeChallenge: form.get('code_challenge'),
+        username,
+        groups: (form.get('groups') || '').split(',').map(group => group.trim()).filter(Boolean)
+      });
+
+      const redirect = new URL(form.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', form.get('state') || '');
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const form = await readForm(req);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      if (!grant || form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET ||
+          form.get('redirect_uri') !== grant.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      return sendJson(res, 200, {
+        token_type: 'Bearer',
+        access_token: crypto.randomBytes(16).toString('base64url'),
+        expires_in: 3600,
+        id_token: signIdToken({
+          iss: ISSUER,
+          aud: CLIENT_ID,
+          sub: `mock-${grant.username}`,
+          preferred_username: grant.username,
+          email: `${grant.username}@example.test`,
+          groups: grant.groups,
+          nonce: grant.nonce,
+          iat: now,
+          exp: now + 3600
+        })
+      });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    sendJson(res, 500, { error: 'server_error', error_description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
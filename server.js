@@ -1,5 +1,6 @@
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import http from 'http';
 import { Server as SocketIo } from 'socket.io';
 import fs from 'fs/promises';
@@ -7,12 +8,27 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import our extracted modules
-import { parseGitHubRepository, downloadRepository } from './src/services/github-service.js';
+import {
+  getRepositoryLocation,
+  parseRepository,
+  downloadRepository,
+  pinRepositoryData,
+  getBranchHead,
+  compareCommits
+} from './src/services/repository-service.js';
 import { 
   extractSensitiveEnvVars, 
-  createBackendConfig, 
+  extractNonSensitiveVariables,
+  extractSensitiveValues,
+  sensitiveValuesToEnvVars,
   generateTfvarsContent, 
-  startTerraformApply 
+  startTerraformPlan,
+  getTerraformPlan,
+  discardTerraformPlan,
+  replaceRepositoryFiles,
+  applyTerraformPlan,
+  getTerraformResources,
+  checkTerraformDrift
 } from './src/services/deployment-service.js';
 import { 
   getDeploymentHistory, 
@@ -20,7 +36,104 @@ import {
   destroyDeployment, 
   deleteDeploymentDirectory 
 } from './src/services/deployment-history-service.js';
-import { ensureDirectories, getDeploymentDir } from './src/utils/file-utils.js';
+import {
+  createManifest,
+  recordModification,
+  recordApplied,
+  readManifest,
+  updateManifest,
+  setDeploymentStatus,
+  revertDeploymentStatus
+} from './src/services/deployment-manifest-service.js';
+import { loadDeploymentSecrets, saveDeploymentSecrets, resolveDeploymentSecrets } from './src/services/secret-store.js';
+import { loadDeploymentOutputs } from './src/services/deployment-outputs-service.js';
+import {
+  DRIFT_CHECK_INTERVAL_MS,
+  DRIFT_CHECK_MODE,
+  saveDriftResult,
+  clearDriftResult,
+  startDriftScheduler
+} from './src/services/drift-service.js';
+import {
+  startDeploymentRun,
+  continueDeploymentRun,
+  replayActiveRun,
+  getDeploymentRuns,
+  getRunLog,
+  followRun
+} from './src/services/deployment-log-service.js';
+import { cancelRun } from './src/services/run-registry.js';
+import { 
+  getDeploymentJob, 
+  getQueueStatus, 
+  reserveDeployment, 
+  releaseDeployment, 
+  enqueueJob, 
+  cancelQueuedJob 
+} from './src/services/job-queue.js';
+import {
+  ROLES,
+  hasRole,
+  isAuthEnabled,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdminUser,
+  authenticateLocalUser,
+  signToken,
+  verifyToken,
+  createSessionToken,
+  revokeSessions
+} from './src/services/auth-service.js';
+import {
+  isOidcEnabled,
+  getOidcProviderName,
+  createAuthorizationRequest,
+  completeAuthorization
+} from './src/services/oidc-service.js';
+import {
+  listAccessTokens,
+  saveAccessToken,
+  deleteAccessToken
+} from './src/services/access-token-service.js';
+import { getMaxUploadSize, saveUpload } from './src/services/upload-service.js';
+import { listPresets, savePreset, deletePreset } from './src/services/preset-service.js';
+import { importTfvars, exportTfvars } from './src/services/tfvars-service.js';
+import {
+  normalizeEnvironmentName,
+  findEnvironmentDeployment,
+  getEnvironmentMatrix
+} from './src/services/environment-service.js';
+import {
+  listBackendProfiles,
+  resolveBackend,
+  describeBackend,
+  getEnvironmentWorkspace,
+  writeBackendConfig
+} from './src/services/backend-service.js';
+import {
+  notifyWebhooks,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  sendTestDelivery,
+  redeliver,
+  listDeliveries,
+  resumeDeliveries
+} from './src/services/webhook-service.js';
+import {
+  parseCookies,
+  authenticate,
+  requireRole,
+  authenticateSocket,
+  setSessionCookie,
+  clearSessionCookie
+} from './src/middleware/auth.js';
+import { ensureDirectories, getDeploymentDir, isValidDeploymentId } from './src/utils/file-utils.js';
+import { validateVariables } from './src/utils/variable-validation.js';
+import { diffVariables } from './src/utils/variable-diff.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,130 +155,1436 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'dist')));
 }
 
+/**
+ * Identify who made a request, for recording in deployment manifests
+ * @param {Object} req - Express request, authenticated
+ * @returns {Object} Requester with user name, role, login provider and remote address
+ */
+function getRequester(req) {
+  return {
+    user: req.user.name,
+    role: req.user.role,
+    provider: req.user.provider,
+    ip: req.ip
+  };
+}
+
+/**
+ * Record that an operation of a deployment failed, and notify webhooks of it
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} message - What failed
+ * @returns {Promise<void>}
+ */
+async function recordFailure(deploymentId, message) {
+  await setDeploymentStatus(deploymentId, 'failed', message);
+  notifyWebhooks('failed', deploymentId, { message });
+}
+
+/**
+ * Record failure of a background operation in the deployment manifest
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} message - What failed
+ * @returns {Function} Error handler for the operation's promise
+ */
+function recordOperationError(deploymentId, message) {
+  return (error) => {
+    console.error(`${message}:`, error);
+    recordFailure(deploymentId, `${message}: ${error.message}`).catch(() => {});
+  };
+}
+
+/**
+ * Try to lock a deployment for an operation, answering 409 Conflict if it is busy
+ * @param {Object} res - Express response
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} operation - Operation to lock the deployment for
+ * @returns {Object|null} Reserved job, or null if the conflict response has been sent
+ */
+function reserveOrConflict(res, deploymentId, operation) {
+  try {
+    return reserveDeployment(deploymentId, operation);
+  } catch (error) {
+    if (error.code !== 'DEPLOYMENT_BUSY') {
+      throw error;
+    }
+    sendConflict(res, error.job);
+    return null;
+  }
+}
+
+/**
+ * Answer 409 Conflict because an operation is queued or running on the deployment
+ * @param {Object} res - Express response
+ * @param {Object} job - Job holding the deployment
+ */
+function sendConflict(res, job) {
+  res.status(409).json({ 
+    error: `Another ${job.operation} operation is ${job.state === 'queued' ? 'queued' : 'running'} on this deployment`,
+    operation: job.operation,
+    state: job.state,
+    position: job.position
+  });
+}
+
+/**
+ * Resolve the sensitive variables a deployment needs for destroy or re-apply
+ * Values entered with the request are stored for later operations as well
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [supplied] - Re-entered sensitive values keyed by variable name
+ * @returns {Promise<Object>} { env, missing, status } with the TF_VAR_* environment variables
+ */
+async function resolveSensitiveEnv(deploymentId, supplied = {}) {
+  const manifest = await readManifest(deploymentId);
+  const required = manifest?.sensitiveVariables || [];
+  const entered = Object.fromEntries(
+    Object.entries(supplied || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+  
+  const { values, missing, status } = await resolveDeploymentSecrets(deploymentId, required, entered);
+  
+  const newNames = Object.keys(entered).filter(name => !required.includes(name));
+  if (manifest && newNames.length > 0) {
+    await updateManifest(deploymentId, (current) => ({
+      ...current,
+      sensitiveVariables: [...(current.sensitiveVariables || []), ...newNames]
+    }));
+  }
+  
+  return { env: sensitiveValuesToEnvVars(values), missing, status };
+}
+
+/**
+ * Build the environment OpenTofu runs with for an operation on an existing deployment,
+ * in the workspace of its environment if it has one and its backend has workspaces
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [secretsEnv] - TF_VAR_* variables of its sensitive values, from resolveSensitiveEnv
+ * @returns {Promise<Object>} Environment variables
+ */
+async function getDeploymentEnv(deploymentId, secretsEnv = {}) {
+  const manifest = await readManifest(deploymentId);
+  return {
+    ...process.env,
+    ...extractSensitiveEnvVars({}, {}, getEnvironmentWorkspace(manifest?.environment, manifest?.backend)),
+    ...secretsEnv
+  };
+}
+
+/**
+ * Answer 422 because stored sensitive variables are missing or unreadable
+ * @param {Object} res - Express response
+ * @param {Object} secrets - Result of resolveSensitiveEnv
+ */
+function sendSecretsRequired(res, { missing, status }) {
+  res.status(422).json({
+    error: status === 'rotated'
+      ? 'Stored sensitive variables were encrypted with a different master key and must be re-entered'
+      : 'Sensitive variables must be re-entered',
+    code: 'SECRETS_REQUIRED',
+    missing,
+    status
+  });
+}
+
+// Statuses answered when a repository cannot be read from its source host;
+// 401 is left to the deployer's own sessions, so a rejected source token is a 403
+const SOURCE_ERROR_STATUSES = {
+  UNSUPPORTED_REPOSITORY_URL: 400,
+  SOURCE_INSECURE_URL: 400,
+  SOURCE_UNAUTHORIZED: 403,
+  SOURCE_ACCESS_DENIED: 403,
+  SOURCE_NOT_FOUND: 404,
+  PATH_NOT_FOUND: 404,
+  NO_TERRAFORM_FILES: 422,
+  SOURCE_RATE_LIMITED: 429
+};
+
+/**
+ * Answer with the status of a failure to read a repository, so clients can tell
+ * missing access from a missing repository or path
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while reading the repository
+ * @returns {boolean} True if the error was answered, false if it is not a source error
+ */
+function sendSourceError(res, error) {
+  const status = SOURCE_ERROR_STATUSES[error.code];
+  if (!status) {
+    return false;
+  }
+  
+  // Rate limited clients are told when the limit of the host resets
+  if (error.resetAt) {
+    res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(error.resetAt) - Date.now()) / 1000), 0)));
+  }
+  res.status(status).json({ error: error.message, code: error.code, host: error.host, resetAt: error.resetAt });
+  return true;
+}
+
+/**
+ * Check entered variables against the module's validation rules and generate the tfvars
+ * content, answering 422 and releasing the job if the variables are rejected
+ * @param {Object} res - Express response
+ * @param {Object} job - Job returned by reserveDeployment
+ * @param {Object} variables - Entered variables
+ * @param {Object} terraformVariables - Variable definitions of the module
+ * @param {Object} sensitiveValues - Sensitive values, entered or stored
+ * @returns {Object|null} { validation, tfvarsContent }, or null if the rejection has been sent
+ */
+function prepareVariablesOrReject(res, job, variables, terraformVariables, sensitiveValues) {
+  // Reject values failing the module's validation rules before anything runs;
+  // rules that cannot be evaluated here are checked by OpenTofu during the plan
+  const validation = validateVariables(terraformVariables, { ...variables, ...sensitiveValues });
+  if (validation.errors.length > 0) {
+    releaseDeployment(job);
+    res.status(422).json({
+      error: 'Some variables do not pass validation',
+      code: 'VALIDATION_FAILED',
+      errors: validation.errors
+    });
+    return null;
+  }
+  
+  // Generate tfvars file content (excluding sensitive variables), converting values
+  // to their declared types; a value that cannot be converted is rejected like above
+  try {
+    return { validation, tfvarsContent: generateTfvarsContent(variables, terraformVariables) };
+  } catch (error) {
+    if (error.code !== 'INVALID_VARIABLE_VALUE') {
+      throw error;
+    }
+    releaseDeployment(job);
+    res.status(422).json({ error: error.message, code: error.code });
+    return null;
+  }
+}
+
+/**
+ * Download the repository into the deployment directory, write the variables and
+ * queue the plan; nothing is applied until the plan is approved
+ * @param {Object} job - Job returned by reserveDeployment
+ * @param {Object} socket - Emitter of the deployment run
+ * @param {Object} config - What to deploy
+ * @param {Object} config.repoData - Repository data to download
+ * @param {Object} config.variables - Entered variables
+ * @param {Object} config.terraformVariables - Variable definitions of the module
+ * @param {Object} config.sensitiveValues - Sensitive values, entered or stored
+ * @param {string} config.tfvarsContent - Result of prepareVariablesOrReject
+ * @param {Object} config.validation - Result of prepareVariablesOrReject
+ * @param {string} [config.environment] - Environment of the deployment, planned in its own workspace
+ * @param {Object|null} [config.backend] - Backend of the deployment, from resolveBackend
+ * @param {boolean} [config.migrateState] - Copy the existing state if the backend differs from the one the directory was initialized with
+ * @param {boolean} [config.replaceFiles] - Replace the repository files already in the deployment directory
+ */
+async function downloadAndQueuePlan(job, socket, { repoData, variables, terraformVariables, sensitiveValues, tfvarsContent, validation, environment, backend = null, migrateState = false, replaceFiles = false }) {
+  const { deploymentId } = job;
+  const deploymentDir = getDeploymentDir(deploymentId);
+  
+  socket.emit('deployment-log', { 
+    message: `Downloading repository files at commit ${repoData.commitSha}...`, 
+    timestamp: new Date().toISOString() 
+  });
+  
+  // Download repository files FIRST; files of an earlier revision are only replaced once the
+  // download is complete, and files deleted upstream must not linger next to the new revision
+  const download = replaceFiles
+    ? await replaceRepositoryFiles(deploymentDir, stagingDir => downloadRepository(repoData, stagingDir))
+    : await downloadRepository(repoData, deploymentDir);
+  
+  socket.emit('deployment-log', { 
+    message: `Repository files downloaded (${download.files} files)`, 
+    timestamp: new Date().toISOString() 
+  });
+  
+  download.externalModules.forEach(modulePath => {
+    socket.emit('deployment-log', {
+      message: `Downloaded local module ${modulePath} from outside ${repoData.path}`,
+      timestamp: new Date().toISOString()
+    });
+  });
+  
+  // Extract sensitive environment variables
+  const workspace = getEnvironmentWorkspace(environment, backend);
+  const envVars = extractSensitiveEnvVars(variables, terraformVariables, workspace);
+  
+  if (workspace) {
+    socket.emit('deployment-log', { 
+      message: `Environment ${environment} is planned in OpenTofu workspace ${workspace}`, 
+      timestamp: new Date().toISOString() 
+    });
+  }
+  
+  // Write tfvars file (this will overwrite any existing tfvars from repo)
+  const tfvarsPath = path.join(deploymentDir, 'terraform.tfvars');
+  await fs.writeFile(tfvarsPath, tfvarsContent);
+  
+  socket.emit('deployment-log', { 
+    message: 'User variables configured', 
+    timestamp: new Date().toISOString() 
+  });
+  
+  validation.unchecked.forEach(({ variable, condition, file, line }) => {
+    socket.emit('deployment-log', { 
+      message: `Validation of ${variable} (${file}:${line}) will be checked by OpenTofu during the plan: ${condition}`, 
+      timestamp: new Date().toISOString() 
+    });
+  });
+  
+  // Point the module at the backend of its profile, or keep the state in the deployment directory
+  await writeBackendConfig(deploymentDir, backend);
+  
+  if (backend) {
+    socket.emit('deployment-log', { 
+      message: `State is kept in backend profile ${backend.profile} (${backend.type}): ${backend.location}`, 
+      timestamp: new Date().toISOString() 
+    });
+  }
+  
+  socket.emit('deployment-log', { 
+    message: 'Preparing OpenTofu deployment...', 
+    timestamp: new Date().toISOString() 
+  });
+  
+  // Combine environment variables
+  const tofuEnv = {
+    ...process.env,
+    ...envVars,
+    ...sensitiveValuesToEnvVars(sensitiveValues)
+  };
+  
+  // Queue the plan; nothing is applied until the plan is approved
+  enqueueJob(job, socket, () => startTerraformPlan(deploymentDir, socket, tofuEnv, { migrateState }))
+    .then(({ success, cancelled, plan }) => {
+      if (cancelled) {
+        return setDeploymentStatus(deploymentId, 'cancelled', 'Plan cancelled');
+      }
+      if (!success) {
+        return recordFailure(deploymentId, 'Plan failed');
+      }
+      notifyWebhooks('plan-ready', deploymentId, { operation: plan.operation, summary: plan.summary });
+    })
+    .catch(recordOperationError(deploymentId, 'Plan error'));
+}
+
+/**
+ * Queue a drift check of a reserved deployment
+ * The result is recorded in the manifest and broadcast to the deployment room
+ * as a deployment-drift event
+ * @param {Object} job - Job returned by reserveDeployment
+ * @param {Object} secrets - Result of resolveSensitiveEnv
+ * @param {string} trigger - What started the check: 'schedule' or 'manual'
+ * @returns {Promise<Object|null>} Drift result, or null if the check was cancelled
+ */
+async function queueDriftCheck(job, secrets, trigger) {
+  const { deploymentId } = job;
+  
+  // Drift checks run unattended, OpenTofu's error output goes to the server log
+  const emitter = {
+    emit(event, data) {
+      if (event === 'deployment-error') {
+        console.error(`Drift check of ${deploymentId}: ${data.message}`);
+      }
+    }
+  };
+  const tofuEnv = await getDeploymentEnv(deploymentId, secrets.env);
+  
+  const result = await enqueueJob(job, emitter, () => checkTerraformDrift(
+    getDeploymentDir(deploymentId), 
+    emitter, 
+    tofuEnv, 
+    { mode: DRIFT_CHECK_MODE }
+  ));
+  
+  // A check cancelled while queued or running keeps the previous result
+  if (!result.status || result.status === 'cancelled') {
+    return null;
+  }
+  
+  // Drift is announced once, not again by every check finding the same resources drifted
+  const previous = (await readManifest(deploymentId))?.drift;
+  const driftedAddresses = drift => (drift?.status === 'drifted' ? drift.resources.map(({ address }) => address).sort().join() : null);
+  
+  await saveDriftResult(deploymentId, result, trigger);
+  if (result.status === 'drifted' && driftedAddresses(previous) !== driftedAddresses(result)) {
+    notifyWebhooks('drift-detected', deploymentId, { 
+      mode: result.mode, 
+      trigger, 
+      resources: result.resources.map(({ address, action }) => ({ address, action })) 
+    });
+  }
+  io.to(deploymentId).emit('deployment-drift', { 
+    ...result, 
+    trigger, 
+    timestamp: new Date().toISOString() 
+  });
+  
+  return result;
+}
+
+/**
+ * Scheduled drift check of one deployment
+ * Deployments busy with another operation or already destroyed are skipped
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<void>} Resolves once the check has finished
+ */
+async function runScheduledDriftCheck(deploymentId) {
+  const manifest = await readManifest(deploymentId);
+  if (manifest?.status === 'destroyed') {
+    return;
+  }
+  
+  let job;
+  try {
+    job = reserveDeployment(deploymentId, 'drift-check');
+  } catch (error) {
+    if (error.code === 'DEPLOYMENT_BUSY') {
+      return;
+    }
+    throw error;
+  }
+  
+  let secrets;
+  try {
+    secrets = await resolveSensitiveEnv(deploymentId);
+  } catch (error) {
+    releaseDeployment(job);
+    throw error;
+  }
+  
+  if (secrets.missing.length > 0) {
+    releaseDeployment(job);
+    await saveDriftResult(deploymentId, {
+      status: 'error',
+      mode: DRIFT_CHECK_MODE,
+      checkedAt: new Date().toISOString(),
+      resources: [],
+      message: 'Sensitive variables must be re-entered'
+    }, 'schedule');
+    return;
+  }
+  
+  await queueDriftCheck(job, secrets, 'schedule');
+}
+
+// Name of the cookie holding the OIDC login state between redirect and callback
+const OIDC_LOGIN_COOKIE = 'deployer_oidc_login';
+
+// Resolve the user of every API request; routes below declare the role they need
+app.use('/api', authenticate);
+
+// Authentication Routes
+
+/**
+ * Describe the available login methods
+ */
+app.get('/api/auth/config', (req, res) => {
+  res.json({
+    enabled: isAuthEnabled(),
+    local: isAuthEnabled(),
+    oidc: isAuthEnabled() && isOidcEnabled() ? { name: getOidcProviderName() } : null
+  });
+});
+
+/**
+ * Get the signed-in user
+ */
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user, authEnabled: isAuthEnabled() });
+});
+
+/**
+ * Sign in with a local user; the session is set as a cookie and also returned as a Bearer token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!isAuthEnabled()) {
+      return res.status(400).json({ error: 'Authentication is not enabled' });
+    }
+    
+    const { username, password } = req.body || {};
+    const user = await authenticateLocalUser(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    const session = await createSessionToken(user);
+    setSessionCookie(req, res, session);
+    res.json({ user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Disconnect the sockets of a user whose sessions were revoked
+ * @param {Object} user - User with name and provider
+ */
+async function disconnectUserSockets({ name, provider }) {
+  const sockets = await io.fetchSockets();
+  sockets
+    .filter(socket => socket.data.user?.name === name && socket.data.user?.provider === provider)
+    .forEach(socket => socket.disconnect(true));
+}
+
+/**
+ * Sign out, revoking every session of the user so copied tokens stop working too
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (isAuthEnabled() && req.user) {
+      await revokeSessions(req.user);
+      await disconnectUserSockets(req.user);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * Start an OIDC login by redirecting to the provider
+ */
+app.get('/api/auth/oidc/login', async (req, res) => {
+  try {
+    if (!isAuthEnabled() || !isOidcEnabled()) {
+      return res.status(404).json({ error: 'OIDC login is not configured' });
+    }
+    
+    const redirectUri = process.env.OIDC_REDIRECT_URI ||
+      `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+    const { url, loginState } = await createAuthorizationRequest(redirectUri);
+    const { token } = await signToken(loginState, 'oidc-login', 10 * 60 * 1000);
+    
+    res.cookie(OIDC_LOGIN_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure || process.env.AUTH_COOKIE_SECURE === 'true',
+      maxAge: 10 * 60 * 1000,
+      path: '/api/auth/oidc'
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.redirect(`/?loginError=${encodeURIComponent('Could not reach the identity provider')}`);
+  }
+});
+
+/**
+ * Complete an OIDC login when the provider redirects back
+ */
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  try {
+    const loginState = await verifyToken(parseCookies(req.get('Cookie'))[OIDC_LOGIN_COOKIE], 'oidc-login');
+    res.clearCookie(OIDC_LOGIN_COOKIE, { path: '/api/auth/oidc' });
+    
+    const user = await completeAuthorization(req.query, loginState);
+    setSessionCookie(req, res, await createSessionToken(user));
+    res.redirect('/');
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.redirect(`/?loginError=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// Every other API route needs at least a signed-in viewer
+app.use('/api', requireRole('viewer'));
+
+// Route IDs name directories and state keys, so reject any that could reach outside them
+app.param('id', (req, res, next, id) => {
+  if (!isValidDeploymentId(id)) {
+    return res.status(400).json({ error: 'Invalid ID', code: 'INVALID_DEPLOYMENT_ID' });
+  }
+  next();
+});
+
+// User Management Routes (admin only)
+
+/**
+ * List local users
+ */
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+/**
+ * Create a local user
+ */
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    res.status(201).json(await createUser({ username, password, role: role || 'viewer' }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Change the role or password of a local user
+ */
+app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const user = await updateUser(req.params.username, { role, password });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (password !== undefined) {
+      await disconnectUserSockets({ name: user.username, provider: 'local' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a local user
+ */
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.username === req.user.name && req.user.provider === 'local') {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    
+    const deleted = await deleteUser(req.params.username);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await disconnectUserSockets({ name: req.params.username, provider: 'local' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Access Token Routes (deployers)
+
+/**
+ * List the hosts that have access tokens; the tokens themselves are never returned
+ */
+app.get('/api/access-tokens', requireRole('deployer'), async (req, res) => {
+  try {
+    res.json(await listAccessTokens());
+  } catch (error) {
+    console.error('Error listing access tokens:', error);
+    res.status(500).json({ error: 'Failed to list access tokens' });
+  }
+});
+
+/**
+ * Store the access token or GitHub App of a host, replacing any stored before
+ */
+app.post('/api/access-tokens', requireRole('deployer'), async (req, res) => {
+  try {
+    const { host, kind, token, appId, installationId, privateKey, label } = req.body || {};
+    const entry = await saveAccessToken({ host, kind, token, appId, installationId, privateKey, label, createdBy: req.user.name });
+    console.log(`Access token for ${entry.host} stored by ${req.user.name}`);
+    res.status(201).json(entry);
+  } catch (error) {
+    // Validation errors carry no code; anything else failed while encrypting or writing
+    if (error.code) {
+      console.error('Error storing access token:', error);
+      return res.status(500).json({ error: 'Failed to store access token' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete the stored access token of a host
+ */
+app.delete('/api/access-tokens/:host', requireRole('deployer'), async (req, res) => {
+  try {
+    const deleted = await deleteAccessToken(req.params.host);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No access token is stored for this host' });
+    }
+    console.log(`Access token for ${req.params.host} deleted by ${req.user.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting access token:', error);
+    res.status(500).json({ error: 'Failed to delete access token' });
+  }
+});
+
+// Webhook Routes (admins)
+
+/**
+ * List the webhook subscriptions; their signing secrets are never returned
+ */
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listWebhooks());
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+/**
+ * Add a webhook subscription
+ * The signing secret is in the answer, and only in this one
+ */
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const { webhook, secret } = await createWebhook(req.body || {}, req.user.name);
+    console.log(`Webhook ${webhook.name} added by ${req.user.name}`);
+    res.status(201).json({ ...webhook, secret });
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error adding webhook:', error);
+    res.status(500).json({ error: 'Failed to add webhook' });
+  }
+});
+
+/**
+ * List logged deliveries, newest first
+ */
+app.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { webhookId, deploymentId, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    res.json(await listDeliveries({ webhookId, deploymentId, status, limit }));
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+/**
+ * Send a logged delivery again
+ */
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    console.log(`Webhook delivery ${req.params.id} redelivered by ${req.user.name}`);
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+});
+
+/**
+ * Change a webhook subscription; rotateSecret answers with a new signing secret
+ */
+app.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateWebhook(req.params.id, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.log(`Webhook ${result.webhook.name} changed by ${req.user.name}${result.secret ? ', secret rotated' : ''}`);
+    res.json(result.secret ? { ...result.webhook, secret: result.secret } : result.webhook);
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error changing webhook:', error);
+    res.status(500).json({ error: 'Failed to change webhook' });
+  }
+});
+
+/**
+ * Delete a webhook subscription
+ */
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.log(`Webhook ${req.params.id} deleted by ${req.user.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * Send a test event to a webhook subscription and answer with the delivery
+ */
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await sendTestDelivery(req.params.id, req.user.name);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
 // API Routes
 
 /**
- * Parse GitHub repository URL and extract Terraform variables
+ * Parse a repository URL of any source provider and extract Terraform variables
+ * /api/parse-github-url is kept for clients written before other providers were supported
  */
-app.post('/api/parse-github-url', async (req, res) => {
+app.post(['/api/parse-repository-url', '/api/parse-github-url'], async (req, res) => {
   try {
     const { repoUrl } = req.body;
-    const result = await parseGitHubRepository(repoUrl);
+    const result = await parseRepository(repoUrl);
     res.json(result);
   } catch (error) {
-    console.error('Error parsing GitHub URL:', error);
-    res.status(500).json({ error: 'Failed to parse GitHub repository' });
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    console.error('Error parsing repository URL:', error);
+    res.status(500).json({ error: 'Failed to parse repository' });
+  }
+});
+
+// Uploaded archives are held in memory until they are extracted
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxUploadSize(), files: 1 }
+}).single('archive');
+
+/**
+ * Upload a zip or tar.gz archive of a Terraform configuration and extract its variables
+ * The answer is that of a parsed repository whose repoUrl points at the upload, so the
+ * configuration is deployed like any repository
+ */
+app.post('/api/upload', requireRole('deployer'), (req, res, next) => {
+  archiveUpload(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `Archive is larger than ${Math.round(getMaxUploadSize() / 1024 / 1024)} MB`,
+        code: 'ARCHIVE_TOO_LARGE'
+      });
+    }
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload the archive in the archive field' });
+    }
+    
+    const upload = await saveUpload(req.file, req.user.name);
+    console.log(`Upload ${upload.id} (${upload.filename}, ${upload.files} files) extracted for ${req.user.name}`);
+    
+    // The configuration is taken from the single top-level directory of the archive unless a path is given
+    const uploadPath = req.body?.path ? String(req.body.path) : upload.rootPath;
+    const result = await parseRepository(`upload://${upload.id}${uploadPath ? `/${uploadPath}` : ''}`);
+    
+    const { id, filename, size, format, files, skipped } = upload;
+    res.json({ ...result, upload: { id, filename, size, format, files, skipped } });
+  } catch (error) {
+    if (error.code === 'INVALID_ARCHIVE' || error.code === 'ARCHIVE_TOO_LARGE') {
+      return res.status(error.code === 'INVALID_ARCHIVE' ? 400 : 413).json({ error: error.message, code: error.code });
+    }
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    console.error('Error processing upload:', error);
+    res.status(500).json({ error: 'Failed to process the uploaded archive' });
+  }
+});
+
+/**
+ * List the variable presets of the source a repository URL points at
+ */
+app.get('/api/presets', async (req, res) => {
+  try {
+    if (!req.query.repoUrl) {
+      return res.status(400).json({ error: 'repoUrl is required' });
+    }
+    const location = getRepositoryLocation({ repoUrl: String(req.query.repoUrl || '') });
+    res.json(await listPresets(location));
+  } catch (error) {
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    console.error('Error listing presets:', error);
+    res.status(500).json({ error: 'Failed to list presets' });
+  }
+});
+
+/**
+ * Save variable values as a named preset of their source, without sensitive values
+ */
+app.post('/api/presets', requireRole('deployer'), async (req, res) => {
+  try {
+    const { repoData, name, variables } = req.body || {};
+    if (!repoData?.repoUrl) {
+      return res.status(400).json({ error: 'Repository data is required' });
+    }
+    
+    const location = getRepositoryLocation(repoData);
+    const { preset, excluded } = await savePreset(location, name, variables, repoData.terraformVariables || {}, req.user.name);
+    console.log(`Preset ${preset.name} of ${preset.source} saved by ${req.user.name}`);
+    res.status(201).json({ ...preset, excluded });
+  } catch (error) {
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    if (error.code === 'INVALID_PRESET') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error saving preset:', error);
+    res.status(500).json({ error: 'Failed to save preset' });
+  }
+});
+
+/**
+ * Delete a variable preset of the source a repository URL points at
+ */
+app.delete('/api/presets/:name', requireRole('deployer'), async (req, res) => {
+  try {
+    if (!req.query.repoUrl) {
+      return res.status(400).json({ error: 'repoUrl is required' });
+    }
+    const location = getRepositoryLocation({ repoUrl: String(req.query.repoUrl || '') });
+    const deleted = await deletePreset(location, req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    console.log(`Preset ${req.params.name} deleted by ${req.user.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    console.error('Error deleting preset:', error);
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
+/**
+ * Read a .tfvars or .tfvars.json file into values for the variables of a module,
+ * reporting undeclared variables and values that do not fit their types
+ */
+app.post('/api/tfvars/import', (req, res) => {
+  try {
+    const { repoData, content, filename } = req.body || {};
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+    
+    res.json(importTfvars(content, String(filename || ''), repoData?.terraformVariables || {}));
+  } catch (error) {
+    if (error.code === 'INVALID_TFVARS') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error importing tfvars:', error);
+    res.status(500).json({ error: 'Failed to import tfvars file' });
+  }
+});
+
+/**
+ * Write variable values as a terraform.tfvars or terraform.tfvars.json file, without sensitive values
+ */
+app.post('/api/tfvars/export', (req, res) => {
+  try {
+    const { repoData, variables, format } = req.body || {};
+    if (!variables || typeof variables !== 'object') {
+      return res.status(400).json({ error: 'Variables are required' });
+    }
+    
+    res.json(exportTfvars(variables, repoData?.terraformVariables || {}, format));
+  } catch (error) {
+    if (error.code === 'INVALID_TFVARS') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'INVALID_VARIABLE_VALUE') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+    console.error('Error exporting tfvars:', error);
+    res.status(500).json({ error: 'Failed to export tfvars file' });
+  }
+});
+
+/**
+ * Deploy Terraform infrastructure
+ */
+app.post('/api/deploy', requireRole('deployer'), async (req, res) => {
+  let socket = null;
+  let job = null;
+  
+  try {
+    const { variables, deploymentId } = req.body;
+    
+    if (!deploymentId) {
+      return res.status(400).json({ error: 'Deployment ID is required' });
+    }
+    if (!isValidDeploymentId(deploymentId)) {
+      return res.status(400).json({
+        error: 'Deployment IDs may only contain letters, digits, dots, dashes and underscores, and may not start with a dot',
+        code: 'INVALID_DEPLOYMENT_ID'
+      });
+    }
+    
+    let environment;
+    try {
+      environment = normalizeEnvironmentName(req.body.environment);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    
+    let backend;
+    try {
+      backend = await resolveBackend(deploymentId, req.body.backendProfile);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_BACKEND_PROFILE') {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+    
+    job = reserveOrConflict(res, deploymentId, 'deploy');
+    if (!job) {
+      return;
+    }
+    
+    const deploymentDir = getDeploymentDir(deploymentId);
+    const terraformVariables = req.body.repoData.terraformVariables || {};
+    
+    // Sensitive values are kept encrypted for destroy and re-apply; fields left blank
+    // when re-deploying fall back to the values stored by the previous deploy. They are
+    // stored once the deployment is accepted, so a rejected request leaves nothing behind
+    const entered = extractSensitiveValues(variables, terraformVariables);
+    const sensitive = await resolveDeploymentSecrets(deploymentId, [], entered, { save: false });
+    
+    const prepared = prepareVariablesOrReject(res, job, variables, terraformVariables, sensitive.values);
+    if (!prepared) {
+      return;
+    }
+    
+    // Deploy the commit that was parsed, and record it
+    const repoData = await pinRepositoryData(req.body.repoData);
+    
+    // An environment of a source is deployed once, and modified from then on
+    const holder = environment ? await findEnvironmentDeployment(repoData, environment) : null;
+    if (holder) {
+      releaseDeployment(job);
+      job = null;
+      return res.status(409).json({
+        error: `Environment ${environment} of this source is deployment ${holder.id}; modify it instead`,
+        code: 'ENVIRONMENT_EXISTS',
+        deploymentId: holder.id
+      });
+    }
+    
+    await fs.mkdir(deploymentDir, { recursive: true });
+    
+    await createManifest(deploymentId, {
+      repoData,
+      variables: extractNonSensitiveVariables(variables, terraformVariables),
+      sensitiveVariables: Object.keys(sensitive.values),
+      environment,
+      backend: describeBackend(backend),
+      createdBy: getRequester(req)
+    });
+    if (Object.keys(entered).length > 0) {
+      await saveDeploymentSecrets(deploymentId, sensitive.values);
+    }
+    
+    socket = await startDeploymentRun(deploymentId, 'deploy', io.to(deploymentId));
+    notifyWebhooks('started', deploymentId, { operation: 'deploy', user: req.user.name });
+    
+    await downloadAndQueuePlan(job, socket, {
+      repoData,
+      variables,
+      terraformVariables,
+      sensitiveValues: sensitive.values,
+      environment,
+      backend,
+      ...prepared
+    });
+    
+    res.json({ success: true, deploymentId, queue: getDeploymentJob(deploymentId) });
+  } catch (error) {
+    console.error('Deployment error:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
+    if (req.body?.deploymentId) {
+      await recordFailure(req.body.deploymentId, error.message).catch(() => {});
+    }
+    if (socket) {
+      socket.emit('deployment-complete', { 
+        success: false, 
+        message: `Deployment failed: ${error.message}`,
+        timestamp: new Date().toISOString() 
+      });
+    }
+    res.status(500).json({ error: 'Deployment failed' });
+  }
+});
+
+/**
+ * Get deployment history
+ */
+app.get('/api/deployments', async (req, res) => {
+  try {
+    const deployments = await getDeploymentHistory();
+    res.json(deployments);
+  } catch (error) {
+    console.error('Error getting deployment history:', error);
+    res.status(500).json({ error: 'Failed to get deployment history' });
+  }
+});
+
+/**
+ * Get the environments deployed from every source, with the status and last applied revision of each
+ */
+app.get('/api/environments', async (req, res) => {
+  try {
+    res.json(await getEnvironmentMatrix());
+  } catch (error) {
+    console.error('Error getting environments:', error);
+    res.status(500).json({ error: 'Failed to get environments' });
+  }
+});
+
+/**
+ * Get the backend profiles deployments can keep their state in
+ */
+app.get('/api/backend-profiles', async (req, res) => {
+  try {
+    res.json(await listBackendProfiles());
+  } catch (error) {
+    console.error('Error getting backend profiles:', error);
+    res.status(500).json({ error: 'Failed to get backend profiles' });
+  }
+});
+
+/**
+ * Get specific deployment metadata
+ */
+app.get('/api/deployments/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deployment = await getDeploymentMetadata(id);
+    res.json(deployment);
+  } catch (error) {
+    console.error('Error getting deployment metadata:', error);
+    res.status(500).json({ error: 'Failed to get deployment metadata' });
   }
 });
 
 /**
- * Deploy Terraform infrastructure
+ * Modify a deployment with new variables or a newer revision of its repository
+ * The repository is downloaded again into the existing deployment directory, keeping
+ * providers, the lock file and state, and the new plan is made against the same state
  */
-app.post('/api/deploy', async (req, res) => {
+app.put('/api/deployments/:id', requireRole('deployer'), async (req, res) => {
+  let socket = null;
+  let job = null;
+  let modified = false;
+  
   try {
-    const { repoData, variables, deploymentId } = req.body;
+    const { id } = req.params;
+    const { variables = {} } = req.body || {};
     
-    if (!deploymentId) {
-      return res.status(400).json({ error: 'Deployment ID is required' });
+    if (!req.body?.repoData) {
+      return res.status(400).json({ error: 'Repository data is required' });
     }
     
-    const deploymentDir = getDeploymentDir(deploymentId);
-    await fs.mkdir(deploymentDir, { recursive: true });
-    
-    const socket = io.to(deploymentId);
+    const manifest = await readManifest(id);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
     
-    socket.emit('deployment-log', { 
-      message: 'Downloading repository files...', 
-      timestamp: new Date().toISOString() 
-    });
+    // The state stays in its backend unless another profile is chosen
+    const backendProfile = req.body.backendProfile === undefined 
+      ? manifest.backend?.profile ?? null 
+      : req.body.backendProfile;
+    let backend;
+    try {
+      backend = await resolveBackend(id, backendProfile);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_BACKEND_PROFILE') {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+    const backendChanged = (manifest.backend?.profile ?? null) !== (backend?.profile ?? null);
     
-    // Download repository files FIRST
-    await downloadRepository(repoData, deploymentDir);
+    job = reserveOrConflict(res, id, 'modify');
+    if (!job) {
+      return;
+    }
     
-    socket.emit('deployment-log', { 
-      message: 'Repository files downloaded', 
-      timestamp: new Date().toISOString() 
-    });
+    const terraformVariables = req.body.repoData.terraformVariables || {};
+    const entered = extractSensitiveValues(variables, terraformVariables);
+    const sensitiveNames = [...new Set([
+      ...Object.keys(terraformVariables).filter(name => terraformVariables[name]?.sensitive === true),
+      ...Object.keys(entered)
+    ])];
     
-    // Extract sensitive environment variables
-    const terraformVariables = repoData.terraformVariables || {};
-    const envVars = extractSensitiveEnvVars(variables, terraformVariables);
+    // Sensitive fields left blank keep the values the deployment was applied with;
+    // only variables the new configuration still declares are needed
+    const previousSecrets = await loadDeploymentSecrets(id);
+    const sensitive = await resolveDeploymentSecrets(
+      id, 
+      sensitiveNames.filter(name => (manifest.sensitiveVariables || []).includes(name)), 
+      entered
+    );
+    const missing = sensitive.missing.filter(name => sensitiveNames.includes(name));
+    if (missing.length > 0) {
+      releaseDeployment(job);
+      return sendSecretsRequired(res, { missing, status: sensitive.status });
+    }
+    const sensitiveValues = Object.fromEntries(
+      Object.entries(sensitive.values).filter(([name]) => sensitiveNames.includes(name))
+    );
     
-    // Generate tfvars file content (excluding sensitive variables) AFTER download
-    const tfvarsContent = generateTfvarsContent(variables);
+    const prepared = prepareVariablesOrReject(res, job, variables, terraformVariables, sensitiveValues);
+    if (!prepared) {
+      return;
+    }
     
-    // Write tfvars file (this will overwrite any existing tfvars from repo)
-    const tfvarsPath = path.join(deploymentDir, 'terraform.tfvars');
-    await fs.writeFile(tfvarsPath, tfvarsContent);
+    const repoData = await pinRepositoryData(req.body.repoData);
+    const nonSensitive = extractNonSensitiveVariables(variables, terraformVariables);
+    const changes = diffVariables(
+      { ...manifest.variables, ...previousSecrets.values },
+      { ...nonSensitive, ...sensitiveValues },
+      { sensitive: [...new Set([...(manifest.sensitiveVariables || []), ...sensitiveNames])] }
+    );
     
-    socket.emit('deployment-log', { 
-      message: 'User variables configured', 
-      timestamp: new Date().toISOString() 
+    await recordModification(id, {
+      repoData,
+      variables: nonSensitive,
+      sensitiveVariables: Object.keys(sensitiveValues),
+      changes,
+      backend: describeBackend(backend),
+      modifiedBy: getRequester(req)
     });
+    modified = true;
+    await setDeploymentStatus(id, 'planning', 'Deployment modified');
+    
+    socket = await startDeploymentRun(id, 'modify', io.to(id));
+    notifyWebhooks('started', id, { operation: 'modify', user: req.user.name });
     
-    // Create backend configuration if needed
-    const backendCreated = await createBackendConfig(deploymentDir, envVars);
+    changes.forEach(({ name, change }) => {
+      socket.emit('deployment-log', { 
+        message: `Variable ${name} ${change}`, 
+        timestamp: new Date().toISOString() 
+      });
+    });
     
-    if (backendCreated) {
+    if (backendChanged) {
       socket.emit('deployment-log', { 
-        message: 'Backend configuration created', 
+        message: `Backend changed from ${manifest.backend?.profile || 'the deployment directory'} to ${backend?.profile || 'the deployment directory'}`, 
         timestamp: new Date().toISOString() 
       });
     }
     
-    socket.emit('deployment-log', { 
-      message: 'Preparing OpenTofu deployment...', 
-      timestamp: new Date().toISOString() 
+    await downloadAndQueuePlan(job, socket, {
+      repoData,
+      variables,
+      terraformVariables,
+      sensitiveValues,
+      environment: manifest.environment,
+      backend,
+      // Also copies the state of deployments made before backend profiles, and retries
+      // a migration that failed, since init only copies state when the backend differs
+      migrateState: true,
+      replaceFiles: true,
+      ...prepared
     });
     
-    // Combine environment variables
-    const tofuEnv = {
-      ...process.env,
-      ...envVars
-    };
+    res.json({ 
+      success: true, 
+      deploymentId: id, 
+      action: 'modify', 
+      commitSha: repoData.commitSha, 
+      changes, 
+      queue: getDeploymentJob(id) 
+    });
+  } catch (error) {
+    console.error('Modify error:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
+    if (modified) {
+      await recordFailure(req.params.id, error.message).catch(() => {});
+    }
+    if (socket) {
+      socket.emit('deployment-complete', { 
+        success: false, 
+        message: `Modification failed: ${error.message}`,
+        timestamp: new Date().toISOString() 
+      });
+    }
+    res.status(500).json({ error: 'Modify failed' });
+  }
+});
+
+/**
+ * Check whether the branch a deployment was made from has moved ahead of the deployed commit
+ * Changes to the Terraform files of the deployment are listed with their diffs
+ */
+app.get('/api/deployments/:id/upstream', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const manifest = await readManifest(id);
+    
+    if (!manifest?.source) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
     
+    const { branch, commitSha } = manifest.source;
+    const latestSha = await getBranchHead(manifest.source);
     
-    // Start the deployment process
-    startTerraformApply(deploymentDir, socket, tofuEnv);
+    // Deployments made before commits were pinned cannot be compared
+    if (!commitSha || commitSha === latestSha) {
+      return res.json({ branch, commitSha: commitSha || null, latestSha, upToDate: commitSha ? true : null });
+    }
     
-    res.json({ success: true, deploymentId });
+    const comparison = await compareCommits(manifest.source, commitSha, latestSha);
+    res.json({ branch, commitSha, latestSha, upToDate: false, ...comparison });
   } catch (error) {
-    console.error('Deployment error:', error);
-    res.status(500).json({ error: 'Deployment failed' });
+    if (sendSourceError(res, error)) {
+      return;
+    }
+    console.error('Error checking upstream changes:', error);
+    res.status(500).json({ error: 'Failed to check the repository for updates' });
   }
 });
 
 /**
- * Get deployment history
+ * Get the outputs of a deployment's last successful apply
+ * Sensitive values are masked unless ?reveal=true is given by a deployer
  */
-app.get('/api/deployments', async (req, res) => {
+app.get('/api/deployments/:id/outputs', async (req, res) => {
   try {
-    const deployments = await getDeploymentHistory();
-    res.json(deployments);
+    const { id } = req.params;
+    const reveal = req.query.reveal === 'true';
+    
+    if (reveal && !hasRole(req.user.role, 'deployer')) {
+      return res.status(403).json({ error: 'Revealing sensitive outputs requires the deployer role' });
+    }
+    
+    const outputs = await loadDeploymentOutputs(id, { reveal });
+    if (!outputs) {
+      return res.status(404).json({ error: 'No outputs recorded for this deployment' });
+    }
+    
+    res.json(outputs);
   } catch (error) {
-    console.error('Error getting deployment history:', error);
-    res.status(500).json({ error: 'Failed to get deployment history' });
+    console.error('Error getting deployment outputs:', error);
+    res.status(500).json({ error: 'Failed to get deployment outputs' });
   }
 });
 
 /**
- * Get specific deployment metadata
+ * List the resources a deployment manages, read from its state
+ * Reading the state takes the deployment lock like any other OpenTofu operation, so it
+ * is left to deployers, who can cancel it
  */
-app.get('/api/deployments/:id', async (req, res) => {
+app.get('/api/deployments/:id/resources', requireRole('deployer'), async (req, res) => {
+  let job = null;
+  
   try {
     const { id } = req.params;
-    const deployment = await getDeploymentMetadata(id);
-    res.json(deployment);
+    const deploymentDir = getDeploymentDir(id);
+    
+    try {
+      await fs.access(deploymentDir);
+    } catch (error) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    job = reserveOrConflict(res, id, 'show');
+    if (!job) {
+      return;
+    }
+    
+    // Nobody follows this operation live, OpenTofu's error output goes to the server log
+    const emitter = {
+      emit(event, data) {
+        if (event === 'deployment-error') {
+          console.error(`tofu show for ${id}: ${data.message}`);
+        }
+      }
+    };
+    const tofuEnv = await getDeploymentEnv(id);
+    
+    const result = await enqueueJob(job, emitter, () => getTerraformResources(deploymentDir, emitter, tofuEnv));
+    if (result.cancelled) {
+      return res.status(409).json({ error: 'Reading the state was cancelled' });
+    }
+    
+    res.json(result);
   } catch (error) {
-    console.error('Error getting deployment metadata:', error);
-    res.status(500).json({ error: 'Failed to get deployment metadata' });
+    console.error('Error getting deployment resources:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
+    res.status(500).json({ 
+      error: error.code === 'STATE_UNREADABLE' ? error.message : 'Failed to get deployment resources' 
+    });
+  }
+});
+
+/**
+ * Check a deployment for drift now instead of waiting for the scheduler
+ * The result is recorded with the deployment and broadcast as a deployment-drift event
+ */
+app.post('/api/deployments/:id/drift', requireRole('deployer'), async (req, res) => {
+  let job = null;
+  
+  try {
+    const { id } = req.params;
+    
+    try {
+      await fs.access(getDeploymentDir(id));
+    } catch (error) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    job = reserveOrConflict(res, id, 'drift-check');
+    if (!job) {
+      return;
+    }
+    
+    const secrets = await resolveSensitiveEnv(id, req.body?.sensitiveVariables);
+    if (secrets.missing.length > 0) {
+      releaseDeployment(job);
+      return sendSecretsRequired(res, secrets);
+    }
+    
+    queueDriftCheck(job, secrets, 'manual')
+      .catch(error => console.error(`Drift check of ${id} failed:`, error));
+    
+    res.json({ success: true, deploymentId: id, action: 'drift-check', queue: getDeploymentJob(id) });
+  } catch (error) {
+    console.error('Drift check error:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
+    res.status(500).json({ error: 'Drift check failed' });
   }
 });
 
 /**
- * Destroy a deployment
+ * Plan the destruction of a deployment (applied once approved)
  */
-app.post('/api/deployments/:id/destroy', async (req, res) => {
+app.post('/api/deployments/:id/destroy', requireRole('deployer'), async (req, res) => {
+  let job = null;
+  
   try {
     const { id } = req.params;
     
@@ -177,33 +1596,336 @@ app.post('/api/deployments/:id/destroy', async (req, res) => {
       return res.status(404).json({ error: 'Deployment not found' });
     }
     
-    const socket = io.to(id);
+    job = reserveOrConflict(res, id, 'destroy');
+    if (!job) {
+      return;
+    }
+    
+    // Destroy with the same sensitive values the deployment was applied with
+    const secrets = await resolveSensitiveEnv(id, req.body?.sensitiveVariables);
+    if (secrets.missing.length > 0) {
+      releaseDeployment(job);
+      return sendSecretsRequired(res, secrets);
+    }
+    
+    const socket = await startDeploymentRun(id, 'destroy', io.to(id));
+    notifyWebhooks('started', id, { operation: 'destroy', user: req.user.name });
     
-    // Extract environment variables (similar to deploy)
     // For destroy, we need the same environment as the original deployment
-    const envVars = {
-      ...process.env,
-      'TF_IN_AUTOMATION': 'true',
-      'TF_INPUT': 'false'
-    };
+    const envVars = await getDeploymentEnv(id, secrets.env);
+    
+    await setDeploymentStatus(id, 'destroying');
     
-    // Start the destroy process
-    destroyDeployment(id, socket, envVars);
+    // Queue the destroy plan; nothing is destroyed until the plan is approved
+    enqueueJob(job, socket, () => destroyDeployment(id, socket, envVars))
+      .then(({ success, cancelled, plan }) => {
+        if (cancelled) {
+          return setDeploymentStatus(id, 'cancelled', 'Destroy plan cancelled');
+        }
+        if (!success) {
+          return recordFailure(id, 'Destroy plan failed');
+        }
+        notifyWebhooks('plan-ready', id, { operation: plan.operation, summary: plan.summary });
+      })
+      .catch(recordOperationError(id, 'Destroy plan error'));
     
-    res.json({ success: true, deploymentId: id, action: 'destroy' });
+    res.json({ success: true, deploymentId: id, action: 'destroy', queue: getDeploymentJob(id) });
   } catch (error) {
     console.error('Destroy error:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
     res.status(500).json({ error: 'Destroy failed' });
   }
 });
 
+/**
+ * Get which sensitive variables are stored for a deployment, without their values
+ */
+app.get('/api/deployments/:id/secrets', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const manifest = await readManifest(id);
+    const stored = await loadDeploymentSecrets(id);
+    const required = [...new Set([...(manifest?.sensitiveVariables || []), ...stored.names])];
+    
+    res.json({
+      variables: required,
+      stored: stored.status === 'ok' ? stored.names : [],
+      missing: required.filter(name => stored.status !== 'ok' || !stored.names.includes(name)),
+      status: stored.status
+    });
+  } catch (error) {
+    console.error('Error getting deployment secrets:', error);
+    res.status(500).json({ error: 'Failed to get sensitive variables' });
+  }
+});
+
+/**
+ * Re-enter sensitive variables of a deployment, e.g. after the master key was rotated
+ */
+app.put('/api/deployments/:id/secrets', requireRole('deployer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values } = req.body || {};
+    
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json({ error: 'An object of variable values is required' });
+    }
+    
+    try {
+      await fs.access(getDeploymentDir(id));
+    } catch (error) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    const { missing } = await resolveSensitiveEnv(id, values);
+    res.json({ success: true, missing });
+  } catch (error) {
+    console.error('Error storing deployment secrets:', error);
+    res.status(500).json({ error: 'Failed to store sensitive variables' });
+  }
+});
+
+/**
+ * Get the saved plan awaiting approval
+ */
+app.get('/api/deployments/:id/plan', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const plan = await getTerraformPlan(getDeploymentDir(id));
+    
+    if (!plan) {
+      return res.status(404).json({ error: 'No plan awaiting approval' });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    console.error('Error getting plan:', error);
+    res.status(500).json({ error: 'Failed to get plan' });
+  }
+});
+
+/**
+ * Approve and apply the saved plan
+ */
+app.post('/api/deployments/:id/apply', requireRole('deployer'), async (req, res) => {
+  let job = null;
+  
+  try {
+    const { id } = req.params;
+    const deploymentDir = getDeploymentDir(id);
+    
+    const plan = await getTerraformPlan(deploymentDir);
+    if (!plan) {
+      return res.status(404).json({ error: 'No plan awaiting approval' });
+    }
+    
+    job = reserveOrConflict(res, id, 'apply');
+    if (!job) {
+      return;
+    }
+    
+    // The approval belongs to the run that created the plan
+    const socket = await continueDeploymentRun(id, plan.operation === 'destroy' ? 'destroy' : 'deploy', io.to(id));
+    
+    const secrets = await resolveSensitiveEnv(id);
+    
+    const tofuEnv = await getDeploymentEnv(id, secrets.env);
+    
+    const isDestroy = plan.operation === 'destroy';
+    
+    await setDeploymentStatus(id, isDestroy ? 'destroying' : 'applying');
+    
+    enqueueJob(job, socket, () => applyTerraformPlan(deploymentDir, socket, tofuEnv))
+      .then(({ success, cancelled }) => {
+        if (cancelled) {
+          return setDeploymentStatus(id, 'cancelled', isDestroy ? 'Destroy cancelled' : 'Apply cancelled');
+        }
+        if (success) {
+          // The infrastructure now matches the configuration, an earlier drift result no longer applies
+          return clearDriftResult(id)
+            .then(() => (isDestroy ? null : recordApplied(id)))
+            .then(() => setDeploymentStatus(id, isDestroy ? 'destroyed' : 'succeeded'))
+            .then(() => notifyWebhooks(isDestroy ? 'destroyed' : 'succeeded', id));
+        }
+        return recordFailure(id, isDestroy ? 'Destroy failed' : 'Apply failed');
+      })
+      .catch(recordOperationError(id, 'Apply error'));
+    
+    res.json({ success: true, deploymentId: id, action: plan.operation, queue: getDeploymentJob(id) });
+  } catch (error) {
+    console.error('Apply error:', error);
+    if (job) {
+      releaseDeployment(job);
+    }
+    res.status(500).json({ error: 'Apply failed' });
+  }
+});
+
+/**
+ * Discard the saved plan without applying it
+ */
+app.delete('/api/deployments/:id/plan', requireRole('deployer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const busy = getDeploymentJob(id);
+    if (busy) {
+      return sendConflict(res, busy);
+    }
+    
+    const discarded = await discardTerraformPlan(getDeploymentDir(id));
+    
+    if (!discarded) {
+      return res.status(404).json({ error: 'No plan awaiting approval' });
+    }
+    
+    await revertDeploymentStatus(id, 'Plan discarded');
+    
+    const socket = await continueDeploymentRun(id, 'discard', io.to(id));
+    socket.emit('deployment-complete', { 
+      success: false, 
+      discarded: true,
+      message: 'Plan discarded, no changes were made',
+      timestamp: new Date().toISOString() 
+    });
+    
+    res.json({ success: true, message: 'Plan discarded' });
+  } catch (error) {
+    console.error('Discard plan error:', error);
+    res.status(500).json({ error: 'Failed to discard plan' });
+  }
+});
+
+/**
+ * Cancel the running OpenTofu operation of a deployment
+ * OpenTofu is interrupted gracefully first; ?force=true kills it immediately
+ */
+app.post('/api/deployments/:id/cancel', requireRole('deployer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const force = req.query.force === 'true';
+    
+    // A job still waiting in the queue is simply dropped; one still being prepared
+    // stops once it is prepared, before OpenTofu runs
+    const queued = cancelQueuedJob(id);
+    if (queued?.state === 'preparing') {
+      return res.status(202).json({ 
+        success: true, 
+        deploymentId: id, 
+        operation: queued.operation, 
+        force, 
+        state: queued.state, 
+        message: 'The operation is being prepared and stops before OpenTofu runs' 
+      });
+    }
+    if (queued) {
+      const socket = await continueDeploymentRun(id, queued.operation, io.to(id));
+      socket.emit('deployment-complete', { 
+        success: false, 
+        cancelled: true,
+        message: 'Operation cancelled before it started',
+        timestamp: new Date().toISOString() 
+      });
+      return res.json({ success: true, deploymentId: id, operation: queued.operation, force, state: queued.state });
+    }
+    
+    const run = cancelRun(id, { force });
+    if (!run) {
+      return res.status(409).json({ error: 'No running operation to cancel' });
+    }
+    
+    const socket = await continueDeploymentRun(id, run.operation, io.to(id));
+    socket.emit('deployment-log', { 
+      message: force 
+        ? 'Cancellation requested, stopping OpenTofu immediately...' 
+        : 'Cancellation requested, interrupting OpenTofu gracefully...', 
+      timestamp: new Date().toISOString() 
+    });
+    
+    res.json({ success: true, deploymentId: id, operation: run.operation, force });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({ error: 'Cancel failed' });
+  }
+});
+
+/**
+ * List the runs of a deployment
+ */
+app.get('/api/deployments/:id/runs', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const runs = await getDeploymentRuns(id);
+    res.json(runs);
+  } catch (error) {
+    console.error('Error getting deployment runs:', error);
+    res.status(500).json({ error: 'Failed to get deployment runs' });
+  }
+});
+
+/**
+ * Get the logged events of a run (the latest run unless ?run= is given)
+ * With ?follow=true the events are streamed as newline-delimited JSON until the run finishes
+ */
+app.get('/api/deployments/:id/logs', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { run: runId, follow } = req.query;
+    
+    const log = await getRunLog(id, runId);
+    if (!log) {
+      return res.status(404).json({ error: 'No logs found for this deployment' });
+    }
+    
+    if (follow !== 'true') {
+      return res.json(log);
+    }
+    
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    log.events.forEach(entry => res.write(`${JSON.stringify(entry)}\n`));
+    
+    const unsubscribe = followRun(id, log.run.runId, (entry) => {
+      if (!entry) {
+        res.end();
+        return;
+      }
+      res.write(`${JSON.stringify(entry)}\n`);
+    });
+    
+    if (!unsubscribe) {
+      // The run has already finished, everything has been sent
+      return res.end();
+    }
+    
+    req.on('close', unsubscribe);
+  } catch (error) {
+    console.error('Error getting deployment logs:', error);
+    res.status(500).json({ error: 'Failed to get deployment logs' });
+  }
+});
+
+/**
+ * Get the load of the OpenTofu job queue
+ */
+app.get('/api/queue', (req, res) => {
+  res.json(getQueueStatus());
+});
+
 /**
  * Delete a deployment directory (cleanup)
  */
-app.delete('/api/deployments/:id', async (req, res) => {
+app.delete('/api/deployments/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     
+    const busy = getDeploymentJob(id);
+    if (busy) {
+      return sendConflict(res, busy);
+    }
+    
     const success = await deleteDeploymentDirectory(id);
     
     if (success) {
@@ -233,9 +1955,19 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Socket.io connection handling
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   socket.on('join-deployment', (deploymentId) => {
+    // Deployment rooms carry provider output, so only signed-in viewers may join them
+    if (!isValidDeploymentId(deploymentId) || !ROLES.includes(socket.data.user?.role)) {
+      socket.emit('join-error', { deploymentId, error: 'Not allowed to follow this deployment' });
+      return;
+    }
+    
     socket.join(deploymentId);
+    // Bring late joiners up to date before they receive the live stream
+    replayActiveRun(deploymentId, socket);
   });
   
   socket.on('disconnect', () => {
@@ -248,9 +1980,29 @@ io.on('connection', (socket) => {
 // PORT env var is used for nginx configuration only
 const PORT = process.env.NODE_ENV === 'production' ? 3001 : (process.env.PORT || 3001);
 
-ensureDirectories().then(() => {
+ensureDirectories().then(ensureAdminUser).then(() => {
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    
+    if (startDriftScheduler(runScheduledDriftCheck)) {
+      console.log(`Checking deployments for drift every ${DRIFT_CHECK_INTERVAL_MS / 60000} minutes (${DRIFT_CHECK_MODE})`);
+    }
+    
+    listBackendProfiles()
+      .then((profiles) => {
+        if (profiles.length > 0) {
+          console.log(`Backend profiles: ${profiles.map(profile => `${profile.name} (${profile.type})`).join(', ')}`);
+        }
+      })
+      .catch(error => console.error('Backend profiles cannot be used:', error.message));
+    
+    resumeDeliveries()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Resuming ${count} webhook deliveries`);
+        }
+      })
+      .catch(error => console.error('Unable to resume webhook deliveries:', error.message));
   });
 }).catch(error => {
   console.error('Failed to start server:', error);
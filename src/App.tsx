@@ -1,15 +1,29 @@
-import { useState } from 'react'
-import { Github, Play, Settings, Terminal, Code, FileText } from 'lucide-react'
+import { useState, useEffect } from 'react'
+import { Github, Play, Settings, Terminal, Code, FileText, LogOut, User as UserIcon, AlertTriangle, KeyRound } from 'lucide-react'
+import axios from 'axios'
 import RepositoryInput from './components/RepositoryInput'
 import VariablesForm from './components/VariablesForm'
 import DeploymentProgress from './components/DeploymentProgress'
 import DeploymentHistory from './components/DeploymentHistory'
+import LocalModules from './components/LocalModules'
+import AccessTokens from './components/AccessTokens'
+import type { LocalModule } from './components/LocalModules'
+import type { ModifyTarget } from './components/DeploymentHistory'
+import type { DeployOptions } from './components/VariablesForm'
+import LoginForm from './components/LoginForm'
+import { hasRole } from './utils/auth'
+import type { AuthConfig, User } from './utils/auth'
 
 interface RepoData {
+  repoUrl: string
+  provider: string
+  host: string
   owner: string
   repo: string
   branch: string
   path: string
+  commitSha: string
+  commitUrl?: string | null
   terraformFiles: string[]
   tfvarsFile: string | null
   readmeFile: string | null
@@ -18,22 +32,82 @@ interface RepoData {
   tfvarsVariables: Record<string, any>
   readmeVariables: Record<string, any>
   readmeContent: string
-  allFiles: Array<{ name: string; type: string }>
+  parseErrors?: Array<{ file: string; line: number; column: number; message: string }>
+  localModules?: LocalModule[]
+  allFiles: Array<{ name: string; type: string; mode?: string }>
+  upload?: { id?: string; filename: string; size?: number; format?: string; files?: number; skipped?: string[] }
 }
 
 function App() {
   const [repoData, setRepoData] = useState<RepoData | null>(null)
   const [isDeploying, setIsDeploying] = useState(false)
   const [deploymentId, setDeploymentId] = useState<string | null>(null)
-  const [userVariables, setUserVariables] = useState<Record<string, any> | null>(null)
+  const [userVariables, setUserVariables] = useState<Record<string, unknown> | null>(null)
+  const [modifyTarget, setModifyTarget] = useState<ModifyTarget | null>(null)
+  const [deploymentMode, setDeploymentMode] = useState<'deploy' | 'modify'>('deploy')
+  const [deployOptions, setDeployOptions] = useState<DeployOptions>({})
+  const [authConfig, setAuthConfig] = useState<AuthConfig | null>(null)
+  const [user, setUser] = useState<User | null>(null)
+  const [authChecked, setAuthChecked] = useState(false)
+  // Host to prefill when the access token panel is open, '' for none; null when it is closed
+  const [accessTokenHost, setAccessTokenHost] = useState<string | null>(null)
+
+  useEffect(() => {
+    Promise.all([
+      axios.get('/api/auth/config'),
+      axios.get('/api/auth/me').catch(() => null)
+    ]).then(([configResponse, meResponse]) => {
+      setAuthConfig(configResponse.data)
+      setUser(meResponse ? meResponse.data.user : null)
+    }).catch(error => {
+      console.error('Error loading authentication config:', error)
+    }).finally(() => {
+      setAuthChecked(true)
+    })
+
+    // Send the user back to the login form when the session expires
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (axios.isAxiosError(error) && error.response?.status === 401 && !error.config?.url?.startsWith('/api/auth/')) {
+        setUser(null)
+      }
+      return Promise.reject(error)
+    })
+    return () => axios.interceptors.response.eject(interceptor)
+  }, [])
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout')
+    } finally {
+      setUser(null)
+      setRepoData(null)
+      setDeploymentId(null)
+      setModifyTarget(null)
+      setAccessTokenHost(null)
+    }
+  }
 
   const handleRepositoryParsed = (data: RepoData) => {
     setRepoData(data)
+    setModifyTarget(null)
   }
 
-  const handleDeploy = (variables: Record<string, any>) => {
-    const newDeploymentId = `deploy-${Date.now()}`
-    setDeploymentId(newDeploymentId)
+  // Reopen the variables form for an existing deployment, prefilled with its current values
+  const handleModify = (target: ModifyTarget, data: RepoData) => {
+    setDeploymentId(null)
+    setRepoData(data)
+    setModifyTarget(target)
+  }
+
+  const handleDeploy = (variables: Record<string, unknown>, options: DeployOptions) => {
+    if (modifyTarget) {
+      setDeploymentId(modifyTarget.deploymentId)
+      setDeploymentMode('modify')
+    } else {
+      setDeploymentId(`deploy-${Date.now()}`)
+      setDeploymentMode('deploy')
+    }
+    setDeployOptions(options)
     setUserVariables(variables)
     setIsDeploying(true)
   }
@@ -42,6 +116,18 @@ function App() {
     setIsDeploying(false)
   }
 
+  if (!authChecked) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (authConfig?.enabled && !user) {
+    return <LoginForm config={authConfig} onLogin={setUser} />
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white shadow-sm border-b">
@@ -53,9 +139,36 @@ function App() {
                 OpenTofu Deployer
               </h1>
             </div>
-            <div className="flex items-center space-x-2 text-sm text-gray-500">
-              <Github className="h-4 w-4" />
-              <span>GitHub Repository Deployer</span>
+            <div className="flex items-center space-x-4 text-sm text-gray-500">
+              <div className="flex items-center space-x-2">
+                <Github className="h-4 w-4" />
+                <span>GitHub Repository Deployer</span>
+              </div>
+              {hasRole(user, 'deployer') && (
+                <button
+                  type="button"
+                  onClick={() => setAccessTokenHost(accessTokenHost === null ? '' : null)}
+                  className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-gray-700 hover:bg-gray-100"
+                >
+                  <KeyRound className="h-3 w-3 mr-1" />
+                  Access tokens
+                </button>
+              )}
+              {authConfig?.enabled && user && (
+                <div className="flex items-center space-x-2 pl-4 border-l">
+                  <UserIcon className="h-4 w-4" />
+                  <span className="text-gray-900">{user.name}</span>
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{user.role}</span>
+                  <button
+                    type="button"
+                    onClick={handleLogout}
+                    className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-gray-700 hover:bg-gray-100"
+                  >
+                    <LogOut className="h-3 w-3 mr-1" />
+                    Sign out
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -73,6 +186,10 @@ function App() {
             </p>
           </div>
 
+          {accessTokenHost !== null && (
+            <AccessTokens initialHost={accessTokenHost} onClose={() => setAccessTokenHost(null)} />
+          )}
+
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             <div className="space-y-6">
               <div className="bg-white rounded-lg shadow p-6">
@@ -82,7 +199,11 @@ function App() {
                     Repository Configuration
                   </h3>
                 </div>
-                <RepositoryInput onRepositoryParsed={handleRepositoryParsed} />
+                <RepositoryInput
+                  onRepositoryParsed={handleRepositoryParsed}
+                  onAccessTokenRequired={hasRole(user, 'deployer') ? setAccessTokenHost : undefined}
+                  canUpload={hasRole(user, 'deployer')}
+                />
               </div>
 
               {repoData && (
@@ -93,10 +214,36 @@ function App() {
                       Variables Configuration
                     </h3>
                   </div>
+                  {modifyTarget && (
+                    <div className="flex items-center justify-between mb-4 p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-800">
+                      <span>
+                        Modifying <span className="font-mono">{modifyTarget.deploymentId}</span>
+                        {modifyTarget.environment && <> ({modifyTarget.environment})</>}
+                        {modifyTarget.commitSha && modifyTarget.commitSha !== repoData.commitSha && (
+                          <span className="font-mono">
+                            {' '}({modifyTarget.commitSha.substring(0, 7)} → {repoData.commitSha.substring(0, 7)})
+                          </span>
+                        )}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setModifyTarget(null)}
+                        disabled={isDeploying}
+                        className="text-xs font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50"
+                      >
+                        Deploy as new instead
+                      </button>
+                    </div>
+                  )}
                   <VariablesForm 
                     variables={repoData.variables}
                     onDeploy={handleDeploy}
                     isDeploying={isDeploying}
+                    canDeploy={hasRole(user, 'deployer')}
+                    currentValues={modifyTarget?.variables}
+                    storedSensitive={modifyTarget?.sensitiveVariables}
+                    currentBackendProfile={modifyTarget?.backendProfile}
+                    repoData={repoData}
                   />
                 </div>
               )}
@@ -115,6 +262,8 @@ function App() {
                     deploymentId={deploymentId}
                     repoData={repoData}
                     userVariables={userVariables}
+                    mode={deploymentMode}
+                    options={deployOptions}
                     onComplete={handleDeploymentComplete}
                   />
                 </div>
@@ -126,18 +275,43 @@ function App() {
                     Repository Information
                   </h3>
                   <div className="space-y-3 text-sm">
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Repository:</span>
-                      <span className="font-mono">{repoData.owner}/{repoData.repo}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Branch:</span>
-                      <span className="font-mono">{repoData.branch}</span>
-                    </div>
+                    {repoData.provider === 'upload' ? (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Archive:</span>
+                        <span className="font-mono">{repoData.upload?.filename || 'Uploaded archive'}</span>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Repository:</span>
+                          <span className="font-mono">{repoData.host}/{repoData.owner}/{repoData.repo}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Branch:</span>
+                          <span className="font-mono">{repoData.branch}</span>
+                        </div>
+                      </>
+                    )}
                     <div className="flex justify-between">
                       <span className="text-gray-600">Path:</span>
                       <span className="font-mono">{repoData.path}</span>
                     </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">{repoData.provider === 'upload' ? 'Archive hash:' : 'Commit:'}</span>
+                      {repoData.commitUrl ? (
+                        <a
+                          href={repoData.commitUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-mono text-blue-600 hover:text-blue-800"
+                          title={repoData.commitSha}
+                        >
+                          {repoData.commitSha?.substring(0, 7)}
+                        </a>
+                      ) : (
+                        <span className="font-mono" title={repoData.commitSha}>{repoData.commitSha?.substring(0, 7)}</span>
+                      )}
+                    </div>
                     <div className="space-y-2">
                       <div className="flex justify-between">
                         <span className="text-gray-600">Terraform Files:</span>
@@ -159,6 +333,30 @@ function App() {
                       )}
                     </div>
                     
+                    {repoData.upload?.skipped && repoData.upload.skipped.length > 0 && (
+                      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800 space-y-1">
+                        <div className="flex items-center space-x-1 font-medium">
+                          <AlertTriangle className="h-3 w-3" />
+                          <span>Links in the archive were not extracted</span>
+                        </div>
+                        {repoData.upload.skipped.map((skippedPath) => (
+                          <div key={skippedPath} className="font-mono break-all">{skippedPath}</div>
+                        ))}
+                      </div>
+                    )}
+                    
+                    {repoData.parseErrors && repoData.parseErrors.length > 0 && (
+                      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800 space-y-1">
+                        <div className="flex items-center space-x-1 font-medium">
+                          <AlertTriangle className="h-3 w-3" />
+                          <span>Files skipped because they could not be parsed</span>
+                        </div>
+                        {repoData.parseErrors.map((parseError) => (
+                          <div key={parseError.file} className="font-mono break-all">{parseError.message}</div>
+                        ))}
+                      </div>
+                    )}
+                    
                     <div className="mt-4 pt-3 border-t">
                       <h4 className="text-sm font-medium text-gray-700 mb-3">Variable Sources</h4>
                       <div className="grid grid-cols-3 gap-3 text-xs">
@@ -192,9 +390,16 @@ function App() {
                       </div>
                     </div>
                     
+                    {repoData.localModules && repoData.localModules.length > 0 && (
+                      <div className="mt-4 pt-3 border-t">
+                        <h4 className="text-sm font-medium text-gray-700 mb-3">Local Modules</h4>
+                        <LocalModules modules={repoData.localModules} />
+                      </div>
+                    )}
+                    
                     <div className="mt-4">
                       <span className="text-gray-600 block mb-2">Files:</span>
-                      <div className="space-y-1">
+                      <div className="space-y-1 max-h-64 overflow-y-auto">
                         {repoData.allFiles.map((file, index) => (
                           <div key={index} className="flex items-center space-x-2 text-xs">
                             <span className={`px-2 py-1 rounded text-white ${
@@ -203,6 +408,7 @@ function App() {
                               {file.type}
                             </span>
                             <span className="font-mono">{file.name}</span>
+                            {file.mode === '100755' && <span className="text-gray-500">executable</span>}
                           </div>
                         ))}
                       </div>
@@ -215,7 +421,7 @@ function App() {
 
           {/* Deployment History Section */}
           <div className="mt-12">
-            <DeploymentHistory />
+            <DeploymentHistory user={user} onModify={(target, data) => handleModify(target, data as RepoData)} />
           </div>
         </div>
       </main>
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react'
+import { Database, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+
+interface BackendProfile {
+  name: string
+  type: string
+  description: string | null
+  workspaces: boolean
+  default: boolean
+}
+
+interface BackendProfileSelectProps {
+  // Chosen profile, '' for the deployment directory; undefined until one is chosen
+  value?: string
+  onChange: (profile: string) => void
+  // Modifying a deployment: the profile its state is kept in now, null for the deployment directory
+  current?: string | null
+  disabled?: boolean
+}
+
+const BackendProfileSelect: React.FC<BackendProfileSelectProps> = ({ value, onChange, current, disabled = false }) => {
+  const [profiles, setProfiles] = useState<BackendProfile[]>([])
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    axios.get<BackendProfile[]>('/api/backend-profiles')
+      .then(response => setProfiles(response.data))
+      .catch(err => setError(getErrorMessage(err)))
+  }, [])
+
+  // Without profiles every deployment keeps its state in its directory, so there is nothing to choose
+  if (profiles.length === 0 && !current) {
+    return error ? <p className="text-xs text-red-600">{error}</p> : null
+  }
+
+  const isModifying = current !== undefined
+  const selected = value ?? (isModifying ? current || '' : profiles.find(profile => profile.default)?.name || '')
+  const profile = profiles.find(p => p.name === selected)
+  const migrating = isModifying && selected !== (current || '')
+
+  return (
+    <div>
+      <label htmlFor="deploy-backend" className="flex items-center space-x-1 text-sm font-medium text-gray-700 mb-1">
+        <Database className="h-4 w-4 text-gray-500" />
+        <span>State backend</span>
+      </label>
+      <select
+        id="deploy-backend"
+        value={selected}
+        onChange={(e) => onChange(e.target.value)}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        disabled={disabled}
+      >
+        <option value="">Deployment directory</option>
+        {profiles.map(p => (
+          <option key={p.name} value={p.name}>
+            {p.name} ({p.type}){p.default ? ' - default' : ''}
+          </option>
+        ))}
+        {current && !profiles.some(p => p.name === current) && (
+          <option value={current}>{current} (no longer configured)</option>
+        )}
+      </select>
+      <p className="mt-1 text-xs text-gray-500">
+        {profile?.description || 'Each deployment keeps its state under a key of its own'}
+        {profile && !profile.workspaces && '. This backend has no workspaces; environments are kept apart by their state key'}
+      </p>
+      {migrating && (
+        <p className="mt-1 flex items-start space-x-1 text-xs text-yellow-800">
+          <AlertTriangle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+          <span>
+            The state is copied from {current || 'the deployment directory'} to {selected || 'the deployment directory'} when
+            the modification is planned
+          </span>
+        </p>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
+
+export default BackendProfileSelect
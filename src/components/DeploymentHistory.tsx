@@ -1,33 +1,221 @@
-import { useState, useEffect } from 'react'
-import { Clock, Trash2, AlertTriangle, CheckCircle, Play, Folder, FileText, Calendar } from 'lucide-react'
+import { useState, useEffect, useRef } from 'react'
+import { Clock, Trash2, AlertTriangle, CheckCircle, Play, Folder, FileText, Calendar, ClipboardList, GitBranch, User, ScrollText, Square, Hourglass, KeyRound, LogOut, Boxes, Radar, Pencil, ArrowUpCircle, Layers, Database } from 'lucide-react'
 import axios from 'axios'
 import io from 'socket.io-client'
+import type { Socket } from 'socket.io-client'
+import PlanSummary from './PlanSummary'
+import DeploymentLogs from './DeploymentLogs'
+import SecretsForm from './SecretsForm'
+import OutputsPanel from './OutputsPanel'
+import ResourceTree from './ResourceTree'
+import UpstreamChanges from './UpstreamChanges'
+import type { UpstreamStatus } from './UpstreamChanges'
+import type { Plan, ResourceChange } from './PlanSummary'
+import { getErrorMessage, getErrorCode } from '../utils/errors'
+import { hasRole } from '../utils/auth'
+import type { User as AuthUser } from '../utils/auth'
+
+type DeploymentStatus = 'planning' | 'applying' | 'succeeded' | 'failed' | 'destroying' | 'destroyed' | 'discarded' | 'cancelled'
+
+interface DeploymentSource {
+  repoUrl: string
+  provider?: string
+  host?: string
+  owner: string
+  repo: string
+  branch: string
+  path: string
+  commitSha?: string | null
+  commitUrl?: string | null
+  archiveName?: string
+}
+
+interface StatusTransition {
+  status: DeploymentStatus
+  timestamp: string
+  message?: string
+}
+
+interface DriftResult {
+  status: 'in-sync' | 'drifted' | 'error'
+  mode: 'refresh-only' | 'full'
+  checkedAt: string
+  trigger: 'schedule' | 'manual'
+  resources: ResourceChange[]
+  message?: string
+}
+
+// Revision the configuration of a deployment was last applied at
+interface AppliedRevision {
+  branch: string | null
+  commitSha: string | null
+  appliedAt: string
+  commitUrl?: string | null
+}
+
+// Backend profile keeping the state of a deployment
+interface DeploymentBackend {
+  profile: string
+  type: string
+  workspaces: boolean
+  location: string
+}
 
 interface Deployment {
   id: string
   createdAt: string
+  updatedAt: string
   lastModified: string
   description: string
+  source: DeploymentSource | null
+  environment: string | null
+  lastApplied: AppliedRevision | null
+  backend: DeploymentBackend | null
+  createdBy: { user: string; role?: string; provider?: string; ip?: string } | null
+  status: DeploymentStatus | null
+  transitions: StatusTransition[]
+  modifications: Modification[]
+  drift: DriftResult | null
   terraformFiles: number
-  variables: number
+  variables: Record<string, unknown>
+  sensitiveVariables: string[]
   hasState: boolean
   isInitialized: boolean
+  pendingPlan: 'apply' | 'destroy' | null
+  running: string | null
+  queued: { operation: string; position: number } | null
+  outputCount: number
   files: number
   size: number
   error?: string
 }
 
-const DeploymentHistory = () => {
+const statusStyles: Record<DeploymentStatus, string> = {
+  planning: 'bg-blue-100 text-blue-800',
+  applying: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  destroying: 'bg-orange-100 text-orange-800',
+  destroyed: 'bg-gray-100 text-gray-800',
+  discarded: 'bg-gray-100 text-gray-800',
+  cancelled: 'bg-orange-100 text-orange-800'
+}
+
+const driftStyles: Record<DriftResult['status'], string> = {
+  'in-sync': 'bg-gray-100 text-gray-700',
+  drifted: 'bg-orange-100 text-orange-800',
+  error: 'bg-red-100 text-red-800'
+}
+
+interface VariableChange {
+  name: string
+  change: 'added' | 'removed' | 'changed'
+  sensitive?: boolean
+  before?: unknown
+  after?: unknown
+}
+
+interface Modification {
+  timestamp: string
+  modifiedBy: { user: string } | null
+  changes: VariableChange[]
+  previousSource?: DeploymentSource
+}
+
+// Environments deployed from every source, as returned by /api/environments
+interface EnvironmentMatrix {
+  environments: string[]
+  sources: Array<{
+    source: string
+    repository: DeploymentSource
+    environments: Record<string, {
+      deploymentId: string
+      status: DeploymentStatus
+      branch: string
+      commitSha: string | null
+      lastApplied: AppliedRevision | null
+      updatedAt: string
+    }>
+  }>
+}
+
+// What the variables form needs to reopen a deployment for modification
+export interface ModifyTarget {
+  deploymentId: string
+  environment?: string | null
+  backendProfile?: string | null
+  commitSha: string | null
+  variables: Record<string, unknown>
+  sensitiveVariables: string[]
+}
+
+// One line per changed variable, sensitive values are never part of a modification
+const describeChanges = (modification: Modification): string =>
+  modification.changes.map(({ name, change, sensitive, before, after }) => {
+    if (sensitive || change !== 'changed') {
+      return `${name} ${change}`
+    }
+    return `${name}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`
+  }).join('\n') || 'No variable changes'
+
+interface DeploymentHistoryProps {
+  user: AuthUser | null
+  // Receives the repository as parsed again by /api/parse-github-url
+  onModify?: (target: ModifyTarget, repoData: unknown) => void
+}
+
+const DeploymentHistory: React.FC<DeploymentHistoryProps> = ({ user, onModify }) => {
+  const canDeploy = hasRole(user, 'deployer')
+  const canDelete = hasRole(user, 'admin')
   const [deployments, setDeployments] = useState<Deployment[]>([])
+  const [matrix, setMatrix] = useState<EnvironmentMatrix | null>(null)
   const [loading, setLoading] = useState(true)
   const [destroying, setDestroying] = useState<string | null>(null)
   const [destroyLogs, setDestroyLogs] = useState<Record<string, string[]>>({})
   const [expandedLogs, setExpandedLogs] = useState<string | null>(null)
+  const [destroyPlans, setDestroyPlans] = useState<Record<string, Plan>>({})
+  const [reviewing, setReviewing] = useState<string | null>(null)
+  const [openRunLogs, setOpenRunLogs] = useState<string | null>(null)
+  const [openOutputs, setOpenOutputs] = useState<string | null>(null)
+  const [openResources, setOpenResources] = useState<string | null>(null)
+  const [openDrift, setOpenDrift] = useState<string | null>(null)
+  const [checkingDrift, setCheckingDrift] = useState<string | null>(null)
+  const [preparingModify, setPreparingModify] = useState<string | null>(null)
+  const [upstream, setUpstream] = useState<Record<string, UpstreamStatus>>({})
+  const [openUpstream, setOpenUpstream] = useState<string | null>(null)
+  // Deployment and commit pairs already checked for upstream changes
+  const checkedUpstream = useRef<Set<string>>(new Set())
+  const [cancelling, setCancelling] = useState<string | null>(null)
+  const [secretsPrompt, setSecretsPrompt] = useState<{ deploymentId: string; message?: string; retryDestroy: boolean } | null>(null)
+  const sockets = useRef<Record<string, Socket>>({})
+
+  useEffect(() => {
+    const openSockets = sockets.current
+    return () => {
+      Object.values(openSockets).forEach(socket => socket.disconnect())
+    }
+  }, [])
 
   useEffect(() => {
     fetchDeployments()
   }, [])
 
+  // Check each deployed commit once for newer commits on its branch
+  useEffect(() => {
+    deployments.forEach(deployment => {
+      const commitSha = deployment.source?.commitSha
+      const key = `${deployment.id}@${commitSha}`
+      // Uploaded archives have a single version
+      if (!commitSha || deployment.status === 'destroyed' || deployment.source?.provider === 'upload' || checkedUpstream.current.has(key)) {
+        return
+      }
+      checkedUpstream.current.add(key)
+      axios.get(`/api/deployments/${deployment.id}/upstream`)
+        .then(response => setUpstream(prev => ({ ...prev, [deployment.id]: response.data })))
+        .catch(error => console.error(`Error checking upstream changes of ${deployment.id}:`, error))
+    })
+  }, [deployments])
+
   const fetchDeployments = async () => {
     try {
       const response = await axios.get('/api/deployments')
@@ -40,6 +228,18 @@ const DeploymentHistory = () => {
     } finally {
       setLoading(false)
     }
+
+    try {
+      const response = await axios.get('/api/environments')
+      setMatrix(response.data)
+    } catch (error) {
+      console.error('Error fetching environments:', error)
+      setMatrix(null)
+    }
+  }
+
+  const showDeployment = (deploymentId: string) => {
+    document.getElementById(`deployment-${deploymentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
   }
 
   const formatFileSize = (bytes: number): string => {
@@ -67,20 +267,39 @@ const DeploymentHistory = () => {
     return `${diffDays}d ago`
   }
 
-  const handleDestroy = async (deploymentId: string) => {
-    if (!confirm(`Are you sure you want to destroy deployment ${deploymentId}? This will tear down all infrastructure created by this deployment.`)) {
-      return
-    }
+  const closeSocket = (deploymentId: string) => {
+    sockets.current[deploymentId]?.disconnect()
+    delete sockets.current[deploymentId]
+  }
 
-    console.log('Starting destroy for deployment:', deploymentId) // Debug log
-    setDestroying(deploymentId)
-    setDestroyLogs(prev => ({ ...prev, [deploymentId]: [] }))
+  const clearDestroyPlan = (deploymentId: string) => {
+    setDestroyPlans(prev => {
+      const next = { ...prev }
+      delete next[deploymentId]
+      return next
+    })
+  }
 
+  const watchDeployment = (deploymentId: string) => {
     // Connect to socket for real-time updates
+    closeSocket(deploymentId)
     const socket = io()
+    sockets.current[deploymentId] = socket
     console.log('Socket created, emitting join-deployment') // Debug log
     socket.emit('join-deployment', deploymentId)
 
+    socket.on('deployment-plan', (data: Plan) => {
+      // Destruction waits for explicit approval of the plan
+      setDestroyPlans(prev => ({ ...prev, [deploymentId]: data }))
+    })
+
+    socket.on('deployment-queued', (data: { position: number; message: string }) => {
+      setDestroyLogs(prev => ({
+        ...prev,
+        [deploymentId]: [...(prev[deploymentId] || []), data.message]
+      }))
+    })
+
     socket.on('deployment-log', (data: { message: string; timestamp: string }) => {
       setDestroyLogs(prev => ({
         ...prev,
@@ -95,14 +314,21 @@ const DeploymentHistory = () => {
       }))
     })
 
-    socket.on('deployment-complete', (data: { success: boolean; message: string }) => {
+    socket.on('deployment-complete', () => {
       setDestroying(null)
-      if (data.success) {
-        // Refresh the deployment list
-        fetchDeployments()
-      }
-      socket.disconnect()
+      clearDestroyPlan(deploymentId)
+      // Refresh the deployment list, the status has changed whatever the outcome
+      fetchDeployments()
+      closeSocket(deploymentId)
     })
+  }
+
+  const handleDestroy = async (deploymentId: string) => {
+    console.log('Planning destroy for deployment:', deploymentId) // Debug log
+    setDestroying(deploymentId)
+    setDestroyLogs(prev => ({ ...prev, [deploymentId]: [] }))
+    clearDestroyPlan(deploymentId)
+    watchDeployment(deploymentId)
 
     try {
       console.log('Making destroy API call to:', `/api/deployments/${deploymentId}/destroy`) // Debug log
@@ -110,8 +336,84 @@ const DeploymentHistory = () => {
       console.log('Destroy API response:', response.data) // Debug log
     } catch (error) {
       console.error('Error starting destroy:', error)
+      if (getErrorCode(error) === 'SECRETS_REQUIRED') {
+        // Ask for the sensitive values and destroy once they are stored
+        setSecretsPrompt({ deploymentId, message: getErrorMessage(error), retryDestroy: true })
+      } else {
+        alert(`Failed to start destroy: ${getErrorMessage(error)}`)
+      }
       setDestroying(null)
-      socket.disconnect()
+      closeSocket(deploymentId)
+    }
+  }
+
+  const handleApprovePlan = async (deploymentId: string) => {
+    const plan = destroyPlans[deploymentId]
+    const question = plan?.operation === 'apply'
+      ? `Apply the pending plan for deployment ${deploymentId}?`
+      : `Are you sure you want to destroy deployment ${deploymentId}? This will tear down all infrastructure created by this deployment.`
+
+    if (!confirm(question)) {
+      return
+    }
+
+    setReviewing(deploymentId)
+    setDestroying(deploymentId)
+    if (!sockets.current[deploymentId]) {
+      // The plan was opened from the list, so nobody is following this deployment yet
+      setDestroyLogs(prev => ({ ...prev, [deploymentId]: [] }))
+      watchDeployment(deploymentId)
+    }
+
+    try {
+      await axios.post(`/api/deployments/${deploymentId}/apply`)
+      clearDestroyPlan(deploymentId)
+    } catch (error) {
+      alert(`Failed to apply plan: ${getErrorMessage(error)}`)
+      setDestroying(null)
+      closeSocket(deploymentId)
+    } finally {
+      setReviewing(null)
+    }
+  }
+
+  const handleDiscardPlan = async (deploymentId: string) => {
+    setReviewing(deploymentId)
+    try {
+      await axios.delete(`/api/deployments/${deploymentId}/plan`)
+    } catch (error) {
+      alert(`Failed to discard plan: ${getErrorMessage(error)}`)
+    } finally {
+      clearDestroyPlan(deploymentId)
+      setDestroying(null)
+      closeSocket(deploymentId)
+      setReviewing(null)
+      fetchDeployments()
+    }
+  }
+
+  const handleReviewPendingPlan = async (deploymentId: string) => {
+    try {
+      const response = await axios.get(`/api/deployments/${deploymentId}/plan`)
+      setDestroyPlans(prev => ({ ...prev, [deploymentId]: response.data }))
+    } catch (error) {
+      alert(`Failed to load plan: ${getErrorMessage(error)}`)
+    }
+  }
+
+  const handleCancel = async (deploymentId: string) => {
+    if (!confirm(`Cancel the running operation of deployment ${deploymentId}? OpenTofu will be interrupted and may leave some resources partially changed.`)) {
+      return
+    }
+
+    setCancelling(deploymentId)
+    try {
+      await axios.post(`/api/deployments/${deploymentId}/cancel`)
+    } catch (error) {
+      alert(`Failed to cancel: ${getErrorMessage(error)}`)
+    } finally {
+      setCancelling(null)
+      fetchDeployments()
     }
   }
 
@@ -125,7 +427,69 @@ const DeploymentHistory = () => {
       fetchDeployments()
     } catch (error) {
       console.error('Error deleting deployment:', error)
-      alert('Failed to delete deployment directory')
+      alert(`Failed to delete deployment directory: ${getErrorMessage(error)}`)
+    }
+  }
+
+  const handleCheckDrift = async (deploymentId: string) => {
+    // Drift checks run in the background; the result arrives as a deployment-drift event
+    const key = `${deploymentId}:drift`
+    closeSocket(key)
+    const socket = io()
+    sockets.current[key] = socket
+    socket.emit('join-deployment', deploymentId)
+    socket.on('deployment-drift', () => {
+      setCheckingDrift(null)
+      setOpenDrift(deploymentId)
+      fetchDeployments()
+      closeSocket(key)
+    })
+
+    setCheckingDrift(deploymentId)
+    try {
+      await axios.post(`/api/deployments/${deploymentId}/drift`)
+    } catch (error) {
+      setCheckingDrift(null)
+      closeSocket(key)
+      if (getErrorCode(error) === 'SECRETS_REQUIRED') {
+        setSecretsPrompt({ deploymentId, message: getErrorMessage(error), retryDestroy: false })
+      } else {
+        alert(`Failed to check drift: ${getErrorMessage(error)}`)
+      }
+    }
+  }
+
+  const handleModify = async (deployment: Deployment) => {
+    if (!onModify || !deployment.source) {
+      return
+    }
+
+    // The repository is parsed again, so the form shows the variables of its latest revision
+    setPreparingModify(deployment.id)
+    try {
+      const response = await axios.post('/api/parse-repository-url', { repoUrl: deployment.source.repoUrl })
+      const { archiveName } = deployment.source
+      onModify({
+        deploymentId: deployment.id,
+        environment: deployment.environment,
+        backendProfile: deployment.backend?.profile ?? null,
+        commitSha: deployment.source.commitSha || null,
+        variables: deployment.variables,
+        sensitiveVariables: deployment.sensitiveVariables
+      }, archiveName ? { ...response.data, upload: { filename: archiveName } } : response.data)
+      window.scrollTo({ top: 0, behavior: 'smooth' })
+    } catch (error) {
+      alert(`Failed to load the repository: ${getErrorMessage(error)}`)
+    } finally {
+      setPreparingModify(null)
+    }
+  }
+
+  const handleSecretsSaved = (deploymentId: string) => {
+    const retryDestroy = secretsPrompt?.retryDestroy
+    setSecretsPrompt(null)
+    if (retryDestroy) {
+      handleDestroy(deploymentId)
     }
   }
 
@@ -163,6 +527,73 @@ const DeploymentHistory = () => {
         </button>
       </div>
 
+      {matrix && matrix.sources.length > 0 && (
+        <div className="mb-6 overflow-x-auto">
+          <div className="flex items-center space-x-2 mb-2">
+            <Layers className="h-4 w-4 text-gray-600" />
+            <h4 className="text-sm font-medium text-gray-900">Environments</h4>
+          </div>
+          <table className="min-w-full text-xs border border-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Source</th>
+                {matrix.environments.map(environment => (
+                  <th key={environment} className="px-3 py-2 text-left font-medium text-gray-700 font-mono">{environment}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.sources.map(row => (
+                <tr key={row.source} className="border-t border-gray-200">
+                  <td className="px-3 py-2 font-mono text-gray-700 break-all">
+                    {row.repository.provider === 'upload' ? row.repository.archiveName || 'Uploaded archive' : row.source}
+                  </td>
+                  {matrix.environments.map(environment => {
+                    const cell = row.environments[environment]
+                    if (!cell) {
+                      return <td key={environment} className="px-3 py-2 text-gray-300">—</td>
+                    }
+                    return (
+                      <td key={environment} className="px-3 py-2 space-y-1">
+                        <button
+                          type="button"
+                          onClick={() => showDeployment(cell.deploymentId)}
+                          title={cell.deploymentId}
+                          className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium ${statusStyles[cell.status]}`}
+                        >
+                          {cell.status}
+                        </button>
+                        <div className="text-gray-500">
+                          {cell.lastApplied?.commitSha ? (
+                            <>
+                              Applied{' '}
+                              {cell.lastApplied.commitUrl ? (
+                                <a
+                                  href={cell.lastApplied.commitUrl}
+                                  target="_blank"
+                                  rel="noreferrer"
+                                  title={cell.lastApplied.commitSha}
+                                  className="font-mono text-blue-600 hover:text-blue-800"
+                                >
+                                  {cell.lastApplied.commitSha.substring(0, 7)}
+                                </a>
+                              ) : (
+                                <span className="font-mono" title={cell.lastApplied.commitSha}>{cell.lastApplied.commitSha.substring(0, 7)}</span>
+                              )}
+                              {' '}{getRelativeTime(cell.lastApplied.appliedAt)}
+                            </>
+                          ) : 'Not applied yet'}
+                        </div>
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {deployments.length === 0 ? (
         <div className="text-center py-8 text-gray-500">
           <Folder className="h-12 w-12 mx-auto mb-3 text-gray-300" />
@@ -171,7 +602,7 @@ const DeploymentHistory = () => {
       ) : (
         <div className="space-y-4">
           {Array.isArray(deployments) && deployments.map((deployment) => (
-            <div key={deployment.id} className="border rounded-lg p-4 hover:bg-gray-50">
+            <div key={deployment.id} id={`deployment-${deployment.id}`} className="border rounded-lg p-4 hover:bg-gray-50">
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <div className="flex items-center space-x-3 mb-2">
@@ -179,6 +610,26 @@ const DeploymentHistory = () => {
                       {deployment.id}
                     </h4>
                     <div className="flex items-center space-x-2">
+                      {deployment.environment && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                          <Layers className="h-3 w-3 mr-1" />
+                          {deployment.environment}
+                        </span>
+                      )}
+                      {deployment.backend && (
+                        <span
+                          className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700"
+                          title={`State in ${deployment.backend.location}`}
+                        >
+                          <Database className="h-3 w-3 mr-1" />
+                          {deployment.backend.profile}
+                        </span>
+                      )}
+                      {deployment.status && (
+                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${statusStyles[deployment.status]}`}>
+                          {deployment.status}
+                        </span>
+                      )}
                       {deployment.hasState && (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
                           <CheckCircle className="h-3 w-3 mr-1" />
@@ -191,6 +642,42 @@ const DeploymentHistory = () => {
                           Initialized
                         </span>
                       )}
+                      {deployment.queued && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          <Hourglass className="h-3 w-3 mr-1" />
+                          Queued #{deployment.queued.position}
+                        </span>
+                      )}
+                      {deployment.pendingPlan && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          <ClipboardList className="h-3 w-3 mr-1" />
+                          {deployment.pendingPlan === 'destroy' ? 'Destroy plan pending' : 'Plan pending'}
+                        </span>
+                      )}
+                      {deployment.drift && (
+                        <button
+                          type="button"
+                          onClick={() => setOpenDrift(openDrift === deployment.id ? null : deployment.id)}
+                          title={`Checked ${formatDate(deployment.drift.checkedAt)}`}
+                          className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${driftStyles[deployment.drift.status]}`}
+                        >
+                          <Radar className="h-3 w-3 mr-1" />
+                          {deployment.drift.status === 'drifted'
+                            ? `Drifted (${deployment.drift.resources.length})`
+                            : deployment.drift.status === 'in-sync' ? 'No drift' : 'Drift check failed'}
+                        </button>
+                      )}
+                      {upstream[deployment.id]?.upToDate === false && (
+                        <button
+                          type="button"
+                          onClick={() => setOpenUpstream(openUpstream === deployment.id ? null : deployment.id)}
+                          title={`${deployment.source?.branch} has moved ahead of the deployed commit`}
+                          className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                        >
+                          <ArrowUpCircle className="h-3 w-3 mr-1" />
+                          Update available ({upstream[deployment.id].aheadBy})
+                        </button>
+                      )}
                       {deployment.error && (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
                           <AlertTriangle className="h-3 w-3 mr-1" />
@@ -201,6 +688,57 @@ const DeploymentHistory = () => {
                   </div>
                   
                   <p className="text-sm text-gray-600 mb-3">{deployment.description}</p>
+
+                  {deployment.source && (
+                    <div className="flex items-center space-x-2 text-xs text-gray-600 mb-3">
+                      <GitBranch className="h-3 w-3" />
+                      {deployment.source.provider === 'upload' ? (
+                        <span className="font-mono break-all" title={deployment.source.repoUrl}>
+                          {deployment.source.archiveName || 'Uploaded archive'}{deployment.source.path && `/${deployment.source.path}`}
+                        </span>
+                      ) : /^https?:\/\//.test(deployment.source.repoUrl) ? (
+                        <a
+                          href={deployment.source.repoUrl}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="font-mono text-blue-600 hover:text-blue-800 break-all"
+                        >
+                          {deployment.source.owner}/{deployment.source.repo}/{deployment.source.path}
+                        </a>
+                      ) : (
+                        <span className="font-mono break-all" title={deployment.source.repoUrl}>
+                          {deployment.source.owner}/{deployment.source.repo}/{deployment.source.path}
+                        </span>
+                      )}
+                      {deployment.source.provider !== 'upload' && (
+                        <span className="font-mono">@ {deployment.source.branch}</span>
+                      )}
+                      {deployment.source.commitSha && (deployment.source.commitUrl ? (
+                        <a
+                          href={deployment.source.commitUrl}
+                          target="_blank"
+                          rel="noreferrer"
+                          title={deployment.source.commitSha}
+                          className="font-mono text-gray-500 hover:text-gray-700"
+                        >
+                          ({deployment.source.commitSha.substring(0, 7)})
+                        </a>
+                      ) : (
+                        <span className="font-mono text-gray-500" title={deployment.source.commitSha}>
+                          ({deployment.source.commitSha.substring(0, 7)})
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  {deployment.status === 'failed' && deployment.transitions.length > 0 && (
+                    <div className="flex items-center space-x-1 text-xs text-red-700 mb-3">
+                      <AlertTriangle className="h-3 w-3" />
+                      <span>
+                        {deployment.transitions[deployment.transitions.length - 1].message || 'Last operation failed'}
+                      </span>
+                    </div>
+                  )}
                   
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs text-gray-500">
                     <div className="flex items-center space-x-1">
@@ -212,20 +750,109 @@ const DeploymentHistory = () => {
                       <span>{deployment.terraformFiles} TF files</span>
                     </div>
                     <div className="flex items-center space-x-1">
-                      <span>{deployment.variables} variables</span>
+                      <span>{Object.keys(deployment.variables || {}).length} variables</span>
                     </div>
                     <div className="flex items-center space-x-1">
                       <span>{formatFileSize(deployment.size)}</span>
                     </div>
                   </div>
                   
-                  <div className="text-xs text-gray-400 mt-2">
-                    Created: {formatDate(deployment.createdAt)}
+                  <div className="flex items-center space-x-3 text-xs text-gray-400 mt-2">
+                    <span>Created: {formatDate(deployment.createdAt)}</span>
+                    {deployment.createdBy && (
+                      <span className="inline-flex items-center space-x-1">
+                        <User className="h-3 w-3" />
+                        <span>{deployment.createdBy.user}</span>
+                      </span>
+                    )}
+                    {deployment.status && deployment.updatedAt && (
+                      <span>Updated: {formatDate(deployment.updatedAt)}</span>
+                    )}
+                    {deployment.modifications?.length > 0 && (
+                      <span title={describeChanges(deployment.modifications[deployment.modifications.length - 1])}>
+                        Modified: {formatDate(deployment.modifications[deployment.modifications.length - 1].timestamp)}
+                      </span>
+                    )}
                   </div>
                 </div>
 
                 <div className="flex items-center space-x-2 ml-4">
-                  {deployment.hasState && (
+                  {canDeploy && deployment.pendingPlan && !destroyPlans[deployment.id] && destroying !== deployment.id && (
+                    <button
+                      onClick={() => handleReviewPendingPlan(deployment.id)}
+                      className="inline-flex items-center px-3 py-1.5 border border-blue-300 text-xs font-medium rounded text-blue-700 bg-white hover:bg-blue-50"
+                    >
+                      <ClipboardList className="h-3 w-3 mr-1" />
+                      Review plan
+                    </button>
+                  )}
+                  {canDeploy && (deployment.running || deployment.queued || (destroying === deployment.id && !destroyPlans[deployment.id])) && (
+                    <button
+                      onClick={() => handleCancel(deployment.id)}
+                      disabled={cancelling === deployment.id}
+                      className="inline-flex items-center px-3 py-1.5 border border-orange-300 text-xs font-medium rounded text-orange-700 bg-white hover:bg-orange-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Square className="h-3 w-3 mr-1" />
+                      {cancelling === deployment.id ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setOpenRunLogs(openRunLogs === deployment.id ? null : deployment.id)}
+                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    <ScrollText className="h-3 w-3 mr-1" />
+                    Logs
+                  </button>
+                  {canDeploy && deployment.hasState && (
+                    <button
+                      onClick={() => setOpenResources(openResources === deployment.id ? null : deployment.id)}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <Boxes className="h-3 w-3 mr-1" />
+                      Resources
+                    </button>
+                  )}
+                  {canDeploy && deployment.hasState && deployment.status !== 'destroyed' && (
+                    <button
+                      onClick={() => handleCheckDrift(deployment.id)}
+                      disabled={checkingDrift === deployment.id}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Radar className="h-3 w-3 mr-1" />
+                      {checkingDrift === deployment.id ? 'Checking...' : 'Check drift'}
+                    </button>
+                  )}
+                  {canDeploy && onModify && deployment.source && !deployment.running && !deployment.queued && deployment.status !== 'destroyed' && (
+                    <button
+                      onClick={() => handleModify(deployment)}
+                      disabled={preparingModify === deployment.id}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Pencil className="h-3 w-3 mr-1" />
+                      {preparingModify === deployment.id ? 'Loading...' : 'Modify'}
+                    </button>
+                  )}
+                  {deployment.outputCount > 0 && (
+                    <button
+                      onClick={() => setOpenOutputs(openOutputs === deployment.id ? null : deployment.id)}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <LogOut className="h-3 w-3 mr-1" />
+                      Outputs
+                    </button>
+                  )}
+                  {canDeploy && deployment.sensitiveVariables?.length > 0 && (
+                    <button
+                      onClick={() => setSecretsPrompt(
+                        secretsPrompt?.deploymentId === deployment.id ? null : { deploymentId: deployment.id, retryDestroy: false }
+                      )}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <KeyRound className="h-3 w-3 mr-1" />
+                      Secrets
+                    </button>
+                  )}
+                  {canDeploy && deployment.hasState && (
                     <button
                       onClick={() => handleDestroy(deployment.id)}
                       disabled={destroying === deployment.id}
@@ -234,7 +861,7 @@ const DeploymentHistory = () => {
                       {destroying === deployment.id ? (
                         <>
                           <div className="animate-spin rounded-full h-3 w-3 border-b border-red-600 mr-1"></div>
-                          Destroying...
+                          {destroyPlans[deployment.id] ? 'Awaiting approval' : 'Destroying...'}
                         </>
                       ) : (
                         <>
@@ -245,16 +872,98 @@ const DeploymentHistory = () => {
                     </button>
                   )}
                   
-                  <button
-                    onClick={() => handleDelete(deployment.id)}
-                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
-                  >
-                    <Trash2 className="h-3 w-3 mr-1" />
-                    Delete
-                  </button>
+                  {canDelete && (
+                    <button
+                      onClick={() => handleDelete(deployment.id)}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <Trash2 className="h-3 w-3 mr-1" />
+                      Delete
+                    </button>
+                  )}
                 </div>
               </div>
 
+              {openRunLogs === deployment.id && (
+                <div className="mt-4">
+                  <DeploymentLogs deploymentId={deployment.id} />
+                </div>
+              )}
+
+              {openDrift === deployment.id && deployment.drift && (
+                <div className="mt-4 border border-gray-200 rounded-lg p-4 bg-white space-y-2 text-xs">
+                  <div className="text-gray-600">
+                    {deployment.drift.mode === 'full' ? 'Full plan' : 'Refresh-only plan'} checked {formatDate(deployment.drift.checkedAt)}
+                    {deployment.drift.trigger === 'schedule' ? ' by the scheduler' : ' on request'}
+                  </div>
+                  {deployment.drift.message && (
+                    <div className="text-red-700">{deployment.drift.message}</div>
+                  )}
+                  {deployment.drift.status === 'in-sync' && (
+                    <div className="text-green-700">The infrastructure matches the state.</div>
+                  )}
+                  {deployment.drift.resources.map(resource => (
+                    <div key={resource.address}>
+                      <div className="flex items-center space-x-2">
+                        <span className="px-1.5 py-0.5 rounded bg-orange-100 text-orange-800">{resource.action}</span>
+                        <span className="font-mono text-gray-900 break-all">{resource.address}</span>
+                      </div>
+                      {resource.changes.map(change => (
+                        <div key={change.attribute} className="ml-4 grid grid-cols-3 gap-2 font-mono">
+                          <span className="text-gray-700 break-all">{change.attribute}</span>
+                          <span className="text-red-700 break-all">{JSON.stringify(change.before)}</span>
+                          <span className="text-green-700 break-all">{JSON.stringify(change.after)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {openUpstream === deployment.id && upstream[deployment.id] && (
+                <div className="mt-4">
+                  <UpstreamChanges
+                    upstream={upstream[deployment.id]}
+                    onUpgrade={canDeploy && onModify ? () => handleModify(deployment) : undefined}
+                    isUpgrading={preparingModify === deployment.id}
+                  />
+                </div>
+              )}
+
+              {openResources === deployment.id && (
+                <div className="mt-4">
+                  <ResourceTree deploymentId={deployment.id} />
+                </div>
+              )}
+
+              {openOutputs === deployment.id && (
+                <div className="mt-4">
+                  <OutputsPanel deploymentId={deployment.id} canReveal={canDeploy} />
+                </div>
+              )}
+
+              {secretsPrompt?.deploymentId === deployment.id && (
+                <div className="mt-4">
+                  <SecretsForm
+                    deploymentId={deployment.id}
+                    message={secretsPrompt.message}
+                    onSaved={() => handleSecretsSaved(deployment.id)}
+                    onCancel={() => setSecretsPrompt(null)}
+                  />
+                </div>
+              )}
+
+              {destroyPlans[deployment.id] && (
+                <div className="mt-4">
+                  <PlanSummary
+                    plan={destroyPlans[deployment.id]}
+                    onApprove={() => handleApprovePlan(deployment.id)}
+                    onDiscard={() => handleDiscardPlan(deployment.id)}
+                    isBusy={reviewing === deployment.id}
+                  />
+                </div>
+              )}
+
               {destroying === deployment.id && destroyLogs[deployment.id] && (
                 <div className="mt-4">
                   <button
@@ -0,0 +1,167 @@
+import { useState, useEffect, useRef } from 'react'
+import { AlertTriangle, CheckCircle, XCircle, Radio } from 'lucide-react'
+import axios from 'axios'
+import io from 'socket.io-client'
+import { getErrorMessage } from '../utils/errors'
+
+interface Run {
+  runId: string
+  operation: string
+  startedAt: string
+  finishedAt: string | null
+  success: boolean | null
+  message: string | null
+  active: boolean
+}
+
+interface LogEvent {
+  event: 'deployment-log' | 'deployment-error' | 'deployment-plan' | 'deployment-queued' | 'deployment-complete'
+  data: {
+    message?: string
+    timestamp: string
+    success?: boolean
+    summary?: { add: number; change: number; destroy: number }
+  }
+}
+
+interface DeploymentLogsProps {
+  deploymentId: string
+}
+
+const formatEvent = (entry: LogEvent): string => {
+  if (entry.event === 'deployment-plan' && entry.data.summary) {
+    const { add, change, destroy } = entry.data.summary
+    return `Plan: ${add} to add, ${change} to change, ${destroy} to destroy. Waiting for approval.`
+  }
+  return entry.data.message || ''
+}
+
+const DeploymentLogs: React.FC<DeploymentLogsProps> = ({ deploymentId }) => {
+  const [runs, setRuns] = useState<Run[]>([])
+  const [selectedRun, setSelectedRun] = useState<string | null>(null)
+  const [events, setEvents] = useState<LogEvent[]>([])
+  const [error, setError] = useState<string | null>(null)
+  const logsEndRef = useRef<HTMLDivElement>(null)
+  // Read by the effect below, which only reconnects when another run is selected,
+  // not when the run list is refreshed
+  const runsRef = useRef<Run[]>([])
+
+  useEffect(() => {
+    runsRef.current = runs
+  }, [runs])
+
+  useEffect(() => {
+    axios.get(`/api/deployments/${deploymentId}/runs`)
+      .then(response => {
+        const list: Run[] = Array.isArray(response.data) ? response.data : []
+        setRuns(list)
+        setSelectedRun(list.length > 0 ? list[list.length - 1].runId : null)
+      })
+      .catch(err => setError(getErrorMessage(err)))
+  }, [deploymentId])
+
+  useEffect(() => {
+    const run = runsRef.current.find(entry => entry.runId === selectedRun)
+    if (!run) {
+      return
+    }
+
+    setEvents([])
+    setError(null)
+
+    if (!run.active) {
+      axios.get(`/api/deployments/${deploymentId}/logs`, { params: { run: run.runId } })
+        .then(response => setEvents(response.data.events || []))
+        .catch(err => setError(getErrorMessage(err)))
+      return
+    }
+
+    // Joining the room replays everything logged so far, then streams live events
+    const socket = io()
+    const eventNames: LogEvent['event'][] = ['deployment-log', 'deployment-error', 'deployment-plan', 'deployment-queued', 'deployment-complete']
+    eventNames.forEach(event => {
+      socket.on(event, (data: LogEvent['data'] & { runId?: string }) => {
+        if (data.runId && data.runId !== run.runId) {
+          return
+        }
+        setEvents(prev => [...prev, { event, data }])
+        if (event === 'deployment-complete') {
+          setRuns(prev => prev.map(entry => (
+            entry.runId === run.runId ? { ...entry, active: false, success: data.success ?? null } : entry
+          )))
+        }
+      })
+    })
+    socket.emit('join-deployment', deploymentId)
+
+    return () => {
+      socket.disconnect()
+    }
+  }, [deploymentId, selectedRun])
+
+  useEffect(() => {
+    logsEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+  }, [events])
+
+  if (runs.length === 0) {
+    return (
+      <div className="text-xs text-gray-500">
+        {error ? `Failed to load logs: ${error}` : 'No logged runs for this deployment'}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {runs.map(run => (
+          <button
+            key={run.runId}
+            type="button"
+            onClick={() => setSelectedRun(run.runId)}
+            className={`inline-flex items-center space-x-1 px-2 py-1 rounded text-xs border ${
+              selectedRun === run.runId ? 'border-blue-500 bg-blue-50 text-blue-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {run.active && <Radio className="h-3 w-3 text-blue-600" />}
+            {!run.active && run.success === true && <CheckCircle className="h-3 w-3 text-green-600" />}
+            {!run.active && run.success === false && <XCircle className="h-3 w-3 text-red-600" />}
+            <span>{run.operation}</span>
+            <span className="text-gray-500">{new Date(run.startedAt).toLocaleString()}</span>
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-600">Failed to load logs: {error}</div>
+      )}
+
+      <div className="bg-gray-900 text-xs font-mono p-3 rounded max-h-64 overflow-y-auto space-y-0.5">
+        {events.map((entry, index) => (
+          <div key={index} className="flex items-start space-x-2">
+            <span className="text-gray-500 shrink-0">
+              {new Date(entry.data.timestamp).toLocaleTimeString()}
+            </span>
+            {entry.event === 'deployment-error' && (
+              <AlertTriangle className="h-3 w-3 text-red-400 shrink-0 mt-0.5" />
+            )}
+            <span className={`whitespace-pre-wrap break-words ${
+              entry.event === 'deployment-error'
+                ? 'text-red-400'
+                : entry.event === 'deployment-complete'
+                ? (entry.data.success ? 'text-green-400' : 'text-red-400')
+                : entry.event === 'deployment-plan'
+                ? 'text-blue-300'
+                : 'text-gray-100'
+            }`}>
+              {formatEvent(entry)}
+            </span>
+          </div>
+        ))}
+        <div ref={logsEndRef} />
+      </div>
+    </div>
+  )
+}
+
+export default DeploymentLogs
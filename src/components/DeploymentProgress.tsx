@@ -1,12 +1,22 @@
 import { useState, useEffect, useRef } from 'react'
-import { CheckCircle, XCircle, Clock, AlertTriangle } from 'lucide-react'
+import { CheckCircle, XCircle, Clock, AlertTriangle, ClipboardList, Square, Ban, Hourglass } from 'lucide-react'
 import { io } from 'socket.io-client'
 import axios from 'axios'
+import PlanSummary from './PlanSummary'
+import OutputsPanel from './OutputsPanel'
+import type { Plan } from './PlanSummary'
+import { getErrorMessage, getErrorCode } from '../utils/errors'
+import type { ValidationError } from '../utils/variable-validation'
+import type { DeployOptions } from './VariablesForm'
 
 interface DeploymentProgressProps {
   deploymentId: string
   repoData: any
   userVariables: Record<string, any> | null
+  // 'modify' re-plans an existing deployment instead of creating it
+  mode?: 'deploy' | 'modify'
+  // Environment and backend profile chosen in the form
+  options?: DeployOptions
   onComplete: () => void
 }
 
@@ -20,10 +30,16 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
   deploymentId, 
   repoData, 
   userVariables,
+  mode = 'deploy',
+  options = {},
   onComplete 
 }) => {
   const [logs, setLogs] = useState<LogEntry[]>([])
-  const [status, setStatus] = useState<'pending' | 'running' | 'success' | 'error'>('pending')
+  const [status, setStatus] = useState<'pending' | 'queued' | 'running' | 'planned' | 'success' | 'error' | 'discarded' | 'cancelled'>('pending')
+  const [queuePosition, setQueuePosition] = useState<number | null>(null)
+  const [plan, setPlan] = useState<Plan | null>(null)
+  const [isReviewing, setIsReviewing] = useState(false)
+  const [isCancelling, setIsCancelling] = useState(false)
   const logsEndRef = useRef<HTMLDivElement>(null)
 
   useEffect(() => {
@@ -33,20 +49,46 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
 
     newSocket.on('deployment-log', (data: { message: string; timestamp: string }) => {
       setLogs(prev => [...prev, { ...data, type: 'log' }])
+      setQueuePosition(null)
       setStatus('running')
     })
 
+    newSocket.on('deployment-queued', (data: { position: number; message: string; timestamp: string }) => {
+      setLogs(prev => [...prev, { message: data.message, timestamp: data.timestamp, type: 'log' }])
+      setQueuePosition(data.position)
+      setStatus('queued')
+    })
+
+    newSocket.on('join-error', (data: { error: string }) => {
+      setLogs(prev => [...prev, { message: data.error, timestamp: new Date().toISOString(), type: 'error' }])
+    })
+
     newSocket.on('deployment-error', (data: { message: string; timestamp: string }) => {
       setLogs(prev => [...prev, { ...data, type: 'error' }])
     })
 
+    newSocket.on('deployment-plan', (data: Plan & { timestamp: string }) => {
+      setPlan(data)
+      setStatus('planned')
+      setLogs(prev => [...prev, {
+        message: `Plan: ${data.summary.add} to add, ${data.summary.change} to change, ${data.summary.destroy} to destroy. Waiting for approval.`,
+        timestamp: data.timestamp,
+        type: 'log'
+      }])
+    })
+
     newSocket.on('deployment-complete', (data: { 
       success: boolean; 
+      discarded?: boolean;
+      cancelled?: boolean;
       message: string; 
       timestamp: string 
     }) => {
       setLogs(prev => [...prev, { ...data, type: 'complete' }])
-      setStatus(data.success ? 'success' : 'error')
+      setPlan(null)
+      setQueuePosition(null)
+      setIsCancelling(false)
+      setStatus(data.success ? 'success' : data.discarded ? 'discarded' : data.cancelled ? 'cancelled' : 'error')
       onComplete()
     })
 
@@ -63,13 +105,13 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
     if (repoData && deploymentId) {
       startDeployment()
     }
-  }, [repoData, deploymentId])
+  }, [repoData, deploymentId, userVariables])
 
   const startDeployment = async () => {
     try {
       setStatus('running')
       setLogs([{ 
-        message: 'Initializing deployment...', 
+        message: mode === 'modify' ? 'Modifying deployment...' : 'Initializing deployment...', 
         timestamp: new Date().toISOString(), 
         type: 'log' 
       }])
@@ -77,32 +119,100 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
       // Use user-submitted variables instead of original repo data values
       const variables = userVariables || {}
 
-      await axios.post('/api/deploy', {
-        repoData,
-        variables,
-        deploymentId
-      })
+      if (mode === 'modify') {
+        await axios.put(`/api/deployments/${deploymentId}`, { repoData, variables, backendProfile: options.backendProfile })
+      } else {
+        await axios.post('/api/deploy', {
+          repoData,
+          variables,
+          deploymentId,
+          environment: options.environment,
+          backendProfile: options.backendProfile
+        })
+      }
     } catch (error: any) {
       setStatus('error')
+      // Validation failures list each rule the way OpenTofu reports them
+      const validationErrors: ValidationError[] = getErrorCode(error) === 'VALIDATION_FAILED'
+        ? error.response.data.errors
+        : []
       setLogs(prev => [...prev, {
-        message: `Deployment failed: ${error.response?.data?.error || error.message}`,
+        message: `${mode === 'modify' ? 'Modification' : 'Deployment'} failed: ${error.response?.data?.error || error.message}`,
         timestamp: new Date().toISOString(),
         type: 'error'
-      }])
+      }, ...validationErrors.map(validationError => ({
+        message: `Error: Invalid value for variable "${validationError.variable}" (${validationError.file}:${validationError.line}): ${validationError.message}`,
+        timestamp: new Date().toISOString(),
+        type: 'error' as const
+      }))])
       onComplete()
     }
   }
 
+  const approvePlan = async () => {
+    setIsReviewing(true)
+    try {
+      await axios.post(`/api/deployments/${deploymentId}/apply`)
+      setPlan(null)
+      setStatus(current => (current === 'planned' ? 'running' : current))
+    } catch (error) {
+      setLogs(prev => [...prev, {
+        message: `Apply failed: ${getErrorMessage(error)}`,
+        timestamp: new Date().toISOString(),
+        type: 'error'
+      }])
+    } finally {
+      setIsReviewing(false)
+    }
+  }
+
+  const discardPlan = async () => {
+    setIsReviewing(true)
+    try {
+      await axios.delete(`/api/deployments/${deploymentId}/plan`)
+    } catch (error) {
+      setLogs(prev => [...prev, {
+        message: `Failed to discard plan: ${getErrorMessage(error)}`,
+        timestamp: new Date().toISOString(),
+        type: 'error'
+      }])
+    } finally {
+      setIsReviewing(false)
+    }
+  }
+
+  const cancelDeployment = async () => {
+    setIsCancelling(true)
+    try {
+      await axios.post(`/api/deployments/${deploymentId}/cancel`)
+    } catch (error) {
+      setIsCancelling(false)
+      setLogs(prev => [...prev, {
+        message: `Failed to cancel: ${getErrorMessage(error)}`,
+        timestamp: new Date().toISOString(),
+        type: 'error'
+      }])
+    }
+  }
+
   const getStatusIcon = () => {
     switch (status) {
       case 'pending':
         return <Clock className="h-5 w-5 text-gray-500" />
+      case 'queued':
+        return <Hourglass className="h-5 w-5 text-blue-600" />
       case 'running':
         return <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+      case 'planned':
+        return <ClipboardList className="h-5 w-5 text-blue-600" />
       case 'success':
         return <CheckCircle className="h-5 w-5 text-green-600" />
       case 'error':
         return <XCircle className="h-5 w-5 text-red-600" />
+      case 'discarded':
+        return <XCircle className="h-5 w-5 text-gray-500" />
+      case 'cancelled':
+        return <Ban className="h-5 w-5 text-orange-600" />
     }
   }
 
@@ -110,12 +220,20 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
     switch (status) {
       case 'pending':
         return 'Waiting to start...'
+      case 'queued':
+        return queuePosition ? `Queued, position ${queuePosition}` : 'Queued'
       case 'running':
         return 'Deployment in progress...'
+      case 'planned':
+        return 'Plan ready, waiting for approval'
       case 'success':
         return 'Deployment completed successfully!'
       case 'error':
         return 'Deployment failed'
+      case 'discarded':
+        return 'Plan discarded'
+      case 'cancelled':
+        return 'Deployment cancelled'
     }
   }
 
@@ -123,12 +241,18 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
     switch (status) {
       case 'pending':
         return 'text-gray-600'
+      case 'queued':
       case 'running':
+      case 'planned':
         return 'text-blue-600'
       case 'success':
         return 'text-green-600'
       case 'error':
         return 'text-red-600'
+      case 'discarded':
+        return 'text-gray-600'
+      case 'cancelled':
+        return 'text-orange-600'
     }
   }
 
@@ -146,6 +270,17 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
         <span className="text-sm text-gray-500">
           ID: {deploymentId}
         </span>
+        {(status === 'running' || status === 'queued') && (
+          <button
+            type="button"
+            onClick={cancelDeployment}
+            disabled={isCancelling}
+            className="ml-auto inline-flex items-center px-3 py-1.5 border border-orange-300 text-xs font-medium rounded text-orange-700 bg-white hover:bg-orange-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Square className="h-3 w-3 mr-1" />
+            {isCancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
       </div>
 
       <div className="bg-gray-900 rounded-lg p-4 h-96 overflow-auto">
@@ -178,6 +313,15 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
         </div>
       </div>
 
+      {status === 'planned' && plan && (
+        <PlanSummary
+          plan={plan}
+          onApprove={approvePlan}
+          onDiscard={discardPlan}
+          isBusy={isReviewing}
+        />
+      )}
+
       {status === 'success' && (
         <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
           <div className="flex items-center space-x-2">
@@ -188,11 +332,15 @@ const DeploymentProgress: React.FC<DeploymentProgressProps> = ({
           </div>
           <p className="mt-2 text-sm text-green-700">
             Your Terraform infrastructure has been deployed successfully. 
-            Check the logs above for details about the created resources.
+            Check the logs above for details and the outputs below for what it exposes.
           </p>
         </div>
       )}
 
+      {status === 'success' && (
+        <OutputsPanel deploymentId={deploymentId} canReveal />
+      )}
+
       {status === 'error' && (
         <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
           <div className="flex items-center space-x-2">
@@ -0,0 +1,121 @@
+import { useState } from 'react'
+import { Package, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react'
+
+export interface LocalModule {
+  address: string
+  source: string
+  path: string | null
+  outsidePath?: boolean
+  error?: string
+  files?: string[]
+  variables: Record<string, {
+    terraformType: string
+    original?: string | null
+    description?: string | null
+    required: boolean
+    sensitive?: boolean
+  }>
+  inputs: string[]
+  parseErrors?: Array<{ file: string; message: string }>
+}
+
+interface LocalModulesProps {
+  modules: LocalModule[]
+}
+
+const LocalModules: React.FC<LocalModulesProps> = ({ modules }) => {
+  const [expanded, setExpanded] = useState<Set<string>>(new Set())
+
+  const toggleModule = (address: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(address)) {
+        next.delete(address)
+      } else {
+        next.add(address)
+      }
+      return next
+    })
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500">
+        Variables of local modules are set by the configuration calling them and shown for reference.
+      </p>
+      <div className="border rounded divide-y text-xs">
+        {modules.map(module => (
+          <div key={module.address}>
+            <button
+              type="button"
+              onClick={() => toggleModule(module.address)}
+              className="w-full flex items-center space-x-2 px-3 py-2 text-left hover:bg-gray-50"
+            >
+              {expanded.has(module.address) ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+              <Package className="h-3 w-3 text-gray-600" />
+              <span className="font-mono text-gray-900 break-all">{module.address}</span>
+              <span className="font-mono text-gray-500 break-all">{module.source}</span>
+              {module.outsidePath && (
+                <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700" title={module.path || undefined}>
+                  outside path
+                </span>
+              )}
+            </button>
+            {expanded.has(module.address) && (
+              <div className="px-3 pb-3 space-y-2">
+                {module.error && (
+                  <div className="flex items-center space-x-1 text-red-700">
+                    <AlertTriangle className="h-3 w-3" />
+                    <span>{module.error}</span>
+                  </div>
+                )}
+                {module.parseErrors && module.parseErrors.length > 0 && (
+                  <div className="text-yellow-800 space-y-0.5">
+                    {module.parseErrors.map(parseError => (
+                      <div key={parseError.file} className="font-mono break-all">{parseError.message}</div>
+                    ))}
+                  </div>
+                )}
+                {Object.keys(module.variables).length === 0 ? (
+                  !module.error && <p className="text-gray-500">This module declares no variables.</p>
+                ) : (
+                  <table className="w-full">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="font-medium pr-2">Variable</th>
+                        <th className="font-medium pr-2">Type</th>
+                        <th className="font-medium pr-2">Default</th>
+                        <th className="font-medium">Set by caller</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(module.variables).map(([name, variable]) => (
+                        <tr key={name} className="align-top" title={variable.description || undefined}>
+                          <td className="font-mono pr-2 break-all">
+                            {name}
+                            {variable.sensitive && <span className="ml-1 text-red-600">(sensitive)</span>}
+                          </td>
+                          <td className="font-mono pr-2 text-gray-600">{variable.terraformType}</td>
+                          <td className="font-mono pr-2 text-gray-600 break-all">
+                            {variable.required ? <span className="text-orange-700">required</span> : (variable.original ?? 'null')}
+                          </td>
+                          <td>
+                            {module.inputs.includes(name)
+                              ? <span className="text-green-700">yes</span>
+                              : <span className={variable.required ? 'text-red-700' : 'text-gray-500'}>no</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default LocalModules
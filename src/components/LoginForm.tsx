@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import { LogIn, KeyRound, Terminal, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+import type { AuthConfig, User } from '../utils/auth'
+
+interface LoginFormProps {
+  config: AuthConfig
+  onLogin: (user: User) => void
+}
+
+const LoginForm: React.FC<LoginFormProps> = ({ config, onLogin }) => {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  // Errors from a failed OIDC login come back as a query parameter
+  const [error, setError] = useState<string | null>(
+    () => new URLSearchParams(window.location.search).get('loginError')
+  )
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const response = await axios.post('/api/auth/login', { username, password })
+      window.history.replaceState(null, '', window.location.pathname)
+      onLogin(response.data.user)
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-lg shadow p-6 space-y-6">
+        <div className="flex items-center space-x-3">
+          <Terminal className="h-8 w-8 text-blue-600" />
+          <h1 className="text-xl font-semibold text-gray-900">OpenTofu Deployer</h1>
+        </div>
+
+        {error && (
+          <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {config.local && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="login-username" className="block text-sm font-medium text-gray-700 mb-1">
+                Username
+              </label>
+              <input
+                id="login-username"
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="login-password" className="block text-sm font-medium text-gray-700 mb-1">
+                Password
+              </label>
+              <input
+                id="login-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full inline-flex justify-center items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <LogIn className="h-4 w-4 mr-2" />
+              {isSubmitting ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        )}
+
+        {config.oidc && (
+          <a
+            href="/api/auth/oidc/login"
+            className="w-full inline-flex justify-center items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <KeyRound className="h-4 w-4 mr-2" />
+            Sign in with {config.oidc.name}
+          </a>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LoginForm
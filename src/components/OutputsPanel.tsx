@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react'
+import { LogOut, Copy, Check, Eye, EyeOff, Lock } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+
+export interface DeploymentOutput {
+  type: unknown
+  sensitive: boolean
+  value: unknown
+}
+
+interface DeploymentOutputs {
+  updatedAt: string
+  outputs: Record<string, DeploymentOutput>
+  revealed: boolean
+}
+
+interface OutputsPanelProps {
+  deploymentId: string
+  canReveal: boolean
+}
+
+const formatOutputValue = (value: unknown): string => {
+  if (value === null || value === undefined) return 'null'
+  if (typeof value === 'string') return value
+  return JSON.stringify(value, null, 2)
+}
+
+const OutputsPanel: React.FC<OutputsPanelProps> = ({ deploymentId, canReveal }) => {
+  const [data, setData] = useState<DeploymentOutputs | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isRevealing, setIsRevealing] = useState(false)
+  const [copied, setCopied] = useState<string | null>(null)
+
+  useEffect(() => {
+    setIsLoading(true)
+    axios.get(`/api/deployments/${deploymentId}/outputs`)
+      .then(response => setData(response.data))
+      .catch(err => setError(axios.isAxiosError(err) && err.response?.status === 404
+        ? 'No outputs were recorded for this deployment.'
+        : getErrorMessage(err)))
+      .finally(() => setIsLoading(false))
+  }, [deploymentId])
+
+  const hasSensitive = data ? Object.values(data.outputs).some(output => output.sensitive) : false
+
+  const toggleReveal = async () => {
+    if (data?.revealed) {
+      // Hiding again drops the revealed values from memory
+      setData({
+        ...data,
+        revealed: false,
+        outputs: Object.fromEntries(Object.entries(data.outputs).map(([name, output]) => [
+          name,
+          output.sensitive ? { ...output, value: null } : output
+        ]))
+      })
+      return
+    }
+
+    if (!confirm('Reveal the values of sensitive outputs?')) {
+      return
+    }
+
+    setIsRevealing(true)
+    setError(null)
+    try {
+      const response = await axios.get(`/api/deployments/${deploymentId}/outputs`, { params: { reveal: true } })
+      setData(response.data)
+      if (!response.data.revealed) {
+        setError('The sensitive values could not be decrypted.')
+      }
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setIsRevealing(false)
+    }
+  }
+
+  const copyValue = async (name: string, output: DeploymentOutput) => {
+    try {
+      await navigator.clipboard.writeText(formatOutputValue(output.value))
+      setCopied(name)
+      setTimeout(() => setCopied(current => (current === name ? null : current)), 2000)
+    } catch (err) {
+      setError(`Failed to copy: ${getErrorMessage(err)}`)
+    }
+  }
+
+  const entries = data ? Object.entries(data.outputs) : []
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 bg-white space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <LogOut className="h-4 w-4 text-gray-600" />
+          <span className="font-medium text-gray-900 text-sm">Outputs</span>
+          {data && (
+            <span className="text-xs text-gray-500">as of {new Date(data.updatedAt).toLocaleString()}</span>
+          )}
+        </div>
+        {canReveal && hasSensitive && (
+          <button
+            type="button"
+            onClick={toggleReveal}
+            disabled={isRevealing}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {data?.revealed ? <EyeOff className="h-3 w-3 mr-1" /> : <Eye className="h-3 w-3 mr-1" />}
+            {data?.revealed ? 'Hide sensitive' : isRevealing ? 'Revealing...' : 'Reveal sensitive'}
+          </button>
+        )}
+      </div>
+
+      {isLoading && <p className="text-xs text-gray-500">Loading outputs...</p>}
+
+      {data && entries.length === 0 && (
+        <p className="text-xs text-gray-500">This configuration has no outputs.</p>
+      )}
+
+      {entries.length > 0 && (
+        <div className="border rounded divide-y">
+          {entries.map(([name, output]) => {
+            const isMasked = output.sensitive && !data?.revealed
+            return (
+              <div key={name} className="flex items-start justify-between px-3 py-2 text-xs">
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center space-x-1 mb-1">
+                    <span className="font-mono font-medium text-gray-900">{name}</span>
+                    {output.sensitive && (
+                      <span className="inline-flex items-center text-amber-700">
+                        <Lock className="h-3 w-3 mr-0.5" />
+                        sensitive
+                      </span>
+                    )}
+                  </div>
+                  <pre className="font-mono text-gray-700 whitespace-pre-wrap break-all">
+                    {isMasked ? '(sensitive value)' : formatOutputValue(output.value)}
+                  </pre>
+                </div>
+                {!isMasked && (
+                  <button
+                    type="button"
+                    onClick={() => copyValue(name, output)}
+                    title="Copy value"
+                    className="ml-2 p-1 text-gray-500 hover:text-gray-800"
+                  >
+                    {copied === name ? <Check className="h-3 w-3 text-green-600" /> : <Copy className="h-3 w-3" />}
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-700">{error}</div>}
+    </div>
+  )
+}
+
+export default OutputsPanel
@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { Plus, Minus, RefreshCw, Edit3, ChevronDown, ChevronRight, Check, X } from 'lucide-react'
+
+export interface AttributeChange {
+  attribute: string
+  before: unknown
+  after: unknown
+  unknown: boolean
+  sensitive: boolean
+}
+
+export interface ResourceChange {
+  address: string
+  type: string
+  name: string
+  action: 'create' | 'update' | 'delete' | 'replace'
+  changes: AttributeChange[]
+}
+
+export interface Plan {
+  operation: 'apply' | 'destroy'
+  createdAt: string
+  summary: { add: number; change: number; destroy: number }
+  resources: ResourceChange[]
+  hasChanges: boolean
+}
+
+interface PlanSummaryProps {
+  plan: Plan
+  onApprove: () => void
+  onDiscard: () => void
+  isBusy?: boolean
+}
+
+const actionStyles: Record<ResourceChange['action'], { label: string; className: string }> = {
+  create: { label: 'create', className: 'bg-green-100 text-green-800' },
+  update: { label: 'update', className: 'bg-yellow-100 text-yellow-800' },
+  delete: { label: 'destroy', className: 'bg-red-100 text-red-800' },
+  replace: { label: 'replace', className: 'bg-orange-100 text-orange-800' }
+}
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined) return 'null'
+  if (typeof value === 'string') return value
+  return JSON.stringify(value)
+}
+
+const ActionIcon: React.FC<{ action: ResourceChange['action'] }> = ({ action }) => {
+  switch (action) {
+    case 'create':
+      return <Plus className="h-3 w-3" />
+    case 'update':
+      return <Edit3 className="h-3 w-3" />
+    case 'delete':
+      return <Minus className="h-3 w-3" />
+    case 'replace':
+      return <RefreshCw className="h-3 w-3" />
+  }
+}
+
+const PlanSummary: React.FC<PlanSummaryProps> = ({ plan, onApprove, onDiscard, isBusy = false }) => {
+  const [expanded, setExpanded] = useState<string | null>(null)
+  const isDestroy = plan.operation === 'destroy'
+
+  return (
+    <div className="border border-blue-200 rounded-lg p-4 bg-blue-50 space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="font-medium text-blue-900">
+          {isDestroy ? 'Destroy plan ready for review' : 'Plan ready for review'}
+        </span>
+        <div className="flex items-center space-x-2 text-xs font-medium">
+          <span className="px-2 py-1 rounded bg-green-100 text-green-800">{plan.summary.add} to add</span>
+          <span className="px-2 py-1 rounded bg-yellow-100 text-yellow-800">{plan.summary.change} to change</span>
+          <span className="px-2 py-1 rounded bg-red-100 text-red-800">{plan.summary.destroy} to destroy</span>
+        </div>
+      </div>
+
+      {!plan.hasChanges ? (
+        <p className="text-sm text-blue-800">
+          No changes. Your infrastructure matches the configuration.
+        </p>
+      ) : (
+        <div className="bg-white border rounded divide-y max-h-72 overflow-auto">
+          {plan.resources.map((resource) => (
+            <div key={resource.address} className="text-xs">
+              <button
+                type="button"
+                onClick={() => setExpanded(expanded === resource.address ? null : resource.address)}
+                className="w-full flex items-center space-x-2 px-3 py-2 hover:bg-gray-50 text-left"
+              >
+                {expanded === resource.address
+                  ? <ChevronDown className="h-3 w-3 text-gray-500" />
+                  : <ChevronRight className="h-3 w-3 text-gray-500" />}
+                <span className={`inline-flex items-center space-x-1 px-1.5 py-0.5 rounded ${actionStyles[resource.action].className}`}>
+                  <ActionIcon action={resource.action} />
+                  <span>{actionStyles[resource.action].label}</span>
+                </span>
+                <span className="font-mono text-gray-900 break-all">{resource.address}</span>
+              </button>
+
+              {expanded === resource.address && (
+                <div className="px-3 pb-3 font-mono space-y-1">
+                  {resource.changes.length === 0 ? (
+                    <div className="text-gray-500">No attribute changes</div>
+                  ) : (
+                    resource.changes.map((change) => (
+                      <div key={change.attribute} className="grid grid-cols-3 gap-2">
+                        <span className="text-gray-700 break-all">{change.attribute}</span>
+                        <span className="text-red-700 break-all">{formatValue(change.before)}</span>
+                        <span className="text-green-700 break-all">{formatValue(change.after)}</span>
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={onApprove}
+          disabled={isBusy}
+          className={`inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white disabled:opacity-50 disabled:cursor-not-allowed ${
+            isDestroy ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+          }`}
+        >
+          <Check className="h-4 w-4 mr-2" />
+          {isDestroy ? 'Approve destroy' : 'Approve and apply'}
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          disabled={isBusy}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <X className="h-4 w-4 mr-2" />
+          Discard plan
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PlanSummary
@@ -1,126 +1,304 @@
 import { useState } from 'react'
-import { Github, Search, AlertCircle, CheckCircle } from 'lucide-react'
+import { GitBranch, Search, AlertCircle, CheckCircle, KeyRound, Upload } from 'lucide-react'
 import axios from 'axios'
 
 interface RepositoryInputProps {
   onRepositoryParsed: (data: any) => void
+  onAccessTokenRequired?: (host: string) => void
+  canUpload?: boolean
 }
 
-const RepositoryInput: React.FC<RepositoryInputProps> = ({ onRepositoryParsed }) => {
+// Errors of reading a repository that an access token for its host may resolve
+const accessErrorCodes = ['SOURCE_UNAUTHORIZED', 'SOURCE_ACCESS_DENIED', 'SOURCE_NOT_FOUND', 'SOURCE_RATE_LIMITED']
+
+// API rate limit the host of a repository reported last
+interface RateLimit {
+  host: string
+  limit: number
+  remaining: number
+  resetAt: string | null
+}
+
+interface ParseInfo {
+  cached: boolean
+  rateLimit: RateLimit | null
+}
+
+const RepositoryInput: React.FC<RepositoryInputProps> = ({ onRepositoryParsed, onAccessTokenRequired, canUpload = false }) => {
+  const [mode, setMode] = useState<'url' | 'upload'>('url')
   const [repoUrl, setRepoUrl] = useState('')
+  const [archive, setArchive] = useState<File | null>(null)
+  const [archivePath, setArchivePath] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
+  const [tokenHost, setTokenHost] = useState<string | null>(null)
   const [success, setSuccess] = useState(false)
+  const [parseInfo, setParseInfo] = useState<ParseInfo | null>(null)
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     
     if (!repoUrl.trim()) {
-      setError('Please enter a GitHub repository URL')
-      return
-    }
-
-    if (!repoUrl.includes('github.com') || !repoUrl.includes('/tree/')) {
-      setError('Please enter a valid GitHub repository URL with a specific branch and path')
+      setError('Please enter a repository URL')
       return
     }
 
     setIsLoading(true)
     setError(null)
+    setTokenHost(null)
     setSuccess(false)
+    setParseInfo(null)
 
     try {
-      const response = await axios.post('/api/parse-github-url', {
+      const response = await axios.post('/api/parse-repository-url', {
         repoUrl: repoUrl.trim()
       })
 
       setSuccess(true)
+      setParseInfo({ cached: Boolean(response.data.cached), rateLimit: response.data.rateLimit || null })
       onRepositoryParsed(response.data)
     } catch (error: any) {
       setError(
         error.response?.data?.error || 
         'Failed to parse repository. Please check the URL and try again.'
       )
+      if (accessErrorCodes.includes(error.response?.data?.code) && error.response.data.host) {
+        setTokenHost(error.response.data.host)
+      }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!archive) {
+      return
+    }
+
+    setIsLoading(true)
+    setError(null)
+    setTokenHost(null)
+    setSuccess(false)
+    setParseInfo(null)
+
+    try {
+      const formData = new FormData()
+      formData.append('archive', archive)
+      if (archivePath.trim()) {
+        formData.append('path', archivePath.trim())
+      }
+      const response = await axios.post('/api/upload', formData)
+
+      setSuccess(true)
+      setParseInfo({ cached: Boolean(response.data.cached), rateLimit: response.data.rateLimit || null })
+      onRepositoryParsed(response.data)
+    } catch (error) {
+      setError((axios.isAxiosError(error) && error.response?.data?.error) || 'Failed to upload the archive.')
     } finally {
       setIsLoading(false)
     }
   }
 
+  const switchMode = (newMode: 'url' | 'upload') => {
+    setMode(newMode)
+    setError(null)
+    setTokenHost(null)
+    setSuccess(false)
+    setParseInfo(null)
+  }
+
+  const tabClass = (tab: 'url' | 'upload') => `inline-flex items-center px-3 py-2 text-sm font-medium border-b-2 ${
+    mode === tab ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+  }`
+
   const exampleUrl = "https://github.com/EyevinnOSC/terraform-examples/tree/main/examples/intercom"
 
+  // URL forms the server detects the source provider from
+  const supportedFormats = [
+    { provider: 'GitHub / GitHub Enterprise', format: 'https://host/owner/repo/tree/branch/path' },
+    { provider: 'GitLab', format: 'https://host/group/project/-/tree/branch/path' },
+    { provider: 'Bitbucket', format: 'https://bitbucket.org/workspace/repo/src/branch/path' },
+    { provider: 'Git (HTTPS or SSH)', format: 'git::https://host/repo.git//path?ref=branch' }
+  ]
+
   return (
     <div className="space-y-4">
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <div>
-          <label htmlFor="repo-url" className="block text-sm font-medium text-gray-700 mb-2">
-            GitHub Repository URL
-          </label>
-          <div className="relative">
-            <Github className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+      {canUpload && (
+        <div className="flex space-x-2 border-b">
+          <button type="button" onClick={() => switchMode('url')} className={tabClass('url')}>
+            <GitBranch className="h-4 w-4 mr-1" />
+            Repository URL
+          </button>
+          <button type="button" onClick={() => switchMode('upload')} className={tabClass('upload')}>
+            <Upload className="h-4 w-4 mr-1" />
+            Upload archive
+          </button>
+        </div>
+      )}
+
+      {mode === 'url' ? (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="repo-url" className="block text-sm font-medium text-gray-700 mb-2">
+              Repository URL
+            </label>
+            <div className="relative">
+              <GitBranch className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+              <input
+                id="repo-url"
+                type="text"
+                value={repoUrl}
+                onChange={(e) => setRepoUrl(e.target.value)}
+                placeholder="https://github.com/owner/repo/tree/branch/path"
+                className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md shadow-sm 
+                           focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                disabled={isLoading}
+              />
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Enter the URL of a directory containing Terraform files on GitHub, GitLab, Bitbucket or any git server
+            </p>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading || !repoUrl.trim()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium 
+                       rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none 
+                       focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 
+                       disabled:cursor-not-allowed"
+          >
+            {isLoading ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Parsing Repository...
+              </>
+            ) : (
+              <>
+                <Search className="h-4 w-4 mr-2" />
+                Parse Repository
+              </>
+            )}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleUpload} className="space-y-4">
+          <div>
+            <label htmlFor="archive-file" className="block text-sm font-medium text-gray-700 mb-2">
+              Archive
+            </label>
             <input
-              id="repo-url"
-              type="url"
-              value={repoUrl}
-              onChange={(e) => setRepoUrl(e.target.value)}
-              placeholder="https://github.com/owner/repo/tree/branch/path"
-              className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md shadow-sm 
+              id="archive-file"
+              type="file"
+              accept=".zip,.tar,.tar.gz,.tgz"
+              onChange={(e) => setArchive(e.target.files?.[0] || null)}
+              className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-3 file:rounded-md file:border-0
+                         file:text-sm file:font-medium file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+              disabled={isLoading}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              A zip, tar or tar.gz of a Terraform configuration. An archive holding a single folder is deployed from that folder.
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="archive-path" className="block text-sm font-medium text-gray-700 mb-2">
+              Directory (optional)
+            </label>
+            <input
+              id="archive-path"
+              type="text"
+              value={archivePath}
+              onChange={(e) => setArchivePath(e.target.value)}
+              placeholder="stacks/app"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm 
                          focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               disabled={isLoading}
             />
           </div>
-          <p className="mt-1 text-xs text-gray-500">
-            Enter a GitHub URL pointing to a directory containing Terraform files with a .tfvars file
-          </p>
-        </div>
 
-        <button
-          type="submit"
-          disabled={isLoading || !repoUrl.trim()}
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium 
-                     rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none 
-                     focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 
-                     disabled:cursor-not-allowed"
-        >
-          {isLoading ? (
-            <>
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-              Parsing Repository...
-            </>
-          ) : (
-            <>
-              <Search className="h-4 w-4 mr-2" />
-              Parse Repository
-            </>
-          )}
-        </button>
-      </form>
+          <button
+            type="submit"
+            disabled={isLoading || !archive}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium 
+                       rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none 
+                       focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 
+                       disabled:cursor-not-allowed"
+          >
+            {isLoading ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Uploading Archive...
+              </>
+            ) : (
+              <>
+                <Upload className="h-4 w-4 mr-2" />
+                Upload and Parse
+              </>
+            )}
+          </button>
+        </form>
+      )}
 
       {error && (
         <div className="flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-md">
           <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
           <span className="text-sm text-red-700">{error}</span>
+          {tokenHost && onAccessTokenRequired && (
+            <button
+              type="button"
+              onClick={() => onAccessTokenRequired(tokenHost)}
+              className="inline-flex items-center flex-shrink-0 px-2 py-1 text-xs font-medium rounded text-red-700 border border-red-300 hover:bg-red-100"
+            >
+              <KeyRound className="h-3 w-3 mr-1" />
+              Add access token
+            </button>
+          )}
         </div>
       )}
 
       {success && (
         <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-md">
           <CheckCircle className="h-5 w-5 text-green-600 flex-shrink-0" />
-          <span className="text-sm text-green-700">
-            Repository parsed successfully! Configure variables below.
-          </span>
+          <div className="text-sm text-green-700">
+            <span>Repository parsed successfully! Configure variables below.</span>
+            {parseInfo && (parseInfo.cached || parseInfo.rateLimit) && (
+              <p className="text-xs text-green-600 mt-1">
+                {parseInfo.cached && 'Loaded from cache. '}
+                {parseInfo.rateLimit && (
+                  <>
+                    {parseInfo.rateLimit.host} API: {parseInfo.rateLimit.remaining.toLocaleString()} of{' '}
+                    {parseInfo.rateLimit.limit.toLocaleString()} requests left
+                    {parseInfo.rateLimit.resetAt && `, resets at ${new Date(parseInfo.rateLimit.resetAt).toLocaleTimeString()}`}
+                  </>
+                )}
+              </p>
+            )}
+          </div>
         </div>
       )}
 
-      <div className="bg-gray-50 rounded-md p-3">
-        <p className="text-xs font-medium text-gray-700 mb-2">Example URL:</p>
-        <button
-          type="button"
-          onClick={() => setRepoUrl(exampleUrl)}
-          className="text-xs text-blue-600 hover:text-blue-800 font-mono break-all"
-        >
-          {exampleUrl}
-        </button>
-      </div>
+      {mode === 'url' && (
+        <div className="bg-gray-50 rounded-md p-3">
+          <p className="text-xs font-medium text-gray-700 mb-2">Example URL:</p>
+          <button
+            type="button"
+            onClick={() => setRepoUrl(exampleUrl)}
+            className="text-xs text-blue-600 hover:text-blue-800 font-mono break-all"
+          >
+            {exampleUrl}
+          </button>
+          <p className="text-xs font-medium text-gray-700 mt-3 mb-1">Supported formats:</p>
+          <ul className="space-y-0.5">
+            {supportedFormats.map(({ provider, format }) => (
+              <li key={provider} className="text-xs text-gray-600">
+                {provider}: <span className="font-mono break-all">{format}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   )
 }
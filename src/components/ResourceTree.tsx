@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react'
+import { Boxes, Box, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+
+export interface StateResource {
+  address: string
+  type: string
+  name: string
+  index: string | number | null
+  provider: string
+  module: string | null
+  attributes: Record<string, string | number | boolean>
+  tainted: boolean
+}
+
+interface ModuleNode {
+  address: string | null
+  name: string
+  resources: StateResource[]
+  children: ModuleNode[]
+}
+
+interface ResourceTreeProps {
+  deploymentId: string
+}
+
+/**
+ * Group resources into a tree of modules, e.g. module.vpc.module.subnets
+ * becomes the subnets module nested in the vpc module
+ */
+const buildModuleTree = (resources: StateResource[]): ModuleNode => {
+  const root: ModuleNode = { address: null, name: 'Root module', resources: [], children: [] }
+
+  for (const resource of resources) {
+    let node = root
+    const segments = resource.module ? resource.module.match(/module\.[^.[]+(\[[^\]]*\])?/g) || [] : []
+    segments.forEach((segment, index) => {
+      const address = segments.slice(0, index + 1).join('.')
+      let child = node.children.find(candidate => candidate.address === address)
+      if (!child) {
+        child = { address, name: segment, resources: [], children: [] }
+        node.children.push(child)
+      }
+      node = child
+    })
+    node.resources.push(resource)
+  }
+
+  return root
+}
+
+const countResources = (node: ModuleNode): number =>
+  node.resources.length + node.children.reduce((total, child) => total + countResources(child), 0)
+
+// Registry providers are shown without their hostname, e.g. hashicorp/aws
+const formatProvider = (provider: string): string => provider.replace(/^registry\.(opentofu|terraform)\.io\//, '')
+
+const ResourceTree: React.FC<ResourceTreeProps> = ({ deploymentId }) => {
+  const [resources, setResources] = useState<StateResource[] | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set())
+  const [expanded, setExpanded] = useState<string | null>(null)
+
+  useEffect(() => {
+    axios.get(`/api/deployments/${deploymentId}/resources`)
+      .then(response => setResources(response.data.resources))
+      .catch(err => setError(getErrorMessage(err)))
+  }, [deploymentId])
+
+  const toggleModule = (key: string) => {
+    setCollapsed(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  const renderModule = (node: ModuleNode, depth: number) => {
+    const key = node.address || '(root)'
+    const isCollapsed = collapsed.has(key)
+
+    return (
+      <div key={key} style={{ marginLeft: depth > 0 ? '1rem' : 0 }}>
+        <button
+          type="button"
+          onClick={() => toggleModule(key)}
+          className="flex items-center space-x-1 py-1 text-gray-800 hover:text-gray-900"
+        >
+          {isCollapsed ? <ChevronRight className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}
+          <Boxes className="h-3 w-3 text-gray-500" />
+          <span className="font-mono font-medium">{node.name}</span>
+          <span className="text-gray-500">({countResources(node)})</span>
+        </button>
+
+        {!isCollapsed && (
+          <div className="ml-4 border-l border-gray-200 pl-2">
+            {node.resources.map(resource => (
+              <div key={resource.address}>
+                <button
+                  type="button"
+                  onClick={() => setExpanded(expanded === resource.address ? null : resource.address)}
+                  className="w-full flex items-center space-x-2 py-1 text-left hover:bg-gray-50"
+                >
+                  <Box className="h-3 w-3 text-gray-400 shrink-0" />
+                  <span className="font-mono text-gray-900 break-all">{resource.address}</span>
+                  <span className="text-gray-500 shrink-0">{formatProvider(resource.provider)}</span>
+                  {resource.tainted && (
+                    <span className="inline-flex items-center text-orange-700 shrink-0">
+                      <AlertTriangle className="h-3 w-3 mr-0.5" />
+                      tainted
+                    </span>
+                  )}
+                </button>
+
+                {expanded === resource.address && (
+                  <div className="ml-5 mb-2 font-mono space-y-0.5">
+                    <div className="grid grid-cols-3 gap-2">
+                      <span className="text-gray-500">type</span>
+                      <span className="col-span-2 text-gray-800 break-all">{resource.type}</span>
+                    </div>
+                    {Object.entries(resource.attributes).map(([attribute, value]) => (
+                      <div key={attribute} className="grid grid-cols-3 gap-2">
+                        <span className="text-gray-500">{attribute}</span>
+                        <span className="col-span-2 text-gray-800 break-all">{String(value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+            {node.children.map(child => renderModule(child, depth + 1))}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 bg-white space-y-2 text-xs">
+      <div className="flex items-center space-x-2">
+        <Boxes className="h-4 w-4 text-gray-600" />
+        <span className="font-medium text-gray-900 text-sm">Resources</span>
+        {resources && <span className="text-gray-500">{resources.length} managed</span>}
+      </div>
+
+      {!resources && !error && <p className="text-gray-500">Reading state...</p>}
+
+      {resources && resources.length === 0 && (
+        <p className="text-gray-500">The state of this deployment holds no resources.</p>
+      )}
+
+      {resources && resources.length > 0 && renderModule(buildModuleTree(resources), 0)}
+
+      {error && <div className="text-red-700">{error}</div>}
+    </div>
+  )
+}
+
+export default ResourceTree
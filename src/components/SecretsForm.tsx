@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react'
+import { KeyRound, Check, X, CheckCircle, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+
+interface SecretsStatus {
+  variables: string[]
+  stored: string[]
+  missing: string[]
+  status: 'ok' | 'missing' | 'rotated' | 'corrupt'
+}
+
+interface SecretsFormProps {
+  deploymentId: string
+  message?: string
+  onSaved: () => void
+  onCancel: () => void
+}
+
+const statusMessages: Record<SecretsStatus['status'], string> = {
+  ok: 'Sensitive values are stored encrypted on the server.',
+  missing: 'No sensitive values are stored for this deployment.',
+  rotated: 'The stored values were encrypted with a master key that has since been rotated.',
+  corrupt: 'The stored values could not be decrypted.'
+}
+
+const SecretsForm: React.FC<SecretsFormProps> = ({ deploymentId, message, onSaved, onCancel }) => {
+  const [secrets, setSecrets] = useState<SecretsStatus | null>(null)
+  const [values, setValues] = useState<Record<string, string>>({})
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    axios.get(`/api/deployments/${deploymentId}/secrets`)
+      .then(response => setSecrets(response.data))
+      .catch(err => setError(getErrorMessage(err)))
+  }, [deploymentId])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsSaving(true)
+    setError(null)
+
+    try {
+      const response = await axios.put(`/api/deployments/${deploymentId}/secrets`, { values })
+      if (response.data.missing?.length > 0) {
+        setError(`Still missing: ${response.data.missing.join(', ')}`)
+        setSecrets(prev => prev && { ...prev, missing: response.data.missing })
+        return
+      }
+      onSaved()
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const hasValues = Object.values(values).some(value => value !== '')
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-amber-200 rounded-lg p-4 bg-amber-50 space-y-3">
+      <div className="flex items-center space-x-2">
+        <KeyRound className="h-4 w-4 text-amber-700" />
+        <span className="font-medium text-amber-900 text-sm">Sensitive variables</span>
+      </div>
+
+      {message && <p className="text-sm text-amber-800">{message}</p>}
+      {secrets && <p className="text-xs text-amber-800">{statusMessages[secrets.status]}</p>}
+
+      {secrets && secrets.variables.length === 0 && (
+        <p className="text-xs text-gray-600">This deployment was not created with any sensitive variables.</p>
+      )}
+
+      {secrets && secrets.variables.map(name => {
+        const isMissing = secrets.missing.includes(name)
+        return (
+          <div key={name}>
+            <label htmlFor={`secret-${deploymentId}-${name}`} className="flex items-center space-x-1 text-xs font-medium text-gray-700 mb-1">
+              <span className="font-mono">{name}</span>
+              {isMissing ? (
+                <span className="inline-flex items-center text-red-700">
+                  <AlertTriangle className="h-3 w-3 mr-0.5" />
+                  needs re-entry
+                </span>
+              ) : (
+                <span className="inline-flex items-center text-green-700">
+                  <CheckCircle className="h-3 w-3 mr-0.5" />
+                  stored
+                </span>
+              )}
+            </label>
+            <input
+              id={`secret-${deploymentId}-${name}`}
+              type="password"
+              autoComplete="off"
+              value={values[name] || ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+              placeholder={isMissing ? 'Enter value' : 'Leave blank to keep the stored value'}
+              className="w-full px-3 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+          </div>
+        )
+      })}
+
+      {error && <div className="text-xs text-red-700">{error}</div>}
+
+      <div className="flex items-center space-x-2">
+        <button
+          type="submit"
+          disabled={isSaving || !hasValues}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded text-white bg-amber-600 hover:bg-amber-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Check className="h-3 w-3 mr-1" />
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <X className="h-3 w-3 mr-1" />
+          Close
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default SecretsForm
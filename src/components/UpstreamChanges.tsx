@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { GitCommit, ChevronDown, ChevronRight, ArrowUpCircle } from 'lucide-react'
+
+export interface UpstreamFile {
+  filename: string
+  status: string
+  additions: number
+  deletions: number
+  patch: string | null
+}
+
+export interface UpstreamStatus {
+  branch: string
+  commitSha: string | null
+  latestSha: string
+  upToDate: boolean | null
+  aheadBy?: number
+  commits?: Array<{ sha: string; message: string; author: string | null; date: string | null }>
+  files?: UpstreamFile[]
+}
+
+interface UpstreamChangesProps {
+  upstream: UpstreamStatus
+  onUpgrade?: () => void
+  isUpgrading?: boolean
+}
+
+const shortSha = (sha: string | null) => (sha ? sha.substring(0, 7) : 'unknown')
+
+const patchLineStyle = (line: string) => {
+  if (line.startsWith('@@')) return 'text-blue-700 bg-blue-50'
+  if (line.startsWith('+')) return 'text-green-800 bg-green-50'
+  if (line.startsWith('-')) return 'text-red-800 bg-red-50'
+  return 'text-gray-700'
+}
+
+const UpstreamChanges: React.FC<UpstreamChangesProps> = ({ upstream, onUpgrade, isUpgrading = false }) => {
+  const [expanded, setExpanded] = useState<Set<string>>(new Set())
+  const files = upstream.files || []
+  const commits = upstream.commits || []
+
+  const toggleFile = (filename: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(filename)) {
+        next.delete(filename)
+      } else {
+        next.add(filename)
+      }
+      return next
+    })
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 bg-white space-y-3 text-xs">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <GitCommit className="h-4 w-4 text-gray-600" />
+          <span className="font-medium text-gray-900 text-sm">Upstream changes</span>
+          <span className="text-gray-500 font-mono">
+            {shortSha(upstream.commitSha)}...{shortSha(upstream.latestSha)} on {upstream.branch}
+          </span>
+        </div>
+        {onUpgrade && (
+          <button
+            type="button"
+            onClick={onUpgrade}
+            disabled={isUpgrading}
+            className="inline-flex items-center px-3 py-1.5 border border-blue-300 text-xs font-medium rounded text-blue-700 bg-white hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowUpCircle className="h-3 w-3 mr-1" />
+            {isUpgrading ? 'Loading...' : 'Upgrade'}
+          </button>
+        )}
+      </div>
+
+      {commits.length > 0 && (
+        <div className="space-y-0.5">
+          <div className="text-gray-600">
+            {upstream.aheadBy} new commit{upstream.aheadBy === 1 ? '' : 's'}
+          </div>
+          {commits.map(commit => (
+            <div key={commit.sha} className="flex items-start space-x-2">
+              <span className="font-mono text-gray-500 shrink-0">{shortSha(commit.sha)}</span>
+              <span className="text-gray-800 break-words">{commit.message}</span>
+              {commit.author && <span className="text-gray-500 shrink-0">{commit.author}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {files.length === 0 ? (
+        <p className="text-gray-500">No .tf files of this deployment changed; other files may have.</p>
+      ) : (
+        <div className="border rounded divide-y">
+          {files.map(file => (
+            <div key={file.filename}>
+              <button
+                type="button"
+                onClick={() => toggleFile(file.filename)}
+                className="w-full flex items-center space-x-2 px-3 py-2 text-left hover:bg-gray-50"
+              >
+                {expanded.has(file.filename) ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                <span className="font-mono text-gray-900 break-all">{file.filename}</span>
+                <span className="text-gray-500">{file.status}</span>
+                <span className="text-green-700">+{file.additions}</span>
+                <span className="text-red-700">-{file.deletions}</span>
+              </button>
+              {expanded.has(file.filename) && (
+                <pre className="font-mono overflow-x-auto px-3 pb-2">
+                  {file.patch
+                    ? file.patch.split('\n').map((line, index) => (
+                      <div key={index} className={patchLineStyle(line)}>{line || ' '}</div>
+                    ))
+                    : <div className="text-gray-500">The diff of this file is too large to show.</div>}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UpstreamChanges
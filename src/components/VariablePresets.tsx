@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from 'react'
+import { Bookmark, Save, Trash2, Upload, Download, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+import { getErrorMessage } from '../utils/errors'
+
+interface Preset {
+  source: string
+  name: string
+  values: Record<string, unknown>
+  updatedBy?: string | null
+  updatedAt: string
+}
+
+interface PresetRepoData {
+  repoUrl: string
+  terraformVariables?: Record<string, unknown>
+}
+
+interface VariablePresetsProps {
+  repoData: PresetRepoData
+  // Values of the form as OpenTofu would receive them
+  values: Record<string, unknown>
+  canSave: boolean
+  disabled?: boolean
+  onApply: (values: Record<string, unknown>) => void
+}
+
+interface ImportResult {
+  values: Record<string, unknown>
+  unknown: string[]
+  mistyped: Array<{ name: string; message: string }>
+}
+
+const buttonClass = 'inline-flex items-center px-2 py-1 text-xs font-medium rounded border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed'
+
+const VariablePresets: React.FC<VariablePresetsProps> = ({ repoData, values, canSave, disabled = false, onApply }) => {
+  const [presets, setPresets] = useState<Preset[]>([])
+  const [selected, setSelected] = useState('')
+  const [newName, setNewName] = useState('')
+  const [notice, setNotice] = useState<string | null>(null)
+  const [warnings, setWarnings] = useState<string[]>([])
+  const [error, setError] = useState<string | null>(null)
+  const fileInput = useRef<HTMLInputElement>(null)
+
+  const loadPresets = () => {
+    axios.get('/api/presets', { params: { repoUrl: repoData.repoUrl } })
+      .then(response => setPresets(response.data))
+      .catch(err => setError(getErrorMessage(err)))
+  }
+
+  useEffect(loadPresets, [repoData.repoUrl])
+
+  const showResult = (message: string, messages: string[] = []) => {
+    setNotice(message)
+    setWarnings(messages)
+    setError(null)
+  }
+
+  const handleLoad = () => {
+    const preset = presets.find(p => p.name === selected)
+    if (!preset) {
+      return
+    }
+    const declared = repoData.terraformVariables || {}
+    const missing = Object.keys(preset.values).filter(name => !(name in declared))
+    onApply(preset.values)
+    showResult(
+      `Loaded preset "${preset.name}"`,
+      missing.map(name => `"${name}" is no longer a variable of this module and was skipped`)
+    )
+  }
+
+  const handleSave = async () => {
+    try {
+      const response = await axios.post('/api/presets', { repoData, name: newName, variables: values })
+      setSelected(response.data.name)
+      setNewName('')
+      loadPresets()
+      showResult(
+        `Saved preset "${response.data.name}"`,
+        response.data.excluded.length > 0 ? [`Not saved: ${response.data.excluded.join(', ')} (sensitive)`] : []
+      )
+    } catch (err) {
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the preset "${selected}"?`)) {
+      return
+    }
+    try {
+      await axios.delete(`/api/presets/${encodeURIComponent(selected)}`, { params: { repoUrl: repoData.repoUrl } })
+      setSelected('')
+      loadPresets()
+      showResult('Preset deleted')
+    } catch (err) {
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) {
+      return
+    }
+    try {
+      const response = await axios.post<ImportResult>('/api/tfvars/import', {
+        repoData,
+        filename: file.name,
+        content: await file.text()
+      })
+      const { values: imported, unknown, mistyped } = response.data
+      onApply(imported)
+      showResult(`Imported ${Object.keys(imported).length} value${Object.keys(imported).length === 1 ? '' : 's'} from ${file.name}`, [
+        ...unknown.map(name => `"${name}" is not a variable of this module`),
+        ...mistyped.map(({ name, message }) => `"${name}" was not imported: ${message}`)
+      ])
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      if (fileInput.current) {
+        fileInput.current.value = ''
+      }
+    }
+  }
+
+  const handleExport = async (format: 'hcl' | 'json') => {
+    try {
+      const response = await axios.post('/api/tfvars/export', { repoData, variables: values, format })
+      const url = URL.createObjectURL(new Blob([response.data.content], { type: 'text/plain' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = response.data.filename
+      link.click()
+      URL.revokeObjectURL(url)
+      showResult(
+        `Exported ${response.data.filename}`,
+        response.data.excluded.length > 0 ? [`Not exported: ${response.data.excluded.join(', ')} (sensitive)`] : []
+      )
+    } catch (err) {
+      setError(getErrorMessage(err))
+    }
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2 bg-gray-50">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark className="h-4 w-4 text-gray-500" />
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-xs bg-white"
+          disabled={disabled || presets.length === 0}
+        >
+          <option value="">{presets.length === 0 ? 'No presets' : 'Choose a preset'}</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleLoad} disabled={disabled || !selected} className={buttonClass}>
+          Load
+        </button>
+        {canSave && (
+          <button type="button" onClick={handleDelete} disabled={disabled || !selected} className={buttonClass} title="Delete preset">
+            <Trash2 className="h-3 w-3" />
+          </button>
+        )}
+        {canSave && (
+          <>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Preset name"
+              className="px-2 py-1 border border-gray-300 rounded text-xs w-32"
+              disabled={disabled}
+            />
+            <button type="button" onClick={handleSave} disabled={disabled || !newName.trim()} className={buttonClass}>
+              <Save className="h-3 w-3 mr-1" />
+              Save
+            </button>
+          </>
+        )}
+        <div className="flex items-center gap-2 ml-auto">
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".tfvars,.json"
+            className="hidden"
+            onChange={(e) => handleImport(e.target.files?.[0])}
+          />
+          <button type="button" onClick={() => fileInput.current?.click()} disabled={disabled} className={buttonClass}>
+            <Upload className="h-3 w-3 mr-1" />
+            Import tfvars
+          </button>
+          <button type="button" onClick={() => handleExport('hcl')} disabled={disabled} className={buttonClass}>
+            <Download className="h-3 w-3 mr-1" />
+            .tfvars
+          </button>
+          <button type="button" onClick={() => handleExport('json')} disabled={disabled} className={buttonClass}>
+            <Download className="h-3 w-3 mr-1" />
+            .tfvars.json
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {notice && <p className="text-xs text-gray-700">{notice}</p>}
+      {warnings.length > 0 && (
+        <ul className="space-y-0.5">
+          {warnings.map(warning => (
+            <li key={warning} className="flex items-start space-x-1 text-xs text-yellow-800">
+              <AlertTriangle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+              <span>{warning}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default VariablePresets
@@ -1,10 +1,15 @@
-import { useState, useEffect } from 'react'
-import { Play, Settings, AlertCircle, FileText, Code, Info, Terminal, Shield } from 'lucide-react'
+import { useState, useEffect, useMemo } from 'react'
+import { Play, Settings, AlertCircle, FileText, Code, Info, Terminal, Shield, CheckCircle, XCircle, HelpCircle, Pencil, Layers } from 'lucide-react'
+import { checkValidation } from '../utils/variable-validation'
+import { diffVariables } from '../utils/variable-diff'
+import VariablePresets from './VariablePresets'
+import BackendProfileSelect from './BackendProfileSelect'
+import type { ValidationRule, ValidationResult } from '../utils/variable-validation'
 
 interface Variable {
   value: any
   type: string
-  original: string
+  original: string | null
   source?: string
   sources?: string[]
   description?: string
@@ -13,31 +18,130 @@ interface Variable {
   sensitive?: boolean
   nullable?: boolean
   required?: boolean
+  validation?: ValidationRule[]
+}
+
+// Where and how a deployment is made, besides its variables
+export interface DeployOptions {
+  // Environment to deploy as, if one was entered
+  environment?: string
+  // Backend profile to keep the state in, '' for the deployment directory; the default when left out
+  backendProfile?: string
 }
 
 interface VariablesFormProps {
   variables: Record<string, Variable>
-  onDeploy: (variables: Record<string, any>) => void
+  onDeploy: (variables: Record<string, unknown>, options: DeployOptions) => void
   isDeploying: boolean
+  canDeploy?: boolean
+  // Modifying a deployment: the values it was applied with, and the sensitive variables
+  // it has stored values for, which may be left blank to keep them
+  currentValues?: Record<string, unknown>
+  storedSensitive?: string[]
+  // Backend profile of the deployment being modified, null for its deployment directory
+  currentBackendProfile?: string | null
+  // Source of the variables, for loading and saving presets and importing tfvars files
+  repoData?: { repoUrl: string; terraformVariables?: Record<string, unknown> }
 }
 
-const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDeploying }) => {
+// Environment names are OpenTofu workspace names, checked again by the server
+const ENVIRONMENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/
+
+// Lists, maps and objects are edited as JSON
+const isStructured = (variable: Variable) => variable.type === 'array' || variable.type === 'object'
+
+// Stands in for a stored sensitive value when diffing, which the form never sees
+const STORED_VALUE = '(stored value)'
+
+const NO_STORED_SENSITIVE: string[] = []
+
+const formatChangeValue = (value: unknown) => (typeof value === 'string' ? value : JSON.stringify(value))
+
+const VariablesForm: React.FC<VariablesFormProps> = ({
+  variables,
+  onDeploy,
+  isDeploying,
+  canDeploy = true,
+  currentValues,
+  storedSensitive = NO_STORED_SENSITIVE,
+  currentBackendProfile,
+  repoData
+}) => {
+  const isModifying = currentValues !== undefined
   const [formValues, setFormValues] = useState<Record<string, any>>({})
+  const [environment, setEnvironment] = useState('')
+  const [backendProfile, setBackendProfile] = useState<string | undefined>(undefined)
   const [errors, setErrors] = useState<Record<string, string>>({})
+  // Failed validation rules are only shown once a field was edited or the form submitted
+  const [touched, setTouched] = useState<Record<string, boolean>>({})
 
   useEffect(() => {
     const initialValues: Record<string, any> = {}
     Object.entries(variables).forEach(([key, variable]) => {
-      initialValues[key] = variable.value
+      const value = currentValues && key in currentValues
+        ? currentValues[key]
+        : storedSensitive.includes(key) ? '' : variable.value
+      initialValues[key] = isStructured(variable) && value !== null && typeof value !== 'string'
+        ? JSON.stringify(value, null, 2)
+        : value
     })
     setFormValues(initialValues)
-  }, [variables])
+    setTouched({})
+  }, [variables, currentValues, storedSensitive])
+
+  // Sensitive fields left blank keep the value stored with the deployment
+  const keepsStoredValue = (key: string) => storedSensitive.includes(key) && formValues[key] === ''
+
+  // Values as OpenTofu will receive them; JSON fields that do not parse yet are left out
+  const typedValues = useMemo(() => {
+    const values: Record<string, unknown> = {}
+    Object.entries(formValues).forEach(([key, value]) => {
+      if (storedSensitive.includes(key) && value === '') {
+        return
+      }
+      if (!variables[key] || !isStructured(variables[key])) {
+        values[key] = value
+        return
+      }
+      try {
+        values[key] = JSON.parse(value)
+      } catch {
+        // Reported by validateForm
+      }
+    })
+    return values
+  }, [variables, formValues, storedSensitive])
+
+  // What submitting changes compared to the values the deployment was applied with
+  const changes = useMemo(() => {
+    if (!currentValues) {
+      return []
+    }
+    const sensitive = Object.keys(variables).filter(key => variables[key].sensitive).concat(storedSensitive)
+    const stored = Object.fromEntries(storedSensitive.map(key => [key, STORED_VALUE]))
+    return diffVariables(
+      { ...currentValues, ...stored },
+      { ...stored, ...typedValues },
+      { sensitive }
+    )
+  }, [variables, currentValues, storedSensitive, typedValues])
+
+  const validationResults = useMemo(() => {
+    const results: Record<string, Array<ValidationRule & ValidationResult>> = {}
+    Object.entries(variables).forEach(([key, variable]) => {
+      if (variable.validation && variable.validation.length > 0 && key in typedValues) {
+        results[key] = variable.validation.map(rule => ({ ...rule, ...checkValidation(rule, typedValues) }))
+      }
+    })
+    return results
+  }, [variables, typedValues])
 
   const handleInputChange = (key: string, value: any) => {
     setFormValues(prev => ({
       ...prev,
       [key]: value
     }))
+    setTouched(prev => ({ ...prev, [key]: true }))
     
     if (errors[key]) {
       setErrors(prev => {
@@ -48,30 +152,66 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
     }
   }
 
+  // Fill the form with values from a preset or tfvars file; values of unknown variables are ignored
+  const applyValues = (values: Record<string, unknown>) => {
+    const applied = Object.entries(values)
+      .filter(([key]) => variables[key])
+      .map(([key, value]) => [
+        key,
+        isStructured(variables[key]) && value !== null && typeof value !== 'string' ? JSON.stringify(value, null, 2) : value
+      ])
+    setFormValues(prev => ({ ...prev, ...Object.fromEntries(applied) }))
+    setTouched(prev => ({ ...prev, ...Object.fromEntries(applied.map(([key]) => [key, true])) }))
+    setErrors(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !(key in values))))
+  }
+
   const validateForm = () => {
     const newErrors: Record<string, string> = {}
     
     Object.entries(variables).forEach(([key, variable]) => {
       const value = formValues[key]
       
+      if (keepsStoredValue(key)) {
+        return
+      }
+      
       if (value === undefined || value === null || value === '') {
         newErrors[key] = 'This field is required'
       } else if (variable.type === 'number' && isNaN(Number(value))) {
         newErrors[key] = 'Must be a valid number'
       } else if (variable.type === 'boolean' && typeof value !== 'boolean') {
         newErrors[key] = 'Must be true or false'
+      } else if (isStructured(variable)) {
+        try {
+          const parsed = JSON.parse(value)
+          if (variable.type === 'array' && !Array.isArray(parsed)) {
+            newErrors[key] = 'Must be a JSON list'
+          } else if (variable.type === 'object' && (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed))) {
+            newErrors[key] = 'Must be a JSON object'
+          }
+        } catch {
+          newErrors[key] = 'Must be valid JSON'
+        }
+      }
+      
+      if (!newErrors[key] && validationResults[key]?.some(result => result.status === 'invalid')) {
+        newErrors[key] = 'Does not pass the validation rules below'
       }
     })
     
     setErrors(newErrors)
+    setTouched(Object.fromEntries(Object.keys(variables).map(key => [key, true])))
     return Object.keys(newErrors).length === 0
   }
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
     
-    if (validateForm()) {
-      onDeploy(formValues)
+    if (validateForm() && environmentValid) {
+      onDeploy(typedValues, {
+        environment: isModifying ? undefined : environment.trim() || undefined,
+        backendProfile
+      })
     }
   }
 
@@ -123,12 +263,28 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
           />
         )
       
+      case 'array':
+      case 'object':
+        return (
+          <textarea
+            value={value || ''}
+            onChange={(e) => handleInputChange(key, e.target.value)}
+            rows={Math.min(12, Math.max(3, String(value || '').split('\n').length))}
+            spellCheck={false}
+            className={`block w-full px-3 py-2 border rounded-md shadow-sm font-mono text-xs focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${
+              error ? 'border-red-300' : 'border-gray-300'
+            }`}
+            disabled={isDeploying}
+          />
+        )
+      
       default:
         return (
           <input
             type="text"
             value={value || ''}
             onChange={(e) => handleInputChange(key, e.target.value)}
+            placeholder={storedSensitive.includes(key) ? 'Leave blank to keep the stored value' : undefined}
             className={`block w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm ${
               error ? 'border-red-300' : 'border-gray-300'
             }`}
@@ -138,7 +294,40 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
     }
   }
 
+  const renderValidation = (key: string) => {
+    const results = validationResults[key]
+    if (!results) {
+      return null
+    }
+    
+    return (
+      <ul className="mt-2 space-y-1 text-xs">
+        {results.map((result, index) => {
+          const showError = result.status === 'invalid' && touched[key]
+          return (
+            <li key={index} className="flex items-start space-x-1">
+              {result.status === 'valid' && <CheckCircle className="h-3.5 w-3.5 text-green-600 mt-0.5 flex-shrink-0" />}
+              {result.status === 'invalid' && (
+                <XCircle className={`h-3.5 w-3.5 mt-0.5 flex-shrink-0 ${showError ? 'text-red-600' : 'text-gray-400'}`} />
+              )}
+              {result.status === 'unknown' && <HelpCircle className="h-3.5 w-3.5 text-gray-400 mt-0.5 flex-shrink-0" />}
+              {showError ? (
+                <span className="text-red-600">{result.message}</span>
+              ) : (
+                <span className="text-gray-500">
+                  <code className="bg-gray-100 px-1 rounded break-all">{result.condition}</code>
+                  {result.status === 'unknown' && ' (checked by OpenTofu during the plan)'}
+                </span>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    )
+  }
+
   const hasVariables = Object.keys(variables).length > 0
+  const environmentValid = isModifying || !environment.trim() || ENVIRONMENT_NAME_PATTERN.test(environment.trim())
 
   if (!hasVariables) {
     return (
@@ -151,6 +340,16 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
 
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
+      {repoData && (
+        <VariablePresets
+          repoData={repoData}
+          values={typedValues}
+          canSave={canDeploy}
+          disabled={isDeploying}
+          onApply={applyValues}
+        />
+      )}
+
       <div className="space-y-4">
         {Object.entries(variables).map(([key, variable]) => (
           <div key={key} className="border border-gray-200 rounded-lg p-4">
@@ -205,6 +404,8 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
             
             {renderInput(key, variable)}
             
+            {renderValidation(key)}
+            
             {errors[key] && (
               <div className="flex items-center space-x-1 mt-2">
                 <AlertCircle className="h-4 w-4 text-red-600" />
@@ -232,10 +433,67 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
         ))}
       </div>
 
+      {isModifying && (
+        <div className="p-3 bg-gray-50 border border-gray-200 rounded text-xs space-y-1">
+          <div className="font-medium text-gray-700">
+            {changes.length > 0
+              ? `${changes.length} variable${changes.length === 1 ? '' : 's'} changed`
+              : 'No variable changes; the latest revision of the repository will be planned'}
+          </div>
+          {changes.map(({ name, change, sensitive, before, after }) => (
+            <div key={name} className="font-mono break-all">
+              <span className={change === 'added' ? 'text-green-700' : change === 'removed' ? 'text-red-700' : 'text-blue-700'}>
+                {change === 'added' ? '+' : change === 'removed' ? '-' : '~'} {name}
+              </span>
+              {sensitive ? (
+                <span className="text-gray-500"> (sensitive value {change})</span>
+              ) : change === 'changed' ? (
+                <span className="text-gray-600">: {formatChangeValue(before)} → {formatChangeValue(after)}</span>
+              ) : (
+                <span className="text-gray-600">: {formatChangeValue(change === 'added' ? after : before)}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!isModifying && (
+        <div>
+          <label htmlFor="deploy-environment" className="flex items-center space-x-1 text-sm font-medium text-gray-700 mb-1">
+            <Layers className="h-4 w-4 text-gray-500" />
+            <span>Environment (optional)</span>
+          </label>
+          <input
+            id="deploy-environment"
+            type="text"
+            value={environment}
+            onChange={(e) => setEnvironment(e.target.value)}
+            placeholder="dev, staging, prod"
+            className={`block w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm ${
+              environmentValid ? 'border-gray-300' : 'border-red-300'
+            }`}
+            disabled={isDeploying}
+          />
+          <p className={`mt-1 text-xs ${environmentValid ? 'text-gray-500' : 'text-red-600'}`}>
+            {environmentValid
+              ? 'Each environment of this source is deployed once, in an OpenTofu workspace of the same name'
+              : 'Lowercase letters, digits, - and _, starting with a letter or digit, at most 40 characters'}
+          </p>
+        </div>
+      )}
+
+      <BackendProfileSelect
+        value={backendProfile}
+        onChange={setBackendProfile}
+        current={isModifying ? currentBackendProfile ?? null : undefined}
+        disabled={isDeploying}
+      />
+
       <div className="pt-4 border-t">
         <button
           type="submit"
-          disabled={isDeploying || Object.keys(errors).length > 0}
+          disabled={!canDeploy || isDeploying || Object.keys(errors).length > 0 || !environmentValid}
+          title={canDeploy ? undefined : 'Deploying requires the deployer role'}
           className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent 
                      text-base font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 
                      focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 
@@ -244,7 +502,12 @@ const VariablesForm: React.FC<VariablesFormProps> = ({ variables, onDeploy, isDe
           {isDeploying ? (
             <>
               <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-              Deploying...
+              {isModifying ? 'Modifying...' : 'Deploying...'}
+            </>
+          ) : isModifying ? (
+            <>
+              <Pencil className="h-5 w-5 mr-2" />
+              Plan modification
             </>
           ) : (
             <>
@@ -0,0 +1,141 @@
+/**
+ * Authentication middleware
+ * Resolves the user of each HTTP request and socket connection from the session
+ * cookie or a Bearer token, and enforces roles on routes
+ *
+ * Environment Variables:
+ * - AUTH_COOKIE_SECURE: Set to true to mark the session cookie Secure (when served over HTTPS)
+ */
+
+import {
+  ANONYMOUS_USER,
+  isAuthEnabled,
+  hasRole,
+  verifySessionToken
+} from '../services/auth-service.js';
+
+const SESSION_COOKIE = 'deployer_session';
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+
+  (header || '').split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const name = part.substring(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.substring(index + 1).trim());
+    } catch {
+      // Ignore cookies that are not URI encoded
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Resolve the user from a session token, or the anonymous user when authentication is disabled
+ * @param {string|undefined} token - Session token
+ * @param {string} [forwardedUser] - User name set by an authenticating reverse proxy
+ * @returns {Promise<Object|null>} Session user, or null if not signed in
+ */
+async function resolveUser(token, forwardedUser) {
+  if (!isAuthEnabled()) {
+    return forwardedUser ? { ...ANONYMOUS_USER, name: forwardedUser } : ANONYMOUS_USER;
+  }
+  return token ? verifySessionToken(token) : null;
+}
+
+/**
+ * Express middleware setting req.user from the Bearer token or session cookie
+ */
+async function authenticate(req, res, next) {
+  try {
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ')
+      ? authorization.substring(7)
+      : parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+
+    req.user = await resolveUser(token, req.get('X-Forwarded-User') || req.get('X-Forwarded-Email'));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Express middleware factory requiring a signed-in user with at least the given role
+ * @param {string} role - Minimum role (viewer, deployer or admin)
+ * @returns {Function} Middleware answering 401 or 403 when the requirement is not met
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.io middleware setting socket.data.user, refusing connections without a session
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { headers, auth } = socket.handshake;
+    const token = (auth && auth.token) || parseCookies(headers.cookie)[SESSION_COOKIE];
+    const user = await resolveUser(token, headers['x-forwarded-user'] || headers['x-forwarded-email']);
+
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Set the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} session - Token and expiry from createSessionToken
+ */
+function setSessionCookie(req, res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.AUTH_COOKIE_SECURE === 'true',
+    expires: new Date(expiresAt),
+    path: '/'
+  });
+}
+
+/**
+ * Clear the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+export {
+  parseCookies,
+  authenticate,
+  requireRole,
+  authenticateSocket,
+  setSessionCookie,
+  clearSessionCookie
+};
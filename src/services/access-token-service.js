@@ -0,0 +1,240 @@
+/**
+ * Access token service
+ * Keeps the credentials used to read private repositories, one per host. Credentials
+ * are either an access token (a personal, project or installation access token) or
+ * a GitHub App that installation tokens are created for. Credentials added through
+ * the API are stored encrypted with the secret store's master key.
+ *
+ * Environment Variables:
+ * - SOURCE_ACCESS_TOKENS: Server-configured tokens as host=token pairs separated by commas,
+ *   e.g. github.com=ghp_xxx,gitlab.example.com=glpat-xxx
+ * - GITHUB_TOKEN: Token for github.com, unless SOURCE_ACCESS_TOKENS configures one
+ * - ACCESS_TOKENS_FILE: Stored credentials file (defaults to DEPLOYMENTS_DIR/.access-tokens.json)
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { getDeploymentsDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { encryptJson, decryptJson } from './secret-store.js';
+
+// Kinds of credentials a host can have
+const CREDENTIAL_KINDS = ['token', 'github-app'];
+
+// Pending credentials file updates, so concurrent updates never overwrite each other
+let pendingTokensUpdate = Promise.resolve();
+
+/**
+ * Get the path of the stored credentials file
+ * @returns {string} Credentials file path
+ */
+function getTokensPath() {
+  return process.env.ACCESS_TOKENS_FILE || path.join(getDeploymentsDir(), '.access-tokens.json');
+}
+
+/**
+ * Normalize a host name, so github.com and GitHub.com:443 name the same host
+ * @param {string} host - Host name, optionally with port
+ * @returns {string} Lower-case host without the default HTTPS port
+ */
+function normalizeHost(host) {
+  return String(host || '').trim().toLowerCase().replace(/:443$/, '');
+}
+
+/**
+ * Read the tokens configured through the environment
+ * @returns {Map<string, string>} Token keyed by host
+ */
+function readEnvironmentTokens() {
+  const tokens = new Map();
+  if (process.env.GITHUB_TOKEN) {
+    tokens.set('github.com', process.env.GITHUB_TOKEN);
+  }
+
+  (process.env.SOURCE_ACCESS_TOKENS || '').split(',').forEach((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      tokens.set(normalizeHost(pair.substring(0, separator)), pair.substring(separator + 1).trim());
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Read the stored credentials, still encrypted
+ * @returns {Promise<Array>} Stored entries
+ */
+async function readStoredTokens() {
+  return (await readJsonFile(getTokensPath())) || [];
+}
+
+/**
+ * Update the stored credentials file
+ * @param {Function} updater - Receives the current entries and returns the updated list
+ * @returns {Promise<Array>} Updated entries
+ */
+function updateStoredTokens(updater) {
+  const update = pendingTokensUpdate.catch(() => {}).then(async () => {
+    const entries = await updater(await readStoredTokens());
+    await writeJsonFile(getTokensPath(), entries, { mode: 0o600 });
+    return entries;
+  });
+
+  pendingTokensUpdate = update;
+  return update;
+}
+
+/**
+ * Show the last characters of a token, enough to recognize it
+ * @param {string} token - Token
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  return token.length > 8 ? `…${token.slice(-4)}` : '…';
+}
+
+/**
+ * Strip the encrypted credentials from a stored entry
+ * @param {Object} entry - Stored entry
+ * @returns {Object} Entry safe to return from the API
+ */
+function toPublicEntry(entry) {
+  return {
+    host: entry.host,
+    kind: entry.kind,
+    label: entry.label || '',
+    preview: entry.preview,
+    appId: entry.appId,
+    installationId: entry.installationId,
+    source: 'stored',
+    createdBy: entry.createdBy || null,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * List the hosts that have credentials, without the credentials themselves
+ * Stored credentials take precedence over the ones configured in the environment
+ * @returns {Promise<Array>} Entries with host, kind, label, preview and source ('stored' or 'environment')
+ */
+async function listAccessTokens() {
+  const stored = (await readStoredTokens()).map(toPublicEntry);
+  const environment = [...readEnvironmentTokens()]
+    .filter(([host]) => !stored.some(entry => entry.host === host))
+    .map(([host, token]) => ({ host, kind: 'token', label: '', preview: maskToken(token), source: 'environment' }));
+
+  return [...stored, ...environment].sort((a, b) => a.host.localeCompare(b.host));
+}
+
+/**
+ * Validate the credentials of a new entry
+ * @param {Object} details - Entry details
+ * @returns {Object} Credentials to encrypt
+ */
+function validateCredentials({ kind, token, appId, installationId, privateKey }) {
+  if (kind === 'token') {
+    if (typeof token !== 'string' || token.trim().length === 0) {
+      throw new Error('Token is required');
+    }
+    return { token: token.trim() };
+  }
+
+  if (!/^\d+$/.test(String(appId || '')) || !/^\d+$/.test(String(installationId || ''))) {
+    throw new Error('GitHub App ID and installation ID must be numbers');
+  }
+  try {
+    crypto.createPrivateKey(privateKey);
+  } catch (error) {
+    throw new Error('Private key must be the PEM key of the GitHub App');
+  }
+  return { privateKey };
+}
+
+/**
+ * Store the credentials of a host, replacing any stored before
+ * @param {Object} details - Entry details
+ * @param {string} details.host - Host the credentials are for
+ * @param {string} details.kind - One of CREDENTIAL_KINDS
+ * @param {string} [details.token] - Access token, for kind token
+ * @param {string} [details.appId] - GitHub App ID, for kind github-app
+ * @param {string} [details.installationId] - Installation of the app, for kind github-app
+ * @param {string} [details.privateKey] - PEM private key of the app, for kind github-app
+ * @param {string} [details.label] - Note on what the credentials are
+ * @param {string} [details.createdBy] - Who added them
+ * @returns {Promise<Object>} Stored entry without the credentials
+ */
+async function saveAccessToken({ host, kind = 'token', token, appId, installationId, privateKey, label, createdBy }) {
+  const normalizedHost = normalizeHost(host);
+  if (!/^[a-z0-9.-]+(:\d+)?$/.test(normalizedHost)) {
+    throw new Error('Host must be a host name like github.com or gitlab.example.com');
+  }
+  if (!CREDENTIAL_KINDS.includes(kind)) {
+    throw new Error(`Kind must be one of ${CREDENTIAL_KINDS.join(', ')}`);
+  }
+
+  const credentials = validateCredentials({ kind, token, appId, installationId, privateKey });
+  const entry = {
+    host: normalizedHost,
+    kind,
+    label: String(label || '').substring(0, 100),
+    preview: kind === 'token' ? maskToken(credentials.token) : `app ${appId}`,
+    ...(kind === 'github-app' && { appId: String(appId), installationId: String(installationId) }),
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+    ...await encryptJson(credentials)
+  };
+
+  await updateStoredTokens(entries => [...entries.filter(existing => existing.host !== normalizedHost), entry]);
+  return toPublicEntry(entry);
+}
+
+/**
+ * Delete the stored credentials of a host
+ * @param {string} host - Host name
+ * @returns {Promise<boolean>} True if credentials were stored for the host
+ */
+async function deleteAccessToken(host) {
+  const normalizedHost = normalizeHost(host);
+  let found = false;
+  await updateStoredTokens(entries => entries.filter((entry) => {
+    if (entry.host === normalizedHost) {
+      found = true;
+      return false;
+    }
+    return true;
+  }));
+  return found;
+}
+
+/**
+ * Get the credentials for a host
+ * Credentials that cannot be decrypted, e.g. after the master key changed, are skipped with a warning
+ * @param {string} host - Host name
+ * @returns {Promise<Object|null>} { kind: 'token', token } or { kind: 'github-app', appId, installationId, privateKey },
+ *   or null if the host has none
+ */
+async function getAccessCredentials(host) {
+  const normalizedHost = normalizeHost(host);
+  const entry = (await readStoredTokens()).find(stored => stored.host === normalizedHost);
+
+  if (entry) {
+    try {
+      const credentials = await decryptJson(entry);
+      return { kind: entry.kind, appId: entry.appId, installationId: entry.installationId, ...credentials };
+    } catch (error) {
+      console.warn(`Access token for ${normalizedHost} cannot be used: ${error.message}`);
+    }
+  }
+
+  const token = readEnvironmentTokens().get(normalizedHost);
+  return token ? { kind: 'token', token } : null;
+}
+
+export {
+  CREDENTIAL_KINDS,
+  normalizeHost,
+  listAccessTokens,
+  saveAccessToken,
+  deleteAccessToken,
+  getAccessCredentials
+};
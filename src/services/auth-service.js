@@ -0,0 +1,420 @@
+/**
+ * Authentication service
+ * Local users with scrypt password hashes, signed session tokens and role checks.
+ * Users sign in with a password or through OIDC (see oidc-service.js); both end
+ * up with the same kind of session token. Tokens are signed with the generation of
+ * their user's sessions, and signing out starts a new generation, revoking them all.
+ * Local users are looked up on every request, so deleted users are signed out and
+ * role changes apply at once.
+ *
+ * Environment Variables:
+ * - AUTH_ENABLED: Set to true to require login (defaults to false, everyone acts as admin)
+ * - AUTH_USERS_FILE: Local users file (defaults to DEPLOYMENTS_DIR/.users.json)
+ * - AUTH_ADMIN_USER / AUTH_ADMIN_PASSWORD: Admin account created on startup when no local users exist
+ * - AUTH_SESSION_TTL: Session lifetime in hours (defaults to 12)
+ * - AUTH_SESSIONS_FILE: Session generations file (defaults to DEPLOYMENTS_DIR/.sessions.json)
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { promisify } from 'util';
+import { getDeploymentsDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { deriveSecret } from './secret-store.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'deployer', 'admin'];
+
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_TTL) || 12) * 3600 * 1000;
+const PASSWORD_KEY_LENGTH = 64;
+
+// User used for every request when authentication is disabled
+const ANONYMOUS_USER = { name: 'anonymous', role: 'admin', provider: 'none' };
+
+// Pending users file updates, so concurrent updates never overwrite each other
+let pendingUsersUpdate = Promise.resolve();
+
+// Pending session generations file updates
+let pendingSessionsUpdate = Promise.resolve();
+
+/**
+ * Whether login is required
+ * @returns {boolean} True if authentication is enabled
+ */
+function isAuthEnabled() {
+  return process.env.AUTH_ENABLED === 'true';
+}
+
+/**
+ * Whether a role grants at least the privileges of another
+ * @param {string} role - Role the user has
+ * @param {string} required - Role the operation requires
+ * @returns {boolean} True if the role is sufficient
+ */
+function hasRole(role, required) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(required);
+}
+
+/**
+ * Get the path of the local users file
+ * @returns {string} Users file path
+ */
+function getUsersPath() {
+  return process.env.AUTH_USERS_FILE || path.join(getDeploymentsDir(), '.users.json');
+}
+
+/**
+ * Read all local users, including password hashes
+ * @returns {Promise<Array>} Users
+ */
+async function readUsers() {
+  return (await readJsonFile(getUsersPath())) || [];
+}
+
+/**
+ * Update the local users file
+ * @param {Function} updater - Receives the current users and returns the updated list
+ * @returns {Promise<Array>} Updated users
+ */
+function updateUsers(updater) {
+  const update = pendingUsersUpdate.catch(() => {}).then(async () => {
+    const users = await updater(await readUsers());
+    await writeJsonFile(getUsersPath(), users, { mode: 0o600 });
+    return users;
+  });
+
+  pendingUsersUpdate = update;
+  return update;
+}
+
+/**
+ * Strip the password hash from a stored user
+ * @param {Object} user - Stored user
+ * @returns {Object} User safe to return from the API
+ */
+function toPublicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form scrypt$<salt>$<hash>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * List local users
+ * @returns {Promise<Array>} Users without password hashes
+ */
+async function listUsers() {
+  return (await readUsers()).map(toPublicUser);
+}
+
+/**
+ * Create a local user
+ * @param {Object} details - User details
+ * @param {string} details.username - Login name
+ * @param {string} details.password - Plain text password
+ * @param {string} details.role - One of ROLES
+ * @returns {Promise<Object>} Created user without password hash
+ */
+async function createUser({ username, password, role }) {
+  if (!username || !/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+    throw new Error('Username may only contain letters, digits and . _ @ -');
+  }
+  if (!password || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const user = {
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+
+  await updateUsers((users) => {
+    if (users.some(existing => existing.username === username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    return [...users, user];
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Change the role or password of a local user
+ * @param {string} username - Login name
+ * @param {Object} changes - New role and/or password
+ * @returns {Promise<Object|null>} Updated user, or null if the user does not exist
+ */
+async function updateUser(username, { role, password }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+  if (password !== undefined && password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+  let updated = null;
+
+  await updateUsers(users => users.map((user) => {
+    if (user.username !== username) {
+      return user;
+    }
+    updated = {
+      ...user,
+      ...(role !== undefined && { role }),
+      ...(passwordHash && { passwordHash })
+    };
+    return updated;
+  }));
+
+  // Whoever knew the old password may still hold a session
+  if (updated && passwordHash) {
+    await revokeSessions({ name: username, provider: 'local' });
+  }
+
+  return updated && toPublicUser(updated);
+}
+
+/**
+ * Delete a local user
+ * @param {string} username - Login name
+ * @returns {Promise<boolean>} True if the user existed
+ */
+async function deleteUser(username) {
+  let found = false;
+  await updateUsers(users => users.filter((user) => {
+    if (user.username === username) {
+      found = true;
+      return false;
+    }
+    return true;
+  }));
+
+  // Also ends the sessions of a user created again under the same name
+  if (found) {
+    await revokeSessions({ name: username, provider: 'local' });
+  }
+  return found;
+}
+
+/**
+ * Create the admin account from AUTH_ADMIN_USER/AUTH_ADMIN_PASSWORD if there are no local users yet
+ */
+async function ensureAdminUser() {
+  if (!isAuthEnabled()) {
+    return;
+  }
+
+  const users = await readUsers();
+  if (users.length > 0) {
+    return;
+  }
+
+  const username = process.env.AUTH_ADMIN_USER || 'admin';
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!password) {
+    console.warn('Authentication is enabled but no local users exist; set AUTH_ADMIN_PASSWORD to create an admin');
+    return;
+  }
+
+  await createUser({ username, password, role: 'admin' });
+  console.log(`Created admin user ${username}`);
+}
+
+/**
+ * Check a local user's credentials
+ * @param {string} username - Login name
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} Session user, or null if the credentials are wrong
+ */
+async function authenticateLocalUser(username, password) {
+  const user = (await readUsers()).find(entry => entry.username === username);
+
+  if (!user) {
+    // Hash anyway so response times do not reveal which usernames exist
+    await hashPassword(password || '');
+    return null;
+  }
+
+  if (!(await verifyPassword(password || '', user.passwordHash))) {
+    return null;
+  }
+
+  return { name: user.username, role: user.role, provider: 'local' };
+}
+
+/**
+ * Sign data into a tamper-proof token that expires
+ * @param {Object} data - Data to sign
+ * @param {string} purpose - What the token is for; tokens for one purpose are rejected for another
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<Object>} Token and its expiry
+ */
+async function signToken(data, purpose, ttlMs) {
+  const expiresAt = Date.now() + ttlMs;
+  const payload = Buffer.from(JSON.stringify({ ...data, exp: expiresAt })).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', await deriveSecret(purpose))
+    .update(payload)
+    .digest('base64url');
+
+  return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Verify a token produced by signToken
+ * @param {string} token - Token
+ * @param {string} purpose - Purpose the token must have been signed for
+ * @returns {Promise<Object|null>} Signed data, or null if the token is invalid or expired
+ */
+async function verifyToken(token, purpose) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', await deriveSecret(purpose))
+    .update(payload)
+    .digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { exp, ...data } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    return exp > Date.now() ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the path of the session generations file
+ * @returns {string} Session generations file path
+ */
+function getSessionsPath() {
+  return process.env.AUTH_SESSIONS_FILE || path.join(getDeploymentsDir(), '.sessions.json');
+}
+
+/**
+ * Get the key a user's session generation is stored under
+ * @param {Object} user - Session user with name and provider
+ * @returns {string} Key, e.g. local:alice
+ */
+function getSessionKey(user) {
+  return `${user.provider}:${user.name}`;
+}
+
+/**
+ * Get the current session generation of a user
+ * @param {Object} user - Session user with name and provider
+ * @returns {Promise<string|undefined>} Generation, or undefined if the user's sessions were never revoked
+ */
+async function getSessionGeneration(user) {
+  const generations = (await readJsonFile(getSessionsPath())) || {};
+  return generations[getSessionKey(user)];
+}
+
+/**
+ * Revoke every session token of a user by starting a new session generation
+ * @param {Object} user - Session user with name and provider
+ * @returns {Promise<void>}
+ */
+function revokeSessions(user) {
+  const update = pendingSessionsUpdate.catch(() => {}).then(async () => {
+    const generations = (await readJsonFile(getSessionsPath())) || {};
+    generations[getSessionKey(user)] = crypto.randomBytes(12).toString('base64url');
+    await writeJsonFile(getSessionsPath(), generations, { mode: 0o600 });
+  });
+
+  pendingSessionsUpdate = update;
+  return update;
+}
+
+/**
+ * Sign a session token for a user
+ * @param {Object} user - Session user with name, role and provider
+ * @returns {Promise<Object>} Token and its expiry
+ */
+async function createSessionToken(user) {
+  const generation = await getSessionGeneration(user);
+  return signToken({ ...user, ...(generation && { generation }) }, 'session-token', SESSION_TTL_MS);
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token produced by createSessionToken
+ * @returns {Promise<Object|null>} Session user with the current role of local users, or null if
+ *   the token is invalid, expired or revoked, or its local user no longer exists
+ */
+async function verifySessionToken(token) {
+  const data = await verifyToken(token, 'session-token');
+  if (!data) {
+    return null;
+  }
+
+  const { generation, ...user } = data;
+  if (generation !== await getSessionGeneration(user)) {
+    return null;
+  }
+  if (user.provider !== 'local') {
+    return user;
+  }
+
+  const stored = (await readUsers()).find(entry => entry.username === user.name);
+  return stored ? { ...user, role: stored.role } : null;
+}
+
+export {
+  ROLES,
+  ANONYMOUS_USER,
+  SESSION_TTL_MS,
+  isAuthEnabled,
+  hasRole,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdminUser,
+  authenticateLocalUser,
+  signToken,
+  verifyToken,
+  createSessionToken,
+  verifySessionToken,
+  revokeSessions
+};
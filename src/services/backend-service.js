@@ -0,0 +1,280 @@
+/**
+ * Backend service
+ * Keeps the state of deployments in backends defined as profiles on the server. A profile
+ * names a backend type and its settings; each deployment gets a state key of its own in it.
+ * The settings are written to a backend configuration file passed to `tofu init` with
+ * -backend-config, so the module itself only declares the backend type. Deployments
+ * without a profile keep their state in their deployment directory.
+ *
+ * Environment Variables:
+ * - BACKEND_PROFILES_FILE: JSON file of backend profiles keyed by name (no profiles when unset)
+ * - DEFAULT_BACKEND_PROFILE: Profile of deployments that do not choose one (state in the deployment directory when unset)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile, isValidDeploymentId } from '../utils/file-utils.js';
+import { serializeHclValue } from '../utils/hcl-serializer.js';
+
+// Declares the backend type of the profile, overriding a backend the module declares
+const BACKEND_OVERRIDE_FILE = 'deployer_backend_override.tf';
+
+// Backend settings of a deployment, relative to its deployment directory
+const BACKEND_CONFIG_FILE = path.join('.deployer', 'backend.tfbackend');
+
+/**
+ * Replace the {key} placeholder of an HTTP state server address with the state key,
+ * or append the key as the last path segment if the address has none
+ * @param {string} address - Address of the profile
+ * @param {string} key - State key
+ * @returns {string} Address of the state
+ */
+function expandStateAddress(address, key) {
+  if (address.includes('{key}')) {
+    return address.split('{key}').join(encodeURIComponent(key));
+  }
+  return `${address.replace(/\/+$/, '')}/${encodeURIComponent(key)}`;
+}
+
+// Supported backend types, with the settings that give a deployment a state of its own
+const BACKEND_TYPES = {
+  // Object storage with the S3 API, such as AWS S3 or MinIO
+  s3: {
+    workspaces: true,
+    getStateSettings: (key, profile) => ({ key: `${profile.keyPrefix ?? 'opentofu-deployer/'}${key}/terraform.tfstate` }),
+    describeState: settings => `s3://${settings.bucket}/${settings.key}`
+  },
+  // A state server speaking the HTTP backend protocol; has no workspaces
+  http: {
+    workspaces: false,
+    getStateSettings: (key, profile) => Object.fromEntries(
+      ['address', 'lock_address', 'unlock_address']
+        .filter(name => profile.config[name])
+        .map(name => [name, expandStateAddress(profile.config[name], key)])
+    ),
+    describeState: settings => settings.address
+  },
+  // PostgreSQL, one schema per deployment
+  pg: {
+    workspaces: true,
+    getStateSettings: (key, profile) => ({
+      schema_name: `${profile.keyPrefix ?? 'deployer_'}${key}`.toLowerCase().replace(/[^a-z0-9_]/g, '_')
+    }),
+    describeState: settings => `schema ${settings.schema_name}`
+  },
+  // Consul KV store
+  consul: {
+    workspaces: true,
+    getStateSettings: (key, profile) => ({ path: `${profile.keyPrefix ?? 'opentofu-deployer/'}${key}` }),
+    describeState: settings => `consul:${settings.path}`
+  },
+  // A directory on the server, such as a shared volume
+  local: {
+    workspaces: true,
+    getStateSettings: (key, profile) => ({
+      path: path.join(profile.directory, key, 'terraform.tfstate'),
+      workspace_dir: path.join(profile.directory, key, 'terraform.tfstate.d')
+    }),
+    describeState: settings => settings.path
+  }
+};
+
+/**
+ * Create an error for a backend profile that cannot be used
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the code
+ */
+function createBackendError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the backend profiles of the server
+ * @returns {Promise<Object>} Profiles keyed by name
+ * @throws {Error} With code INVALID_BACKEND_PROFILES if the profiles file is not valid
+ */
+async function readBackendProfiles() {
+  if (!process.env.BACKEND_PROFILES_FILE) {
+    return {};
+  }
+
+  let profiles;
+  try {
+    profiles = await readJsonFile(process.env.BACKEND_PROFILES_FILE);
+  } catch (error) {
+    throw createBackendError(`Unable to read BACKEND_PROFILES_FILE: ${error.message}`, 'INVALID_BACKEND_PROFILES');
+  }
+  if (!profiles) {
+    return {};
+  }
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw createBackendError('BACKEND_PROFILES_FILE must hold a JSON object of profiles keyed by name', 'INVALID_BACKEND_PROFILES');
+  }
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    if (!BACKEND_TYPES[profile?.type]) {
+      throw createBackendError(
+        `Backend profile "${name}" must have a type of ${Object.keys(BACKEND_TYPES).join(', ')}`,
+        'INVALID_BACKEND_PROFILES'
+      );
+    }
+    if (profile.config !== undefined && (typeof profile.config !== 'object' || Array.isArray(profile.config))) {
+      throw createBackendError(`The config of backend profile "${name}" must be an object`, 'INVALID_BACKEND_PROFILES');
+    }
+    if (profile.type === 'http' && !profile.config?.address) {
+      throw createBackendError(`Backend profile "${name}" needs a config.address`, 'INVALID_BACKEND_PROFILES');
+    }
+    if (profile.type === 'local' && !path.isAbsolute(profile.directory || '')) {
+      throw createBackendError(`Backend profile "${name}" needs an absolute directory`, 'INVALID_BACKEND_PROFILES');
+    }
+  });
+  return profiles;
+}
+
+/**
+ * List the backend profiles deployments can choose from
+ * Settings are left out, as they may hold credentials
+ * @returns {Promise<Array>} Profiles with name, type, description and whether they are the default
+ */
+async function listBackendProfiles() {
+  const profiles = await readBackendProfiles();
+  return Object.entries(profiles)
+    .map(([name, profile]) => ({
+      name,
+      type: profile.type,
+      description: profile.description || null,
+      workspaces: BACKEND_TYPES[profile.type].workspaces,
+      default: name === process.env.DEFAULT_BACKEND_PROFILE
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve the backend of a deployment
+ * @param {string} deploymentId - Deployment ID, the state key within the profile
+ * @param {string|null} [profileName] - Profile name; the default profile when undefined, none when null or empty
+ * @returns {Promise<Object|null>} { profile, type, workspaces, location, settings }, or null to keep
+ *   the state in the deployment directory
+ * @throws {Error} With code UNKNOWN_BACKEND_PROFILE if the server has no such profile, or
+ *   INVALID_DEPLOYMENT_ID if the ID cannot be used as a state key
+ */
+async function resolveBackend(deploymentId, profileName) {
+  // The ID becomes part of the state path, which must stay within the profile's prefix or directory
+  if (!isValidDeploymentId(deploymentId)) {
+    throw createBackendError('Invalid deployment ID', 'INVALID_DEPLOYMENT_ID');
+  }
+  const name = profileName === undefined ? process.env.DEFAULT_BACKEND_PROFILE : profileName;
+  if (!name) {
+    return null;
+  }
+
+  const profiles = await readBackendProfiles();
+  const profile = Object.hasOwn(profiles, name) ? profiles[name] : null;
+  if (!profile) {
+    throw createBackendError(`Unknown backend profile: ${name}`, 'UNKNOWN_BACKEND_PROFILE');
+  }
+
+  const type = BACKEND_TYPES[profile.type];
+  const config = profile.config || {};
+  const settings = { ...config, ...type.getStateSettings(deploymentId, { ...profile, config }) };
+  return {
+    profile: name,
+    type: profile.type,
+    workspaces: type.workspaces,
+    location: type.describeState(settings),
+    settings
+  };
+}
+
+/**
+ * Describe the backend of a deployment for its manifest, without its settings
+ * @param {Object|null} backend - Backend from resolveBackend
+ * @returns {Object|null} { profile, type, workspaces, location }
+ */
+function describeBackend(backend) {
+  if (!backend) {
+    return null;
+  }
+  const { profile, type, workspaces, location } = backend;
+  return { profile, type, workspaces, location };
+}
+
+/**
+ * Get the workspace a deployment of an environment runs in
+ * Backends without workspaces keep one state per deployment, which already separates environments
+ * @param {string|null} environment - Environment of the deployment
+ * @param {Object|null} backend - Backend of the deployment, from resolveBackend or its manifest
+ * @returns {string|null} Workspace name, or null to use the server's
+ */
+function getEnvironmentWorkspace(environment, backend) {
+  if (!environment || (backend && backend.workspaces === false)) {
+    return null;
+  }
+  return environment;
+}
+
+/**
+ * Check whether a deployment keeps state in the backend of a profile
+ * Remote state cannot be seen from the deployment directory, so a deployment is taken to
+ * have state once it has been applied, until it is destroyed
+ * @param {Object|null} manifest - Deployment manifest
+ * @returns {boolean} True if its backend holds state
+ */
+function hasBackendState(manifest) {
+  return Boolean(manifest?.backend && manifest.lastApplied && manifest.status !== 'destroyed');
+}
+
+/**
+ * Write the backend configuration of a deployment, or remove it to keep the state in the deployment directory
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object|null} backend - Backend from resolveBackend
+ * @returns {Promise<void>}
+ */
+async function writeBackendConfig(deploymentDir, backend) {
+  const overridePath = path.join(deploymentDir, BACKEND_OVERRIDE_FILE);
+  const configPath = path.join(deploymentDir, BACKEND_CONFIG_FILE);
+
+  if (!backend) {
+    await fs.rm(overridePath, { force: true });
+    await fs.rm(configPath, { force: true });
+    return;
+  }
+
+  await fs.writeFile(overridePath, `# Generated by the deployer from backend profile "${backend.profile}"
+terraform {
+  backend "${backend.type}" {}
+}
+`);
+
+  const lines = Object.entries(backend.settings)
+    .map(([name, value]) => `${name} = ${serializeHclValue(value)}`);
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(configPath, `${lines.join('\n')}\n`, { mode: 0o600 });
+}
+
+/**
+ * Check whether a deployment has a backend configuration file to initialize with
+ * @param {string} deploymentDir - Deployment directory path
+ * @returns {Promise<string|null>} Path of the file relative to the deployment directory, or null
+ */
+async function findBackendConfig(deploymentDir) {
+  try {
+    await fs.access(path.join(deploymentDir, BACKEND_CONFIG_FILE));
+    return BACKEND_CONFIG_FILE;
+  } catch (error) {
+    return null;
+  }
+}
+
+export {
+  listBackendProfiles,
+  resolveBackend,
+  describeBackend,
+  getEnvironmentWorkspace,
+  hasBackendState,
+  writeBackendConfig,
+  findBackendConfig
+};
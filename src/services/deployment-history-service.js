@@ -5,8 +5,14 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { spawn } from 'child_process';
-import { getDeploymentsDir, getDeploymentDir } from '../utils/file-utils.js';
+import { getDeploymentsDir, getDeploymentDir, isValidDeploymentId, DEPLOYMENT_META_DIR } from '../utils/file-utils.js';
+import { startTerraformPlan, getTerraformPlan } from './deployment-service.js';
+import { readManifest } from './deployment-manifest-service.js';
+import { loadDeploymentOutputs } from './deployment-outputs-service.js';
+import { getActiveRun } from './run-registry.js';
+import { getDeploymentJob } from './job-queue.js';
+import { getCommitUrl } from './repository-service.js';
+import { hasBackendState } from './backend-service.js';
 
 /**
  * Get list of all deployments with metadata
@@ -20,6 +26,11 @@ async function getDeploymentHistory() {
     const deployments = [];
     
     for (const deploymentId of deploymentDirs) {
+      // Anything else in the deployments directory belongs to the deployer itself
+      if (!isValidDeploymentId(deploymentId)) {
+        continue;
+      }
+      
       const deploymentPath = path.join(deploymentsDir, deploymentId);
       
       try {
@@ -47,6 +58,8 @@ async function getDeploymentHistory() {
 
 /**
  * Get metadata for a specific deployment
+ * Source, variables, status and timestamps come from the deployment manifest;
+ * deployments created before manifests existed fall back to what the directory shows
  * @param {string} deploymentId - Deployment ID
  * @returns {Object} Deployment metadata
  */
@@ -55,57 +68,69 @@ async function getDeploymentMetadata(deploymentId) {
   
   try {
     const stats = await fs.stat(deploymentPath);
-    const files = await fs.readdir(deploymentPath);
+    const files = (await fs.readdir(deploymentPath)).filter(f => f !== DEPLOYMENT_META_DIR);
+    const manifest = await readManifest(deploymentId);
     
     // Check for Terraform files and state
     const terraformFiles = files.filter(f => f.endsWith('.tf'));
-    const tfvarsFiles = files.filter(f => f.endsWith('.tfvars'));
     const stateFiles = files.filter(f => f.includes('terraform.tfstate'));
     const lockFiles = files.filter(f => f.includes('.terraform.lock.hcl'));
     
-    // Try to read tfvars to get some deployment info
-    let variables = {};
-    if (tfvarsFiles.length > 0) {
-      try {
-        const tfvarsContent = await fs.readFile(path.join(deploymentPath, tfvarsFiles[0]), 'utf-8');
-        variables = parseTfvarsContent(tfvarsContent);
-      } catch (error) {
-        // Ignore tfvars parsing errors
-      }
-    }
-    
-    // Try to read README for additional context
-    let description = '';
-    const readmeFile = files.find(f => /^readme\.(md|txt)$/i.test(f));
-    if (readmeFile) {
-      try {
-        const readmeContent = await fs.readFile(path.join(deploymentPath, readmeFile), 'utf-8');
-        // Extract first line or first paragraph as description
-        const firstLine = readmeContent.split('\n').find(line => line.trim().length > 0);
-        if (firstLine) {
-          description = firstLine.replace(/^#+\s*/, '').substring(0, 200);
-        }
-      } catch (error) {
-        // Ignore README parsing errors
-      }
-    }
-    
     // Check if deployment has state (is active)
-    const hasState = stateFiles.length > 0;
+    const hasState = stateFiles.length > 0 || hasBackendState(manifest);
     const isInitialized = lockFiles.length > 0;
     
-    return {
+    // A saved plan that is still waiting for approval
+    const pendingPlan = await getTerraformPlan(deploymentPath);
+    
+    // The OpenTofu operation currently running, if any
+    const activeRun = getActiveRun(deploymentId);
+    
+    // The operation holding the deployment lock, possibly still waiting in the queue
+    const job = getDeploymentJob(deploymentId);
+    
+    // Outputs of the last successful apply, counted without decrypting sensitive values
+    const outputs = await loadDeploymentOutputs(deploymentId);
+    
+    const metadata = {
       id: deploymentId,
-      createdAt: stats.birthtime.toISOString(),
       lastModified: stats.mtime.toISOString(),
-      description: description || 'No description available',
       terraformFiles: terraformFiles.length,
-      variables: Object.keys(variables).length,
       hasState,
       isInitialized,
+      // The plan file is only removed once an approved apply finishes
+      pendingPlan: pendingPlan && !activeRun && !job ? pendingPlan.operation : null,
+      running: activeRun ? activeRun.operation : null,
+      queued: job && job.state === 'queued' ? { operation: job.operation, position: job.position } : null,
+      outputCount: outputs ? Object.keys(outputs.outputs).length : 0,
       files: files.length,
       size: await getDirectorySize(deploymentPath)
     };
+    
+    if (manifest) {
+      return {
+        ...metadata,
+        createdAt: manifest.createdAt,
+        updatedAt: manifest.updatedAt,
+        description: manifest.description || `${manifest.source.repo}/${manifest.source.path}`,
+        source: { ...manifest.source, commitUrl: getCommitUrl(manifest.source) },
+        environment: manifest.environment || null,
+        lastApplied: manifest.lastApplied || null,
+        backend: manifest.backend || null,
+        variables: manifest.variables || {},
+        sensitiveVariables: manifest.sensitiveVariables || [],
+        createdBy: manifest.createdBy || null,
+        status: manifest.status,
+        transitions: manifest.transitions || [],
+        modifications: manifest.modifications || [],
+        drift: manifest.drift || null
+      };
+    }
+    
+    return {
+      ...metadata,
+      ...await getLegacyDeploymentMetadata(deploymentPath, files, stats)
+    };
   } catch (error) {
     return {
       id: deploymentId,
@@ -113,9 +138,23 @@ async function getDeploymentMetadata(deploymentId) {
       lastModified: new Date().toISOString(),
       description: 'Error reading deployment metadata',
       terraformFiles: 0,
-      variables: 0,
+      variables: {},
+      sensitiveVariables: [],
+      source: null,
+      environment: null,
+      lastApplied: null,
+      backend: null,
+      createdBy: null,
+      status: null,
+      transitions: [],
+      modifications: [],
+      drift: null,
       hasState: false,
       isInitialized: false,
+      pendingPlan: null,
+      running: null,
+      queued: null,
+      outputCount: 0,
       files: 0,
       size: 0,
       error: error.message
@@ -124,7 +163,61 @@ async function getDeploymentMetadata(deploymentId) {
 }
 
 /**
- * Parse tfvars content to extract variable names
+ * Best-effort metadata for deployments that have no manifest
+ * @param {string} deploymentPath - Deployment directory path
+ * @param {Array<string>} files - Files in the deployment directory
+ * @param {Object} stats - Stats of the deployment directory
+ * @returns {Object} Metadata guessed from the directory contents
+ */
+async function getLegacyDeploymentMetadata(deploymentPath, files, stats) {
+  const tfvarsFiles = files.filter(f => f.endsWith('.tfvars'));
+  
+  // Try to read tfvars to get some deployment info
+  let variables = {};
+  if (tfvarsFiles.length > 0) {
+    try {
+      const tfvarsContent = await fs.readFile(path.join(deploymentPath, tfvarsFiles[0]), 'utf-8');
+      variables = parseTfvarsContent(tfvarsContent);
+    } catch (error) {
+      // Ignore tfvars parsing errors
+    }
+  }
+  
+  // Try to read README for additional context
+  let description = '';
+  const readmeFile = files.find(f => /^readme\.(md|txt)$/i.test(f));
+  if (readmeFile) {
+    try {
+      const readmeContent = await fs.readFile(path.join(deploymentPath, readmeFile), 'utf-8');
+      // Extract first line or first paragraph as description
+      const firstLine = readmeContent.split('\n').find(line => line.trim().length > 0);
+      if (firstLine) {
+        description = firstLine.replace(/^#+\s*/, '').substring(0, 200);
+      }
+    } catch (error) {
+      // Ignore README parsing errors
+    }
+  }
+  
+  return {
+    createdAt: stats.birthtime.toISOString(),
+    updatedAt: stats.mtime.toISOString(),
+    description: description || 'No description available',
+    source: null,
+    environment: null,
+    lastApplied: null,
+    variables,
+    sensitiveVariables: [],
+    createdBy: null,
+    status: null,
+    transitions: [],
+    modifications: [],
+    drift: null
+  };
+}
+
+/**
+ * Parse tfvars content to extract raw variable values
  * @param {string} content - Tfvars file content
  * @returns {Object} Parsed variables
  */
@@ -173,57 +266,22 @@ async function getDirectorySize(dirPath) {
 }
 
 /**
- * Destroy a deployment using OpenTofu destroy
+ * Plan the destruction of a deployment using OpenTofu plan -destroy
+ * The resulting plan has to be approved with applyTerraformPlan before anything is destroyed
  * @param {string} deploymentId - Deployment ID
  * @param {Object} socket - Socket.io socket for real-time communication
  * @param {Object} fullEnv - Complete environment variables
+ * @returns {Promise<{success: boolean, cancelled: boolean, plan: Object|null}>} Outcome and destroy plan summary
  */
-function destroyDeployment(deploymentId, socket, fullEnv = process.env) {
+async function destroyDeployment(deploymentId, socket, fullEnv = process.env) {
   const deploymentDir = getDeploymentDir(deploymentId);
   
   socket.emit('deployment-log', { 
-    message: `Starting destruction of deployment ${deploymentId}...`, 
+    message: `Planning destruction of deployment ${deploymentId}...`, 
     timestamp: new Date().toISOString() 
   });
   
-  // Run tofu destroy
-  const tofuDestroy = spawn('tofu', ['destroy', '-auto-approve'], {
-    cwd: deploymentDir,
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: fullEnv
-  });
-  
-  tofuDestroy.stdout.on('data', (data) => {
-    const message = data.toString();
-    socket.emit('deployment-log', { 
-      message, 
-      timestamp: new Date().toISOString() 
-    });
-  });
-  
-  tofuDestroy.stderr.on('data', (data) => {
-    const message = data.toString();
-    socket.emit('deployment-error', { 
-      message, 
-      timestamp: new Date().toISOString() 
-    });
-  });
-  
-  tofuDestroy.on('close', (code) => {
-    if (code === 0) {
-      socket.emit('deployment-complete', { 
-        success: true, 
-        message: `Deployment ${deploymentId} destroyed successfully`,
-        timestamp: new Date().toISOString() 
-      });
-    } else {
-      socket.emit('deployment-complete', { 
-        success: false, 
-        message: `Destruction of deployment ${deploymentId} failed with exit code ${code}`,
-        timestamp: new Date().toISOString() 
-      });
-    }
-  });
+  return startTerraformPlan(deploymentDir, socket, fullEnv, { destroy: true });
 }
 
 /**
@@ -0,0 +1,269 @@
+/**
+ * Deployment log service
+ * Persists every deployment-log/deployment-error/deployment-plan/deployment-queued/
+ * deployment-complete event per run, so logs survive page reloads and can be replayed to late joiners
+ *
+ * A run starts with a deploy or destroy request and ends with its deployment-complete
+ * event; the plan and the approved apply belong to the same run.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getDeploymentMetaDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+
+const LOGS_DIR = 'logs';
+const RUNS_INDEX_FILE = 'runs.json';
+
+// Active (not yet completed) run per deployment, with its events kept in memory
+const activeRuns = new Map();
+
+// Pending runs index updates per deployment, so concurrent updates never overwrite each other
+const pendingIndexUpdates = new Map();
+
+/**
+ * Get the directory holding the run logs of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string} Logs directory path
+ */
+function getLogsDir(deploymentId) {
+  return path.join(getDeploymentMetaDir(deploymentId), LOGS_DIR);
+}
+
+/**
+ * Get the log file path of a run
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} runId - Run ID
+ * @returns {string} Log file path
+ */
+function getRunLogPath(deploymentId, runId) {
+  return path.join(getLogsDir(deploymentId), `${path.basename(runId)}.jsonl`);
+}
+
+/**
+ * Update the runs index of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {Function} updater - Receives the current list of runs and returns the updated list
+ * @returns {Promise<Array>} Updated list of runs
+ */
+function updateRunsIndex(deploymentId, updater) {
+  const indexPath = path.join(getLogsDir(deploymentId), RUNS_INDEX_FILE);
+  const previous = pendingIndexUpdates.get(deploymentId) || Promise.resolve();
+
+  const update = previous.catch(() => {}).then(async () => {
+    const runs = updater((await readJsonFile(indexPath)) || []);
+    await writeJsonFile(indexPath, runs);
+    return runs;
+  });
+
+  pendingIndexUpdates.set(deploymentId, update);
+  update.finally(() => {
+    if (pendingIndexUpdates.get(deploymentId) === update) {
+      pendingIndexUpdates.delete(deploymentId);
+    }
+  }).catch(() => {});
+
+  return update;
+}
+
+/**
+ * Create the emitter handed to the OpenTofu helpers in place of a socket
+ * Events are emitted to the deployment room, stored in memory while the run is
+ * active and appended to the run's log file
+ * @param {Object} run - Active run
+ * @param {Object} room - Socket.io broadcast operator for the deployment room
+ * @returns {Object} Socket-like emitter with the run ID
+ */
+function createRunEmitter(run, room) {
+  return {
+    runId: run.runId,
+
+    emit(event, data = {}) {
+      const payload = { ...data, runId: run.runId };
+      const entry = { event, data: payload };
+
+      run.events.push(entry);
+      run.writes = run.writes
+        .then(() => fs.appendFile(getRunLogPath(run.deploymentId, run.runId), `${JSON.stringify(entry)}\n`))
+        .catch(error => console.error(`Failed to write log for run ${run.runId}:`, error.message));
+
+      room.emit(event, payload);
+      run.listeners.forEach(listener => listener(entry));
+
+      if (event === 'deployment-complete') {
+        finishRun(run, payload);
+      }
+    }
+  };
+}
+
+/**
+ * Mark a run as finished and drop it from the active runs
+ * @param {Object} run - Active run
+ * @param {Object} result - Payload of the deployment-complete event, if any
+ */
+function finishRun(run, result) {
+  if (activeRuns.get(run.deploymentId) === run) {
+    activeRuns.delete(run.deploymentId);
+  }
+
+  run.finished = true;
+  run.listeners.forEach(listener => listener(null));
+  run.listeners.clear();
+
+  updateRunsIndex(run.deploymentId, runs => runs.map(entry => (
+    entry.runId === run.runId
+      ? {
+        ...entry,
+        finishedAt: new Date().toISOString(),
+        success: result ? result.success === true : false,
+        message: result ? result.message : 'Superseded by a newer run'
+      }
+      : entry
+  ))).catch(error => console.error(`Failed to update runs of ${run.deploymentId}:`, error.message));
+}
+
+/**
+ * Start a new run for a deployment
+ * A run still active for the deployment is closed first
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} operation - Operation that started the run (deploy, destroy, apply)
+ * @param {Object} room - Socket.io broadcast operator for the deployment room
+ * @returns {Promise<Object>} Socket-like emitter for the run
+ */
+async function startDeploymentRun(deploymentId, operation, room) {
+  const previousRun = activeRuns.get(deploymentId);
+  if (previousRun) {
+    finishRun(previousRun, null);
+  }
+
+  const runId = `${operation}-${Date.now()}`;
+  const run = {
+    deploymentId,
+    runId,
+    operation,
+    events: [],
+    listeners: new Set(),
+    finished: false,
+    writes: Promise.resolve()
+  };
+
+  activeRuns.set(deploymentId, run);
+
+  await fs.mkdir(getLogsDir(deploymentId), { recursive: true });
+  await updateRunsIndex(deploymentId, runs => [
+    ...runs,
+    { runId, operation, startedAt: new Date().toISOString(), finishedAt: null, success: null, message: null }
+  ]);
+
+  return createRunEmitter(run, room);
+}
+
+/**
+ * Get an emitter for the active run of a deployment, starting a new run if there is none
+ * (for instance when a plan is approved after the server restarted)
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} operation - Operation to start a new run with if needed
+ * @param {Object} room - Socket.io broadcast operator for the deployment room
+ * @returns {Promise<Object>} Socket-like emitter for the run
+ */
+async function continueDeploymentRun(deploymentId, operation, room) {
+  const run = activeRuns.get(deploymentId);
+  if (run) {
+    return createRunEmitter(run, room);
+  }
+  return startDeploymentRun(deploymentId, operation, room);
+}
+
+/**
+ * Replay the events of the active run to a single socket
+ * Runs synchronously, so events emitted afterwards reach the socket through the room
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} socket - Socket.io socket that just joined the deployment room
+ * @returns {number} Number of replayed events
+ */
+function replayActiveRun(deploymentId, socket) {
+  const run = activeRuns.get(deploymentId);
+  if (!run) {
+    return 0;
+  }
+
+  run.events.forEach(({ event, data }) => socket.emit(event, { ...data, replayed: true }));
+  return run.events.length;
+}
+
+/**
+ * List the runs of a deployment, oldest first
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Array>} Runs with operation, timestamps and result
+ */
+async function getDeploymentRuns(deploymentId) {
+  const runs = (await readJsonFile(path.join(getLogsDir(deploymentId), RUNS_INDEX_FILE))) || [];
+  const activeRun = activeRuns.get(deploymentId);
+
+  return runs.map(run => ({
+    ...run,
+    active: Boolean(activeRun && activeRun.runId === run.runId)
+  }));
+}
+
+/**
+ * Get the logged events of a run
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} [runId] - Run ID, defaults to the latest run
+ * @returns {Promise<Object|null>} Run and its events, or null if the run does not exist
+ */
+async function getRunLog(deploymentId, runId) {
+  const runs = await getDeploymentRuns(deploymentId);
+  const run = runId ? runs.find(entry => entry.runId === runId) : runs[runs.length - 1];
+
+  if (!run) {
+    return null;
+  }
+
+  const activeRun = activeRuns.get(deploymentId);
+  if (activeRun && activeRun.runId === run.runId) {
+    return { run, events: [...activeRun.events] };
+  }
+
+  let content = '';
+  try {
+    content = await fs.readFile(getRunLogPath(deploymentId, run.runId), 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const events = content
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+
+  return { run, events };
+}
+
+/**
+ * Follow the events of a run as they are emitted
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} runId - Run ID
+ * @param {Function} listener - Called with each new event, and with null once the run has finished
+ * @returns {Function|null} Unsubscribe function, or null if the run is not active
+ */
+function followRun(deploymentId, runId, listener) {
+  const run = activeRuns.get(deploymentId);
+  if (!run || run.runId !== runId) {
+    return null;
+  }
+
+  run.listeners.add(listener);
+  return () => run.listeners.delete(listener);
+}
+
+export {
+  startDeploymentRun,
+  continueDeploymentRun,
+  replayActiveRun,
+  getDeploymentRuns,
+  getRunLog,
+  followRun
+};
@@ -0,0 +1,260 @@
+/**
+ * Deployment manifest service
+ * Keeps a manifest per deployment recording where it came from, who started it,
+ * the variables it was deployed with and every status transition it went through
+ */
+
+import path from 'path';
+import { getDeploymentMetaDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Lifecycle statuses a deployment can be in
+const DEPLOYMENT_STATUSES = [
+  'planning',    // tofu init/plan running, or plan waiting for approval
+  'applying',    // approved plan being applied
+  'succeeded',   // last apply succeeded
+  'failed',      // last plan, apply or destroy failed
+  'destroying',  // destroy being planned, waiting for approval or applied
+  'destroyed',   // infrastructure destroyed
+  'discarded',   // first plan was discarded before anything was applied
+  'cancelled'    // last operation was cancelled by a user
+];
+
+// Statuses a deployment settles in once no operation is running
+const SETTLED_STATUSES = ['succeeded', 'failed', 'destroyed', 'discarded', 'cancelled'];
+
+// Pending manifest updates per deployment, so concurrent updates never overwrite each other
+const pendingUpdates = new Map();
+
+/**
+ * Get the manifest file path for a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string} Manifest file path
+ */
+function getManifestPath(deploymentId) {
+  return path.join(getDeploymentMetaDir(deploymentId), MANIFEST_FILE);
+}
+
+/**
+ * Build the canonical repository URL from repository data
+ * @param {Object} repoData - Repository data object
+ * @returns {string} Repository URL
+ */
+function buildRepoUrl(repoData) {
+  if (repoData.repoUrl) {
+    return repoData.repoUrl;
+  }
+  return `https://github.com/${repoData.owner}/${repoData.repo}/tree/${repoData.branch}/${repoData.path}`;
+}
+
+/**
+ * Describe the source a deployment is downloaded from
+ * @param {Object} repoData - Repository data object
+ * @returns {Object} Manifest source
+ */
+function buildSource(repoData) {
+  return {
+    repoUrl: buildRepoUrl(repoData),
+    provider: repoData.provider || 'github',
+    host: repoData.host || 'github.com',
+    owner: repoData.owner,
+    repo: repoData.repo,
+    branch: repoData.branch,
+    path: repoData.path,
+    commitSha: repoData.commitSha || null,
+    // Uploads are known by the name of the archive, not by their URL
+    ...(repoData.upload && { archiveName: repoData.upload.filename })
+  };
+}
+
+/**
+ * Create the manifest for a new deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} details - Deployment details
+ * @param {Object} details.repoData - Repository data the deployment is created from
+ * @param {Object} details.variables - Non-sensitive variable values
+ * @param {string[]} [details.sensitiveVariables] - Names of the sensitive variables, whose values are stored encrypted
+ * @param {string} [details.environment] - Environment of its source the deployment holds
+ * @param {Object} [details.backend] - Backend keeping its state, from describeBackend; null for the deployment directory
+ * @param {Object} details.createdBy - Who started the deployment
+ * @returns {Promise<Object>} The created manifest
+ */
+async function createManifest(deploymentId, { repoData, variables, sensitiveVariables = [], environment = null, backend = null, createdBy }) {
+  const now = new Date().toISOString();
+  const firstReadmeLine = (repoData.readmeContent || '')
+    .split('\n')
+    .find(line => line.trim().length > 0);
+
+  const manifest = {
+    id: deploymentId,
+    source: buildSource(repoData),
+    description: firstReadmeLine ? firstReadmeLine.replace(/^#+\s*/, '').substring(0, 200) : '',
+    environment,
+    backend,
+    variables,
+    sensitiveVariables,
+    createdBy,
+    status: 'planning',
+    createdAt: now,
+    updatedAt: now,
+    transitions: [{ status: 'planning', timestamp: now }]
+  };
+
+  await writeJsonFile(getManifestPath(deploymentId), manifest);
+  return manifest;
+}
+
+/**
+ * Record that a deployment was modified with new variables or a newer revision
+ * The manifest keeps describing the configuration in the deployment directory,
+ * and every modification is appended to its modifications list
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} details - Modification details
+ * @param {Object} details.repoData - Repository data the new configuration is downloaded from
+ * @param {Object} details.variables - Non-sensitive variable values
+ * @param {string[]} details.sensitiveVariables - Names of the sensitive variables
+ * @param {Array} details.changes - Variable changes, as returned by diffVariables
+ * @param {Object} [details.backend] - Backend keeping its state from now on; the current one when undefined
+ * @param {Object} details.modifiedBy - Who modified the deployment
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function recordModification(deploymentId, { repoData, variables, sensitiveVariables, changes, backend, modifiedBy }) {
+  const source = buildSource(repoData);
+
+  return updateManifest(deploymentId, (manifest) => {
+    const modification = { timestamp: new Date().toISOString(), modifiedBy, changes };
+    if (manifest.source?.repoUrl !== source.repoUrl || manifest.source?.commitSha !== source.commitSha) {
+      modification.previousSource = manifest.source;
+    }
+    if (backend !== undefined && manifest.backend?.profile !== backend?.profile) {
+      modification.previousBackend = manifest.backend ?? null;
+    }
+
+    return {
+      ...manifest,
+      source,
+      variables,
+      sensitiveVariables,
+      ...(backend !== undefined && { backend }),
+      modifications: [...(manifest.modifications || []), modification]
+    };
+  });
+}
+
+/**
+ * Record that the configuration in the deployment directory has been applied,
+ * so the revision running stays known while a modification is planned
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function recordApplied(deploymentId) {
+  return updateManifest(deploymentId, (manifest) => ({
+    ...manifest,
+    lastApplied: {
+      branch: manifest.source?.branch || null,
+      commitSha: manifest.source?.commitSha || null,
+      appliedAt: new Date().toISOString()
+    }
+  }));
+}
+
+/**
+ * Read the manifest of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Object|null>} Manifest, or null for deployments created without one
+ */
+async function readManifest(deploymentId) {
+  return readJsonFile(getManifestPath(deploymentId));
+}
+
+/**
+ * Update the manifest of a deployment
+ * Updates for the same deployment are applied one after another
+ * @param {string} deploymentId - Deployment ID
+ * @param {Function} updater - Receives the current manifest and returns the updated one
+ * @returns {Promise<Object|null>} Updated manifest, or null if the deployment has no manifest
+ */
+function updateManifest(deploymentId, updater) {
+  const previous = pendingUpdates.get(deploymentId) || Promise.resolve();
+
+  const update = previous.catch(() => {}).then(async () => {
+    const manifest = await readManifest(deploymentId);
+    if (!manifest) {
+      return null;
+    }
+
+    const updated = await updater(manifest);
+    updated.updatedAt = new Date().toISOString();
+    await writeJsonFile(getManifestPath(deploymentId), updated);
+    return updated;
+  });
+
+  pendingUpdates.set(deploymentId, update);
+  update.finally(() => {
+    if (pendingUpdates.get(deploymentId) === update) {
+      pendingUpdates.delete(deploymentId);
+    }
+  }).catch(() => {});
+
+  return update;
+}
+
+/**
+ * Record a status transition
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} status - New status, one of DEPLOYMENT_STATUSES
+ * @param {string} [message] - Optional detail about the transition
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function setDeploymentStatus(deploymentId, status, message) {
+  if (!DEPLOYMENT_STATUSES.includes(status)) {
+    throw new Error(`Unknown deployment status: ${status}`);
+  }
+
+  return updateManifest(deploymentId, (manifest) => {
+    const transition = { status, timestamp: new Date().toISOString() };
+    if (message) {
+      transition.message = message;
+    }
+
+    return {
+      ...manifest,
+      status,
+      transitions: [...(manifest.transitions || []), transition]
+    };
+  });
+}
+
+/**
+ * Return a deployment to the status it had before the current operation started,
+ * used when a plan is discarded without being applied
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} [message] - Optional detail about the transition
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function revertDeploymentStatus(deploymentId, message) {
+  const manifest = await readManifest(deploymentId);
+  if (!manifest) {
+    return null;
+  }
+
+  const lastSettled = [...(manifest.transitions || [])]
+    .reverse()
+    .find(transition => SETTLED_STATUSES.includes(transition.status));
+
+  return setDeploymentStatus(deploymentId, lastSettled ? lastSettled.status : 'discarded', message);
+}
+
+export {
+  DEPLOYMENT_STATUSES,
+  SETTLED_STATUSES,
+  buildRepoUrl,
+  createManifest,
+  recordModification,
+  recordApplied,
+  readManifest,
+  updateManifest,
+  setDeploymentStatus,
+  revertDeploymentStatus
+};
@@ -0,0 +1,113 @@
+/**
+ * Deployment outputs service
+ * Keeps the root module outputs of a deployment as read with `tofu output -json`
+ * after its last successful apply. Values of sensitive outputs are encrypted with
+ * the secret store and only returned when explicitly revealed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getDeploymentMetaDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { encryptJson, decryptJson } from './secret-store.js';
+
+const OUTPUTS_FILE = 'outputs.json';
+
+/**
+ * Get the outputs file path of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string} Outputs file path
+ */
+function getOutputsPath(deploymentId) {
+  return path.join(getDeploymentMetaDir(deploymentId), OUTPUTS_FILE);
+}
+
+/**
+ * Store the outputs of a deployment, replacing the ones stored before
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} outputJson - Result of `tofu output -json`, keyed by output name
+ * @returns {Promise<Object>} Stored outputs with sensitive values masked
+ */
+async function saveDeploymentOutputs(deploymentId, outputJson) {
+  const outputs = {};
+  const sensitiveValues = {};
+
+  Object.entries(outputJson || {}).forEach(([name, output]) => {
+    const sensitive = output.sensitive === true;
+    outputs[name] = {
+      type: output.type ?? null,
+      sensitive,
+      value: sensitive ? null : output.value
+    };
+    if (sensitive) {
+      sensitiveValues[name] = output.value;
+    }
+  });
+
+  const stored = {
+    updatedAt: new Date().toISOString(),
+    outputs
+  };
+
+  await writeJsonFile(getOutputsPath(deploymentId), {
+    ...stored,
+    sensitiveValues: Object.keys(sensitiveValues).length > 0 ? await encryptJson(sensitiveValues) : null
+  }, { mode: 0o600 });
+
+  return stored;
+}
+
+/**
+ * Load the outputs of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.reveal] - Decrypt the values of sensitive outputs
+ * @returns {Promise<Object|null>} { updatedAt, outputs, revealed } or null if no outputs are stored;
+ *   revealed is false when sensitive values were requested but could not be decrypted
+ */
+async function loadDeploymentOutputs(deploymentId, { reveal = false } = {}) {
+  const stored = await readJsonFile(getOutputsPath(deploymentId));
+  if (!stored) {
+    return null;
+  }
+
+  const result = {
+    updatedAt: stored.updatedAt,
+    outputs: stored.outputs || {},
+    revealed: false
+  };
+
+  if (!reveal || !stored.sensitiveValues) {
+    result.revealed = reveal;
+    return result;
+  }
+
+  try {
+    const values = await decryptJson(stored.sensitiveValues);
+    result.outputs = Object.fromEntries(Object.entries(result.outputs).map(([name, output]) => [
+      name,
+      output.sensitive ? { ...output, value: values[name] ?? null } : output
+    ]));
+    result.revealed = true;
+  } catch (error) {
+    if (error.code !== 'KEY_MISMATCH' && error.code !== 'DECRYPT_FAILED') {
+      throw error;
+    }
+    console.warn(`Stored outputs of deployment ${deploymentId} are unreadable: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Remove the stored outputs of a deployment, once its infrastructure is destroyed
+ * @param {string} deploymentId - Deployment ID
+ */
+async function clearDeploymentOutputs(deploymentId) {
+  await fs.rm(getOutputsPath(deploymentId), { force: true });
+}
+
+export {
+  saveDeploymentOutputs,
+  loadDeploymentOutputs,
+  clearDeploymentOutputs
+};
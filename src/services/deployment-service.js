@@ -6,14 +6,31 @@
 import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
+import { summarizePlan } from '../utils/plan-parser.js';
+import { summarizeState } from '../utils/state-parser.js';
+import { serializeHclValue, getVariableType } from '../utils/hcl-serializer.js';
+import { registerRun, unregisterRun, attachProcess, isRunCancelled } from './run-registry.js';
+import { saveDeploymentOutputs, clearDeploymentOutputs } from './deployment-outputs-service.js';
+import { findBackendConfig } from './backend-service.js';
+
+/**
+ * Format a variable value for a TF_VAR_* environment variable
+ * OpenTofu reads strings as they are and parses everything else as HCL.
+ * @param {*} value - Variable value
+ * @returns {string} Environment variable value
+ */
+function formatEnvVarValue(value) {
+  return typeof value === 'string' ? value : serializeHclValue(value);
+}
 
 /**
  * Extract sensitive environment variables for Terraform/OpenTofu
  * @param {Object} variables - User-provided variables
  * @param {Object} terraformVariables - Original Terraform variable definitions
+ * @param {string} [environment] - Environment of the deployment, whose workspace replaces TF_WORKSPACE of the server
  * @returns {Object} Environment variables object
  */
-function extractSensitiveEnvVars(variables, terraformVariables = {}) {
+function extractSensitiveEnvVars(variables, terraformVariables = {}, environment = null) {
   const envVars = {};
   
   // Add common Terraform environment variables for backend configuration
@@ -62,6 +79,11 @@ function extractSensitiveEnvVars(variables, terraformVariables = {}) {
   envVars['TF_IN_AUTOMATION'] = 'true';
   envVars['TF_INPUT'] = 'false';
   
+  // Every environment of a source has a workspace of its own
+  if (environment) {
+    envVars['TF_WORKSPACE'] = environment;
+  }
+  
   // Extract variables marked as sensitive using original Terraform definitions
   Object.entries(variables).forEach(([key, userValue]) => {
     // Check if this variable is marked as sensitive in the original Terraform definition
@@ -75,7 +97,7 @@ function extractSensitiveEnvVars(variables, terraformVariables = {}) {
       // Always pass sensitive variables as environment variables
       // For required variables without values, pass empty string to let Terraform handle the error gracefully
       const envValue = (value !== null && value !== undefined && value !== '') ? value : '';
-      envVars[`TF_VAR_${key}`] = envValue;
+      envVars[`TF_VAR_${key}`] = formatEnvVarValue(envValue);
     }
   });
   
@@ -83,147 +105,260 @@ function extractSensitiveEnvVars(variables, terraformVariables = {}) {
 }
 
 /**
- * Create backend configuration file if needed
- * @param {string} deploymentDir - Deployment directory path
- * @param {Object} envVars - Environment variables
- * @returns {boolean} Whether backend config was created
+ * Extract the values of non-sensitive variables, suitable for storing with the deployment
+ * @param {Object} variables - User-provided variables
+ * @param {Object} terraformVariables - Original Terraform variable definitions
+ * @returns {Object} Variable values keyed by name, without sensitive variables
  */
-async function createBackendConfig(deploymentDir, envVars) {
-  // Create a basic backend configuration if TF_DATA_DIR is set
-  if (envVars.TF_DATA_DIR) {
-    const backendConfig = `
-# Auto-generated backend configuration for state management
-terraform {
-  backend "local" {
-    path = "${envVars.TF_DATA_DIR}/terraform.tfstate"
-  }
+function extractNonSensitiveVariables(variables = {}, terraformVariables = {}) {
+  const values = {};
+  
+  Object.entries(variables).forEach(([key, userValue]) => {
+    const isObjectFormat = userValue && typeof userValue === 'object' && userValue.value !== undefined;
+    
+    if (terraformVariables[key]?.sensitive === true || (isObjectFormat && userValue.sensitive === true)) {
+      return;
+    }
+    
+    values[key] = isObjectFormat ? userValue.value : userValue;
+  });
+  
+  return values;
 }
-`;
+
+/**
+ * Extract the values of sensitive variables, for storing encrypted with the deployment
+ * Empty values are left out, so a blank field never replaces a stored value
+ * @param {Object} variables - User-provided variables
+ * @param {Object} terraformVariables - Original Terraform variable definitions
+ * @returns {Object} Sensitive variable values keyed by name
+ */
+function extractSensitiveValues(variables = {}, terraformVariables = {}) {
+  const values = {};
+  
+  Object.entries(variables).forEach(([key, userValue]) => {
+    const isObjectFormat = userValue && typeof userValue === 'object' && userValue.value !== undefined;
     
-    const backendPath = path.join(deploymentDir, 'backend.tf');
-    await fs.writeFile(backendPath, backendConfig);
-    return true;
-  }
+    if (terraformVariables[key]?.sensitive !== true && !(isObjectFormat && userValue.sensitive === true)) {
+      return;
+    }
+    
+    const value = isObjectFormat ? userValue.value : userValue;
+    if (value !== null && value !== undefined && value !== '') {
+      values[key] = value;
+    }
+  });
   
-  return false;
+  return values;
+}
+
+/**
+ * Turn sensitive variable values into TF_VAR_* environment variables
+ * @param {Object} values - Sensitive variable values keyed by name
+ * @returns {Object} Environment variables object
+ */
+function sensitiveValuesToEnvVars(values = {}) {
+  const envVars = {};
+  
+  Object.entries(values).forEach(([key, value]) => {
+    envVars[`TF_VAR_${key}`] = formatEnvVarValue(value);
+  });
+  
+  return envVars;
 }
 
 /**
  * Generate tfvars file content from variables
+ * Values are written as HCL converted to each variable's type constraint, so nested
+ * lists, maps and objects, numbers entered as text and multi-line strings come out
+ * the way OpenTofu expects them.
+ * Variables whose value is null are left out rather than written as null: the form
+ * sends null for a field left empty, and leaving the variable out lets OpenTofu use
+ * its default, where null would replace the default of a nullable variable. Nulls
+ * inside lists, maps and objects are written as they are.
  * @param {Object} variables - Variables object
+ * @param {Object} terraformVariables - Original Terraform variable definitions
  * @returns {string} Terraform variables file content
+ * @throws {Error} If a value does not match its variable's type (code INVALID_VARIABLE_VALUE)
  */
-function generateTfvarsContent(variables) {
+function generateTfvarsContent(variables, terraformVariables = {}) {
   const lines = [];
   
   Object.entries(variables).forEach(([key, variableInfo]) => {
-    // Handle null or undefined variableInfo
-    if (!variableInfo) {
+    // Left empty, so OpenTofu uses the default (see above)
+    if (variableInfo === null || variableInfo === undefined) {
       return;
     }
     
-    // Skip sensitive variables - they'll always be passed as environment variables now
-    if (variableInfo.sensitive === true) {
+    // Extract the actual value - handle both object format and direct value format
+    const isObjectFormat = typeof variableInfo === 'object' && variableInfo.value !== undefined;
+    const value = isObjectFormat ? variableInfo.value : variableInfo;
+    
+    // Skip sensitive variables - they are always passed as environment variables
+    if (terraformVariables[key]?.sensitive === true || (isObjectFormat && variableInfo.sensitive === true)) {
       return;
     }
     
-    // Extract the actual value - handle both object format and direct value format
-    const value = (typeof variableInfo === 'object' && variableInfo.value !== undefined) 
-      ? variableInfo.value 
-      : variableInfo;
-    let formattedValue;
-    
-    if (value === null || value === undefined) {
-      formattedValue = 'null';
-    } else if (typeof value === 'boolean') {
-      formattedValue = value.toString();
-    } else if (typeof value === 'number') {
-      formattedValue = value.toString();
-    } else if (typeof value === 'string') {
-      // Escape quotes and handle multiline strings
-      const escapedValue = value.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-      formattedValue = `"${escapedValue}"`;
-    } else if (Array.isArray(value)) {
-      // Handle arrays/lists
-      const arrayItems = value.map(item => {
-        if (typeof item === 'string') {
-          return `"${item.replace(/"/g, '\\"')}"`;
-        }
-        return item.toString();
-      });
-      formattedValue = `[${arrayItems.join(', ')}]`;
-    } else if (typeof value === 'object') {
-      // Handle objects/maps - convert to HCL format
-      try {
-        const objItems = Object.entries(value).map(([k, v]) => {
-          const formattedKey = k.includes('-') || k.includes(' ') ? `"${k}"` : k;
-          let formattedObjValue;
-          if (typeof v === 'string') {
-            formattedObjValue = `"${v.replace(/"/g, '\\"')}"`;
-          } else {
-            formattedObjValue = v.toString();
-          }
-          return `${formattedKey} = ${formattedObjValue}`;
-        });
-        formattedValue = `{\n  ${objItems.join('\n  ')}\n}`;
-      } catch (error) {
-        // Fallback to string representation
-        formattedValue = `"${JSON.stringify(value).replace(/"/g, '\\"')}"`;
-      }
-    } else {
-      // Fallback for any other type
-      formattedValue = `"${value.toString()}"`;
+    try {
+      const formattedValue = serializeHclValue(value, getVariableType(terraformVariables[key]), { heredoc: true });
+      lines.push(`${key} = ${formattedValue}`);
+    } catch (error) {
+      const invalid = new Error(`Invalid value for variable "${key}": ${error.message}`);
+      invalid.code = 'INVALID_VARIABLE_VALUE';
+      throw invalid;
     }
-    
-    lines.push(`${key} = ${formattedValue}`);
   });
   
   return lines.join('\n') + '\n'; // Ensure file ends with newline
 }
 
+
+// Saved plan file and its summary, both kept in the deployment directory
+const PLAN_FILE = 'tfplan';
+const PLAN_SUMMARY_FILE = 'tfplan.json';
+
+// Plan file of drift checks, kept apart from a plan awaiting approval
+const DRIFT_PLAN_FILE = 'driftplan';
+
 /**
- * Start Terraform/OpenTofu apply process
+ * Run an OpenTofu command in the deployment directory
+ * stdout is streamed as deployment-log events unless captureOutput is set,
+ * stderr is always streamed as deployment-error events.
+ * The child process is attached to the deployment's active run so it can be cancelled.
+ * @param {Array<string>} args - Arguments passed to tofu
  * @param {string} deploymentDir - Deployment directory path
  * @param {Object} socket - Socket.io socket for real-time communication
  * @param {Object} fullEnv - Complete environment variables
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.captureOutput] - Collect stdout instead of streaming it
+ * @returns {Promise<{code: number, stdout: string, cancelled: boolean}>} Exit code, captured stdout
+ *   and whether the run was cancelled
  */
-function startTerraformApply(deploymentDir, socket, fullEnv = process.env) {
-  socket.emit('deployment-log', { 
-    message: 'Initializing OpenTofu working directory...', 
-    timestamp: new Date().toISOString() 
-  });
-  
-  // First run tofu init to initialize the working directory and download providers
-  const tofuInit = spawn('tofu', ['init'], {
-    cwd: deploymentDir,
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: fullEnv
-  });
+function runTofuCommand(args, deploymentDir, socket, fullEnv, options = {}) {
+  const deploymentId = path.basename(deploymentDir);
   
-  tofuInit.stdout.on('data', (data) => {
-    const message = data.toString();
-    socket.emit('deployment-log', { 
-      message, 
-      timestamp: new Date().toISOString() 
+  return new Promise((resolve) => {
+    let stdout = '';
+    
+    // Do not start another command once the run has been cancelled
+    if (isRunCancelled(deploymentId)) {
+      resolve({ code: -1, stdout, cancelled: true });
+      return;
+    }
+    
+    const tofu = spawn('tofu', args, {
+      cwd: deploymentDir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: fullEnv
+    });
+    
+    attachProcess(deploymentId, tofu);
+    
+    tofu.stdout.on('data', (data) => {
+      if (options.captureOutput) {
+        stdout += data.toString();
+        return;
+      }
+      
+      socket.emit('deployment-log', { 
+        message: data.toString(), 
+        timestamp: new Date().toISOString() 
+      });
+    });
+    
+    tofu.stderr.on('data', (data) => {
+      socket.emit('deployment-error', { 
+        message: data.toString(), 
+        timestamp: new Date().toISOString() 
+      });
+    });
+    
+    tofu.on('error', (error) => {
+      socket.emit('deployment-error', { 
+        message: `Failed to start OpenTofu: ${error.message}`, 
+        timestamp: new Date().toISOString() 
+      });
+      resolve({ code: -1, stdout, cancelled: false });
+    });
+    
+    tofu.on('close', (code) => {
+      resolve({ code, stdout, cancelled: isRunCancelled(deploymentId) });
     });
   });
+}
+
+/**
+ * Report a cancelled operation
+ * @param {Object} socket - Socket.io socket for real-time communication
+ * @param {string} message - Completion message
+ */
+function emitCancelled(socket, message) {
+  socket.emit('deployment-complete', { 
+    success: false, 
+    cancelled: true,
+    message,
+    timestamp: new Date().toISOString() 
+  });
+}
+
+/**
+ * Start Terraform/OpenTofu plan process
+ * Runs init, then `plan -out` to save a plan file in the deployment directory.
+ * With TF_WORKSPACE set, init runs in the default workspace and the workspace is selected
+ * afterwards, created the first time; later commands find it selected.
+ * The plan summary is written next to it and emitted as a deployment-plan event;
+ * nothing is changed until the plan is approved with applyTerraformPlan.
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object} socket - Socket.io socket for real-time communication
+ * @param {Object} fullEnv - Complete environment variables
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.destroy] - Plan destruction of all managed resources
+ * @param {boolean} [options.migrateState] - Copy the existing state to the backend if it differs from the one initialized before
+ * @returns {Promise<{success: boolean, cancelled: boolean, plan: Object|null}>} Outcome and plan summary
+ */
+async function startTerraformPlan(deploymentDir, socket, fullEnv = process.env, options = {}) {
+  const operation = options.destroy ? 'destroy' : 'apply';
+  const deploymentId = path.basename(deploymentDir);
+  const run = registerRun(deploymentId, options.destroy ? 'plan-destroy' : 'plan');
   
-  tofuInit.stderr.on('data', (data) => {
-    const message = data.toString();
-    socket.emit('deployment-error', { 
-      message, 
+  try {
+    // A new plan always replaces a previous one that was never approved
+    await discardTerraformPlan(deploymentDir);
+    
+    socket.emit('deployment-log', { 
+      message: 'Initializing OpenTofu working directory...', 
       timestamp: new Date().toISOString() 
     });
-  });
-  
-  tofuInit.on('close', (initCode) => {
-    if (initCode !== 0) {
+    
+    // A workspace that does not exist yet cannot be initialized, and selecting one
+    // is refused while TF_WORKSPACE overrides the selection
+    const workspace = fullEnv.TF_WORKSPACE;
+    const initEnv = { ...fullEnv };
+    delete initEnv.TF_WORKSPACE;
+    
+    // First run tofu init to initialize the working directory and download providers
+    const initArgs = ['init', '-input=false'];
+    const backendConfig = await findBackendConfig(deploymentDir);
+    if (backendConfig) {
+      initArgs.push(`-backend-config=${backendConfig}`);
+    }
+    if (options.migrateState) {
+      initArgs.push('-migrate-state', '-force-copy');
+    }
+    const init = await runTofuCommand(initArgs, deploymentDir, socket, initEnv);
+    
+    if (init.cancelled) {
+      emitCancelled(socket, 'OpenTofu initialization cancelled');
+      return { success: false, cancelled: true, plan: null };
+    }
+    
+    if (init.code !== 0) {
       socket.emit('deployment-complete', { 
         success: false, 
-        message: `OpenTofu initialization failed with exit code ${initCode}`,
+        message: `OpenTofu initialization failed with exit code ${init.code}`,
         timestamp: new Date().toISOString() 
       });
-      return;
+      return { success: false, cancelled: false, plan: null };
     }
     
     socket.emit('deployment-log', { 
@@ -231,55 +366,432 @@ function startTerraformApply(deploymentDir, socket, fullEnv = process.env) {
       timestamp: new Date().toISOString() 
     });
     
+    if (workspace) {
+      const select = await runTofuCommand(
+        ['workspace', 'select', '-or-create=true', workspace], 
+        deploymentDir, 
+        socket, 
+        initEnv
+      );
+      
+      if (select.cancelled) {
+        emitCancelled(socket, 'OpenTofu workspace selection cancelled');
+        return { success: false, cancelled: true, plan: null };
+      }
+      
+      if (select.code !== 0) {
+        socket.emit('deployment-complete', { 
+          success: false, 
+          message: `Selecting OpenTofu workspace ${workspace} failed with exit code ${select.code}`,
+          timestamp: new Date().toISOString() 
+        });
+        return { success: false, cancelled: false, plan: null };
+      }
+    }
+    
     socket.emit('deployment-log', { 
-      message: 'Starting OpenTofu apply...', 
+      message: options.destroy ? 'Planning OpenTofu destroy...' : 'Starting OpenTofu plan...', 
       timestamp: new Date().toISOString() 
     });
     
-    // Now run the actual apply
-    const tofu = spawn('tofu', ['apply', '-auto-approve', '-var-file=terraform.tfvars'], {
-      cwd: deploymentDir,
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: fullEnv
-    });
+    const planArgs = ['plan', '-input=false', `-out=${PLAN_FILE}`];
+    if (options.destroy) {
+      planArgs.push('-destroy');
+    } else {
+      planArgs.push('-var-file=terraform.tfvars');
+    }
     
-    tofu.stdout.on('data', (data) => {
-      const message = data.toString();
-      socket.emit('deployment-log', { 
-        message, 
+    const plan = await runTofuCommand(planArgs, deploymentDir, socket, fullEnv);
+    
+    if (plan.cancelled) {
+      await discardTerraformPlan(deploymentDir);
+      emitCancelled(socket, 'OpenTofu plan cancelled');
+      return { success: false, cancelled: true, plan: null };
+    }
+    
+    if (plan.code !== 0) {
+      socket.emit('deployment-complete', { 
+        success: false, 
+        message: `OpenTofu plan failed with exit code ${plan.code}`,
         timestamp: new Date().toISOString() 
       });
+      return { success: false, cancelled: false, plan: null };
+    }
+    
+    // Read the saved plan back in machine-readable form for the summary
+    const show = await runTofuCommand(['show', '-json', PLAN_FILE], deploymentDir, socket, fullEnv, { 
+      captureOutput: true 
     });
     
-    tofu.stderr.on('data', (data) => {
-      const message = data.toString();
-      socket.emit('deployment-error', { 
-        message, 
+    if (show.cancelled) {
+      await discardTerraformPlan(deploymentDir);
+      emitCancelled(socket, 'OpenTofu plan cancelled');
+      return { success: false, cancelled: true, plan: null };
+    }
+    
+    let planJson;
+    try {
+      planJson = JSON.parse(show.stdout);
+    } catch (error) {
+      planJson = null;
+    }
+    
+    if (show.code !== 0 || !planJson) {
+      await discardTerraformPlan(deploymentDir);
+      socket.emit('deployment-complete', { 
+        success: false, 
+        message: 'Unable to read the saved OpenTofu plan',
         timestamp: new Date().toISOString() 
       });
+      return { success: false, cancelled: false, plan: null };
+    }
+    
+    const planSummary = {
+      operation,
+      createdAt: new Date().toISOString(),
+      ...summarizePlan(planJson)
+    };
+    
+    await fs.writeFile(
+      path.join(deploymentDir, PLAN_SUMMARY_FILE), 
+      JSON.stringify(planSummary, null, 2)
+    );
+    
+    socket.emit('deployment-plan', { 
+      ...planSummary, 
+      timestamp: new Date().toISOString() 
     });
     
-    tofu.on('close', (code) => {
-      if (code === 0) {
-        socket.emit('deployment-complete', { 
-          success: true, 
-          message: 'Deployment completed successfully',
-          timestamp: new Date().toISOString() 
-        });
-      } else {
-        socket.emit('deployment-complete', { 
-          success: false, 
-          message: `Deployment failed with exit code ${code}`,
-          timestamp: new Date().toISOString() 
-        });
+    return { success: true, cancelled: false, plan: planSummary };
+  } finally {
+    unregisterRun(deploymentId, run);
+  }
+}
+
+/**
+ * Get the summary of the saved plan awaiting approval
+ * @param {string} deploymentDir - Deployment directory path
+ * @returns {Promise<Object|null>} Plan summary, or null if there is no saved plan
+ */
+async function getTerraformPlan(deploymentDir) {
+  try {
+    await fs.access(path.join(deploymentDir, PLAN_FILE));
+    const content = await fs.readFile(path.join(deploymentDir, PLAN_SUMMARY_FILE), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove the saved plan and its summary
+ * @param {string} deploymentDir - Deployment directory path
+ * @returns {Promise<boolean>} Whether a saved plan was removed
+ */
+async function discardTerraformPlan(deploymentDir) {
+  const existingPlan = await getTerraformPlan(deploymentDir);
+  
+  await fs.rm(path.join(deploymentDir, PLAN_FILE), { force: true });
+  await fs.rm(path.join(deploymentDir, PLAN_SUMMARY_FILE), { force: true });
+  
+  return existingPlan !== null;
+}
+
+// Entries of a deployment directory that belong to OpenTofu or the deployer rather
+// than to the repository, kept when the repository files are replaced
+const PRESERVED_ENTRIES = [
+  '.terraform',
+  '.terraform.lock.hcl',
+  'terraform.tfstate',
+  'terraform.tfstate.backup',
+  'terraform.tfstate.d',
+  '.deployer'
+];
+
+/**
+ * Remove the repository files of a deployment before downloading a newer revision,
+ * so files deleted upstream do not linger; providers, the lock file and state are kept
+ * along with the deployer's own files. A saved plan no longer matches and goes as well.
+ * @param {string} deploymentDir - Deployment directory path
+ * @returns {Promise<string[]>} Names of the removed entries
+ */
+async function clearRepositoryFiles(deploymentDir) {
+  const entries = await fs.readdir(deploymentDir);
+  const removed = entries.filter(entry => !PRESERVED_ENTRIES.includes(entry));
+  
+  for (const entry of removed) {
+    await fs.rm(path.join(deploymentDir, entry), { recursive: true, force: true });
+  }
+  
+  return removed;
+}
+
+/**
+ * Replace the repository files of a deployment with a newer revision
+ * The revision is downloaded into a staging directory first, so the current files are only
+ * removed once it is complete and a failed download leaves the deployment as it was
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Function} download - Downloads the revision into the directory it is given
+ * @returns {Promise<*>} Result of the download
+ */
+async function replaceRepositoryFiles(deploymentDir, download) {
+  const stagingDir = path.join(deploymentDir, '.deployer', 'staging');
+  await fs.rm(stagingDir, { recursive: true, force: true });
+  await fs.mkdir(stagingDir, { recursive: true });
+  
+  try {
+    const result = await download(stagingDir);
+    await clearRepositoryFiles(deploymentDir);
+    
+    for (const entry of await fs.readdir(stagingDir, { withFileTypes: true })) {
+      // Directories of OpenTofu and the deployer are kept, whatever the repository holds
+      if (entry.isDirectory() && PRESERVED_ENTRIES.includes(entry.name)) {
+        continue;
       }
+      await fs.rename(path.join(stagingDir, entry.name), path.join(deploymentDir, entry.name));
+    }
+    return result;
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read the root module outputs after a successful apply and store them with the deployment
+ * Failing to read them is reported but does not fail the apply
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object} socket - Socket.io socket for real-time communication
+ * @param {Object} fullEnv - Complete environment variables
+ * @returns {Promise<Object|null>} Stored outputs with sensitive values masked, or null
+ */
+async function captureTerraformOutputs(deploymentDir, socket, fullEnv) {
+  const output = await runTofuCommand(['output', '-json'], deploymentDir, socket, fullEnv, { 
+    captureOutput: true 
+  });
+  
+  let outputJson = null;
+  try {
+    outputJson = JSON.parse(output.stdout);
+  } catch (error) {
+    outputJson = null;
+  }
+  
+  if (output.code !== 0 || !outputJson || typeof outputJson !== 'object') {
+    socket.emit('deployment-error', { 
+      message: 'Unable to read the outputs of the deployment', 
+      timestamp: new Date().toISOString() 
+    });
+    return null;
+  }
+  
+  let stored;
+  try {
+    stored = await saveDeploymentOutputs(path.basename(deploymentDir), outputJson);
+  } catch (error) {
+    socket.emit('deployment-error', { 
+      message: `Unable to store the outputs of the deployment: ${error.message}`, 
+      timestamp: new Date().toISOString() 
     });
+    return null;
+  }
+  
+  const count = Object.keys(stored.outputs).length;
+  
+  socket.emit('deployment-log', { 
+    message: count === 1 ? 'Stored 1 output' : `Stored ${count} outputs`, 
+    timestamp: new Date().toISOString() 
   });
+  
+  return stored;
+}
+
+/**
+ * Apply the saved plan of a deployment
+ * The plan file is consumed: it is removed once apply has finished, successfully or not
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object} socket - Socket.io socket for real-time communication
+ * @param {Object} fullEnv - Complete environment variables
+ * @returns {Promise<{success: boolean, cancelled: boolean}>} Outcome of the apply
+ */
+async function applyTerraformPlan(deploymentDir, socket, fullEnv = process.env) {
+  const planSummary = await getTerraformPlan(deploymentDir);
+  
+  if (!planSummary) {
+    throw new Error('No saved plan to apply');
+  }
+  
+  const isDestroy = planSummary.operation === 'destroy';
+  const deploymentId = path.basename(deploymentDir);
+  const run = registerRun(deploymentId, isDestroy ? 'destroy' : 'apply');
+  
+  try {
+    socket.emit('deployment-log', { 
+      message: isDestroy 
+        ? `Starting destruction of deployment ${deploymentId}...` 
+        : 'Starting OpenTofu apply...', 
+      timestamp: new Date().toISOString() 
+    });
+    
+    // A saved plan is applied as-is, so no -auto-approve or variables are needed
+    const apply = await runTofuCommand(['apply', '-input=false', PLAN_FILE], deploymentDir, socket, fullEnv);
+    
+    await discardTerraformPlan(deploymentDir);
+    
+    if (apply.cancelled) {
+      emitCancelled(socket, isDestroy 
+        ? `Destruction of deployment ${deploymentId} cancelled` 
+        : 'Deployment cancelled');
+      return { success: false, cancelled: true };
+    }
+    
+    if (apply.code === 0) {
+      // Outputs describe the infrastructure as it is now, none are left once it is destroyed
+      if (isDestroy) {
+        await clearDeploymentOutputs(deploymentId);
+      } else {
+        await captureTerraformOutputs(deploymentDir, socket, fullEnv);
+      }
+      
+      socket.emit('deployment-complete', { 
+        success: true, 
+        message: isDestroy 
+          ? `Deployment ${deploymentId} destroyed successfully` 
+          : 'Deployment completed successfully',
+        timestamp: new Date().toISOString() 
+      });
+    } else {
+      socket.emit('deployment-complete', { 
+        success: false, 
+        message: isDestroy 
+          ? `Destruction of deployment ${deploymentId} failed with exit code ${apply.code}` 
+          : `Deployment failed with exit code ${apply.code}`,
+        timestamp: new Date().toISOString() 
+      });
+    }
+    
+    return { success: apply.code === 0, cancelled: false };
+  } finally {
+    unregisterRun(deploymentId, run);
+  }
+}
+
+/**
+ * List the resources managed by a deployment, read from its state with `tofu show -json`
+ * The command is registered as a run of the deployment, so it can be cancelled
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object} socket - Socket-like emitter receiving OpenTofu's error output
+ * @param {Object} fullEnv - Complete environment variables
+ * @returns {Promise<Object>} State summary with the managed resources, or { cancelled: true }
+ * @throws {Error} With code STATE_UNREADABLE if the state cannot be read
+ */
+async function getTerraformResources(deploymentDir, socket, fullEnv = process.env) {
+  const deploymentId = path.basename(deploymentDir);
+  const run = registerRun(deploymentId, 'show');
+  
+  try {
+    const show = await runTofuCommand(['show', '-json'], deploymentDir, socket, fullEnv, { 
+      captureOutput: true 
+    });
+    
+    if (show.cancelled) {
+      return { cancelled: true };
+    }
+    
+    let stateJson = null;
+    try {
+      stateJson = JSON.parse(show.stdout);
+    } catch (error) {
+      stateJson = null;
+    }
+    
+    if (show.code !== 0 || !stateJson) {
+      const error = new Error(`Unable to read the state of the deployment (exit code ${show.code})`);
+      error.code = 'STATE_UNREADABLE';
+      throw error;
+    }
+    
+    return summarizeState(stateJson);
+  } finally {
+    unregisterRun(deploymentId, run);
+  }
+}
+
+/**
+ * Check whether the infrastructure of a deployment has drifted from its state
+ * Runs `plan -detailed-exitcode`, refresh-only by default so only changes made outside
+ * OpenTofu are reported; a full plan also reports changes the configuration would make.
+ * The drift plan is never applied and is removed afterwards.
+ * @param {string} deploymentDir - Deployment directory path
+ * @param {Object} socket - Socket-like emitter for OpenTofu's output
+ * @param {Object} fullEnv - Complete environment variables
+ * @param {Object} [options] - Options
+ * @param {string} [options.mode] - 'refresh-only' or 'full'
+ * @returns {Promise<Object>} Drift result with status 'in-sync', 'drifted', 'error' or
+ *   'cancelled', the drifted resources and a message for errors
+ */
+async function checkTerraformDrift(deploymentDir, socket, fullEnv = process.env, options = {}) {
+  const mode = options.mode === 'full' ? 'full' : 'refresh-only';
+  const deploymentId = path.basename(deploymentDir);
+  const run = registerRun(deploymentId, 'drift-check');
+  const result = { mode, checkedAt: new Date().toISOString(), resources: [] };
+  
+  try {
+    const planArgs = ['plan', '-input=false', '-detailed-exitcode', `-out=${DRIFT_PLAN_FILE}`, '-var-file=terraform.tfvars'];
+    if (mode === 'refresh-only') {
+      planArgs.push('-refresh-only');
+    }
+    
+    const plan = await runTofuCommand(planArgs, deploymentDir, socket, fullEnv, { captureOutput: true });
+    
+    if (plan.cancelled) {
+      return { ...result, status: 'cancelled', message: 'Drift check cancelled' };
+    }
+    
+    // With -detailed-exitcode, 0 means no changes and 2 means changes
+    if (plan.code !== 0 && plan.code !== 2) {
+      return { ...result, status: 'error', message: `OpenTofu plan failed with exit code ${plan.code}` };
+    }
+    
+    const show = await runTofuCommand(['show', '-json', DRIFT_PLAN_FILE], deploymentDir, socket, fullEnv, { 
+      captureOutput: true 
+    });
+    
+    let planJson = null;
+    try {
+      planJson = JSON.parse(show.stdout);
+    } catch (error) {
+      planJson = null;
+    }
+    
+    if (show.code !== 0 || !planJson) {
+      return { ...result, status: plan.code === 2 ? 'drifted' : 'in-sync', message: 'Unable to read the drift plan' };
+    }
+    
+    // Changes made outside OpenTofu are in resource_drift; a full plan also lists what it would change
+    const { resources } = summarizePlan({ 
+      resource_changes: mode === 'full' ? planJson.resource_changes : planJson.resource_drift 
+    });
+    
+    return { ...result, status: plan.code === 2 ? 'drifted' : 'in-sync', resources };
+  } finally {
+    await fs.rm(path.join(deploymentDir, DRIFT_PLAN_FILE), { force: true });
+    unregisterRun(deploymentId, run);
+  }
 }
 
 export {
   extractSensitiveEnvVars,
-  createBackendConfig,
+  extractNonSensitiveVariables,
+  extractSensitiveValues,
+  sensitiveValuesToEnvVars,
   generateTfvarsContent,
-  startTerraformApply
-};
\ No newline at end of file
+  runTofuCommand,
+  startTerraformPlan,
+  getTerraformPlan,
+  discardTerraformPlan,
+  clearRepositoryFiles,
+  replaceRepositoryFiles,
+  applyTerraformPlan,
+  getTerraformResources,
+  checkTerraformDrift
+};
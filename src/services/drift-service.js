@@ -0,0 +1,127 @@
+/**
+ * Drift service
+ * Regularly checks every deployment that has state for infrastructure changed
+ * outside OpenTofu, and records the result of the last check in its manifest
+ *
+ * Environment Variables:
+ * - DRIFT_CHECK_INTERVAL: Minutes between scheduled drift checks (defaults to 360, 0 disables them)
+ * - DRIFT_CHECK_MODE: 'refresh-only' (default) to report changes made outside OpenTofu,
+ *   or 'full' to also report changes the configuration would make
+ */
+
+import fs from 'fs/promises';
+import { getDeploymentsDir, getDeploymentDir, isValidDeploymentId } from '../utils/file-utils.js';
+import { readManifest, updateManifest } from './deployment-manifest-service.js';
+import { hasBackendState } from './backend-service.js';
+
+const DRIFT_CHECK_INTERVAL_MS = (process.env.DRIFT_CHECK_INTERVAL !== undefined
+  ? Math.max(0, Number(process.env.DRIFT_CHECK_INTERVAL) || 0)
+  : 360) * 60 * 1000;
+
+const DRIFT_CHECK_MODE = process.env.DRIFT_CHECK_MODE === 'full' ? 'full' : 'refresh-only';
+
+let schedulerTimer = null;
+
+/**
+ * List the deployments that have state, and so may have drifted
+ * @returns {Promise<string[]>} Deployment IDs
+ */
+async function listDeploymentsWithState() {
+  const entries = await fs.readdir(getDeploymentsDir(), { withFileTypes: true });
+  const deploymentIds = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidDeploymentId(entry.name)) {
+      continue;
+    }
+    try {
+      const files = await fs.readdir(getDeploymentDir(entry.name));
+      // Deployments of an environment keep their state in the directory of its workspace
+      if (files.includes('terraform.tfstate') || files.includes('terraform.tfstate.d') ||
+          hasBackendState(await readManifest(entry.name))) {
+        deploymentIds.push(entry.name);
+      }
+    } catch (error) {
+      // Removed while listing
+    }
+  }
+
+  return deploymentIds;
+}
+
+/**
+ * Record the result of a drift check in the deployment manifest
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} result - Result of checkTerraformDrift
+ * @param {string} trigger - What started the check: 'schedule' or 'manual'
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function saveDriftResult(deploymentId, result, trigger) {
+  return updateManifest(deploymentId, manifest => ({
+    ...manifest,
+    drift: { ...result, trigger }
+  }));
+}
+
+/**
+ * Forget the last drift result, once an apply or destroy has brought the infrastructure
+ * in line with the configuration again
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function clearDriftResult(deploymentId) {
+  return updateManifest(deploymentId, manifest => ({ ...manifest, drift: null }));
+}
+
+/**
+ * Check every deployment with state, one after another
+ * @param {Function} checkDeployment - Starts the check of one deployment, resolving once it has
+ *   finished; deployments busy with another operation are skipped by it
+ */
+async function runScheduledChecks(checkDeployment) {
+  let deploymentIds = [];
+  try {
+    deploymentIds = await listDeploymentsWithState();
+  } catch (error) {
+    console.error('Drift check: unable to list deployments:', error.message);
+  }
+
+  for (const deploymentId of deploymentIds) {
+    try {
+      await checkDeployment(deploymentId);
+    } catch (error) {
+      console.error(`Drift check of ${deploymentId} failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start checking all deployments for drift every DRIFT_CHECK_INTERVAL minutes
+ * A round of checks only starts once the previous one has finished
+ * @param {Function} checkDeployment - Starts the check of one deployment (see runScheduledChecks)
+ * @returns {boolean} Whether the scheduler was started
+ */
+function startDriftScheduler(checkDeployment) {
+  if (DRIFT_CHECK_INTERVAL_MS === 0 || schedulerTimer) {
+    return false;
+  }
+
+  const scheduleNext = () => {
+    schedulerTimer = setTimeout(() => {
+      runScheduledChecks(checkDeployment).finally(scheduleNext);
+    }, DRIFT_CHECK_INTERVAL_MS);
+    schedulerTimer.unref();
+  };
+
+  scheduleNext();
+  return true;
+}
+
+export {
+  DRIFT_CHECK_INTERVAL_MS,
+  DRIFT_CHECK_MODE,
+  listDeploymentsWithState,
+  saveDriftResult,
+  clearDriftResult,
+  startDriftScheduler
+};
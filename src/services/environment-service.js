@@ -0,0 +1,137 @@
+/**
+ * Environment service
+ * Groups the deployments of a source into named environments such as dev, staging and prod.
+ * Each environment is a deployment of its own, with its own variables and state, planned and
+ * applied in the OpenTofu workspace of the same name. A source holds each environment once;
+ * it is released again when its deployment is destroyed or its first plan discarded.
+ */
+
+import fs from 'fs/promises';
+import { getDeploymentsDir, isValidDeploymentId } from '../utils/file-utils.js';
+import { readManifest } from './deployment-manifest-service.js';
+import { getSourceKey, getCommitUrl } from './repository-service.js';
+
+// Environment names are used as workspace names, which end up in state paths and keys
+const ENVIRONMENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Statuses of deployments that no longer hold their environment
+const RELEASED_STATUSES = ['destroyed', 'discarded'];
+
+/**
+ * Check an environment name entered for a deployment
+ * @param {string} [name] - Environment name
+ * @returns {string|null} Environment name, or null if none was entered
+ * @throws {Error} With code INVALID_ENVIRONMENT if the name cannot be used as a workspace name
+ */
+function normalizeEnvironmentName(name) {
+  const environment = String(name || '').trim();
+  if (!environment) {
+    return null;
+  }
+  if (!ENVIRONMENT_NAME_PATTERN.test(environment)) {
+    const error = new Error('Environment name must be 1 to 40 lowercase letters, digits, - or _, starting with a letter or digit');
+    error.code = 'INVALID_ENVIRONMENT';
+    throw error;
+  }
+  return environment;
+}
+
+/**
+ * Read the manifests of every deployment made for an environment
+ * @returns {Promise<Array>} Manifests with an environment
+ */
+async function readEnvironmentManifests() {
+  let entries;
+  try {
+    entries = await fs.readdir(getDeploymentsDir(), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const manifests = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidDeploymentId(entry.name)) {
+      continue;
+    }
+    try {
+      const manifest = await readManifest(entry.name);
+      if (manifest?.environment && manifest.source) {
+        manifests.push(manifest);
+      }
+    } catch (error) {
+      console.warn(`Unable to read the manifest of ${entry.name}:`, error.message);
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Find the deployment holding an environment of a source
+ * @param {Object} location - Repository location, or the source of a deployment manifest
+ * @param {string} environment - Environment name
+ * @returns {Promise<Object|null>} Manifest of the deployment, or null if the environment is free
+ */
+async function findEnvironmentDeployment(location, environment) {
+  const source = getSourceKey(location);
+  const manifests = await readEnvironmentManifests();
+  return manifests.find(manifest => (
+    manifest.environment === environment &&
+    getSourceKey(manifest.source) === source &&
+    !RELEASED_STATUSES.includes(manifest.status)
+  )) || null;
+}
+
+/**
+ * Get the environments of every source, with the deployment of each
+ * An environment shows the deployment holding it, or the last one that did
+ * @returns {Promise<Object>} { environments, sources } with the environment names in the order
+ *   they were first deployed, and per source its repository and a cell per environment
+ */
+async function getEnvironmentMatrix() {
+  const manifests = (await readEnvironmentManifests())
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const environments = [];
+  const sources = new Map();
+
+  manifests.forEach((manifest) => {
+    if (!environments.includes(manifest.environment)) {
+      environments.push(manifest.environment);
+    }
+
+    const key = getSourceKey(manifest.source);
+    if (!sources.has(key)) {
+      sources.set(key, { source: key, repository: manifest.source, environments: {} });
+    }
+
+    const row = sources.get(key);
+    const current = row.environments[manifest.environment];
+    if (current && !RELEASED_STATUSES.includes(current.status) && RELEASED_STATUSES.includes(manifest.status)) {
+      return;
+    }
+
+    // The newest deployment describes the source
+    row.repository = manifest.source;
+    row.environments[manifest.environment] = {
+      deploymentId: manifest.id,
+      status: manifest.status,
+      branch: manifest.source.branch,
+      commitSha: manifest.source.commitSha || null,
+      lastApplied: manifest.lastApplied
+        ? { ...manifest.lastApplied, commitUrl: getCommitUrl({ ...manifest.source, commitSha: manifest.lastApplied.commitSha }) }
+        : null,
+      updatedAt: manifest.updatedAt
+    };
+  });
+
+  return {
+    environments,
+    sources: [...sources.values()].sort((a, b) => a.source.localeCompare(b.source))
+  };
+}
+
+export {
+  normalizeEnvironmentName,
+  findEnvironmentDeployment,
+  getEnvironmentMatrix
+};
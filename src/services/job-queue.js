@@ -0,0 +1,216 @@
+/**
+ * Job queue
+ * Serializes OpenTofu operations per deployment and caps how many of them run
+ * at once across the server. A deployment is locked from the moment an operation
+ * is accepted for it until that operation has finished.
+ *
+ * Environment Variables:
+ * - TOFU_MAX_CONCURRENT: Maximum number of OpenTofu jobs running at once (defaults to 2)
+ */
+
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.TOFU_MAX_CONCURRENT) || 2);
+
+// Jobs waiting for a free slot, oldest first
+const queuedJobs = [];
+
+// Running and queued job per deployment ID; holding an entry is holding the deployment lock
+const deploymentJobs = new Map();
+
+let runningCount = 0;
+
+/**
+ * Get the job queued or running for a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Object|null} Job with operation, state and queue position, or null if the deployment is free
+ */
+function getDeploymentJob(deploymentId) {
+  const job = deploymentJobs.get(deploymentId);
+  if (!job) {
+    return null;
+  }
+
+  return {
+    deploymentId,
+    operation: job.operation,
+    state: job.state,
+    position: job.state === 'queued' ? queuedJobs.indexOf(job) + 1 : 0,
+    queuedAt: job.queuedAt
+  };
+}
+
+/**
+ * Get the current load of the queue
+ * @returns {Object} Number of running and queued jobs and the concurrency limit
+ */
+function getQueueStatus() {
+  return {
+    running: runningCount,
+    queued: queuedJobs.length,
+    limit: MAX_CONCURRENT_JOBS
+  };
+}
+
+/**
+ * Tell every waiting job its current position in the queue
+ */
+function announcePositions() {
+  queuedJobs.forEach((job, index) => {
+    job.socket.emit('deployment-queued', {
+      position: index + 1,
+      running: runningCount,
+      limit: MAX_CONCURRENT_JOBS,
+      message: `Waiting for a free slot, position ${index + 1} in the queue`,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * Release the deployment lock and the slot of a finished job
+ * @param {Object} job - Finished job
+ */
+function releaseJob(job) {
+  if (deploymentJobs.get(job.deploymentId) === job) {
+    deploymentJobs.delete(job.deploymentId);
+  }
+  runningCount--;
+  processQueue();
+}
+
+/**
+ * Start queued jobs while slots are free
+ */
+function processQueue() {
+  let started = false;
+
+  while (runningCount < MAX_CONCURRENT_JOBS && queuedJobs.length > 0) {
+    const job = queuedJobs.shift();
+    job.state = 'running';
+    runningCount++;
+    started = true;
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then(job.resolve, job.reject)
+      .finally(() => releaseJob(job));
+  }
+
+  if (started) {
+    announcePositions();
+  }
+}
+
+/**
+ * Lock a deployment for an operation
+ * The lock is taken synchronously, before any preparation work, so two requests
+ * for the same deployment can never both get through
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} operation - Operation name (deploy, destroy, apply)
+ * @returns {Object} Job to pass to enqueueJob, or to releaseDeployment if preparation fails
+ * @throws {Error} With code DEPLOYMENT_BUSY if another operation holds the deployment
+ */
+function reserveDeployment(deploymentId, operation) {
+  const existing = getDeploymentJob(deploymentId);
+  if (existing) {
+    const error = new Error(`Deployment ${deploymentId} is busy with a ${existing.operation} operation`);
+    error.code = 'DEPLOYMENT_BUSY';
+    error.job = existing;
+    throw error;
+  }
+
+  const job = {
+    deploymentId,
+    operation,
+    state: 'preparing',
+    cancelled: false,
+    queuedAt: new Date().toISOString(),
+    socket: null,
+    task: null,
+    resolve: null,
+    reject: null
+  };
+
+  deploymentJobs.set(deploymentId, job);
+  return job;
+}
+
+/**
+ * Release a deployment lock that never made it into the queue
+ * @param {Object} job - Job returned by reserveDeployment
+ */
+function releaseDeployment(job) {
+  if (job.state === 'preparing' && deploymentJobs.get(job.deploymentId) === job) {
+    deploymentJobs.delete(job.deploymentId);
+  }
+}
+
+/**
+ * Queue the operation of a reserved deployment
+ * @param {Object} job - Job returned by reserveDeployment
+ * @param {Object} socket - Socket-like emitter receiving queue position updates
+ * @param {Function} task - Async function running the operation once a slot is free
+ * @returns {Promise<*>} Result of the task, or { success: false, cancelled: true } if the job was cancelled
+ *   while it was prepared or queued
+ */
+function enqueueJob(job, socket, task) {
+  return new Promise((resolve, reject) => {
+    // Cancelled while it was prepared; the operation never starts
+    if (job.cancelled) {
+      releaseDeployment(job);
+      socket.emit('deployment-complete', {
+        success: false,
+        cancelled: true,
+        message: 'Operation cancelled before OpenTofu started',
+        timestamp: new Date().toISOString()
+      });
+      resolve({ success: false, cancelled: true });
+      return;
+    }
+
+    Object.assign(job, { socket, task, resolve, reject, state: 'queued' });
+    queuedJobs.push(job);
+
+    processQueue();
+
+    if (job.state === 'queued') {
+      announcePositions();
+    }
+  });
+}
+
+/**
+ * Cancel a job before it has started
+ * A queued job is removed from the queue; a job still being prepared, such as one downloading
+ * its repository, is marked so enqueueJob drops it instead of queueing it
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Object|null} { deploymentId, operation, state } with the state the job was cancelled in,
+ *   'queued' or 'preparing', or null if no job is waiting for the deployment
+ */
+function cancelQueuedJob(deploymentId) {
+  const job = deploymentJobs.get(deploymentId);
+  if (!job || job.state === 'running') {
+    return null;
+  }
+
+  if (job.state === 'preparing') {
+    job.cancelled = true;
+    return { deploymentId, operation: job.operation, state: job.state };
+  }
+
+  queuedJobs.splice(queuedJobs.indexOf(job), 1);
+  deploymentJobs.delete(deploymentId);
+  job.resolve({ success: false, cancelled: true });
+  announcePositions();
+
+  return { deploymentId, operation: job.operation, state: 'queued' };
+}
+
+export {
+  MAX_CONCURRENT_JOBS,
+  getDeploymentJob,
+  getQueueStatus,
+  reserveDeployment,
+  releaseDeployment,
+  enqueueJob,
+  cancelQueuedJob
+};
@@ -0,0 +1,258 @@
+/**
+ * OIDC service
+ * Authorization code flow with PKCE against an OpenID Connect provider.
+ * ID tokens are verified against the provider's JWKS, and the user's role is
+ * taken from a claim (groups by default) through a configurable mapping.
+ *
+ * Environment Variables:
+ * - OIDC_ISSUER: Issuer URL; OIDC login is offered when this is set
+ * - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET: Client credentials
+ * - OIDC_REDIRECT_URI: Callback URL (defaults to <request origin>/api/auth/oidc/callback)
+ * - OIDC_SCOPES: Requested scopes (defaults to "openid profile email")
+ * - OIDC_NAME: Name shown on the login button (defaults to "Single sign-on")
+ * - OIDC_ROLE_CLAIM: Claim holding the user's groups or roles (defaults to groups)
+ * - OIDC_ROLE_MAPPING: Claim values mapped to roles, e.g. "platform-admins=admin,developers=deployer"
+ * - OIDC_DEFAULT_ROLE: Role for users matching no mapping (defaults to viewer)
+ */
+
+import crypto from 'crypto';
+import { ROLES, hasRole } from './auth-service.js';
+
+// Hash used by each supported JWS algorithm
+const SIGNING_ALGORITHMS = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512',
+  ES256: 'sha256',
+  ES384: 'sha384',
+  ES512: 'sha512'
+};
+
+// Tolerated clock difference with the provider when checking token times
+const CLOCK_SKEW_SECONDS = 60;
+
+let discoveryPromise = null;
+let jwksCache = null;
+
+/**
+ * Whether OIDC login is configured
+ * @returns {boolean} True if an issuer is set
+ */
+function isOidcEnabled() {
+  return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+}
+
+/**
+ * Get the display name of the OIDC provider
+ * @returns {string} Provider name for the login button
+ */
+function getOidcProviderName() {
+  return process.env.OIDC_NAME || 'Single sign-on';
+}
+
+/**
+ * Fetch JSON from the provider
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed response
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC provider returned ${response.status} for ${url}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+}
+
+/**
+ * Get the provider's discovery document, fetched once
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+function discover() {
+  if (!discoveryPromise) {
+    const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+    discoveryPromise = fetchJson(`${issuer}/.well-known/openid-configuration`).then((metadata) => {
+      if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+        throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${issuer}`);
+      }
+      return metadata;
+    });
+    discoveryPromise.catch(() => {
+      discoveryPromise = null;
+    });
+  }
+  return discoveryPromise;
+}
+
+/**
+ * Find the provider key a token was signed with
+ * The key set is fetched again once when the key ID is unknown, to follow key rotation
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object>} Public key
+ */
+async function getSigningKey(kid) {
+  const metadata = await discover();
+
+  for (const refresh of [false, true]) {
+    if (!jwksCache || refresh) {
+      jwksCache = (await fetchJson(metadata.jwks_uri)).keys || [];
+    }
+
+    const candidates = jwksCache.filter(key => key.use !== 'enc');
+    const jwk = kid ? candidates.find(key => key.kid === kid) : candidates[0];
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error(`No signing key ${kid || ''} in the provider's key set`);
+}
+
+/**
+ * Verify an ID token and return its claims
+ * @param {string} idToken - Compact JWS
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Token claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const [encodedHeader, encodedPayload, encodedSignature] = (idToken || '').split('.');
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    throw new Error('Malformed ID token');
+  }
+
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+  const hash = SIGNING_ALGORITHMS[header.alg];
+  if (!hash) {
+    throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  }
+
+  const key = await getSigningKey(header.kid);
+  const valid = crypto.verify(
+    hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    header.alg.startsWith('ES') ? { key, dsaEncoding: 'ieee-p1363' } : key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid ID token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+  const metadata = await discover();
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== metadata.issuer) {
+    throw new Error('ID token was issued by another provider');
+  }
+  if (!audiences.includes(process.env.OIDC_CLIENT_ID)) {
+    throw new Error('ID token was issued for another client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_SECONDS) {
+    throw new Error('ID token has expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the login request');
+  }
+
+  return claims;
+}
+
+/**
+ * Map the role claim of a user to the highest role it grants
+ * @param {Object} claims - ID token claims
+ * @returns {string} One of ROLES
+ */
+function mapRole(claims) {
+  const claim = claims[process.env.OIDC_ROLE_CLAIM || 'groups'];
+  const values = Array.isArray(claim) ? claim : (claim ? [claim] : []);
+  const defaultRole = ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'viewer';
+
+  const mapping = (process.env.OIDC_ROLE_MAPPING || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([value, role]) => value && ROLES.includes(role));
+
+  return mapping.reduce((best, [value, role]) => (
+    values.includes(value) && hasRole(role, best) ? role : best
+  ), defaultRole);
+}
+
+/**
+ * Build the authorization request to send the browser to
+ * @param {string} redirectUri - Callback URL
+ * @returns {Promise<Object>} Authorization URL and the state to keep until the callback
+ */
+async function createAuthorizationRequest(redirectUri) {
+  const metadata = await discover();
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: process.env.OIDC_SCOPES || 'openid profile email',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), loginState: { state, nonce, codeVerifier, redirectUri } };
+}
+
+/**
+ * Complete the login after the provider redirected back
+ * @param {Object} params - Query parameters of the callback
+ * @param {Object} loginState - State kept since createAuthorizationRequest
+ * @returns {Promise<Object>} Session user
+ */
+async function completeAuthorization(params, loginState) {
+  if (params.error) {
+    throw new Error(`OIDC login failed: ${params.error_description || params.error}`);
+  }
+  if (!loginState || !params.state || params.state !== loginState.state) {
+    throw new Error('OIDC login state does not match, please try again');
+  }
+
+  const metadata = await discover();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: loginState.redirectUri,
+    client_id: process.env.OIDC_CLIENT_ID,
+    code_verifier: loginState.codeVerifier
+  });
+  if (process.env.OIDC_CLIENT_SECRET) {
+    body.set('client_secret', process.env.OIDC_CLIENT_SECRET);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+
+  const claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+
+  return {
+    name: claims.preferred_username || claims.email || claims.sub,
+    email: claims.email || null,
+    role: mapRole(claims),
+    provider: 'oidc'
+  };
+}
+
+export {
+  isOidcEnabled,
+  getOidcProviderName,
+  createAuthorizationRequest,
+  completeAuthorization
+};
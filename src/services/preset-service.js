@@ -0,0 +1,146 @@
+/**
+ * Preset service
+ * Keeps named sets of variable values per source, the repository and directory a module
+ * is deployed from, so the same module can be deployed again without retyping its values.
+ * Presets apply to every branch of the source. Sensitive values are never stored in them.
+ *
+ * Environment Variables:
+ * - PRESETS_FILE: Presets file (defaults to DEPLOYMENTS_DIR/.presets.json)
+ */
+
+import path from 'path';
+import { getDeploymentsDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { getSourceKey } from './repository-service.js';
+
+// Pending presets file updates, so concurrent updates never overwrite each other
+let pendingPresetsUpdate = Promise.resolve();
+
+/**
+ * Get the path of the presets file
+ * @returns {string} Presets file path
+ */
+function getPresetsPath() {
+  return process.env.PRESETS_FILE || path.join(getDeploymentsDir(), '.presets.json');
+}
+
+/**
+ * Read the stored presets of every source
+ * @returns {Promise<Array>} Stored presets
+ */
+async function readStoredPresets() {
+  return (await readJsonFile(getPresetsPath())) || [];
+}
+
+/**
+ * Update the presets file
+ * @param {Function} updater - Receives the current presets and returns the updated list
+ * @returns {Promise<Array>} Updated presets
+ */
+function updateStoredPresets(updater) {
+  const update = pendingPresetsUpdate.catch(() => {}).then(async () => {
+    const presets = await updater(await readStoredPresets());
+    await writeJsonFile(getPresetsPath(), presets);
+    return presets;
+  });
+
+  pendingPresetsUpdate = update;
+  return update;
+}
+
+/**
+ * Create an error for a preset that cannot be saved
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_PRESET
+ */
+function createPresetError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PRESET';
+  return error;
+}
+
+/**
+ * List the presets of a source
+ * @param {Object} location - Repository location
+ * @returns {Promise<Array>} Presets with name, values and who saved them when, by name
+ */
+async function listPresets(location) {
+  const source = getSourceKey(location);
+  return (await readStoredPresets())
+    .filter(preset => preset.source === source)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save the values of the variables of a source as a preset, replacing a preset of the same name
+ * Sensitive variables and variables the module does not declare are left out
+ * @param {Object} location - Repository location
+ * @param {string} name - Preset name
+ * @param {Object} variables - Variable values keyed by name
+ * @param {Object} terraformVariables - Variable definitions of the module
+ * @param {string} [savedBy] - Who saved it
+ * @returns {Promise<Object>} { preset, excluded } with the names of the variables left out
+ * @throws {Error} With code INVALID_PRESET if the name or variables cannot be used
+ */
+async function savePreset(location, name, variables, terraformVariables, savedBy) {
+  const presetName = String(name || '').trim();
+  if (presetName.length === 0 || presetName.length > 100) {
+    throw createPresetError('Preset name must be between 1 and 100 characters');
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw createPresetError('Variables must be an object of values keyed by name');
+  }
+
+  const values = {};
+  const excluded = [];
+  Object.entries(variables).forEach(([key, value]) => {
+    if (!terraformVariables[key] || terraformVariables[key].sensitive === true) {
+      excluded.push(key);
+    } else if (value !== undefined) {
+      values[key] = value;
+    }
+  });
+
+  const source = getSourceKey(location);
+  const now = new Date().toISOString();
+  let preset;
+  await updateStoredPresets((presets) => {
+    const existing = presets.find(stored => stored.source === source && stored.name === presetName);
+    preset = {
+      source,
+      name: presetName,
+      values,
+      createdBy: existing ? existing.createdBy : savedBy || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedBy: savedBy || null,
+      updatedAt: now
+    };
+    return [...presets.filter(stored => stored !== existing), preset];
+  });
+
+  return { preset, excluded };
+}
+
+/**
+ * Delete a preset of a source
+ * @param {Object} location - Repository location
+ * @param {string} name - Preset name
+ * @returns {Promise<boolean>} True if the source had a preset of that name
+ */
+async function deletePreset(location, name) {
+  const source = getSourceKey(location);
+  let found = false;
+  await updateStoredPresets(presets => presets.filter((preset) => {
+    if (preset.source === source && preset.name === name) {
+      found = true;
+      return false;
+    }
+    return true;
+  }));
+  return found;
+}
+
+export {
+  listPresets,
+  savePreset,
+  deletePreset
+};
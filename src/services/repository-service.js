@@ -0,0 +1,660 @@
+/**
+ * Repository service
+ * Handles repository parsing, file fetching and repository downloads for every source provider
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  parseTerraformConfig,
+  mergeTerraformConfigs,
+  toFormVariables,
+  parseReadmeForVariables,
+  mergeAllVariables
+} from '../utils/terraform-parser.js';
+import { getSourceProvider, parseRepositoryUrl } from './source-providers/index.js';
+import { getRateLimit } from './source-providers/http.js';
+import { getCachedParse, saveCachedParse } from './source-cache-service.js';
+
+// How long the resolved head of a branch is reused when checking deployments for upstream updates
+const BRANCH_HEAD_TTL_MS = 5 * 60 * 1000;
+
+// Resolved branch heads keyed by repository and branch, and comparisons of two commits, which never change
+const branchHeads = new Map();
+const comparisons = new Map();
+const MAX_CACHED_COMPARISONS = 100;
+
+// Directory of a deployment that local modules from outside the selected path are downloaded to,
+// laid out like the repository so their own relative module sources keep working
+const EXTERNAL_MODULES_DIR = '.external-modules';
+
+// How deep local modules calling local modules are followed
+const MAX_MODULE_DEPTH = 10;
+
+// Types of git tree entries as reported in the file list of a parsed repository
+const TREE_ENTRY_TYPES = { blob: 'file', tree: 'dir', commit: 'submodule' };
+
+// Version of the parse result; raise it when parsing changes, so results cached before are not used
+const PARSE_RESULT_VERSION = 1;
+
+/**
+ * Get the location of the repository that repository data was read from
+ * The repository URL is authoritative; data recorded before source providers existed is GitHub
+ * @param {Object} repoData - Repository data, or the source of a deployment manifest
+ * @returns {Object} Location with provider, host, owner, repo, branch and path
+ */
+function getRepositoryLocation(repoData) {
+  if (repoData.repoUrl) {
+    return parseRepositoryUrl(repoData.repoUrl);
+  }
+  
+  const { owner, repo, branch, path: repoPath } = repoData;
+  return { provider: 'github', host: 'github.com', owner, repo, branch, path: repoPath };
+}
+
+/**
+ * Get the key of the source repository data was read from, in the host/owner/repo//path form
+ * of module sources; every branch of a directory is the same source
+ * @param {Object} location - Repository location, or the source of a deployment manifest
+ * @returns {string} Source key
+ */
+function getSourceKey({ host, owner, repo, path: repoPath }) {
+  const dirPath = String(repoPath || '').split('/').filter(Boolean).join('/');
+  return `${host}/${owner}/${repo}${dirPath ? `//${dirPath}` : ''}`;
+}
+
+/**
+ * Resolve a branch, tag or commit to the SHA of the commit it points to
+ * @param {Object} location - Repository location
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveCommitSha(location, ref) {
+  return getSourceProvider(location.provider).resolveCommitSha(location, ref);
+}
+
+/**
+ * Resolve the current head of the branch a deployment was made from,
+ * reusing a recent answer for BRANCH_HEAD_TTL_MS
+ * @param {Object} source - Repository data or manifest source
+ * @returns {Promise<string>} Commit SHA the branch points to
+ */
+async function getBranchHead(source) {
+  const location = getRepositoryLocation(source);
+  const key = `${location.provider}:${location.host}/${location.owner}/${location.repo}/${location.branch}`;
+  const cached = branchHeads.get(key);
+  if (cached && Date.now() - cached.resolvedAt < BRANCH_HEAD_TTL_MS) {
+    return cached.sha;
+  }
+  
+  const sha = await resolveCommitSha(location, location.branch);
+  branchHeads.set(key, { sha, resolvedAt: Date.now() });
+  return sha;
+}
+
+/**
+ * Compare two commits, keeping only the Terraform files below the directory of a deployment
+ * @param {Object} source - Repository data or manifest source
+ * @param {string} base - Commit SHA deployed
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<Object>} { aheadBy, commits, files } with the .tf file changes and their patches
+ */
+async function compareCommits(source, base, head) {
+  const location = getRepositoryLocation(source);
+  const rootPath = normalizeRepoPath(location.path);
+  const key = `${location.provider}:${location.host}/${location.owner}/${location.repo}/${base}...${head}/${rootPath}`;
+  if (comparisons.has(key)) {
+    return comparisons.get(key);
+  }
+  
+  const result = await getSourceProvider(location.provider).compareCommits(location, base, head);
+  const prefix = rootPath ? `${rootPath}/` : '';
+  
+  const comparison = {
+    ...result,
+    files: result.files
+      .filter(file => file.filename.startsWith(prefix) && file.filename.endsWith('.tf'))
+      .map(file => ({ ...file, filename: file.filename.substring(prefix.length) }))
+  };
+  
+  if (comparisons.size >= MAX_CACHED_COMPARISONS) {
+    comparisons.delete(comparisons.keys().next().value);
+  }
+  comparisons.set(key, comparison);
+  return comparison;
+}
+
+/**
+ * Pin repository data to the commit its branch points to now, unless it already is
+ * The location fields are taken from the repository URL
+ * @param {Object} repoData - Repository data object
+ * @returns {Promise<Object>} Repository data with commitSha set
+ */
+async function pinRepositoryData(repoData) {
+  const location = getRepositoryLocation(repoData);
+  if (/^[0-9a-f]{40}$/.test(repoData.commitSha || '')) {
+    return { ...repoData, ...location };
+  }
+  
+  const commitSha = await resolveCommitSha(location, location.branch);
+  return { ...repoData, ...location, commitSha };
+}
+
+/**
+ * Get the web page of the commit a deployment was made from
+ * @param {Object} source - Repository data or manifest source
+ * @returns {string|null} Commit URL, or null if unknown or the provider has no web pages
+ */
+function getCommitUrl(source) {
+  if (!source?.commitSha) {
+    return null;
+  }
+  
+  try {
+    const location = getRepositoryLocation(source);
+    return getSourceProvider(location.provider).getCommitUrl(location, source.commitSha);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a file of the commit being parsed or downloaded
+ * @param {Object} source - { provider, location, ref, tree } of the commit
+ * @param {string} filePath - Path of the file within the repository
+ * @returns {Promise<Buffer>} File content
+ */
+function readSourceFile({ provider, location, ref }, filePath) {
+  return provider.readFile(location, ref, filePath);
+}
+
+/**
+ * Normalize a directory within the repository, without leading or trailing slashes
+ * @param {string} [repoPath] - Directory within the repository
+ * @returns {string} Normalized directory, empty for the repository root
+ */
+function normalizeRepoPath(repoPath) {
+  return path.posix.normalize(`/${repoPath || ''}`).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Check whether a repository path is a directory or lies below it
+ * @param {string} repoPath - Normalized repository path
+ * @param {string} dirPath - Normalized directory
+ * @returns {boolean} True if the path is within the directory
+ */
+function isWithinDirectory(repoPath, dirPath) {
+  return dirPath === '' || repoPath === dirPath || repoPath.startsWith(`${dirPath}/`);
+}
+
+/**
+ * List the tree entries below a directory
+ * @param {Array} tree - Tree entries of a provider's fetchTree
+ * @param {string} dirPath - Normalized directory
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.recursive=true] - Include the entries of subdirectories
+ * @returns {Array} Entries with relativePath set to their path within the directory
+ */
+function listDirectory(tree, dirPath, { recursive = true } = {}) {
+  const prefix = dirPath ? `${dirPath}/` : '';
+  
+  return tree
+    .filter(entry => entry.path.startsWith(prefix))
+    .map(entry => ({ ...entry, relativePath: entry.path.substring(prefix.length) }))
+    .filter(entry => recursive || !entry.relativePath.includes('/'));
+}
+
+/**
+ * Resolve the source of a module block to the directory of the repository it refers to
+ * @param {string} fromDir - Normalized directory of the calling configuration
+ * @param {string|null} source - Module source
+ * @returns {string|null} Normalized directory, or null if the source is not a local path
+ * @throws {Error} With code MODULE_OUTSIDE_REPOSITORY if the path leaves the repository
+ */
+function resolveLocalModuleSource(fromDir, source) {
+  if (typeof source !== 'string' || !/^\.\.?\//.test(source)) {
+    return null;
+  }
+  
+  const resolved = path.posix.normalize(path.posix.join(fromDir || '.', source)).replace(/\/+$/, '');
+  if (resolved === '..' || resolved.startsWith('../')) {
+    const error = new Error(`Module source ${source} points outside the repository`);
+    error.code = 'MODULE_OUTSIDE_REPOSITORY';
+    throw error;
+  }
+  
+  return resolved === '.' ? '' : resolved;
+}
+
+/**
+ * Download and parse the .tf files directly in a directory of the repository
+ * Files with syntax errors are reported and skipped
+ * @param {Object} source - { provider, location, ref, tree } of the commit
+ * @param {string} dirPath - Normalized directory
+ * @returns {Promise<Object>} { files, configuration, parseErrors }
+ */
+async function parseRepositoryDirectory(source, dirPath) {
+  const terraformFiles = listDirectory(source.tree, dirPath, { recursive: false })
+    .filter(entry => entry.type === 'blob' && entry.relativePath.endsWith('.tf'));
+  
+  const configs = [];
+  const parseErrors = [];
+  for (const tfFile of terraformFiles) {
+    let tfContent;
+    try {
+      tfContent = (await readSourceFile(source, tfFile.path)).toString('utf-8');
+    } catch (error) {
+      // Silently skip files that cannot be fetched
+      continue;
+    }
+    
+    try {
+      configs.push(parseTerraformConfig(tfContent, tfFile.relativePath));
+    } catch (error) {
+      if (error.code !== 'HCL_PARSE_ERROR') {
+        throw error;
+      }
+      parseErrors.push({ file: tfFile.relativePath, line: error.line, column: error.column, message: error.message });
+    }
+  }
+  
+  return {
+    files: terraformFiles.map(f => f.relativePath),
+    configuration: mergeTerraformConfigs(configs),
+    parseErrors
+  };
+}
+
+/**
+ * Find the local modules a configuration calls, directly or through other local modules,
+ * and read the variables each of them declares
+ * @param {Object} source - { provider, location, ref, tree } of the commit
+ * @param {string} rootPath - Normalized directory of the configuration
+ * @param {Object} configuration - Parsed configuration of that directory
+ * @returns {Promise<Array>} Modules with address, source, path, variables and the inputs their caller sets
+ */
+async function collectLocalModules(source, rootPath, configuration) {
+  const localModules = [];
+  const queue = Object.values(configuration.modules).map(module => ({
+    module,
+    fromDir: rootPath,
+    address: `module.${module.name}`,
+    depth: 1
+  }));
+  
+  while (queue.length > 0) {
+    const { module, fromDir, address, depth } = queue.shift();
+    
+    let modulePath;
+    try {
+      modulePath = resolveLocalModuleSource(fromDir, module.source);
+    } catch (error) {
+      localModules.push({ address, source: module.source, path: null, error: error.message, variables: {}, inputs: [] });
+      continue;
+    }
+    if (modulePath === null) {
+      continue;
+    }
+    
+    const parsed = await parseRepositoryDirectory(source, modulePath);
+    localModules.push({
+      address,
+      source: module.source,
+      path: modulePath,
+      outsidePath: !isWithinDirectory(modulePath, rootPath),
+      files: parsed.files,
+      variables: toFormVariables(parsed.configuration.variables),
+      inputs: Object.keys(module.inputs || {}),
+      parseErrors: parsed.parseErrors
+    });
+    
+    if (depth < MAX_MODULE_DEPTH) {
+      for (const child of Object.values(parsed.configuration.modules)) {
+        queue.push({ module: child, fromDir: modulePath, address: `${address}.module.${child.name}`, depth: depth + 1 });
+      }
+    }
+  }
+  
+  return localModules;
+}
+
+/**
+ * Parse a repository for Terraform variables
+ * A directory is parsed once per commit; parsing it again answers from the source cache
+ * @param {string} repoUrl - Repository URL of any source provider
+ * @returns {Object} Complete repository analysis with variables, whether it was cached,
+ *   and the rate limit the host reported last
+ */
+async function parseRepository(repoUrl) {
+  const location = parseRepositoryUrl(repoUrl);
+  const provider = getSourceProvider(location.provider);
+  
+  // Everything is read from the commit the branch points to now, and deployed from it later,
+  // so a push in between cannot change what gets deployed
+  const commitSha = await provider.resolveCommitSha(location, location.branch);
+  const rootPath = normalizeRepoPath(location.path);
+  
+  // The same commit may be reached through another branch or tag, so the location is always the one asked for
+  const cached = await getCachedParse(location, commitSha, rootPath, PARSE_RESULT_VERSION);
+  const result = cached || await parseRepositoryCommit(provider, location, commitSha, rootPath);
+  if (!cached) {
+    await saveCachedParse(location, commitSha, rootPath, PARSE_RESULT_VERSION, result);
+  }
+  
+  return {
+    repoUrl,
+    ...location,
+    ...result,
+    cached: Boolean(cached),
+    rateLimit: getRateLimit(location.host)
+  };
+}
+
+/**
+ * Parse a directory of a repository at a commit
+ * @param {Object} provider - Source provider
+ * @param {Object} location - Repository location
+ * @param {string} commitSha - Commit SHA
+ * @param {string} rootPath - Normalized directory within the repository
+ * @returns {Promise<Object>} Repository analysis, without the fields of the location
+ */
+async function parseRepositoryCommit(provider, location, commitSha, rootPath) {
+  // The whole tree is listed at once, so subdirectories and local modules are known too
+  const tree = await provider.fetchTree(location, commitSha);
+  const source = { provider, location, ref: commitSha, tree };
+  const entries = listDirectory(tree, rootPath);
+  
+  // The repository was readable, so an empty listing means the directory does not exist at this commit
+  if (rootPath && entries.length === 0) {
+    const error = new Error(`Path ${rootPath} not found in ${location.owner}/${location.repo} at ${location.branch}`);
+    error.code = 'PATH_NOT_FOUND';
+    throw error;
+  }
+  
+  const files = entries.filter(entry => entry.type === 'blob' && !entry.relativePath.includes('/'));
+  
+  // Get Terraform files (.tf)
+  const terraformFiles = files.filter(file => file.relativePath.endsWith('.tf'));
+  
+  if (terraformFiles.length === 0) {
+    const error = new Error('No .tf files found in the repository');
+    error.code = 'NO_TERRAFORM_FILES';
+    throw error;
+  }
+  
+  // Skip tfvars file parsing - only use Terraform files for variables
+  const tfvarsFile = null;
+  
+  // Get README file
+  const readmeFile = files.find(file => 
+    /^readme\.(md|txt)$/i.test(file.relativePath)
+  );
+  
+  // Parse all Terraform files; files with syntax errors are reported and skipped
+  const { configuration, parseErrors } = await parseRepositoryDirectory(source, rootPath);
+  const terraformVariables = toFormVariables(configuration.variables);
+  
+  // Variables of local modules are shown for reference; they are set by the configuration, not the form
+  const localModules = await collectLocalModules(source, rootPath, configuration);
+  
+  // Skip tfvars parsing - sensitive variables not provided during deployment
+  let tfvarsVariables = {};
+  
+  // Parse README for additional documentation
+  let readmeContent = '';
+  let readmeVariables = {};
+  
+  if (readmeFile) {
+    try {
+      readmeContent = (await readSourceFile(source, readmeFile.path)).toString('utf-8');
+      readmeVariables = parseReadmeForVariables(readmeContent);
+    } catch (error) {
+      // Silently skip README if it cannot be fetched
+    }
+  }
+  
+  // Merge variables from all sources
+  const mergedVariables = mergeAllVariables(terraformVariables, tfvarsVariables, readmeVariables);
+  
+  return {
+    commitSha,
+    commitUrl: provider.getCommitUrl(location, commitSha),
+    terraformFiles: terraformFiles.map(f => f.relativePath),
+    tfvarsFile: tfvarsFile?.name || null,
+    readmeFile: readmeFile?.relativePath || null,
+    variables: mergedVariables,
+    terraformVariables,
+    configuration,
+    parseErrors,
+    localModules,
+    tfvarsVariables,
+    readmeVariables,
+    readmeContent: readmeContent.substring(0, 2000), // First 2000 chars for reference
+    allFiles: entries.map(entry => ({ name: entry.relativePath, type: TREE_ENTRY_TYPES[entry.type] || entry.type, mode: entry.mode }))
+  };
+}
+
+/**
+ * Set file permissions based on GitHub's mode field or file detection
+ * @param {string} filePath - Path to the file
+ * @param {string} [mode] - Optional GitHub mode field (e.g., "100644", "100755")
+ */
+async function setFilePermissions(filePath, mode) {
+  let permissions;
+  
+  if (mode) {
+    // Convert GitHub mode to octal permissions
+    // GitHub mode format: "100644" where last 3 digits are permissions
+    permissions = parseInt(mode.slice(-3), 8);
+    
+    // Special handling for executable files
+    if (mode === '100755') {
+      // Executable file: 755 (rwxr-xr-x)
+      permissions = 0o755;
+    } else if (mode === '100644') {
+      // Regular file: 644 (rw-r--r--)
+      permissions = 0o644;
+    }
+  } else {
+    // Default permissions when GitHub mode is not available
+    permissions = 0o644; // Regular file permissions as default
+  }
+  
+  // Additional check for script files by extension and common shell script names
+  const fileName = path.basename(filePath);
+  const scriptExtensions = ['.sh', '.bash', '.zsh', '.ksh', '.csh', '.fish', '.py', '.pl', '.rb', '.js', '.ts', '.run', '.command'];
+  const commonScriptNames = ['install', 'setup', 'configure', 'deploy', 'build', 'start', 'stop', 'restart'];
+  
+  const isScriptFile = scriptExtensions.some(ext => fileName.endsWith(ext)) ||
+                      commonScriptNames.some(name => fileName.toLowerCase() === name) ||
+                      fileName.startsWith('install') ||
+                      fileName.startsWith('setup') ||
+                      fileName.startsWith('deploy');
+  
+  // Always make script files executable regardless of original permissions
+  if (isScriptFile) {
+    permissions = 0o755;
+  }
+  
+  try {
+    await fs.chmod(filePath, permissions);
+    
+    // Log when script files are made executable for debugging
+    if (isScriptFile) {
+      console.log(`Set executable permissions for script file: ${fileName}`);
+    }
+  } catch (error) {
+    // Don't fail the entire process if permission setting fails
+    // This might happen on some file systems or platforms that don't support chmod
+    console.log(`Warning: Could not set permissions for ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Download the files below a directory of the repository, keeping its layout and file modes
+ * Submodules are skipped, and symbolic links only kept if they point inside the target directory
+ * @param {Object} source - { provider, location, ref, tree } of the commit being downloaded
+ * @param {string} dirPath - Normalized directory within the repository
+ * @param {string} targetDir - Local directory to download the files to
+ * @returns {Promise<number>} Number of files downloaded
+ */
+async function downloadDirectory(source, dirPath, targetDir) {
+  let count = 0;
+  
+  for (const entry of listDirectory(source.tree, dirPath)) {
+    const filePath = path.join(targetDir, ...entry.relativePath.split('/'));
+    
+    if (entry.type === 'tree') {
+      await fs.mkdir(filePath, { recursive: true });
+      continue;
+    }
+    if (entry.type !== 'blob') {
+      console.log(`Skipping submodule ${entry.path}`);
+      continue;
+    }
+    
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const fileContent = await readSourceFile(source, entry.path);
+    
+    if (entry.mode === '120000') {
+      const linkTarget = fileContent.toString('utf-8');
+      const resolved = path.resolve(path.dirname(filePath), linkTarget);
+      const root = path.resolve(targetDir);
+      if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+        console.log(`Skipping symbolic link ${entry.path}, it points outside ${dirPath || 'the repository'}`);
+        continue;
+      }
+      await fs.rm(filePath, { force: true });
+      await fs.symlink(linkTarget, filePath);
+    } else {
+      await fs.writeFile(filePath, fileContent);
+      
+      // Set file permissions (use GitHub mode if available, otherwise detect scripts)
+      await setFilePermissions(filePath, entry.mode);
+    }
+    count++;
+  }
+  
+  return count;
+}
+
+/**
+ * Point the module blocks of a configuration file at a new source
+ * @param {string} content - Content of the .tf file
+ * @param {string} source - Module source as written in the file
+ * @param {string} replacement - New module source
+ * @returns {string} Updated content
+ */
+function replaceModuleSource(content, source, replacement) {
+  const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return content.replace(new RegExp(`(\\bsource\\s*=\\s*)"${escaped}"`, 'g'), (match, prefix) => `${prefix}"${replacement}"`);
+}
+
+/**
+ * Download repository files to a local directory
+ * Everything below the selected path is downloaded, subdirectories included. Local modules
+ * the configuration calls from outside that path are downloaded to EXTERNAL_MODULES_DIR
+ * and the module sources pointing at them rewritten, so tofu init finds them
+ * @param {Object} repoData - Repository data object, pinned with pinRepositoryData
+ * @param {string} targetDir - Target directory to download files to
+ * @returns {Promise<Object>} { files, externalModules } with the number of files and the
+ *   repository directories downloaded to EXTERNAL_MODULES_DIR
+ */
+async function downloadRepository(repoData, targetDir) {
+  const location = getRepositoryLocation(repoData);
+  const provider = getSourceProvider(location.provider);
+  const ref = repoData.commitSha || await provider.resolveCommitSha(location, location.branch);
+  const rootPath = normalizeRepoPath(location.path);
+  
+  const tree = await provider.fetchTree(location, ref);
+  const source = { provider, location, ref, tree };
+  let files = await downloadDirectory(source, rootPath, targetDir);
+  
+  // Local directory a repository directory was downloaded to
+  const externalModules = [];
+  const localDirectory = (dirPath, external) => external
+    ? path.join(targetDir, EXTERNAL_MODULES_DIR, ...dirPath.split('/').filter(Boolean))
+    : path.join(targetDir, ...path.posix.relative(rootPath || '.', dirPath || '.').split('/').filter(part => part && part !== '.'));
+  
+  // Follow module sources from the selected path, and from every local module it calls
+  const queue = [{ dirPath: rootPath, external: false, depth: 0 }];
+  const scanned = new Set();
+  while (queue.length > 0) {
+    const { dirPath, external, depth } = queue.shift();
+    const key = `${external ? 'external' : 'root'}:${dirPath}`;
+    if (scanned.has(key) || depth > MAX_MODULE_DEPTH) {
+      continue;
+    }
+    scanned.add(key);
+    
+    const terraformFiles = listDirectory(tree, dirPath, { recursive: false })
+      .filter(entry => entry.type === 'blob' && entry.relativePath.endsWith('.tf'));
+    
+    for (const tfFile of terraformFiles) {
+      const filePath = path.join(localDirectory(dirPath, external), tfFile.relativePath);
+      const content = await fs.readFile(filePath, 'utf-8');
+      
+      let config;
+      try {
+        config = parseTerraformConfig(content, tfFile.relativePath);
+      } catch (error) {
+        if (error.code !== 'HCL_PARSE_ERROR') {
+          throw error;
+        }
+        // tofu reports the syntax error itself
+        continue;
+      }
+      
+      let updated = content;
+      for (const module of Object.values(config.modules)) {
+        let modulePath;
+        try {
+          modulePath = resolveLocalModuleSource(dirPath, module.source);
+        } catch (error) {
+          console.log(`Warning: ${error.message} (${tfFile.path})`);
+          continue;
+        }
+        if (modulePath === null) {
+          continue;
+        }
+        
+        // Modules below the selected path are already there, and modules called from a downloaded
+        // external module resolve within EXTERNAL_MODULES_DIR, which mirrors the repository
+        const inside = !external && isWithinDirectory(modulePath, rootPath);
+        if (!inside) {
+          if (!externalModules.some(dir => isWithinDirectory(modulePath, dir))) {
+            files += await downloadDirectory(source, modulePath, localDirectory(modulePath, true));
+            externalModules.push(modulePath);
+          }
+          if (!external) {
+            const callerDir = path.posix.relative(rootPath || '.', dirPath || '.');
+            const vendoredDir = path.posix.join(EXTERNAL_MODULES_DIR, modulePath);
+            const relative = path.posix.relative(callerDir || '.', vendoredDir);
+            updated = replaceModuleSource(updated, module.source, relative.startsWith('../') ? relative : `./${relative}`);
+          }
+        }
+        
+        queue.push({ dirPath: modulePath, external: !inside, depth: depth + 1 });
+      }
+      
+      if (updated !== content) {
+        await fs.writeFile(filePath, updated);
+      }
+    }
+  }
+  
+  return { files, externalModules };
+}
+
+export {
+  getRepositoryLocation,
+  getSourceKey,
+  resolveCommitSha,
+  getBranchHead,
+  compareCommits,
+  pinRepositoryData,
+  getCommitUrl,
+  parseRepository,
+  downloadRepository,
+  setFilePermissions
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Run registry
+ * Keeps track of the OpenTofu operation running for each deployment and the
+ * child process it has spawned, so a run can be cancelled from the API
+ *
+ * Environment Variables:
+ * - TOFU_CANCEL_TIMEOUT: Seconds to wait after the graceful interrupt before force-killing (defaults to 60)
+ */
+
+const CANCEL_TIMEOUT_MS = (Number(process.env.TOFU_CANCEL_TIMEOUT) || 60) * 1000;
+
+// Active run per deployment ID
+const activeRuns = new Map();
+
+/**
+ * Register the start of an OpenTofu operation for a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} operation - Operation name (plan, apply, destroy)
+ * @returns {Object} The registered run
+ */
+function registerRun(deploymentId, operation) {
+  const run = {
+    deploymentId,
+    operation,
+    startedAt: new Date().toISOString(),
+    process: null,
+    cancelled: false,
+    killTimer: null
+  };
+
+  activeRuns.set(deploymentId, run);
+  return run;
+}
+
+/**
+ * Remove a finished run from the registry
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} run - The run returned by registerRun
+ */
+function unregisterRun(deploymentId, run) {
+  if (run.killTimer) {
+    clearTimeout(run.killTimer);
+    run.killTimer = null;
+  }
+
+  if (activeRuns.get(deploymentId) === run) {
+    activeRuns.delete(deploymentId);
+  }
+}
+
+/**
+ * Get the active run of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Object|null} Active run, or null if nothing is running
+ */
+function getActiveRun(deploymentId) {
+  return activeRuns.get(deploymentId) || null;
+}
+
+/**
+ * Attach the spawned child process to the active run of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} child - Child process
+ */
+function attachProcess(deploymentId, child) {
+  const run = activeRuns.get(deploymentId);
+  if (!run) {
+    return;
+  }
+
+  run.process = child;
+  child.on('close', () => {
+    if (run.process === child) {
+      run.process = null;
+    }
+  });
+}
+
+/**
+ * Whether cancellation has been requested for the active run of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {boolean} True if the run has been cancelled
+ */
+function isRunCancelled(deploymentId) {
+  const run = activeRuns.get(deploymentId);
+  return Boolean(run && run.cancelled);
+}
+
+/**
+ * Cancel the active run of a deployment
+ * OpenTofu first receives SIGINT so it can write state and release the lock;
+ * the process is killed with SIGKILL if it has not exited after the timeout
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Kill the process immediately
+ * @param {number} [options.timeoutMs] - Time to wait before force-killing
+ * @returns {Object|null} The cancelled run, or null if nothing was running
+ */
+function cancelRun(deploymentId, options = {}) {
+  const run = activeRuns.get(deploymentId);
+  if (!run) {
+    return null;
+  }
+
+  run.cancelled = true;
+
+  const child = run.process;
+  if (!child) {
+    // Between two commands; the operation stops before spawning the next one
+    return run;
+  }
+
+  if (options.force) {
+    child.kill('SIGKILL');
+    return run;
+  }
+
+  child.kill('SIGINT');
+
+  if (!run.killTimer) {
+    run.killTimer = setTimeout(() => {
+      run.killTimer = null;
+      if (run.process === child) {
+        console.warn(`OpenTofu did not stop within the timeout, killing run of ${deploymentId}`);
+        child.kill('SIGKILL');
+      }
+    }, options.timeoutMs || CANCEL_TIMEOUT_MS);
+  }
+
+  return run;
+}
+
+export {
+  registerRun,
+  unregisterRun,
+  getActiveRun,
+  attachProcess,
+  isRunCancelled,
+  cancelRun
+};
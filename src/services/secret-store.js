@@ -0,0 +1,239 @@
+/**
+ * Secret store
+ * Encrypts values at rest with AES-256-GCM under a server-side master key.
+ * Used for the sensitive variables of a deployment, so a later destroy or
+ * re-apply runs with the same values the deployment was applied with.
+ *
+ * Environment Variables:
+ * - DEPLOYER_MASTER_KEY: Master key secrets are encrypted with. When unset, a random
+ *   key is generated once and kept in DEPLOYMENTS_DIR/.master-key
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getDeploymentsDir, getDeploymentMetaDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_FILE = '.master-key';
+const SECRETS_FILE = 'secrets.json';
+
+// Salt for deriving the encryption key from the configured master key
+const KEY_DERIVATION_SALT = 'opentofu-deployer-secrets';
+
+let masterKeyPromise = null;
+
+/**
+ * Derive the encryption key and its identifier from a master key
+ * The identifier lets us tell a secret encrypted under a rotated key from a corrupt one
+ * @param {string} masterKey - Master key as configured
+ * @returns {Object} Encryption key and key ID
+ */
+function deriveKey(masterKey) {
+  const key = crypto.scryptSync(masterKey, KEY_DERIVATION_SALT, 32);
+  const keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  return { key, keyId };
+}
+
+/**
+ * Load the master key from the environment, or from the generated key file
+ * @returns {Promise<string>} Master key
+ */
+async function loadMasterKey() {
+  if (process.env.DEPLOYER_MASTER_KEY) {
+    return process.env.DEPLOYER_MASTER_KEY;
+  }
+
+  const keyPath = path.join(getDeploymentsDir(), KEY_FILE);
+  try {
+    return (await fs.readFile(keyPath, 'utf-8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  console.warn(`DEPLOYER_MASTER_KEY is not set, generating a master key in ${keyPath}`);
+  const generated = crypto.randomBytes(32).toString('base64');
+  await fs.mkdir(path.dirname(keyPath), { recursive: true });
+  try {
+    await fs.writeFile(keyPath, `${generated}\n`, { mode: 0o600, flag: 'wx' });
+    return generated;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      // Another process generated the key first
+      return (await fs.readFile(keyPath, 'utf-8')).trim();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the derived master key, loading it on first use
+ * @returns {Promise<Object>} Encryption key and key ID
+ */
+function getMasterKey() {
+  if (!masterKeyPromise) {
+    masterKeyPromise = loadMasterKey().then(deriveKey);
+    masterKeyPromise.catch(() => {
+      masterKeyPromise = null;
+    });
+  }
+  return masterKeyPromise;
+}
+
+/**
+ * Derive a secret for another purpose (e.g. signing session tokens) from the master key,
+ * so rotating the master key rotates every secret derived from it
+ * @param {string} purpose - What the secret is used for
+ * @returns {Promise<Buffer>} 32-byte secret
+ */
+async function deriveSecret(purpose) {
+  const { key } = await getMasterKey();
+  return crypto.createHmac('sha256', key).update(purpose).digest();
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} data - Value to encrypt
+ * @returns {Promise<Object>} Envelope with key ID, IV, auth tag and ciphertext (base64)
+ */
+async function encryptJson(data) {
+  const { key, keyId } = await getMasterKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()]);
+
+  return {
+    algorithm: ALGORITHM,
+    keyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptJson
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With code KEY_MISMATCH if the envelope was encrypted under another master key,
+ *   or DECRYPT_FAILED if it cannot be decrypted
+ */
+async function decryptJson(envelope) {
+  const { key, keyId } = await getMasterKey();
+
+  if (envelope.keyId !== keyId) {
+    const error = new Error('Secret was encrypted with a different master key');
+    error.code = 'KEY_MISMATCH';
+    throw error;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (cause) {
+    const error = new Error(`Secret could not be decrypted: ${cause.message}`);
+    error.code = 'DECRYPT_FAILED';
+    throw error;
+  }
+}
+
+/**
+ * Get the path of the encrypted secrets file of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string} Secrets file path
+ */
+function getSecretsPath(deploymentId) {
+  return path.join(getDeploymentMetaDir(deploymentId), SECRETS_FILE);
+}
+
+/**
+ * Store the sensitive variable values of a deployment, replacing any stored before
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} values - Sensitive variable values keyed by variable name
+ * @returns {Promise<string[]>} Names of the stored variables
+ */
+async function saveDeploymentSecrets(deploymentId, values) {
+  const names = Object.keys(values).sort();
+
+  await writeJsonFile(getSecretsPath(deploymentId), {
+    // Names are kept in the clear so the UI can ask for exactly the missing values
+    names,
+    updatedAt: new Date().toISOString(),
+    ...await encryptJson(values)
+  }, { mode: 0o600 });
+
+  return names;
+}
+
+/**
+ * Load the sensitive variable values of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Object>} { status, names, values } where status is 'ok', 'missing'
+ *   (nothing stored), 'rotated' (stored under another master key) or 'corrupt'
+ */
+async function loadDeploymentSecrets(deploymentId) {
+  const stored = await readJsonFile(getSecretsPath(deploymentId));
+  if (!stored) {
+    return { status: 'missing', names: [], values: {} };
+  }
+
+  try {
+    return { status: 'ok', names: stored.names || [], values: await decryptJson(stored) };
+  } catch (error) {
+    if (error.code !== 'KEY_MISMATCH' && error.code !== 'DECRYPT_FAILED') {
+      throw error;
+    }
+    console.warn(`Stored secrets of deployment ${deploymentId} are unreadable: ${error.message}`);
+    return {
+      status: error.code === 'KEY_MISMATCH' ? 'rotated' : 'corrupt',
+      names: stored.names || [],
+      values: {}
+    };
+  }
+}
+
+/**
+ * Combine the stored sensitive values of a deployment with newly entered ones
+ * Newly entered values win and are stored in turn, which is how values are
+ * re-entered after the stored copy went missing or the master key was rotated
+ * @param {string} deploymentId - Deployment ID
+ * @param {string[]} requiredNames - Variables the deployment was applied with, in addition to the stored ones
+ * @param {Object} [supplied] - Newly entered values keyed by variable name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.save] - Store the combined values when new ones were entered; callers
+ *   that still have to validate the request store them with saveDeploymentSecrets afterwards
+ * @returns {Promise<Object>} { status, values, missing } where status is the load status of the stored copy
+ */
+async function resolveDeploymentSecrets(deploymentId, requiredNames = [], supplied = {}, { save = true } = {}) {
+  const stored = await loadDeploymentSecrets(deploymentId);
+  const values = { ...stored.values, ...supplied };
+
+  if (save && Object.keys(supplied).length > 0) {
+    await saveDeploymentSecrets(deploymentId, values);
+  }
+
+  // Values stored under a rotated key are needed just as much as the ones the manifest lists
+  const needed = [...new Set([...requiredNames, ...stored.names])];
+
+  return {
+    status: stored.status,
+    values,
+    missing: needed.filter(name => values[name] === undefined)
+  };
+}
+
+export {
+  deriveSecret,
+  encryptJson,
+  decryptJson,
+  saveDeploymentSecrets,
+  loadDeploymentSecrets,
+  resolveDeploymentSecrets
+};
@@ -0,0 +1,264 @@
+/**
+ * Source cache service
+ * Keeps responses of source hosts and parsed repositories on disk. Responses are stored with
+ * their ETag and revalidated with If-None-Match, which GitHub does not count against the rate
+ * limit when the answer is 304 Not Modified. Parse results are stored per commit SHA, which
+ * never changes what it points to. Least recently used entries are removed once the cache
+ * outgrows its size limit.
+ *
+ * Environment Variables:
+ * - SOURCE_CACHE_DIR: Cache directory (defaults to TEMP_DIR/source-cache)
+ * - SOURCE_CACHE_MAX_SIZE: Most the cache may hold, in MB (defaults to 500, 0 disables the cache)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getTempDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+
+const MB = 1024 * 1024;
+
+// The cache is trimmed at most this often, and down to this share of its limit
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const PRUNE_TARGET = 0.9;
+
+let lastPrunedAt = 0;
+
+/**
+ * Get the cache directory
+ * @returns {string} Cache directory
+ */
+function getCacheDir() {
+  return process.env.SOURCE_CACHE_DIR || path.join(getTempDir(), 'source-cache');
+}
+
+/**
+ * Get the most the cache may hold
+ * @returns {number} Size in bytes, 0 if the cache is disabled
+ */
+function getMaxCacheSize() {
+  const value = Number(process.env.SOURCE_CACHE_MAX_SIZE);
+  return (Number.isFinite(value) && value >= 0 ? value : 500) * MB;
+}
+
+/**
+ * Check whether the cache is enabled
+ * @returns {boolean} True unless SOURCE_CACHE_MAX_SIZE is 0
+ */
+function isCacheEnabled() {
+  return getMaxCacheSize() > 0;
+}
+
+/**
+ * Get the file of a cache entry
+ * Keys are hashed, so nothing in a repository URL can name a path outside the cache
+ * @param {string} kind - Entry kind, 'http' or 'parse'
+ * @param {string} key - Entry key
+ * @returns {string} File path
+ */
+function getEntryPath(kind, key) {
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  return path.join(getCacheDir(), kind, hash.substring(0, 2), `${hash}.json`);
+}
+
+/**
+ * Read a cache entry, marking it as recently used
+ * @param {string} kind - Entry kind
+ * @param {string} key - Entry key
+ * @returns {Promise<Object|null>} Entry, or null if it is not cached
+ */
+async function readEntry(kind, key) {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+
+  const entryPath = getEntryPath(kind, key);
+  try {
+    const entry = await readJsonFile(entryPath);
+    // Two keys could only share a file through a hash collision, but a mismatch is never served
+    if (!entry || entry.key !== key) {
+      return null;
+    }
+    const now = new Date();
+    await fs.utimes(entryPath, now, now).catch(() => {});
+    return entry;
+  } catch (error) {
+    console.log(`Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry
+ * The cache only saves requests, so failing to write it never fails the caller
+ * @param {string} kind - Entry kind
+ * @param {string} key - Entry key
+ * @param {Object} value - Entry content
+ */
+async function writeEntry(kind, key, value) {
+  if (!isCacheEnabled()) {
+    return;
+  }
+
+  try {
+    await writeJsonFile(getEntryPath(kind, key), { ...value, key, storedAt: new Date().toISOString() });
+  } catch (error) {
+    console.log(`Failed to write cache entry for ${key}: ${error.message}`);
+    return;
+  }
+
+  if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+    lastPrunedAt = Date.now();
+    pruneCache().catch(error => console.error('Error pruning source cache:', error));
+  }
+}
+
+/**
+ * Remove the least recently used entries until the cache is within its size limit
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function pruneCache() {
+  const entries = [];
+  const walk = async (dirPath) => {
+    let names;
+    try {
+      names = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of names) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const { size, mtimeMs } = await fs.stat(entryPath);
+        entries.push({ entryPath, size, mtimeMs });
+      }
+    }
+  };
+  await walk(getCacheDir());
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const maxSize = getMaxCacheSize();
+  if (total <= maxSize) {
+    return 0;
+  }
+
+  let removed = 0;
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const entry of entries) {
+    if (total <= maxSize * PRUNE_TARGET) {
+      break;
+    }
+    await fs.rm(entry.entryPath, { force: true });
+    total -= entry.size;
+    removed++;
+  }
+
+  console.log(`Removed ${removed} least recently used entries from the source cache`);
+  return removed;
+}
+
+/**
+ * Get the key of a request to a source host
+ * Requests for the same URL with other parameters or in another representation are different entries
+ * @param {Object} location - Repository location
+ * @param {Object} config - Axios request config
+ * @returns {string} Entry key
+ */
+function getResponseKey({ host, owner, repo }, config) {
+  return JSON.stringify([
+    `${host}/${owner}/${repo}`,
+    config.url,
+    config.params || {},
+    config.headers?.Accept || null,
+    config.responseType || 'json'
+  ]);
+}
+
+/**
+ * Get a cached response to a request
+ * @param {Object} location - Repository location
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object|null>} { etag, headers, data }, or null if the response is not cached
+ */
+async function getCachedResponse(location, config) {
+  const entry = await readEntry('http', getResponseKey(location, config));
+  if (!entry) {
+    return null;
+  }
+
+  const data = entry.encoding === 'base64' ? Buffer.from(entry.data, 'base64') : entry.data;
+  return { etag: entry.etag, headers: entry.headers || {}, data };
+}
+
+/**
+ * Cache a response that carries an ETag
+ * Its headers are kept too, as providers page through listings with them
+ * @param {Object} location - Repository location
+ * @param {Object} config - Axios request config
+ * @param {Object} response - Axios response
+ */
+async function saveCachedResponse(location, config, response) {
+  const etag = response.headers?.etag;
+  if (!etag) {
+    return;
+  }
+
+  const binary = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer;
+  const headers = { ...response.headers };
+  delete headers['set-cookie'];
+  await writeEntry('http', getResponseKey(location, config), {
+    etag,
+    headers,
+    encoding: binary ? 'base64' : 'json',
+    data: binary ? Buffer.from(response.data).toString('base64') : response.data
+  });
+}
+
+/**
+ * Get the key of the parse result of a directory at a commit
+ * @param {Object} location - Repository location
+ * @param {string} commitSha - Commit SHA
+ * @param {string} rootPath - Normalized directory within the repository
+ * @param {number} version - Version of the parse result format; results of other versions are not used
+ * @returns {string} Entry key
+ */
+function getParseKey({ provider, host, owner, repo }, commitSha, rootPath, version) {
+  return JSON.stringify([version, provider, `${host}/${owner}/${repo}`, commitSha, rootPath]);
+}
+
+/**
+ * Get the cached parse result of a directory at a commit
+ * @param {Object} location - Repository location
+ * @param {string} commitSha - Commit SHA
+ * @param {string} rootPath - Normalized directory within the repository
+ * @param {number} version - Version of the parse result format
+ * @returns {Promise<Object|null>} Parse result, or null if it is not cached
+ */
+async function getCachedParse(location, commitSha, rootPath, version) {
+  const entry = await readEntry('parse', getParseKey(location, commitSha, rootPath, version));
+  return entry ? entry.result : null;
+}
+
+/**
+ * Cache the parse result of a directory at a commit
+ * @param {Object} location - Repository location
+ * @param {string} commitSha - Commit SHA
+ * @param {string} rootPath - Normalized directory within the repository
+ * @param {number} version - Version of the parse result format
+ * @param {Object} result - Parse result
+ */
+async function saveCachedParse(location, commitSha, rootPath, version, result) {
+  await writeEntry('parse', getParseKey(location, commitSha, rootPath, version), { result });
+}
+
+export {
+  getCacheDir,
+  isCacheEnabled,
+  pruneCache,
+  getCachedResponse,
+  saveCachedResponse,
+  getCachedParse,
+  saveCachedParse
+};
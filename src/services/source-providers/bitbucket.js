@@ -0,0 +1,227 @@
+/**
+ * Bitbucket source provider
+ * Reads repositories from Bitbucket Cloud through the 2.0 REST API
+ * Private repositories are read with a repository or workspace access token, or with an
+ * app password given as username:app-password
+ */
+
+import { splitUnifiedDiff } from '../../utils/unified-diff.js';
+import { sourceRequest } from './http.js';
+
+const name = 'bitbucket';
+const label = 'Bitbucket';
+
+// How deep directories are listed; Bitbucket lists a tree breadth-first up to this depth
+const MAX_TREE_DEPTH = 20;
+
+// Entries per page, the most Bitbucket allows
+const PAGE_SIZE = 100;
+
+// Pages of commits read when comparing two commits
+const MAX_COMMIT_PAGES = 5;
+
+/**
+ * Get the API URL of a repository
+ * @param {Object} location - Repository location
+ * @returns {string} Repository API URL
+ */
+function getRepositoryUrl({ owner, repo }) {
+  return `https://api.bitbucket.org/2.0/repositories/${owner}/${repo}`;
+}
+
+/**
+ * Get the headers that authenticate a request to Bitbucket
+ * @param {Object} credentials - Credentials of the host
+ * @returns {Object} Request headers
+ */
+function authorize({ kind, token }) {
+  if (kind !== 'token') {
+    return {};
+  }
+  return {
+    Authorization: token.includes(':') ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}`
+  };
+}
+
+/**
+ * Send a GET request to Bitbucket with the credentials of the host
+ * @param {Object} location - Repository location
+ * @param {string} url - Request URL
+ * @param {Object} [config] - Further axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function get(location, url, config = {}) {
+  return sourceRequest(location, { ...config, method: 'get', url }, authorize);
+}
+
+/**
+ * Read every page of a paginated Bitbucket listing
+ * @param {Object} location - Repository location
+ * @param {string} url - URL of the first page
+ * @param {Object} [params] - Query parameters of the first page
+ * @param {number} [maxPages] - Stop after this many pages
+ * @returns {Promise<Array>} Values of all pages
+ */
+async function fetchAllPages(location, url, params = {}, maxPages = Infinity) {
+  const values = [];
+  let next = url;
+  let nextParams = { pagelen: PAGE_SIZE, ...params };
+
+  for (let page = 0; next && page < maxPages; page++) {
+    const response = await get(location, next, { params: nextParams });
+    values.push(...(response.data.values || []));
+    // The next link carries the query parameters itself
+    next = response.data.next;
+    nextParams = undefined;
+  }
+
+  return values;
+}
+
+/**
+ * Parse a Bitbucket URL of the form https://bitbucket.org/workspace/repo/src/branch/path
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} Location with host, owner (the workspace), repo, branch and path, or null if not a Bitbucket URL
+ */
+function parseUrl(repoUrl) {
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/src\/([^/]+)(?:\/(.*?))?\/?$/);
+  if (url.protocol !== 'https:' || url.host !== 'bitbucket.org' || !match) {
+    return null;
+  }
+
+  const [, owner, repo, branch, path = ''] = match;
+  return {
+    provider: name,
+    host: url.host,
+    owner,
+    repo,
+    branch: decodeURIComponent(branch),
+    path: decodeURIComponent(path)
+  };
+}
+
+/**
+ * Resolve a branch, tag or commit to the SHA of the commit it points to
+ * @param {Object} location - Repository location
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveCommitSha(location, ref) {
+  const response = await get(location, `${getRepositoryUrl(location)}/commit/${encodeURIComponent(ref)}`);
+  return response.data.hash;
+}
+
+/**
+ * Convert a Bitbucket directory listing entry to a git tree entry
+ * @param {Object} entry - Entry of a /src listing
+ * @returns {Object} Tree entry with path, type and mode
+ */
+function toTreeEntry(entry) {
+  const attributes = entry.attributes || [];
+
+  if (entry.type === 'commit_directory') {
+    return { path: entry.path, type: 'tree', mode: '040000' };
+  }
+  if (attributes.includes('subrepository')) {
+    return { path: entry.path, type: 'commit', mode: '160000' };
+  }
+  if (attributes.includes('link')) {
+    return { path: entry.path, type: 'blob', mode: '120000' };
+  }
+  return { path: entry.path, type: 'blob', mode: attributes.includes('executable') ? '100755' : '100644' };
+}
+
+/**
+ * List every file and directory of a commit, including subdirectories
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array>} Tree entries with path, type ('blob', 'tree' or 'commit' for submodules) and mode
+ */
+async function fetchTree(location, ref) {
+  const entries = await fetchAllPages(location, `${getRepositoryUrl(location)}/src/${ref}/`, { max_depth: MAX_TREE_DEPTH });
+  return entries.map(toTreeEntry);
+}
+
+/**
+ * Download the content of a file at a commit
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @param {string} filePath - Path of the file within the repository
+ * @returns {Promise<Buffer>} File content
+ */
+async function readFile(location, ref, filePath) {
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  const response = await get(location, `${getRepositoryUrl(location)}/src/${ref}/${encodedPath}`, {
+    responseType: 'arraybuffer'
+  });
+
+  return Buffer.from(response.data);
+}
+
+/**
+ * Compare two commits
+ * @param {Object} location - Repository location
+ * @param {string} base - Older commit SHA
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<Object>} { aheadBy, commits, files } with the paths of changed files within the repository
+ */
+async function compareCommits(location, base, head) {
+  const repositoryUrl = getRepositoryUrl(location);
+
+  // Bitbucket ranges name the newer commit first
+  const spec = `${head}..${base}`;
+  const [commits, diffstat, diff] = await Promise.all([
+    fetchAllPages(location, `${repositoryUrl}/commits`, { include: head, exclude: base }, MAX_COMMIT_PAGES),
+    fetchAllPages(location, `${repositoryUrl}/diffstat/${spec}`),
+    get(location, `${repositoryUrl}/diff/${spec}`, { responseType: 'text' }).then(response => response.data)
+  ]);
+  const patches = splitUnifiedDiff(diff);
+
+  return {
+    aheadBy: commits.length,
+    commits: commits.map(commit => ({
+      sha: commit.hash,
+      message: commit.message.split('\n')[0],
+      author: commit.author?.user?.display_name || commit.author?.raw || null,
+      date: commit.date || null
+    })),
+    files: diffstat.map((stat) => {
+      const filename = (stat.new || stat.old).path;
+      return {
+        filename,
+        status: stat.status,
+        additions: stat.lines_added,
+        deletions: stat.lines_removed,
+        patch: patches.get(filename) || null
+      };
+    })
+  };
+}
+
+/**
+ * Get the web page of a commit
+ * @param {Object} location - Repository location
+ * @param {string} sha - Commit SHA
+ * @returns {string} Commit URL
+ */
+function getCommitUrl({ owner, repo }, sha) {
+  return `https://bitbucket.org/${owner}/${repo}/commits/${sha}`;
+}
+
+export {
+  name,
+  label,
+  parseUrl,
+  resolveCommitSha,
+  fetchTree,
+  readFile,
+  compareCommits,
+  getCommitUrl
+};
@@ -0,0 +1,380 @@
+/**
+ * Generic git source provider
+ * Reads any repository git can clone over HTTPS or SSH, using the Terraform module
+ * source syntax to select a directory and ref: git::https://host/repo.git//path?ref=branch
+ * Repositories are fetched into bare caches below TEMP_DIR/git-cache
+ * HTTPS remotes are authenticated with the access token of their host, SSH remotes with the keys of the server;
+ * plain HTTP remotes of hosts with a token are refused, so the token is never sent in the clear
+ */
+
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { getTempDir } from '../../utils/file-utils.js';
+import { splitUnifiedDiff } from '../../utils/unified-diff.js';
+import { getAccessCredentials } from '../access-token-service.js';
+import { createSourceError } from './http.js';
+import { getInstallationToken } from './github.js';
+
+const execFileAsync = promisify(execFile);
+
+const name = 'git';
+const label = 'Git';
+
+// How long a single git command may run before it is stopped
+const GIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Largest output read from a git command
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+// Protocols git may use; ext:: and file:// would let a repository URL run commands or read local files
+const ALLOWED_PROTOCOLS = 'https:http:ssh';
+
+// Pending fetches per cached repository, so concurrent reads never fetch into the same cache at once
+const pendingFetches = new Map();
+
+/**
+ * Get the git configuration that sends the access token of a remote's host
+ * The token goes in an HTTP header passed through the environment, so it never
+ * appears in command lines or in the configuration of the cache
+ * @param {Object} location - Repository location
+ * @returns {Promise<Object>} GIT_CONFIG_* environment variables, empty without credentials or for SSH remotes
+ * @throws {Error} With code SOURCE_INSECURE_URL for plain HTTP remotes of hosts with credentials
+ */
+async function getAuthEnvironment(location) {
+  const protocol = location.cloneUrl.match(/^(https?):\/\//)?.[1];
+  const credentials = protocol ? await getAccessCredentials(location.host) : null;
+  if (!credentials) {
+    return {};
+  }
+  if (protocol !== 'https') {
+    throw createSourceError('SOURCE_INSECURE_URL',
+      `${location.cloneUrl} uses plain HTTP; the access token of ${location.host} is only sent over HTTPS`, location.host);
+  }
+
+  const token = credentials.kind === 'github-app' ? await getInstallationToken(location, credentials) : credentials.token;
+  // Tokens work as the password of any user name; username:password pairs are sent as they are
+  const basic = Buffer.from(token.includes(':') ? token : `x-access-token:${token}`).toString('base64');
+  return {
+    GIT_CONFIG_COUNT: '1',
+    GIT_CONFIG_KEY_0: 'http.extraHeader',
+    GIT_CONFIG_VALUE_0: `Authorization: Basic ${basic}`
+  };
+}
+
+/**
+ * Turn the error output of a git command that contacted a remote into a coded error
+ * @param {string} stderr - Error output
+ * @param {Object} location - Repository location
+ * @returns {Error|null} SOURCE_UNAUTHORIZED or SOURCE_NOT_FOUND error, or null for other failures
+ */
+function toRemoteError(stderr, { host, cloneUrl }) {
+  if (/Authentication failed|could not read Username|terminal prompts disabled|Permission denied \(publickey/i.test(stderr)) {
+    return createSourceError('SOURCE_UNAUTHORIZED',
+      `${cloneUrl} requires authentication; add an access token for ${host} or an SSH key to the server`, host);
+  }
+  if (/repository .* not found|does not appear to be a git repository|HTTP 404|returned error: 404/i.test(stderr)) {
+    return createSourceError('SOURCE_NOT_FOUND',
+      `${cloneUrl} was not found; if it is private, add an access token for ${host}`, host);
+  }
+  if (/returned error: 403/.test(stderr)) {
+    return createSourceError('SOURCE_ACCESS_DENIED', `Access to ${cloneUrl} is denied`, host);
+  }
+  return null;
+}
+
+/**
+ * Run a git command
+ * @param {string[]} args - Arguments
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - Working directory
+ * @param {string} [options.encoding='utf-8'] - Output encoding, 'buffer' for binary output
+ * @param {Object} [options.remote] - Location of the repository, for commands that contact its remote
+ * @returns {Promise<string|Buffer>} Standard output
+ */
+async function runGit(args, { cwd, encoding = 'utf-8', remote } = {}) {
+  const authEnvironment = remote ? await getAuthEnvironment(remote) : {};
+
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      encoding,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: {
+        ...process.env,
+        ...authEnvironment,
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS,
+        GIT_SSH_COMMAND: process.env.GIT_SSH_COMMAND || 'ssh -o BatchMode=yes'
+      }
+    });
+    return stdout;
+  } catch (error) {
+    const stderr = String(error.stderr || '').trim();
+    const remoteError = remote && toRemoteError(stderr, remote);
+    if (remoteError) {
+      throw remoteError;
+    }
+
+    const gitError = new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+    gitError.code = 'GIT_COMMAND_FAILED';
+    throw gitError;
+  }
+}
+
+/**
+ * Parse a git URL in Terraform module source syntax
+ * Accepts https://, ssh:// and scp-like git@host:path URLs, optionally prefixed with git::,
+ * with the directory after // and the branch, tag or commit in ?ref=
+ * HTTPS URLs need the git:: prefix or a path ending in .git
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} Location with host, owner, repo, branch, path and cloneUrl, or null if not a git URL
+ */
+function parseUrl(repoUrl) {
+  let remaining = String(repoUrl || '').trim();
+  const forced = remaining.startsWith('git::');
+  if (forced) {
+    remaining = remaining.substring('git::'.length);
+  }
+
+  let ref = null;
+  const queryIndex = remaining.indexOf('?');
+  if (queryIndex !== -1) {
+    ref = new URLSearchParams(remaining.substring(queryIndex + 1)).get('ref');
+    remaining = remaining.substring(0, queryIndex);
+  }
+
+  let host;
+  let repoPathStart;
+  const scheme = remaining.match(/^(https?|ssh):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\//);
+  const scpLike = remaining.match(/^[\w.-]+@([\w.-]+):(?!\/)/);
+  if (scheme) {
+    host = scheme[2];
+    repoPathStart = scheme[0].length;
+  } else if (scpLike) {
+    host = scpLike[1];
+    repoPathStart = scpLike[0].length;
+  } else {
+    return null;
+  }
+
+  const subdirIndex = remaining.indexOf('//', repoPathStart);
+  const cloneUrl = subdirIndex === -1 ? remaining : remaining.substring(0, subdirIndex);
+  const subdir = subdirIndex === -1 ? '' : remaining.substring(subdirIndex + 2);
+  const repoPath = cloneUrl.substring(repoPathStart).replace(/\/+$/, '');
+
+  // Plain HTTPS URLs are left to the hosting providers unless they clearly point at a repository
+  if (!repoPath || (!forced && !scpLike && scheme[1] !== 'ssh' && !repoPath.endsWith('.git'))) {
+    return null;
+  }
+
+  const segments = repoPath.replace(/\.git$/, '').split('/');
+  return {
+    provider: name,
+    host,
+    owner: segments.slice(0, -1).join('/') || host,
+    repo: segments[segments.length - 1],
+    branch: ref || 'HEAD',
+    path: subdir.replace(/^\/+|\/+$/g, ''),
+    cloneUrl
+  };
+}
+
+/**
+ * Get the cache directory of a repository
+ * @param {Object} location - Repository location
+ * @returns {string} Path of the bare repository
+ */
+function getCacheDir({ cloneUrl }) {
+  const key = crypto.createHash('sha256').update(cloneUrl).digest('hex').substring(0, 32);
+  return path.join(getTempDir(), 'git-cache', key);
+}
+
+/**
+ * Check whether a commit is in the cache of a repository
+ * @param {string} cacheDir - Path of the bare repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<boolean>} True if the commit is there
+ */
+async function hasCommit(cacheDir, sha) {
+  try {
+    await runGit(['cat-file', '-e', `${sha}^{commit}`], { cwd: cacheDir });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Make sure commits are in the cache of a repository, fetching its branches and tags if not
+ * Fetches into the same cache are done one after another
+ * @param {Object} location - Repository location
+ * @param {string[]} shas - Commit SHAs
+ * @returns {Promise<string>} Path of the bare repository
+ */
+function ensureCommits(location, shas) {
+  const cacheDir = getCacheDir(location);
+  const previous = pendingFetches.get(cacheDir) || Promise.resolve();
+
+  const fetch = previous.catch(() => {}).then(async () => {
+    await fs.mkdir(cacheDir, { recursive: true });
+    try {
+      await fs.access(path.join(cacheDir, 'HEAD'));
+    } catch (error) {
+      await runGit(['init', '--bare', '--quiet'], { cwd: cacheDir });
+    }
+
+    const present = await Promise.all(shas.map(sha => hasCommit(cacheDir, sha)));
+    if (present.every(Boolean)) {
+      return cacheDir;
+    }
+
+    await runGit(['fetch', '--quiet', '--no-tags', '--', location.cloneUrl,
+      '+refs/heads/*:refs/heads/*', '+refs/tags/*:refs/tags/*'], { cwd: cacheDir, remote: location });
+
+    for (const sha of shas) {
+      if (!await hasCommit(cacheDir, sha)) {
+        const error = new Error(`Commit ${sha} is not on any branch or tag of ${location.cloneUrl}`);
+        error.code = 'COMMIT_NOT_FOUND';
+        throw error;
+      }
+    }
+    return cacheDir;
+  });
+
+  pendingFetches.set(cacheDir, fetch);
+  fetch.finally(() => {
+    if (pendingFetches.get(cacheDir) === fetch) {
+      pendingFetches.delete(cacheDir);
+    }
+  }).catch(() => {});
+
+  return fetch;
+}
+
+/**
+ * Resolve a branch, tag or commit to the SHA of the commit it points to
+ * @param {Object} location - Repository location
+ * @param {string} ref - Branch, tag, commit or HEAD
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveCommitSha(location, ref) {
+  if (/^[0-9a-f]{40}$/.test(ref)) {
+    return ref;
+  }
+
+  const output = await runGit(['ls-remote', '--', location.cloneUrl, ref], { remote: location });
+  const refs = new Map(output.split('\n').filter(Boolean).map((line) => {
+    const [sha, refName] = line.split('\t');
+    return [refName, sha];
+  }));
+
+  // Annotated tags are listed twice; the peeled ^{} entry is the commit
+  const sha = refs.get(`refs/heads/${ref}`) ||
+    refs.get(`refs/tags/${ref}^{}`) ||
+    refs.get(`refs/tags/${ref}`) ||
+    refs.get(ref);
+  if (!sha) {
+    const error = new Error(`${ref} is not a branch or tag of ${location.cloneUrl}`);
+    error.code = 'REF_NOT_FOUND';
+    throw error;
+  }
+
+  return sha;
+}
+
+/**
+ * List every file and directory of a commit, including subdirectories
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array>} Tree entries with path, type ('blob', 'tree' or 'commit' for submodules) and mode
+ */
+async function fetchTree(location, ref) {
+  const cacheDir = await ensureCommits(location, [ref]);
+  const output = await runGit(['ls-tree', '-r', '-t', '-z', ref], { cwd: cacheDir });
+
+  return output.split('\0').filter(Boolean).map((line) => {
+    const [info, entryPath] = line.split('\t');
+    const [mode, type] = info.split(' ');
+    return { path: entryPath, type, mode };
+  });
+}
+
+/**
+ * Read the content of a file at a commit
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @param {string} filePath - Path of the file within the repository
+ * @returns {Promise<Buffer>} File content
+ */
+async function readFile(location, ref, filePath) {
+  const cacheDir = await ensureCommits(location, [ref]);
+  return runGit(['cat-file', 'blob', `${ref}:${filePath}`], { cwd: cacheDir, encoding: 'buffer' });
+}
+
+/**
+ * Compare two commits
+ * @param {Object} location - Repository location
+ * @param {string} base - Older commit SHA
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<Object>} { aheadBy, commits, files } with the paths of changed files within the repository
+ */
+async function compareCommits(location, base, head) {
+  const cacheDir = await ensureCommits(location, [base, head]);
+  const range = `${base}...${head}`;
+
+  const [log, numstat, nameStatus, diff] = await Promise.all([
+    runGit(['log', '-z', '--format=%H%x1f%an%x1f%aI%x1f%s', `${base}..${head}`], { cwd: cacheDir }),
+    runGit(['diff', '--no-renames', '--numstat', '-z', range], { cwd: cacheDir }),
+    runGit(['diff', '--no-renames', '--name-status', '-z', range], { cwd: cacheDir }),
+    runGit(['diff', '--no-renames', range], { cwd: cacheDir })
+  ]);
+
+  const commits = log.split('\0').filter(Boolean).map((entry) => {
+    const [sha, author, date, message] = entry.split('\x1f');
+    return { sha, message, author: author || null, date: date || null };
+  });
+
+  const statuses = new Map();
+  const nameFields = nameStatus.split('\0');
+  for (let i = 0; i + 1 < nameFields.length; i += 2) {
+    statuses.set(nameFields[i + 1], { A: 'added', D: 'removed' }[nameFields[i]] || 'modified');
+  }
+
+  const patches = splitUnifiedDiff(diff);
+  const files = numstat.split('\0').filter(Boolean).map((line) => {
+    const [additions, deletions, filename] = line.split('\t');
+    return {
+      filename,
+      status: statuses.get(filename) || 'modified',
+      // Binary files are counted as -
+      additions: Number(additions) || 0,
+      deletions: Number(deletions) || 0,
+      patch: patches.get(filename) || null
+    };
+  });
+
+  return { aheadBy: commits.length, commits, files };
+}
+
+/**
+ * Get the web page of a commit; plain git remotes have none
+ * @returns {null} No commit URL
+ */
+function getCommitUrl() {
+  return null;
+}
+
+export {
+  name,
+  label,
+  parseUrl,
+  resolveCommitSha,
+  fetchTree,
+  readFile,
+  compareCommits,
+  getCommitUrl
+};
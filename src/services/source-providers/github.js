@@ -0,0 +1,238 @@
+/**
+ * GitHub source provider
+ * Reads repositories from github.com and GitHub Enterprise Server, whose REST API
+ * is served below /api/v3 of the instance
+ * Private repositories are read with a personal access token or as a GitHub App installation
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { sourceRequest, toSourceError } from './http.js';
+
+const name = 'github';
+const label = 'GitHub';
+
+// Installation tokens are renewed this long before they expire
+const INSTALLATION_TOKEN_MARGIN_MS = 5 * 60 * 1000;
+
+// Installation tokens of GitHub Apps by host and installation
+const installationTokens = new Map();
+
+/**
+ * Get the REST API base URL of a GitHub host
+ * @param {string} host - github.com or a GitHub Enterprise host
+ * @returns {string} API base URL
+ */
+function getApiUrl(host) {
+  return host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`;
+}
+
+/**
+ * Create the JSON Web Token a GitHub App authenticates as itself with
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - PEM private key of the app
+ * @returns {string} Token valid for nine minutes
+ */
+function createAppJwt(appId, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  // Issued a minute in the past to allow for clock drift, as GitHub recommends
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 540, iss: appId })}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Get an installation access token of a GitHub App, creating one when none is cached or it is about to expire
+ * @param {Object} location - Repository location
+ * @param {Object} credentials - GitHub App credentials with appId, installationId and privateKey
+ * @returns {Promise<string>} Installation access token
+ */
+async function getInstallationToken(location, { appId, installationId, privateKey }) {
+  const key = `${location.host}/${installationId}`;
+  const cached = installationTokens.get(key);
+  if (cached && cached.expiresAt - INSTALLATION_TOKEN_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  try {
+    const response = await axios.post(`${getApiUrl(location.host)}/app/installations/${installationId}/access_tokens`, null, {
+      headers: { Authorization: `Bearer ${createAppJwt(appId, privateKey)}`, Accept: 'application/vnd.github+json' }
+    });
+    installationTokens.set(key, { token: response.data.token, expiresAt: Date.parse(response.data.expires_at) });
+    return response.data.token;
+  } catch (error) {
+    throw toSourceError(error, location, true);
+  }
+}
+
+/**
+ * Get the headers that authenticate a request to GitHub
+ * @param {Object} credentials - Credentials of the host
+ * @param {Object} location - Repository location
+ * @returns {Promise<Object>} Request headers
+ */
+async function authorize(credentials, location) {
+  const token = credentials.kind === 'github-app'
+    ? await getInstallationToken(location, credentials)
+    : credentials.token;
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Send a GET request to GitHub with the credentials of the host
+ * @param {Object} location - Repository location
+ * @param {string} url - Request URL
+ * @param {Object} [config] - Further axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function get(location, url, config = {}) {
+  return sourceRequest(location, { ...config, method: 'get', url }, authorize);
+}
+
+/**
+ * Parse a GitHub URL of the form https://host/owner/repo/tree/branch/path
+ * Hosts other than github.com are taken to be GitHub Enterprise
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} Location with host, owner, repo, branch and path, or null if not a GitHub URL
+ */
+function parseUrl(repoUrl) {
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/tree\/([^/]+)(?:\/(.*?))?\/?$/);
+  if (!/^https?:$/.test(url.protocol) || !match) {
+    return null;
+  }
+
+  const [, owner, repo, branch, path = ''] = match;
+  return {
+    provider: name,
+    host: url.host,
+    owner,
+    repo: repo.replace(/\.git$/, ''),
+    branch: decodeURIComponent(branch),
+    path: decodeURIComponent(path)
+  };
+}
+
+/**
+ * Resolve a branch, tag or commit to the SHA of the commit it points to
+ * @param {Object} location - Repository location
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveCommitSha(location, ref) {
+  const { host, owner, repo } = location;
+  const apiUrl = `${getApiUrl(host)}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`;
+  const response = await get(location, apiUrl, {
+    headers: { Accept: 'application/vnd.github.sha' },
+    responseType: 'text'
+  });
+
+  return String(response.data).trim();
+}
+
+/**
+ * List every file and directory of a commit, including subdirectories
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array>} Tree entries with path, type ('blob', 'tree' or 'commit' for submodules) and mode
+ */
+async function fetchTree(location, ref) {
+  const { host, owner, repo } = location;
+  const apiUrl = `${getApiUrl(host)}/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}`;
+  const response = await get(location, apiUrl, {
+    params: { recursive: 1 }
+  });
+
+  if (response.data.truncated) {
+    const error = new Error('The repository has too many files to be listed');
+    error.code = 'TREE_TRUNCATED';
+    throw error;
+  }
+
+  return response.data.tree.map(({ path, type, mode }) => ({ path, type, mode }));
+}
+
+/**
+ * Download the content of a file at a commit
+ * Files on github.com are read from raw.githubusercontent.com, which does not count
+ * against the API rate limit
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @param {string} filePath - Path of the file within the repository
+ * @returns {Promise<Buffer>} File content
+ */
+async function readFile(location, ref, filePath) {
+  const { host, owner, repo } = location;
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  const response = host === 'github.com'
+    ? await get(location, `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${encodedPath}`, {
+      responseType: 'arraybuffer'
+    })
+    : await get(location, `${getApiUrl(host)}/repos/${owner}/${repo}/contents/${encodedPath}`, {
+      params: { ref },
+      headers: { Accept: 'application/vnd.github.raw' },
+      responseType: 'arraybuffer'
+    });
+
+  return Buffer.from(response.data);
+}
+
+/**
+ * Compare two commits
+ * @param {Object} location - Repository location
+ * @param {string} base - Older commit SHA
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<Object>} { aheadBy, commits, files } with the paths of changed files within the repository
+ */
+async function compareCommits(location, base, head) {
+  const { host, owner, repo } = location;
+  const apiUrl = `${getApiUrl(host)}/repos/${owner}/${repo}/compare/${base}...${head}`;
+  const response = await get(location, apiUrl);
+
+  return {
+    aheadBy: response.data.ahead_by,
+    commits: (response.data.commits || []).map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message.split('\n')[0],
+      author: commit.commit.author?.name || null,
+      date: commit.commit.author?.date || null
+    })),
+    files: (response.data.files || []).map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch || null
+    }))
+  };
+}
+
+/**
+ * Get the web page of a commit
+ * @param {Object} location - Repository location
+ * @param {string} sha - Commit SHA
+ * @returns {string} Commit URL
+ */
+function getCommitUrl({ host, owner, repo }, sha) {
+  return `https://${host}/${owner}/${repo}/commit/${sha}`;
+}
+
+export {
+  name,
+  label,
+  parseUrl,
+  resolveCommitSha,
+  fetchTree,
+  readFile,
+  compareCommits,
+  getCommitUrl,
+  getInstallationToken
+};
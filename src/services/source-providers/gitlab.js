@@ -0,0 +1,186 @@
+/**
+ * GitLab source provider
+ * Reads repositories from gitlab.com and self-managed GitLab instances through the v4 REST API
+ * Private projects are read with a personal, group or project access token
+ */
+
+import { countPatchLines } from '../../utils/unified-diff.js';
+import { sourceRequest } from './http.js';
+
+const name = 'gitlab';
+const label = 'GitLab';
+
+// Entries per page when listing a repository tree, the most GitLab allows
+const TREE_PAGE_SIZE = 100;
+
+/**
+ * Get the API URL of a project
+ * @param {Object} location - Repository location
+ * @returns {string} Project API URL
+ */
+function getProjectUrl({ host, owner, repo }) {
+  return `https://${host}/api/v4/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+}
+
+/**
+ * Get the headers that authenticate a request to GitLab
+ * @param {Object} credentials - Credentials of the host
+ * @returns {Object} Request headers
+ */
+function authorize({ kind, token }) {
+  // GitHub App credentials mean nothing to GitLab
+  return kind === 'token' ? { 'PRIVATE-TOKEN': token } : {};
+}
+
+/**
+ * Send a GET request to GitLab with the credentials of the host
+ * @param {Object} location - Repository location
+ * @param {string} url - Request URL
+ * @param {Object} [config] - Further axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function get(location, url, config = {}) {
+  return sourceRequest(location, { ...config, method: 'get', url }, authorize);
+}
+
+/**
+ * Parse a GitLab URL of the form https://host/group/subgroup/project/-/tree/branch/path
+ * The /-/ separator identifies GitLab on any host
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} Location with host, owner (the group path), repo, branch and path, or null if not a GitLab URL
+ */
+function parseUrl(repoUrl) {
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const match = url.pathname.match(/^\/(.+)\/([^/]+)\/-\/tree\/([^/]+)(?:\/(.*?))?\/?$/);
+  if (!/^https?:$/.test(url.protocol) || !match) {
+    return null;
+  }
+
+  const [, owner, repo, branch, path = ''] = match;
+  return {
+    provider: name,
+    host: url.host,
+    owner,
+    repo,
+    branch: decodeURIComponent(branch),
+    path: decodeURIComponent(path)
+  };
+}
+
+/**
+ * Resolve a branch, tag or commit to the SHA of the commit it points to
+ * @param {Object} location - Repository location
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveCommitSha(location, ref) {
+  const response = await get(location, `${getProjectUrl(location)}/repository/commits/${encodeURIComponent(ref)}`);
+  return response.data.id;
+}
+
+/**
+ * List every file and directory of a commit, including subdirectories
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array>} Tree entries with path, type ('blob', 'tree' or 'commit' for submodules) and mode
+ */
+async function fetchTree(location, ref) {
+  const entries = [];
+  let page = '1';
+
+  while (page) {
+    const response = await get(location, `${getProjectUrl(location)}/repository/tree`, {
+      params: { ref, recursive: true, per_page: TREE_PAGE_SIZE, page }
+    });
+    response.data.forEach(({ path, type, mode }) => entries.push({ path, type, mode }));
+    page = response.headers['x-next-page'];
+  }
+
+  return entries;
+}
+
+/**
+ * Download the content of a file at a commit
+ * @param {Object} location - Repository location
+ * @param {string} ref - Commit SHA
+ * @param {string} filePath - Path of the file within the repository
+ * @returns {Promise<Buffer>} File content
+ */
+async function readFile(location, ref, filePath) {
+  const response = await get(location, `${getProjectUrl(location)}/repository/files/${encodeURIComponent(filePath)}/raw`, {
+    params: { ref },
+    responseType: 'arraybuffer'
+  });
+
+  return Buffer.from(response.data);
+}
+
+/**
+ * Compare two commits
+ * @param {Object} location - Repository location
+ * @param {string} base - Older commit SHA
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<Object>} { aheadBy, commits, files } with the paths of changed files within the repository
+ */
+async function compareCommits(location, base, head) {
+  const response = await get(location, `${getProjectUrl(location)}/repository/compare`, {
+    params: { from: base, to: head }
+  });
+  const commits = response.data.commits || [];
+
+  return {
+    aheadBy: commits.length,
+    commits: commits.map(commit => ({
+      sha: commit.id,
+      message: commit.title,
+      author: commit.author_name || null,
+      date: commit.authored_date || null
+    })),
+    files: (response.data.diffs || []).map((diff) => {
+      let status = 'modified';
+      if (diff.new_file) {
+        status = 'added';
+      } else if (diff.deleted_file) {
+        status = 'removed';
+      } else if (diff.renamed_file) {
+        status = 'renamed';
+      }
+
+      // Diffs GitLab considers too large come back empty
+      const patch = diff.diff ? diff.diff.replace(/\n$/, '') : null;
+      return {
+        filename: diff.new_path,
+        status,
+        ...countPatchLines(patch),
+        patch
+      };
+    })
+  };
+}
+
+/**
+ * Get the web page of a commit
+ * @param {Object} location - Repository location
+ * @param {string} sha - Commit SHA
+ * @returns {string} Commit URL
+ */
+function getCommitUrl({ host, owner, repo }, sha) {
+  return `https://${host}/${owner}/${repo}/-/commit/${sha}`;
+}
+
+export {
+  name,
+  label,
+  parseUrl,
+  resolveCommitSha,
+  fetchTree,
+  readFile,
+  compareCommits,
+  getCommitUrl
+};
@@ -0,0 +1,266 @@
+/**
+ * Authenticated requests to source provider APIs
+ * Adds the access token configured for the host of a repository to each request, and turns
+ * the HTTP errors of providers into errors that tell missing access from missing repositories.
+ * GET responses are cached and revalidated with their ETag, and the rate limit each host
+ * reports is tracked so requests back off once it is used up.
+ *
+ * Environment Variables:
+ * - SOURCE_RATE_LIMIT_MAX_WAIT: Longest wait, in seconds, for a rate limit to reset before
+ *   a request fails instead (defaults to 60)
+ */
+
+import axios from 'axios';
+import { getAccessCredentials } from '../access-token-service.js';
+import { getCachedResponse, saveCachedResponse } from '../source-cache-service.js';
+
+// Rate limits reported by each repository host, keyed by host
+const rateLimits = new Map();
+
+/**
+ * Get the longest wait for a rate limit to reset
+ * @returns {number} Wait in milliseconds
+ */
+function getMaxRateLimitWait() {
+  const value = Number(process.env.SOURCE_RATE_LIMIT_MAX_WAIT);
+  return (Number.isFinite(value) && value >= 0 ? value : 60) * 1000;
+}
+
+/**
+ * Get a response header, in the X-RateLimit-* form of GitHub and Bitbucket or the RateLimit-* form of GitLab
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name without prefix, e.g. 'remaining'
+ * @returns {string|undefined} Header value
+ */
+function getRateLimitHeader(headers, name) {
+  return headers?.[`x-ratelimit-${name}`] ?? headers?.[`ratelimit-${name}`];
+}
+
+/**
+ * Get when a rate limited request may be retried
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Time in milliseconds since the epoch, or null if the host did not say
+ */
+function getRetryTime(headers) {
+  const retryAfter = Number(headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Date.now() + retryAfter * 1000;
+  }
+  const reset = Number(getRateLimitHeader(headers, 'reset'));
+  return Number.isFinite(reset) && reset > 0 ? reset * 1000 : null;
+}
+
+/**
+ * Remember the rate limit a host reported with a response
+ * @param {Object} location - Repository location
+ * @param {string} url - Request URL, whose host the limit applies to
+ * @param {Object} headers - Response headers
+ */
+function recordRateLimit(location, url, headers) {
+  const limit = Number(getRateLimitHeader(headers, 'limit'));
+  const remaining = Number(getRateLimitHeader(headers, 'remaining'));
+  if (!Number.isFinite(limit) || !Number.isFinite(remaining)) {
+    return;
+  }
+
+  const resetTime = getRetryTime({ 'x-ratelimit-reset': getRateLimitHeader(headers, 'reset') });
+  rateLimits.set(location.host, {
+    host: location.host,
+    // Downloads from other hosts, such as raw.githubusercontent.com, do not count against the limit
+    apiHost: new URL(url).host,
+    limit,
+    remaining,
+    resetAt: resetTime ? new Date(resetTime).toISOString() : null,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the last rate limit a host reported
+ * @param {string} host - Host of a repository
+ * @returns {Object|null} { host, limit, remaining, resetAt, updatedAt }, or null if the host reported none
+ */
+function getRateLimit(host) {
+  const rateLimit = rateLimits.get(host);
+  if (!rateLimit) {
+    return null;
+  }
+
+  const { apiHost, ...reported } = rateLimit;
+  return reported;
+}
+
+/**
+ * Get when the used up rate limit of the host a request goes to resets
+ * @param {Object} location - Repository location
+ * @param {string} url - Request URL
+ * @returns {number|null} Reset time in milliseconds since the epoch, or null if requests are allowed
+ */
+function getExhaustedUntil(location, url) {
+  const rateLimit = rateLimits.get(location.host);
+  if (!rateLimit || rateLimit.remaining > 0 || rateLimit.apiHost !== new URL(url).host) {
+    return null;
+  }
+
+  const resetTime = Date.parse(rateLimit.resetAt);
+  return resetTime > Date.now() ? resetTime : null;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an error for a failed request to a source host
+ * @param {string} code - SOURCE_UNAUTHORIZED, SOURCE_ACCESS_DENIED, SOURCE_NOT_FOUND or SOURCE_RATE_LIMITED
+ * @param {string} message - Error message
+ * @param {string} host - Host of the repository
+ * @returns {Error} Error with code and host
+ */
+function createSourceError(code, message, host) {
+  const error = new Error(message);
+  error.code = code;
+  error.host = host;
+  return error;
+}
+
+/**
+ * Create the error of a request refused because the rate limit of a host is used up
+ * @param {string} host - Host of the repository
+ * @param {number|null} resetTime - When the limit resets, in milliseconds since the epoch
+ * @returns {Error} Error with code SOURCE_RATE_LIMITED, host and resetAt
+ */
+function createRateLimitError(host, resetTime) {
+  const resetAt = resetTime ? new Date(resetTime).toISOString() : null;
+  const error = createSourceError('SOURCE_RATE_LIMITED', resetAt
+    ? `The API rate limit of ${host} is exceeded until ${resetAt}; add an access token for ${host} for a higher limit`
+    : `The API rate limit of ${host} is exceeded; add an access token for ${host} for a higher limit`, host);
+  error.resetAt = resetAt;
+  return error;
+}
+
+/**
+ * Check whether an HTTP error means the rate limit of the host is exceeded
+ * GitHub answers 403 for its primary rate limit and 403 or 429 with Retry-After for its secondary limits
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request was rate limited
+ */
+function isRateLimited(error) {
+  const status = error.response?.status;
+  const headers = error.response?.headers;
+  return status === 429 || (status === 403 && (getRateLimitHeader(headers, 'remaining') === '0' || headers?.['retry-after'] !== undefined));
+}
+
+/**
+ * Turn an HTTP error of a source host into a coded error
+ * Private repositories are reported as not found to anyone without access, so a 404
+ * without credentials may also mean an access token is needed
+ * @param {Error} error - Axios error
+ * @param {Object} location - Repository location
+ * @param {boolean} authenticated - Whether the request carried credentials
+ * @returns {Error} Coded error, or the original error if the host did not answer
+ */
+function toSourceError(error, { host, owner, repo }, authenticated) {
+  const status = error.response?.status;
+  const repository = `${owner}/${repo} on ${host}`;
+
+  if (status === 401) {
+    return createSourceError('SOURCE_UNAUTHORIZED', authenticated
+      ? `The access token for ${host} was rejected; it may have expired or been revoked`
+      : `${repository} requires authentication; add an access token for ${host}`, host);
+  }
+  if (isRateLimited(error)) {
+    return createRateLimitError(host, getRetryTime(error.response.headers));
+  }
+  if (status === 403) {
+    return createSourceError('SOURCE_ACCESS_DENIED', authenticated
+      ? `The access token for ${host} does not grant access to ${repository}`
+      : `Access to ${repository} is denied; add an access token for ${host}`, host);
+  }
+  if (status === 404) {
+    return createSourceError('SOURCE_NOT_FOUND', authenticated
+      ? `${repository}, or the branch or file requested from it, was not found`
+      : `${repository} was not found; if it is private, add an access token for ${host}`, host);
+  }
+  return error;
+}
+
+/**
+ * Send a request to a source host with the credentials configured for it
+ * GET requests are answered from the cache when the host confirms with 304 Not Modified that
+ * the cached response is current, and while the rate limit of the host is used up. A request
+ * that is rate limited is retried once if the limit resets within SOURCE_RATE_LIMIT_MAX_WAIT.
+ * @param {Object} location - Repository location
+ * @param {Object} config - Axios request config
+ * @param {Function} authorize - Receives the credentials of the host and returns the request headers carrying them
+ * @returns {Promise<Object>} Axios response, with cached set if it was answered from the cache
+ */
+async function sourceRequest(location, config, authorize) {
+  const credentials = await getAccessCredentials(location.host);
+  const authHeaders = credentials ? await authorize(credentials, location) : {};
+  const cacheable = (config.method || 'get').toLowerCase() === 'get';
+  const cached = cacheable ? await getCachedResponse(location, config) : null;
+  const cachedResponse = () => ({ status: 200, headers: cached.headers, data: cached.data, cached: true });
+
+  // Requests cannot succeed before the limit resets, so known responses are served as they are
+  const exhaustedUntil = getExhaustedUntil(location, config.url);
+  if (exhaustedUntil && cached) {
+    return cachedResponse();
+  }
+  if (exhaustedUntil && exhaustedUntil - Date.now() > getMaxRateLimitWait()) {
+    throw createRateLimitError(location.host, exhaustedUntil);
+  }
+  if (exhaustedUntil) {
+    console.log(`Rate limit of ${location.host} is used up, waiting until ${new Date(exhaustedUntil).toISOString()}`);
+    await sleep(exhaustedUntil - Date.now());
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.request({
+        ...config,
+        headers: { ...config.headers, ...authHeaders, ...(cached ? { 'If-None-Match': cached.etag } : {}) },
+        validateStatus: status => (status >= 200 && status < 300) || (cached !== null && status === 304)
+      });
+      recordRateLimit(location, config.url, response.headers);
+
+      if (response.status === 304) {
+        return cachedResponse();
+      }
+      if (cacheable) {
+        await saveCachedResponse(location, config, response);
+      }
+      return response;
+    } catch (error) {
+      if (error.response) {
+        recordRateLimit(location, config.url, error.response.headers);
+      }
+      if (!isRateLimited(error)) {
+        throw toSourceError(error, location, Boolean(credentials));
+      }
+
+      if (cached) {
+        return cachedResponse();
+      }
+      const retryTime = getRetryTime(error.response.headers);
+      const wait = retryTime ? Math.max(retryTime - Date.now(), 0) : null;
+      if (attempt > 0 || wait === null || wait > getMaxRateLimitWait()) {
+        throw toSourceError(error, location, Boolean(credentials));
+      }
+      console.log(`Rate limited by ${location.host}, retrying in ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait);
+    }
+  }
+}
+
+export {
+  createSourceError,
+  toSourceError,
+  sourceRequest,
+  getRateLimit
+};
@@ -0,0 +1,60 @@
+/**
+ * Source providers
+ * Each provider reads repositories of one kind of host and exposes the same functions:
+ * parseUrl, resolveCommitSha, fetchTree, readFile, compareCommits and getCommitUrl
+ * The provider of a repository is detected from its URL
+ */
+
+import * as github from './github.js';
+import * as gitlab from './gitlab.js';
+import * as bitbucket from './bitbucket.js';
+import * as git from './git.js';
+import * as upload from './upload.js';
+
+// Providers in the order URLs are matched against them; git comes last as it accepts any clonable URL
+const SOURCE_PROVIDERS = [upload, gitlab, bitbucket, github, git];
+
+/**
+ * Get a provider by name
+ * @param {string} [providerName] - Provider name, GitHub for repository data recorded before providers existed
+ * @returns {Object} Provider
+ * @throws {Error} With code UNKNOWN_SOURCE_PROVIDER if there is no such provider
+ */
+function getSourceProvider(providerName = github.name) {
+  const provider = SOURCE_PROVIDERS.find(candidate => candidate.name === providerName);
+  if (!provider) {
+    const error = new Error(`Unknown source provider: ${providerName}`);
+    error.code = 'UNKNOWN_SOURCE_PROVIDER';
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * Detect the provider of a repository URL and parse it
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object} Location with provider, host, owner, repo, branch and path
+ * @throws {Error} With code UNSUPPORTED_REPOSITORY_URL if no provider recognizes the URL
+ */
+function parseRepositoryUrl(repoUrl) {
+  // URLs copied without their scheme, like github.com/owner/repo/tree/main/path, are HTTPS
+  const trimmed = String(repoUrl || '').trim();
+  const url = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) || /^[\w.-]+@/.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+  for (const provider of SOURCE_PROVIDERS) {
+    const location = provider.parseUrl(url);
+    if (location) {
+      return location;
+    }
+  }
+
+  const error = new Error('Unsupported repository URL format');
+  error.code = 'UNSUPPORTED_REPOSITORY_URL';
+  throw error;
+}
+
+export {
+  SOURCE_PROVIDERS,
+  getSourceProvider,
+  parseRepositoryUrl
+};
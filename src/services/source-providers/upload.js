@@ -0,0 +1,127 @@
+/**
+ * Upload source provider
+ * Reads uploaded archives staged by the upload service, addressed as upload://<id>/path
+ * An upload never changes, so the hash of the archive stands in for its commit
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getUpload, getUploadFilesDir } from '../upload-service.js';
+import { createSourceError } from './http.js';
+
+const name = 'upload';
+const label = 'Uploaded archive';
+
+/**
+ * Parse an upload URL of the form upload://<id>/path
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} Location with the upload ID as repo, or null if not an upload URL
+ */
+function parseUrl(repoUrl) {
+  const match = String(repoUrl || '').match(/^upload:\/\/([0-9a-f-]{36})(?:\/(.*?))?\/?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, uploadId, uploadPath = ''] = match;
+  return {
+    provider: name,
+    host: name,
+    owner: name,
+    repo: uploadId,
+    branch: 'upload',
+    path: uploadPath
+  };
+}
+
+/**
+ * Get an upload, failing if it has expired
+ * @param {Object} location - Repository location
+ * @returns {Promise<Object>} Upload
+ */
+async function getExistingUpload({ repo }) {
+  const upload = await getUpload(repo);
+  if (!upload) {
+    throw createSourceError('SOURCE_NOT_FOUND', `Upload ${repo} is no longer available; upload the archive again`, name);
+  }
+  return upload;
+}
+
+/**
+ * Get the hash of an uploaded archive, which stands in for the commit of every ref
+ * @param {Object} location - Repository location
+ * @returns {Promise<string>} SHA-1 of the archive
+ */
+async function resolveCommitSha(location) {
+  return (await getExistingUpload(location)).sha;
+}
+
+/**
+ * List every file and directory of an upload
+ * @param {Object} location - Repository location
+ * @returns {Promise<Array>} Tree entries with path, type ('blob' or 'tree') and mode
+ */
+async function fetchTree(location) {
+  await getExistingUpload(location);
+  const filesDir = getUploadFilesDir(location.repo);
+  const entries = [];
+
+  const walk = async (dirPath) => {
+    for (const entry of await fs.readdir(path.join(filesDir, dirPath), { withFileTypes: true })) {
+      const entryPath = dirPath ? `${dirPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        entries.push({ path: entryPath, type: 'tree', mode: '040000' });
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const { mode } = await fs.stat(path.join(filesDir, entryPath));
+        entries.push({ path: entryPath, type: 'blob', mode: mode & 0o111 ? '100755' : '100644' });
+      }
+    }
+  };
+  await walk('');
+
+  return entries;
+}
+
+/**
+ * Read a file of an upload
+ * @param {Object} location - Repository location
+ * @param {string} ref - Archive hash, unused as an upload has a single version
+ * @param {string} filePath - Path of the file within the archive
+ * @returns {Promise<Buffer>} File content
+ */
+async function readFile(location, ref, filePath) {
+  const filesDir = getUploadFilesDir(location.repo);
+  const fullPath = path.resolve(filesDir, filePath);
+  if (!fullPath.startsWith(`${filesDir}${path.sep}`)) {
+    throw createSourceError('SOURCE_NOT_FOUND', `${filePath} is not a file of upload ${location.repo}`, name);
+  }
+  return fs.readFile(fullPath);
+}
+
+/**
+ * Compare two versions of an upload; uploads have a single version, so nothing ever changes
+ * @returns {Promise<Object>} { aheadBy, commits, files } without changes
+ */
+async function compareCommits() {
+  return { aheadBy: 0, commits: [], files: [] };
+}
+
+/**
+ * Get the web page of a commit; uploads have none
+ * @returns {null} No commit URL
+ */
+function getCommitUrl() {
+  return null;
+}
+
+export {
+  name,
+  label,
+  parseUrl,
+  resolveCommitSha,
+  fetchTree,
+  readFile,
+  compareCommits,
+  getCommitUrl
+};
@@ -0,0 +1,123 @@
+/**
+ * Tfvars service
+ * Reads .tfvars and .tfvars.json files into the values of the deploy form, checking them
+ * against the variables the module declares, and writes form values back out as either
+ */
+
+import { parseTfvarsContent } from '../utils/terraform-parser.js';
+import { serializeHclValue, getVariableType } from '../utils/hcl-serializer.js';
+import { generateTfvarsContent } from './deployment-service.js';
+
+const TFVARS_FORMATS = ['hcl', 'json'];
+
+/**
+ * Create an error for a tfvars file that cannot be read
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_TFVARS
+ */
+function createTfvarsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TFVARS';
+  return error;
+}
+
+/**
+ * Read the values of a .tfvars or .tfvars.json file
+ * @param {string} content - File content
+ * @param {string} [filename] - File name; names ending in .json are read as JSON
+ * @returns {Array<Object>} Entries with name, value and constant
+ * @throws {Error} With code INVALID_TFVARS if the file cannot be read
+ */
+function readTfvarsEntries(content, filename = '') {
+  if (filename.endsWith('.json')) {
+    let values;
+    try {
+      values = JSON.parse(content);
+    } catch (error) {
+      throw createTfvarsError(`${filename} is not valid JSON: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw createTfvarsError(`${filename} must hold a JSON object of values keyed by variable name`);
+    }
+    return Object.entries(values).map(([name, value]) => ({ name, value, constant: true }));
+  }
+
+  try {
+    return Object.entries(parseTfvarsContent(content, filename || undefined))
+      .map(([name, { value, constant }]) => ({ name, value, constant }));
+  } catch (error) {
+    if (error.code === 'HCL_PARSE_ERROR') {
+      throw createTfvarsError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Import the values of a tfvars file for the variables of a module
+ * Values are checked against the variable types the way they would be written for OpenTofu;
+ * values of unknown variables and values that do not fit their variable are reported, not imported
+ * @param {string} content - File content
+ * @param {string} [filename] - File name
+ * @param {Object} terraformVariables - Variable definitions of the module
+ * @returns {Object} { values, unknown, mistyped } with the imported values, the names of
+ *   undeclared variables, and { name, message } for each value that does not fit its type
+ * @throws {Error} With code INVALID_TFVARS if the file cannot be read
+ */
+function importTfvars(content, filename, terraformVariables) {
+  const values = {};
+  const unknown = [];
+  const mistyped = [];
+
+  readTfvarsEntries(String(content || ''), filename).forEach(({ name, value, constant }) => {
+    const definition = terraformVariables[name];
+    if (!definition) {
+      unknown.push(name);
+      return;
+    }
+    if (!constant) {
+      mistyped.push({ name, message: `${value} is an expression, not a value` });
+      return;
+    }
+
+    try {
+      serializeHclValue(value, getVariableType(definition));
+      values[name] = value;
+    } catch (error) {
+      mistyped.push({ name, message: `Does not match ${definition.terraformType || 'its type'}: ${error.message}` });
+    }
+  });
+
+  return { values, unknown, mistyped };
+}
+
+/**
+ * Export variable values as a tfvars file
+ * Sensitive variables are left out, as they are from the tfvars files of deployments
+ * @param {Object} variables - Variable values keyed by name
+ * @param {Object} terraformVariables - Variable definitions of the module
+ * @param {string} [format] - 'hcl' for terraform.tfvars or 'json' for terraform.tfvars.json
+ * @returns {Object} { filename, content, excluded } with the names of the sensitive variables left out
+ * @throws {Error} With code INVALID_VARIABLE_VALUE if a value does not match its variable's type
+ */
+function exportTfvars(variables, terraformVariables, format = 'hcl') {
+  if (!TFVARS_FORMATS.includes(format)) {
+    throw createTfvarsError(`Format must be one of ${TFVARS_FORMATS.join(', ')}`);
+  }
+
+  const excluded = Object.keys(variables).filter(name => terraformVariables[name]?.sensitive === true);
+  const exported = Object.fromEntries(Object.entries(variables).filter(([name]) => !excluded.includes(name)));
+
+  // Written as HCL either way, so values that do not match their types are rejected for both formats
+  const content = generateTfvarsContent(exported, terraformVariables);
+  if (format === 'json') {
+    return { filename: 'terraform.tfvars.json', content: `${JSON.stringify(exported, null, 2)}\n`, excluded };
+  }
+  return { filename: 'terraform.tfvars', content, excluded };
+}
+
+export {
+  TFVARS_FORMATS,
+  importTfvars,
+  exportTfvars
+};
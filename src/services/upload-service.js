@@ -0,0 +1,158 @@
+/**
+ * Upload service
+ * Stages uploaded archives of Terraform configurations so they can be parsed and deployed
+ * like a repository. Each upload is extracted into TEMP_DIR/uploads/<id>/files and described
+ * by TEMP_DIR/uploads/<id>/upload.json; the upload source provider reads them from there.
+ *
+ * Environment Variables:
+ * - UPLOAD_MAX_SIZE: Largest archive accepted, in MB (defaults to 20)
+ * - UPLOAD_MAX_EXTRACTED_SIZE: Most an archive may expand to, in MB (defaults to 200)
+ * - UPLOAD_MAX_FILES: Most files and directories an archive may hold (defaults to 10000)
+ * - UPLOAD_RETENTION_DAYS: Days an upload is kept for later deployments and modifications (defaults to 30)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getTempDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { extractArchive } from '../utils/archive.js';
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upload IDs are UUIDs, so an ID can never name a path outside the uploads directory
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value if unset or invalid
+ * @returns {number} Value
+ */
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Get the largest archive accepted for upload
+ * @returns {number} Size in bytes
+ */
+function getMaxUploadSize() {
+  return readLimit('UPLOAD_MAX_SIZE', 20) * MB;
+}
+
+/**
+ * Get the directory of an upload
+ * @param {string} uploadId - Upload ID
+ * @returns {string|null} Directory, or null if the ID is not a valid upload ID
+ */
+function getUploadDir(uploadId) {
+  return UPLOAD_ID_PATTERN.test(uploadId || '') ? path.join(getTempDir(), 'uploads', uploadId) : null;
+}
+
+/**
+ * Get the directory an upload was extracted to
+ * @param {string} uploadId - Upload ID
+ * @returns {string|null} Directory, or null if the ID is not a valid upload ID
+ */
+function getUploadFilesDir(uploadId) {
+  const uploadDir = getUploadDir(uploadId);
+  return uploadDir && path.join(uploadDir, 'files');
+}
+
+/**
+ * Find the directory of the configuration in an archive
+ * Archives made by compressing a folder hold a single top-level directory
+ * @param {string[]} files - Relative paths of the extracted files
+ * @returns {string} Directory within the archive, empty for its root
+ */
+function findConfigurationRoot(files) {
+  const topLevel = new Set(files.map(file => file.split('/')[0]));
+  if (topLevel.size === 1 && files.every(file => file.includes('/'))) {
+    return [...topLevel][0];
+  }
+  return '';
+}
+
+/**
+ * Delete uploads older than UPLOAD_RETENTION_DAYS
+ */
+async function removeExpiredUploads() {
+  const uploadsDir = path.join(getTempDir(), 'uploads');
+  const cutoff = Date.now() - readLimit('UPLOAD_RETENTION_DAYS', 30) * DAY_MS;
+
+  let uploadIds;
+  try {
+    uploadIds = await fs.readdir(uploadsDir);
+  } catch (error) {
+    return;
+  }
+
+  for (const uploadId of uploadIds) {
+    const upload = await readJsonFile(path.join(uploadsDir, uploadId, 'upload.json')).catch(() => null);
+    if (upload && Date.parse(upload.uploadedAt) < cutoff) {
+      await fs.rm(path.join(uploadsDir, uploadId), { recursive: true, force: true });
+      console.log(`Removed expired upload ${uploadId} (${upload.filename})`);
+    }
+  }
+}
+
+/**
+ * Extract an uploaded archive into a new staging directory
+ * @param {Object} file - Uploaded file
+ * @param {Buffer} file.buffer - Archive content
+ * @param {string} file.originalname - File name on the client
+ * @param {string} [uploadedBy] - User who uploaded it
+ * @returns {Promise<Object>} Upload with id, filename, size, sha, format, files, skipped, rootPath and uploadedAt
+ * @throws {Error} With code INVALID_ARCHIVE or ARCHIVE_TOO_LARGE if the archive is rejected
+ */
+async function saveUpload({ buffer, originalname }, uploadedBy) {
+  await removeExpiredUploads();
+
+  const id = crypto.randomUUID();
+  const uploadDir = getUploadDir(id);
+
+  try {
+    const { format, files, skipped } = await extractArchive(buffer, getUploadFilesDir(id), {
+      maxEntries: readLimit('UPLOAD_MAX_FILES', 10000),
+      maxSize: readLimit('UPLOAD_MAX_EXTRACTED_SIZE', 200) * MB
+    });
+
+    const upload = {
+      id,
+      filename: path.basename(originalname || 'archive'),
+      size: buffer.length,
+      // Hash of the archive, in the place of a commit SHA for pinning deployments
+      sha: crypto.createHash('sha1').update(buffer).digest('hex'),
+      format,
+      files: files.length,
+      skipped,
+      rootPath: findConfigurationRoot(files),
+      uploadedBy: uploadedBy || null,
+      uploadedAt: new Date().toISOString()
+    };
+    await writeJsonFile(path.join(uploadDir, 'upload.json'), upload);
+    return upload;
+  } catch (error) {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Get an upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} Upload, or null if there is no such upload
+ */
+async function getUpload(uploadId) {
+  const uploadDir = getUploadDir(uploadId);
+  return uploadDir ? readJsonFile(path.join(uploadDir, 'upload.json')) : null;
+}
+
+export {
+  getMaxUploadSize,
+  getUploadFilesDir,
+  saveUpload,
+  getUpload
+};
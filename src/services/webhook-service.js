@@ -0,0 +1,636 @@
+/**
+ * Webhook service
+ * Notifies subscribed URLs of deployment lifecycle events, so chat channels and bots hear
+ * about deployments nobody is watching. Subscriptions choose their events, may be limited
+ * to sources and environments, and render the event as JSON or as a Slack or Teams message.
+ * Every request is signed with the subscription's secret, failed deliveries are retried with
+ * increasing delays, and each delivery and its attempts are kept in a delivery log.
+ *
+ * Environment Variables:
+ * - WEBHOOKS_FILE: Webhook subscriptions (defaults to DEPLOYMENTS_DIR/.webhooks.json)
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts per delivery before it is given up (defaults to 5)
+ * - WEBHOOK_RETRY_DELAY: Seconds before the first retry, doubled for every later one (defaults to 30)
+ * - WEBHOOK_TIMEOUT: Seconds to wait for the receiver to answer (defaults to 10)
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import axios from 'axios';
+import { getDeploymentsDir, writeJsonFile, readJsonFile } from '../utils/file-utils.js';
+import { WEBHOOK_TEMPLATES, renderWebhookPayload } from '../utils/webhook-templates.js';
+import { encryptJson, decryptJson } from './secret-store.js';
+import { readManifest } from './deployment-manifest-service.js';
+import { getSourceKey, getCommitUrl } from './repository-service.js';
+
+const WEBHOOK_EVENTS = ['started', 'plan-ready', 'succeeded', 'failed', 'destroyed', 'drift-detected'];
+
+// Deliveries kept in the delivery log, the oldest are removed first
+const DELIVERY_LOG_SIZE = 500;
+
+// Longest wait before a retry, whatever the receiver asks for
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Pending file updates, so concurrent updates never overwrite each other
+let pendingWebhooksUpdate = Promise.resolve();
+let pendingDeliveriesUpdate = Promise.resolve();
+
+// Retries waiting for their time, keyed by delivery ID
+const retryTimers = new Map();
+
+/**
+ * Read a whole number setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Setting
+ */
+function getNumberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the path of the subscriptions file
+ * @returns {string} Subscriptions file path
+ */
+function getWebhooksPath() {
+  return process.env.WEBHOOKS_FILE || path.join(getDeploymentsDir(), '.webhooks.json');
+}
+
+/**
+ * Get the path of the delivery log
+ * @returns {string} Delivery log path
+ */
+function getDeliveriesPath() {
+  return path.join(getDeploymentsDir(), '.webhook-deliveries.json');
+}
+
+/**
+ * Read the stored subscriptions, with their secrets still encrypted
+ * @returns {Promise<Array>} Stored subscriptions
+ */
+async function readStoredWebhooks() {
+  return (await readJsonFile(getWebhooksPath())) || [];
+}
+
+/**
+ * Update the subscriptions file
+ * @param {Function} updater - Receives the current subscriptions and returns the updated list
+ * @returns {Promise<Array>} Updated subscriptions
+ */
+function updateStoredWebhooks(updater) {
+  const update = pendingWebhooksUpdate.catch(() => {}).then(async () => {
+    const webhooks = await updater(await readStoredWebhooks());
+    await writeJsonFile(getWebhooksPath(), webhooks, { mode: 0o600 });
+    return webhooks;
+  });
+
+  pendingWebhooksUpdate = update;
+  return update;
+}
+
+/**
+ * Read the delivery log
+ * @returns {Promise<Array>} Deliveries, oldest first
+ */
+async function readDeliveries() {
+  return (await readJsonFile(getDeliveriesPath())) || [];
+}
+
+/**
+ * Update the delivery log, keeping the newest DELIVERY_LOG_SIZE deliveries
+ * @param {Function} updater - Receives the current deliveries and returns the updated list
+ * @returns {Promise<Array>} Updated deliveries
+ */
+function updateDeliveries(updater) {
+  const update = pendingDeliveriesUpdate.catch(() => {}).then(async () => {
+    const deliveries = (await updater(await readDeliveries())).slice(-DELIVERY_LOG_SIZE);
+    await writeJsonFile(getDeliveriesPath(), deliveries);
+    return deliveries;
+  });
+
+  pendingDeliveriesUpdate = update;
+  return update;
+}
+
+/**
+ * Create an error for a subscription that cannot be saved
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_WEBHOOK
+ */
+function createWebhookError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK';
+  return error;
+}
+
+/**
+ * Check a list of names or patterns given for a subscription
+ * @param {*} value - List from the request
+ * @param {string} name - What the list is, for error messages
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function normalizeList(value, name) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    throw createWebhookError(`${name} must be a list of strings`);
+  }
+  return value.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Check the settings of a subscription
+ * @param {Object} details - Settings from the request
+ * @param {Object} [current] - Stored subscription the settings change
+ * @returns {Object} { name, url, events, template, filters, enabled }
+ * @throws {Error} With code INVALID_WEBHOOK if a setting cannot be used
+ */
+function validateWebhook(details, current = {}) {
+  const settings = { ...current, ...details };
+
+  const name = String(settings.name || '').trim();
+  if (name.length === 0 || name.length > 100) {
+    throw createWebhookError('Name must be between 1 and 100 characters');
+  }
+
+  let url;
+  try {
+    url = new URL(String(settings.url || ''));
+  } catch (error) {
+    throw createWebhookError('URL must be an http or https URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw createWebhookError('URL must be an http or https URL');
+  }
+
+  const events = settings.events === undefined ? WEBHOOK_EVENTS : normalizeList(settings.events, 'Events');
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (events.length === 0 || unknown.length > 0) {
+    throw createWebhookError(`Events must be one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const template = settings.template || 'json';
+  if (!WEBHOOK_TEMPLATES.includes(template)) {
+    throw createWebhookError(`Template must be one of ${WEBHOOK_TEMPLATES.join(', ')}`);
+  }
+
+  const filters = settings.filters || {};
+  return {
+    name,
+    url: url.toString(),
+    events,
+    template,
+    filters: {
+      sources: normalizeList(filters.sources, 'Source filters'),
+      environments: normalizeList(filters.environments, 'Environment filters')
+    },
+    enabled: settings.enabled !== false
+  };
+}
+
+/**
+ * Choose the signing secret of a subscription
+ * @param {string} [requested] - Secret given in the request
+ * @returns {string} The requested secret, or a new random one
+ * @throws {Error} With code INVALID_WEBHOOK if the requested secret is too short to sign with
+ */
+function chooseSecret(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return crypto.randomBytes(32).toString('hex');
+  }
+  if (typeof requested !== 'string' || requested.length < 16) {
+    throw createWebhookError('Secret must be at least 16 characters');
+  }
+  return requested;
+}
+
+/**
+ * Strip the encrypted secret from a stored subscription
+ * @param {Object} webhook - Stored subscription
+ * @returns {Object} Subscription safe to return from the API
+ */
+function toPublicWebhook(webhook) {
+  const { encryptedSecret, ...publicWebhook } = webhook;
+  return publicWebhook;
+}
+
+/**
+ * List the webhook subscriptions, without their secrets
+ * @returns {Promise<Array>} Subscriptions by name
+ */
+async function listWebhooks() {
+  return (await readStoredWebhooks())
+    .map(toPublicWebhook)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Add a webhook subscription
+ * @param {Object} details - Settings: name, url, events, template, filters, enabled and optionally secret
+ * @param {string} [createdBy] - Who added it
+ * @returns {Promise<Object>} { webhook, secret } with the signing secret, which is only ever returned here
+ * @throws {Error} With code INVALID_WEBHOOK if a setting cannot be used
+ */
+async function createWebhook(details, createdBy) {
+  const settings = validateWebhook(details);
+  const secret = chooseSecret(details.secret);
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomUUID(),
+    ...settings,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+    encryptedSecret: await encryptJson(secret)
+  };
+
+  await updateStoredWebhooks(webhooks => [...webhooks, webhook]);
+  return { webhook: toPublicWebhook(webhook), secret };
+}
+
+/**
+ * Change a webhook subscription
+ * Settings left out keep their value; rotateSecret replaces the signing secret with a new one
+ * @param {string} id - Subscription ID
+ * @param {Object} details - Settings to change
+ * @returns {Promise<Object|null>} { webhook, secret } with the secret only if it was rotated,
+ *   or null if there is no such subscription
+ * @throws {Error} With code INVALID_WEBHOOK if a setting cannot be used
+ */
+async function updateWebhook(id, details) {
+  const { rotateSecret, secret: requestedSecret, ...changes } = details;
+  const secret = rotateSecret ? chooseSecret(requestedSecret) : null;
+  const encryptedSecret = secret ? await encryptJson(secret) : null;
+
+  let updated = null;
+  await updateStoredWebhooks(webhooks => webhooks.map((webhook) => {
+    if (webhook.id !== id) {
+      return webhook;
+    }
+    updated = {
+      ...webhook,
+      ...validateWebhook(changes, webhook),
+      updatedAt: new Date().toISOString(),
+      encryptedSecret: encryptedSecret || webhook.encryptedSecret
+    };
+    return updated;
+  }));
+
+  return updated ? { webhook: toPublicWebhook(updated), secret } : null;
+}
+
+/**
+ * Delete a webhook subscription; its deliveries stay in the delivery log
+ * @param {string} id - Subscription ID
+ * @returns {Promise<boolean>} True if the subscription existed
+ */
+async function deleteWebhook(id) {
+  let found = false;
+  await updateStoredWebhooks(webhooks => webhooks.filter((webhook) => {
+    if (webhook.id === id) {
+      found = true;
+      return false;
+    }
+    return true;
+  }));
+  return found;
+}
+
+/**
+ * Match a value against a pattern in which * stands for any characters
+ * @param {string} pattern - Pattern
+ * @param {string} value - Value
+ * @returns {boolean} True if the value matches
+ */
+function matchesPattern(pattern, value) {
+  const expression = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${expression}$`).test(value);
+}
+
+/**
+ * Check whether a subscription wants an event
+ * @param {Object} webhook - Stored subscription
+ * @param {Object} event - Event from buildEvent
+ * @returns {boolean} True if the event is delivered to it
+ */
+function wantsEvent(webhook, event) {
+  const { sources, environments } = webhook.filters;
+  return webhook.enabled &&
+    webhook.events.includes(event.event) &&
+    (sources.length === 0 || (event.deployment.sourceKey !== null &&
+      sources.some(pattern => matchesPattern(pattern, event.deployment.sourceKey)))) &&
+    (environments.length === 0 || environments.includes(event.deployment.environment));
+}
+
+/**
+ * Build the event of a deployment, described by its manifest
+ * @param {string} event - One of WEBHOOK_EVENTS, or 'ping'
+ * @param {string|null} deploymentId - Deployment ID, null for test deliveries
+ * @param {Object} details - What happened, depending on the event
+ * @returns {Promise<Object>} Event
+ */
+async function buildEvent(event, deploymentId, details) {
+  const manifest = deploymentId ? await readManifest(deploymentId) : null;
+  const source = manifest?.source || null;
+  return {
+    event,
+    timestamp: new Date().toISOString(),
+    deployment: deploymentId ? {
+      id: deploymentId,
+      status: manifest?.status || null,
+      environment: manifest?.environment || null,
+      description: manifest?.description || null,
+      sourceKey: source ? getSourceKey(source) : null,
+      source: source ? { ...source, commitUrl: getCommitUrl(source) } : null,
+      lastApplied: manifest?.lastApplied || null
+    } : null,
+    details
+  };
+}
+
+/**
+ * Get the delay before the next attempt of a delivery
+ * @param {number} attempts - Attempts made so far
+ * @param {Object} [headers] - Headers of the last response
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, headers) {
+  const retryAfter = Number(headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) && retryAfter >= 0
+    ? retryAfter * 1000
+    : getNumberSetting('WEBHOOK_RETRY_DELAY', 30) * 1000 * 2 ** (attempts - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Sign the body of a request for a receiver to verify
+ * The timestamp is signed with the body, so a captured request cannot be replayed later
+ * @param {string} secret - Signing secret of the subscription
+ * @param {string} timestamp - Unix time in seconds, sent in X-Deployer-Timestamp
+ * @param {string} body - Request body
+ * @returns {string} X-Deployer-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Schedule the next attempt of a delivery
+ * @param {string} deliveryId - Delivery ID
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleAttempt(deliveryId, delay) {
+  clearTimeout(retryTimers.get(deliveryId));
+  const timer = setTimeout(() => {
+    retryTimers.delete(deliveryId);
+    attemptDelivery(deliveryId).catch(error => console.error(`Webhook delivery ${deliveryId} failed:`, error));
+  }, delay);
+  timer.unref();
+  retryTimers.set(deliveryId, timer);
+}
+
+/**
+ * Record the outcome of an attempt in the delivery log
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} attempt - Attempt with timestamp, statusCode, error, response and durationMs
+ * @param {string} status - 'delivered', 'retrying' or 'failed'
+ * @param {string|null} nextAttemptAt - When the next attempt is made, for retrying deliveries
+ * @returns {Promise<Object|null>} Updated delivery
+ */
+async function recordAttempt(deliveryId, attempt, status, nextAttemptAt = null) {
+  let updated = null;
+  await updateDeliveries(deliveries => deliveries.map((delivery) => {
+    if (delivery.id !== deliveryId) {
+      return delivery;
+    }
+    updated = {
+      ...delivery,
+      status,
+      attempts: [...delivery.attempts, { attempt: delivery.attempts.length + 1, ...attempt }],
+      nextAttemptAt,
+      updatedAt: new Date().toISOString()
+    };
+    return updated;
+  }));
+  return updated;
+}
+
+/**
+ * Send a delivery to its subscription, and schedule a retry if the receiver could not take it
+ * Network errors, timeouts, 408, 429 and 5xx answers are retried; other answers are final
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Delivery after the attempt
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = (await readDeliveries()).find(entry => entry.id === deliveryId);
+  if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') {
+    return delivery || null;
+  }
+
+  const timestamp = new Date().toISOString();
+  const webhook = (await readStoredWebhooks()).find(entry => entry.id === delivery.webhookId);
+  if (!webhook) {
+    return recordAttempt(deliveryId, { timestamp, statusCode: null, error: 'The webhook was deleted', durationMs: 0 }, 'failed');
+  }
+
+  let secret;
+  try {
+    secret = await decryptJson(webhook.encryptedSecret);
+  } catch (error) {
+    return recordAttempt(deliveryId, { timestamp, statusCode: null, error: `Signing secret cannot be used: ${error.message}`, durationMs: 0 }, 'failed');
+  }
+
+  const signedAt = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    response = await axios.post(webhook.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'opentofu-deployer-webhooks',
+        'X-Deployer-Event': delivery.event,
+        'X-Deployer-Delivery': delivery.id,
+        'X-Deployer-Timestamp': signedAt,
+        'X-Deployer-Signature': signPayload(secret, signedAt, delivery.payload)
+      },
+      timeout: getNumberSetting('WEBHOOK_TIMEOUT', 10) * 1000,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+  } catch (requestError) {
+    error = requestError.code === 'ECONNABORTED' ? 'Timed out waiting for a response' : requestError.message;
+  }
+
+  const attempt = {
+    timestamp,
+    statusCode: response ? response.status : null,
+    error,
+    response: response ? String(response.data ?? '').substring(0, 500) : null,
+    durationMs: Date.now() - started
+  };
+
+  if (response && response.status >= 200 && response.status < 300) {
+    return recordAttempt(deliveryId, attempt, 'delivered');
+  }
+
+  const retryable = !response || response.status === 408 || response.status === 429 || response.status >= 500;
+  const attempts = delivery.attempts.length + 1;
+  if (!retryable || attempts >= Math.max(1, getNumberSetting('WEBHOOK_MAX_ATTEMPTS', 5))) {
+    return recordAttempt(deliveryId, { ...attempt, error: error || `Receiver answered ${response.status}` }, 'failed');
+  }
+
+  const delay = getRetryDelay(attempts, response?.headers);
+  const updated = await recordAttempt(
+    deliveryId,
+    { ...attempt, error: error || `Receiver answered ${response.status}` },
+    'retrying',
+    new Date(Date.now() + delay).toISOString()
+  );
+  scheduleAttempt(deliveryId, delay);
+  return updated;
+}
+
+/**
+ * Add deliveries of an event to the delivery log
+ * @param {Array} webhooks - Stored subscriptions to deliver to
+ * @param {Object} event - Event from buildEvent
+ * @returns {Promise<Array>} New deliveries
+ */
+async function createDeliveries(webhooks, event) {
+  const now = new Date().toISOString();
+  const deliveries = webhooks.map(webhook => ({
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    event: event.event,
+    deploymentId: event.deployment?.id || null,
+    template: webhook.template,
+    payload: renderWebhookPayload(webhook.template, event),
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: now,
+    updatedAt: now
+  }));
+
+  if (deliveries.length > 0) {
+    await updateDeliveries(existing => [...existing, ...deliveries]);
+  }
+  return deliveries;
+}
+
+/**
+ * Notify the subscriptions that want an event of a deployment
+ * Deliveries continue in the background; failures are recorded in the delivery log and
+ * never reach the caller
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [details] - What happened: operation, user, summary, message or resources
+ * @returns {Promise<void>} Resolves once the deliveries are logged
+ */
+async function notifyWebhooks(event, deploymentId, details = {}) {
+  try {
+    const webhooks = await readStoredWebhooks();
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = await buildEvent(event, deploymentId, details);
+    const deliveries = await createDeliveries(webhooks.filter(webhook => wantsEvent(webhook, payload)), payload);
+    deliveries.forEach(delivery => scheduleAttempt(delivery.id, 0));
+  } catch (error) {
+    console.error(`Unable to notify webhooks of ${event} of ${deploymentId}:`, error);
+  }
+}
+
+/**
+ * Send a test event to a subscription, whatever its events and filters
+ * @param {string} id - Subscription ID
+ * @param {string} [user] - Who asked for it
+ * @returns {Promise<Object|null>} Delivery after its first attempt, or null if there is no such subscription
+ */
+async function sendTestDelivery(id, user) {
+  const webhook = (await readStoredWebhooks()).find(entry => entry.id === id);
+  if (!webhook) {
+    return null;
+  }
+
+  const event = await buildEvent('ping', null, { message: user ? `Sent by ${user}` : '' });
+  const [delivery] = await createDeliveries([webhook], event);
+  return attemptDelivery(delivery.id);
+}
+
+/**
+ * Send a logged delivery again as a new delivery with the same payload
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} New delivery after its first attempt, or null if there is no such delivery
+ */
+async function redeliver(deliveryId) {
+  const original = (await readDeliveries()).find(entry => entry.id === deliveryId);
+  if (!original) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const delivery = {
+    ...original,
+    id: crypto.randomUUID(),
+    redeliveryOf: original.id,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await updateDeliveries(existing => [...existing, delivery]);
+  return attemptDelivery(delivery.id);
+}
+
+/**
+ * List logged deliveries, newest first
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.webhookId] - Only deliveries to this subscription
+ * @param {string} [filter.deploymentId] - Only deliveries of this deployment
+ * @param {string} [filter.status] - Only deliveries with this status
+ * @param {number} [filter.limit] - Most deliveries returned (defaults to 100)
+ * @returns {Promise<Array>} Deliveries
+ */
+async function listDeliveries({ webhookId, deploymentId, status, limit = 100 } = {}) {
+  return (await readDeliveries())
+    .filter(delivery => (!webhookId || delivery.webhookId === webhookId) &&
+      (!deploymentId || delivery.deploymentId === deploymentId) &&
+      (!status || delivery.status === status))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Pick up deliveries that were pending or waiting for a retry when the server stopped
+ * @returns {Promise<number>} Number of deliveries resumed
+ */
+async function resumeDeliveries() {
+  const unfinished = (await readDeliveries())
+    .filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying');
+  unfinished.forEach((delivery) => {
+    const due = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+    scheduleAttempt(delivery.id, Math.max(0, due));
+  });
+  return unfinished.length;
+}
+
+export {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  notifyWebhooks,
+  sendTestDelivery,
+  redeliver,
+  listDeliveries,
+  resumeDeliveries
+};
@@ -0,0 +1,414 @@
+/**
+ * Archive extraction
+ * Extracts zip, tar and gzip-compressed tar archives of Terraform configurations with the
+ * limits an upload from the browser needs: entries may not leave the target directory, links
+ * are skipped, and the number of entries and their extracted size are capped so a small
+ * archive cannot expand into one that fills the disk
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+// Tar block size; headers and file contents are padded to it
+const TAR_BLOCK_SIZE = 512;
+
+// Zip record signatures
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// The end of central directory record is followed by a comment of at most 64 KiB
+const ZIP_MAX_EOCD_SEARCH = 22 + 0xffff;
+
+// Unix file type bits of a mode
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Create an error for an archive that cannot be extracted
+ * @param {string} message - Error message
+ * @param {string} [code='INVALID_ARCHIVE'] - INVALID_ARCHIVE or ARCHIVE_TOO_LARGE
+ * @returns {Error} Coded error
+ */
+function createArchiveError(message, code = 'INVALID_ARCHIVE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Detect the format of an archive from its first bytes
+ * @param {Buffer} buffer - Archive content
+ * @returns {string|null} 'zip', 'gzip', 'tar' or null if not an archive
+ */
+function detectArchiveFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER) {
+    return 'zip';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+    return 'zip';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return 'gzip';
+  }
+  if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+  return null;
+}
+
+/**
+ * Turn the name of an archive entry into a safe relative path
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string} Relative path with forward slashes, empty for the archive root
+ * @throws {Error} With code INVALID_ARCHIVE if the name is absolute or leaves the archive
+ */
+function toSafePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.includes('\0') || normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw createArchiveError(`Archive entry ${name} has an absolute path`);
+  }
+
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw createArchiveError(`Archive entry ${name} points outside the archive`);
+  }
+  return segments.join('/');
+}
+
+/**
+ * Check whether an entry is metadata added by macOS when compressing a folder
+ * @param {string} entryPath - Safe relative path
+ * @returns {boolean} True for __MACOSX/ entries and ._ resource forks
+ */
+function isMacMetadata(entryPath) {
+  return entryPath === '__MACOSX' || entryPath.startsWith('__MACOSX/') || path.posix.basename(entryPath).startsWith('._');
+}
+
+/**
+ * Track the number of entries and bytes extracted against the limits
+ * @param {Object} limits - { maxEntries, maxSize }
+ * @returns {Object} { addEntry(size) }, throwing ARCHIVE_TOO_LARGE once a limit is exceeded
+ */
+function createBudget({ maxEntries, maxSize }) {
+  let entries = 0;
+  let size = 0;
+
+  return {
+    addEntry(entrySize) {
+      entries++;
+      size += entrySize;
+      if (entries > maxEntries) {
+        throw createArchiveError(`Archive has more than ${maxEntries} entries`, 'ARCHIVE_TOO_LARGE');
+      }
+      if (size > maxSize) {
+        throw createArchiveError(`Archive expands to more than ${Math.round(maxSize / 1024 / 1024)} MB`, 'ARCHIVE_TOO_LARGE');
+      }
+    }
+  };
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf-8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Read an octal number field of a tar header
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Field value
+ */
+function readTarNumber(header, offset, length) {
+  // Sizes beyond 8 GiB use a base-256 encoding no configuration needs
+  if (header[offset] & 0x80) {
+    throw createArchiveError('Archive entry is too large', 'ARCHIVE_TOO_LARGE');
+  }
+  return parseInt(readTarString(header, offset, length).trim() || '0', 8);
+}
+
+/**
+ * Check the checksum of a tar header
+ * @param {Buffer} header - Header block
+ * @returns {boolean} True if the header is intact
+ */
+function hasValidTarChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    // The checksum field itself is counted as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === readTarNumber(header, 148, 8);
+}
+
+/**
+ * Read the path from the records of a pax extended header
+ * @param {Buffer} body - Extended header content
+ * @returns {string|null} Path, or null if the header does not set one
+ */
+function readPaxPath(body) {
+  let offset = 0;
+  while (offset < body.length) {
+    const space = body.indexOf(0x20, offset);
+    const length = parseInt(body.toString('utf-8', offset, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = body.toString('utf-8', space + 1, offset + length - 1);
+    if (record.startsWith('path=')) {
+      return record.substring('path='.length);
+    }
+    offset += length;
+  }
+  return null;
+}
+
+/**
+ * List the entries of a tar archive
+ * @param {Buffer} buffer - Uncompressed tar archive
+ * @param {Object} budget - Budget of createBudget
+ * @returns {Array} Entries with name, type ('file', 'dir' or 'link'), mode and content
+ */
+function readTarEntries(buffer, budget) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    // Two empty blocks end the archive
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    if (!hasValidTarChecksum(header)) {
+      throw createArchiveError('Archive is corrupt: tar header checksum mismatch');
+    }
+
+    const size = readTarNumber(header, 124, 12);
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    // Only POSIX headers have a name prefix; GNU headers keep timestamps in its place
+    const prefix = header.toString('latin1', 257, 263) === 'ustar\0' ? readTarString(header, 345, 155) : '';
+    const headerName = readTarString(header, 0, 100);
+    const name = longName || (prefix ? `${prefix}/${headerName}` : headerName);
+
+    const bodyStart = offset + TAR_BLOCK_SIZE;
+    if (bodyStart + size > buffer.length) {
+      throw createArchiveError('Archive is truncated');
+    }
+    const body = buffer.subarray(bodyStart, bodyStart + size);
+    offset = bodyStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    // GNU long names and pax headers describe the entry that follows them
+    if (typeFlag === 'L') {
+      longName = readTarString(body, 0, body.length);
+      continue;
+    }
+    if (typeFlag === 'x') {
+      longName = readPaxPath(body) || longName;
+      continue;
+    }
+    if (typeFlag === 'g') {
+      continue;
+    }
+    longName = null;
+
+    const mode = readTarNumber(header, 100, 8);
+    if (typeFlag === '0' || typeFlag === '7') {
+      budget.addEntry(size);
+      entries.push({ name, type: 'file', mode, content: body });
+    } else if (typeFlag === '5') {
+      budget.addEntry(0);
+      entries.push({ name, type: 'dir', mode });
+    } else {
+      // Hard links, symbolic links and device files
+      budget.addEntry(0);
+      entries.push({ name, type: 'link', mode });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find the end of central directory record of a zip archive
+ * @param {Buffer} buffer - Zip archive
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - ZIP_MAX_EOCD_SEARCH);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw createArchiveError('Archive is corrupt: zip central directory not found');
+}
+
+/**
+ * List the entries of a zip archive
+ * Sizes are taken from the central directory and checked against what is actually inflated
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} budget - Budget of createBudget
+ * @returns {Array} Entries with name, type ('file', 'dir' or 'link'), mode and content
+ */
+function readZipEntries(buffer, budget) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw createArchiveError('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw createArchiveError('Archive is corrupt: invalid zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const madeBy = buffer.readUInt8(offset + 5);
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Archives made on Unix keep the file mode in the upper half of the external attributes
+    const mode = madeBy === 3 ? externalAttributes >>> 16 : 0;
+    if ((mode & S_IFMT) === S_IFLNK) {
+      budget.addEntry(0);
+      entries.push({ name, type: 'link', mode });
+      continue;
+    }
+    if (name.endsWith('/') || (mode & S_IFMT) === S_IFDIR) {
+      budget.addEntry(0);
+      entries.push({ name, type: 'dir', mode });
+      continue;
+    }
+
+    if (flags & 0x1) {
+      throw createArchiveError(`Archive entry ${name} is encrypted`);
+    }
+    budget.addEntry(size);
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+      throw createArchiveError(`Archive is corrupt: invalid zip header of ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        // The declared size was charged to the budget; inflating more than that is refused
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw createArchiveError(`Archive entry ${name} cannot be decompressed: ${error.message}`);
+      }
+    } else {
+      throw createArchiveError(`Archive entry ${name} uses unsupported compression method ${method}`);
+    }
+
+    if (content.length !== size) {
+      throw createArchiveError(`Archive entry ${name} does not match its declared size`);
+    }
+    entries.push({ name, type: 'file', mode, content });
+  }
+
+  return entries;
+}
+
+/**
+ * Extract an archive into a directory
+ * @param {Buffer} buffer - Archive content: zip, tar or gzip-compressed tar
+ * @param {string} targetDir - Directory to extract into, created if missing
+ * @param {Object} limits - Limits
+ * @param {number} limits.maxEntries - Most files and directories the archive may hold
+ * @param {number} limits.maxSize - Most bytes the archive may expand to
+ * @returns {Promise<Object>} { format, files, skipped } with the format ('zip', 'tar' or 'tar.gz'), the relative
+ *   paths of the extracted files and of the entries skipped because they are links
+ * @throws {Error} With code INVALID_ARCHIVE if the archive is unreadable or has unsafe entries,
+ *   or ARCHIVE_TOO_LARGE if it exceeds the limits
+ */
+async function extractArchive(buffer, targetDir, limits) {
+  const format = detectArchiveFormat(buffer);
+  const budget = createBudget(limits);
+
+  let entries;
+  if (format === 'zip') {
+    entries = readZipEntries(buffer, budget);
+  } else if (format === 'gzip') {
+    let tar;
+    try {
+      // Tar headers and padding add to the content, so allow a block per entry on top of it
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: limits.maxSize + limits.maxEntries * TAR_BLOCK_SIZE * 2 });
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? createArchiveError(`Archive expands to more than ${Math.round(limits.maxSize / 1024 / 1024)} MB`, 'ARCHIVE_TOO_LARGE')
+        : createArchiveError(`Archive cannot be decompressed: ${error.message}`);
+    }
+    if (detectArchiveFormat(tar) !== 'tar') {
+      throw createArchiveError('Compressed file is not a tar archive');
+    }
+    entries = readTarEntries(tar, budget);
+  } else if (format === 'tar') {
+    entries = readTarEntries(buffer, budget);
+  } else {
+    throw createArchiveError('File is not a zip, tar or tar.gz archive');
+  }
+
+  // Check every name before anything is written, so a rejected archive leaves nothing behind
+  const safeEntries = entries
+    .map(entry => ({ ...entry, path: toSafePath(entry.name) }))
+    .filter(entry => entry.path !== '' && !isMacMetadata(entry.path));
+
+  await fs.mkdir(targetDir, { recursive: true });
+  const files = [];
+  const skipped = [];
+  for (const entry of safeEntries) {
+    const entryPath = path.join(targetDir, ...entry.path.split('/'));
+    try {
+      if (entry.type === 'link') {
+        skipped.push(entry.path);
+      } else if (entry.type === 'dir') {
+        await fs.mkdir(entryPath, { recursive: true });
+      } else {
+        await fs.mkdir(path.dirname(entryPath), { recursive: true });
+        // Only the executable bit is kept; other permission bits come from the archive's creator
+        await fs.writeFile(entryPath, entry.content, { mode: entry.mode & 0o111 ? 0o755 : 0o644 });
+        files.push(entry.path);
+      }
+    } catch (error) {
+      if (error.code === 'EEXIST' || error.code === 'ENOTDIR' || error.code === 'EISDIR') {
+        throw createArchiveError(`Archive entry ${entry.path} conflicts with another entry of the same name`);
+      }
+      throw error;
+    }
+  }
+
+  return { format: format === 'gzip' ? 'tar.gz' : format, files, skipped };
+}
+
+export {
+  detectArchiveFormat,
+  extractArchive
+};
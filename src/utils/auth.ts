@@ -0,0 +1,25 @@
+export type Role = 'viewer' | 'deployer' | 'admin'
+
+export interface User {
+  name: string
+  role: Role
+  provider: 'local' | 'oidc' | 'none'
+  email?: string | null
+}
+
+export interface AuthConfig {
+  enabled: boolean
+  local: boolean
+  oidc: { name: string } | null
+}
+
+const roleOrder: Role[] = ['viewer', 'deployer', 'admin']
+
+/**
+ * Whether a user's role grants at least the privileges of the required role
+ * Mirrors the checks the server enforces; used to hide actions the user cannot perform
+ */
+export const hasRole = (user: User | null, required: Role): boolean => {
+  if (!user) return false
+  return roleOrder.indexOf(user.role) >= roleOrder.indexOf(required)
+}
@@ -0,0 +1,22 @@
+import axios from 'axios'
+
+/**
+ * Extract a human-readable message from an API call failure
+ * Prefers the `{ error }` body returned by the server over the generic axios message
+ */
+export const getErrorMessage = (error: unknown): string => {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.error || error.message
+  }
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * Extract the machine-readable `code` some API errors carry, e.g. SECRETS_REQUIRED
+ */
+export const getErrorCode = (error: unknown): string | null => {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.code || null
+  }
+  return null
+}
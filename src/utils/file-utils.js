@@ -50,20 +50,88 @@ function getDeploymentsDir() {
   return DEPLOYMENTS_DIR;
 }
 
+// Deployment IDs name a directory directly inside DEPLOYMENTS_DIR. A leading dot is not
+// allowed, which rules out "." and ".." as well as the deployer's own files kept there.
+const DEPLOYMENT_ID_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,127}$/;
+
+/**
+ * Check whether a deployment ID can be used as a deployment directory name
+ * @param {*} deploymentId - Deployment ID to check
+ * @returns {boolean} True if the ID is valid
+ */
+function isValidDeploymentId(deploymentId) {
+  return typeof deploymentId === 'string' && DEPLOYMENT_ID_PATTERN.test(deploymentId);
+}
+
 /**
  * Generate a unique deployment directory path
  * @param {string} deploymentId - Unique deployment identifier
  * @returns {string} Full path to deployment directory
+ * @throws {Error} With code INVALID_DEPLOYMENT_ID if the ID would leave the deployments directory
  */
 function getDeploymentDir(deploymentId) {
+  if (!isValidDeploymentId(deploymentId)) {
+    const error = new Error('Deployment IDs may only contain letters, digits, dots, dashes and underscores, and may not start with a dot');
+    error.code = 'INVALID_DEPLOYMENT_ID';
+    throw error;
+  }
   return path.join(DEPLOYMENTS_DIR, deploymentId);
 }
 
+// Name of the directory inside each deployment holding the deployer's own bookkeeping
+const DEPLOYMENT_META_DIR = '.deployer';
+
+/**
+ * Get the directory holding the deployer's own files for a deployment
+ * (manifest and similar), kept apart from the downloaded Terraform files
+ * @param {string} deploymentId - Unique deployment identifier
+ * @returns {string} Full path to the deployment's metadata directory
+ */
+function getDeploymentMetaDir(deploymentId) {
+  return path.join(getDeploymentDir(deploymentId), DEPLOYMENT_META_DIR);
+}
+
+/**
+ * Write a JSON file atomically by writing a temporary file and renaming it into place
+ * @param {string} filePath - Target file path
+ * @param {*} data - Data to serialize
+ * @param {Object} [options] - Options
+ * @param {number} [options.mode] - File mode, e.g. 0o600 for files only the server may read
+ */
+async function writeJsonFile(filePath, data, options = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), options.mode ? { mode: options.mode } : undefined);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {Promise<*|null>} Parsed content, or null if the file does not exist
+ */
+async function readJsonFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
 export {
   ensureDirectories,
   getTempDir,
   getDeploymentsDir,
+  isValidDeploymentId,
   getDeploymentDir,
+  getDeploymentMetaDir,
+  writeJsonFile,
+  readJsonFile,
   TEMP_DIR,
-  DEPLOYMENTS_DIR
+  DEPLOYMENTS_DIR,
+  DEPLOYMENT_META_DIR
 };
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * HCL functions
+ * The OpenTofu built-in functions that do not depend on files, the network or
+ * time, for evaluating conditions outside OpenTofu. Like their OpenTofu
+ * counterparts they throw when called with invalid arguments.
+ */
+
+import { valuesEqual } from './hcl-parser.js';
+
+/**
+ * Require an argument to be a string
+ * @param {*} value - Argument
+ * @param {string} name - Function name for the error message
+ * @returns {string} The argument
+ */
+function requireString(value, name) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${name}() needs a string argument`);
+  }
+  return value;
+}
+
+/**
+ * Require an argument to be a list
+ * @param {*} value - Argument
+ * @param {string} name - Function name for the error message
+ * @returns {Array} The argument
+ */
+function requireList(value, name) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${name}() needs a list argument`);
+  }
+  return value;
+}
+
+/**
+ * Require an argument to be a map or object
+ * @param {*} value - Argument
+ * @param {string} name - Function name for the error message
+ * @returns {Object} The argument
+ */
+function requireMap(value, name) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name}() needs a map argument`);
+  }
+  return value;
+}
+
+/**
+ * Convert a value to a number like OpenTofu's tonumber()
+ * @param {*} value - Number or numeric string
+ * @param {string} name - Function name for the error message
+ * @returns {number} Number
+ */
+function toNumber(value, name) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    throw new Error(`${name}() needs a number argument`);
+  }
+  return number;
+}
+
+/**
+ * Convert a value to a bool like OpenTofu's tobool()
+ * @param {*} value - Bool or "true"/"false"
+ * @param {string} name - Function name for the error message
+ * @returns {boolean} Bool
+ */
+function toBool(value, name) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (typeof value !== 'boolean') {
+    throw new Error(`${name}() needs bool values`);
+  }
+  return value;
+}
+
+/**
+ * Compile an RE2 pattern, as used by OpenTofu, into a JavaScript regular expression
+ * Covers the syntax the two share plus leading flags like (?i) and (?P<name>...) groups.
+ * @param {string} pattern - RE2 pattern
+ * @param {string} [flags] - Additional JavaScript flags
+ * @returns {RegExp} Regular expression
+ */
+function compileRegex(pattern, flags = '') {
+  let source = requireString(pattern, 'regex');
+  let allFlags = flags;
+
+  const inline = /^\(\?([ims]+)\)/.exec(source);
+  if (inline) {
+    source = source.substring(inline[0].length);
+    allFlags += inline[1];
+  }
+
+  source = source
+    .replace(/\(\?P</g, '(?<')
+    .replace(/\\A/g, '^')
+    .replace(/\\z/g, '$');
+
+  try {
+    return new RegExp(source, allFlags);
+  } catch {
+    throw new Error(`Invalid regular expression ${JSON.stringify(pattern)}`);
+  }
+}
+
+/**
+ * Turn a regular expression match into what OpenTofu's regex() returns
+ * @param {Array} match - Result of RegExp#exec
+ * @returns {string|Array|Object} Whole match, list of captures, or map of named captures
+ */
+function matchResult(match) {
+  if (match.groups) {
+    return Object.fromEntries(Object.entries(match.groups).map(([key, value]) => [key, value ?? '']));
+  }
+  if (match.length > 1) {
+    return match.slice(1).map(value => value ?? '');
+  }
+  return match[0];
+}
+
+const HCL_FUNCTIONS = {
+  length(value) {
+    if (typeof value === 'string') {
+      return [...value].length;
+    }
+    if (Array.isArray(value)) {
+      return value.length;
+    }
+    return Object.keys(requireMap(value, 'length')).length;
+  },
+
+  regex(pattern, value) {
+    const match = compileRegex(pattern).exec(requireString(value, 'regex'));
+    if (!match) {
+      throw new Error('The pattern did not match');
+    }
+    return matchResult(match);
+  },
+
+  regexall(pattern, value) {
+    return [...requireString(value, 'regexall').matchAll(compileRegex(pattern, 'g'))].map(matchResult);
+  },
+
+  contains(list, value) {
+    return requireList(list, 'contains').some(item => valuesEqual(item, value));
+  },
+
+  alltrue(list) {
+    return requireList(list, 'alltrue').every(item => toBool(item, 'alltrue'));
+  },
+
+  anytrue(list) {
+    return requireList(list, 'anytrue').some(item => toBool(item, 'anytrue'));
+  },
+
+  startswith(value, prefix) {
+    return requireString(value, 'startswith').startsWith(requireString(prefix, 'startswith'));
+  },
+
+  endswith(value, suffix) {
+    return requireString(value, 'endswith').endsWith(requireString(suffix, 'endswith'));
+  },
+
+  strcontains(value, substring) {
+    return requireString(value, 'strcontains').includes(requireString(substring, 'strcontains'));
+  },
+
+  lower(value) {
+    return requireString(value, 'lower').toLowerCase();
+  },
+
+  upper(value) {
+    return requireString(value, 'upper').toUpperCase();
+  },
+
+  trimspace(value) {
+    return requireString(value, 'trimspace').trim();
+  },
+
+  substr(value, offset, length) {
+    const characters = [...requireString(value, 'substr')];
+    const start = offset < 0 ? characters.length + offset : offset;
+    return characters.slice(start, length < 0 ? undefined : start + length).join('');
+  },
+
+  join(separator, list) {
+    return requireList(list, 'join').map(item => requireString(item, 'join')).join(requireString(separator, 'join'));
+  },
+
+  split(separator, value) {
+    return requireString(value, 'split').split(requireString(separator, 'split'));
+  },
+
+  replace(value, search, replacement) {
+    const text = requireString(value, 'replace');
+    const pattern = requireString(search, 'replace');
+    // A search string wrapped in slashes is a regular expression
+    if (pattern.length > 1 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      return text.replace(compileRegex(pattern.slice(1, -1), 'g'), requireString(replacement, 'replace'));
+    }
+    return text.split(pattern).join(requireString(replacement, 'replace'));
+  },
+
+  tonumber(value) {
+    return value === null ? null : toNumber(value, 'tonumber');
+  },
+
+  tostring(value) {
+    return value === null ? null : requireString(value, 'tostring');
+  },
+
+  tobool(value) {
+    return value === null ? null : toBool(value, 'tobool');
+  },
+
+  keys(map) {
+    return Object.keys(requireMap(map, 'keys')).sort();
+  },
+
+  values(map) {
+    const object = requireMap(map, 'values');
+    return Object.keys(object).sort().map(key => object[key]);
+  },
+
+  lookup(map, key, ...fallback) {
+    const object = requireMap(map, 'lookup');
+    if (Object.prototype.hasOwnProperty.call(object, key)) {
+      return object[key];
+    }
+    if (fallback.length > 0) {
+      return fallback[0];
+    }
+    throw new Error(`lookup() found no key ${JSON.stringify(key)}`);
+  },
+
+  coalesce(...values) {
+    const found = values.find(value => value !== null && value !== '');
+    if (found === undefined) {
+      throw new Error('coalesce() needs at least one non-null, non-empty argument');
+    }
+    return found;
+  },
+
+  concat(...lists) {
+    return lists.flatMap(list => requireList(list, 'concat'));
+  },
+
+  flatten(list) {
+    return requireList(list, 'flatten').flat(Infinity);
+  },
+
+  distinct(list) {
+    return requireList(list, 'distinct').filter((item, index, all) => (
+      all.findIndex(other => valuesEqual(other, item)) === index
+    ));
+  },
+
+  min(...numbers) {
+    return Math.min(...numbers.map(number => toNumber(number, 'min')));
+  },
+
+  max(...numbers) {
+    return Math.max(...numbers.map(number => toNumber(number, 'max')));
+  },
+
+  abs(number) {
+    return Math.abs(toNumber(number, 'abs'));
+  },
+
+  floor(number) {
+    return Math.floor(toNumber(number, 'floor'));
+  },
+
+  ceil(number) {
+    return Math.ceil(toNumber(number, 'ceil'));
+  }
+};
+
+export {
+  HCL_FUNCTIONS,
+  compileRegex
+};
@@ -0,0 +1,1247 @@
+/**
+ * HCL parser
+ * Tokenizer and recursive descent parser for the HCL2 native syntax used by
+ * OpenTofu/Terraform files, static evaluation of expressions, and type constraints.
+ *
+ * The parser produces a body of attributes and blocks. Expressions are kept as
+ * syntax trees with their source offsets, so callers can either evaluate them or
+ * show them as written.
+ */
+
+// Longest operators first so that e.g. "==" is not read as two "="
+const PUNCTUATION = [
+  '...', '=>', '==', '!=', '<=', '>=', '&&', '||',
+  '{', '}', '[', ']', '(', ')', '=', ',', '.', ':', '?', '!', '<', '>', '+', '-', '*', '/', '%'
+];
+
+// Binary operators by precedence, lowest first
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3,
+  '!=': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6
+};
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+const PRIMITIVE_TYPES = ['string', 'number', 'bool', 'any'];
+
+/**
+ * Get the line and column of an offset
+ * @param {string} source - Source text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} 1-based position
+ */
+function getPosition(source, offset) {
+  const before = source.substring(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Create a parse error pointing at a position in the source
+ * @param {string} message - Error description
+ * @param {string} source - Source text
+ * @param {number} offset - Offset of the problem
+ * @param {string} [fileName] - File the source came from
+ * @returns {Error} Error with code HCL_PARSE_ERROR, file, line and column
+ */
+function createParseError(message, source, offset, fileName) {
+  const { line, column } = getPosition(source, offset);
+  const error = new Error(`${fileName ? `${fileName}:` : ''}${line}:${column}: ${message}`);
+  error.code = 'HCL_PARSE_ERROR';
+  error.file = fileName || null;
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Create the error thrown when an expression has no value without more context,
+ * e.g. because it references a resource or calls an unknown function
+ * @param {string} message - Error description
+ * @returns {Error} Error with code UNKNOWN_VALUE
+ */
+function createUnknownValueError(message) {
+  const error = new Error(message);
+  error.code = 'UNKNOWN_VALUE';
+  return error;
+}
+
+/**
+ * Split HCL source into tokens
+ * Strings and heredocs become single tokens holding their template parts; the
+ * contents of ${...} and %{...} sequences are tokenized into nested token lists.
+ * @param {string} source - HCL source
+ * @param {string} [fileName] - File name for error messages
+ * @returns {Array<Object>} Tokens with type, value, start and end offsets
+ */
+function tokenize(source, fileName) {
+  let pos = 0;
+
+  const fail = (message, offset = pos) => {
+    throw createParseError(message, source, offset, fileName);
+  };
+
+  function skipSpaceAndComments() {
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === ' ' || char === '\t' || char === '\r') {
+        pos++;
+      } else if (char === '#' || (char === '/' && source[pos + 1] === '/')) {
+        // Line comments end before the newline, which still separates attributes
+        while (pos < source.length && source[pos] !== '\n') {
+          pos++;
+        }
+      } else if (char === '/' && source[pos + 1] === '*') {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) {
+          fail('Unterminated block comment');
+        }
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readEscape() {
+    const start = pos;
+    const char = source[pos + 1];
+
+    if (ESCAPES[char] !== undefined) {
+      pos += 2;
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = source.substr(pos + 2, length);
+      if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) {
+        fail('Invalid unicode escape sequence', start);
+      }
+      pos += 2 + length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    return fail(`Invalid escape sequence \\${char || ''}`, start);
+  }
+
+  // Tokens of a ${...} or %{...} sequence, up to its closing brace
+  function readTemplateSequence(kind) {
+    const start = pos;
+    const tokens = [];
+    let depth = 0;
+    pos += 2;
+    if (source[pos] === '~') {
+      pos++;
+    }
+
+    for (;;) {
+      skipSpaceAndComments();
+      if (pos >= source.length) {
+        fail(`Unterminated template ${kind === '$' ? 'interpolation' : 'directive'}`, start);
+      }
+      if (depth === 0 && source[pos] === '~' && source[pos + 1] === '}') {
+        pos += 2;
+        break;
+      }
+      if (depth === 0 && source[pos] === '}') {
+        pos++;
+        break;
+      }
+
+      const token = readToken();
+      if (token.type === 'punctuation' && token.value === '{') {
+        depth++;
+      } else if (token.type === 'punctuation' && token.value === '}') {
+        depth--;
+      }
+      if (token.type !== 'newline') {
+        tokens.push(token);
+      }
+    }
+
+    return {
+      type: kind === '$' ? 'interpolation' : 'directive',
+      tokens,
+      start,
+      end: pos
+    };
+  }
+
+  /**
+   * Read template parts until the closing quote, or until `end` for heredocs
+   * Heredocs take no escape sequences and may strip `indent` leading spaces from each line.
+   */
+  function readTemplate({ quoted, end, indent = 0 }) {
+    const parts = [];
+    let literal = '';
+    let lineStart = !quoted;
+
+    const flush = () => {
+      if (literal) {
+        parts.push({ type: 'literal', value: literal });
+        literal = '';
+      }
+    };
+
+    for (;;) {
+      if (quoted ? pos >= source.length || source[pos] === '\n' : pos >= end) {
+        if (quoted) {
+          fail('Unterminated string');
+        }
+        break;
+      }
+
+      if (lineStart) {
+        lineStart = false;
+        for (let stripped = 0; stripped < indent && (source[pos] === ' ' || source[pos] === '\t'); stripped++) {
+          pos++;
+        }
+        continue;
+      }
+
+      const char = source[pos];
+      if (quoted && char === '"') {
+        pos++;
+        break;
+      }
+      if (quoted && char === '\\') {
+        literal += readEscape();
+      } else if ((char === '$' || char === '%') && source[pos + 1] === char && source[pos + 2] === '{') {
+        // $${ and %%{ are literal ${ and %{
+        literal += `${char}{`;
+        pos += 3;
+      } else if ((char === '$' || char === '%') && source[pos + 1] === '{') {
+        flush();
+        parts.push(readTemplateSequence(char));
+      } else {
+        literal += char;
+        pos++;
+        lineStart = char === '\n';
+      }
+    }
+
+    flush();
+    return parts;
+  }
+
+  function readHeredoc(start) {
+    const header = /<<(-?)([A-Za-z_][A-Za-z0-9_-]*)[ \t]*\r?\n/y;
+    header.lastIndex = start;
+    const match = header.exec(source);
+    if (!match) {
+      fail('Invalid heredoc, expected <<MARKER followed by a newline', start);
+    }
+
+    const [, flush, marker] = match;
+    const contentStart = header.lastIndex;
+    let lineEnd = contentStart;
+    let contentEnd = -1;
+    let afterMarker = -1;
+
+    // Find the line holding only the closing marker
+    while (lineEnd <= source.length) {
+      let next = source.indexOf('\n', lineEnd);
+      if (next === -1) {
+        next = source.length;
+      }
+      if (source.substring(lineEnd, next).trim() === marker) {
+        contentEnd = lineEnd;
+        afterMarker = lineEnd + source.substring(lineEnd, next).indexOf(marker) + marker.length;
+        break;
+      }
+      lineEnd = next + 1;
+    }
+    if (contentEnd === -1) {
+      fail(`Unterminated heredoc, missing closing ${marker}`, start);
+    }
+
+    // <<- strips the indentation common to all non-blank lines
+    let indent = 0;
+    if (flush) {
+      const indents = source.substring(contentStart, contentEnd)
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => line.match(/^[ \t]*/)[0].length);
+      indent = indents.length > 0 ? Math.min(...indents) : 0;
+    }
+
+    pos = contentStart;
+    const parts = readTemplate({ quoted: false, end: contentEnd, indent });
+    pos = afterMarker;
+    return { type: 'string', heredoc: true, parts, start, end: pos };
+  }
+
+  function readToken() {
+    skipSpaceAndComments();
+    const start = pos;
+
+    if (pos >= source.length) {
+      return { type: 'eof', start, end: pos };
+    }
+
+    const char = source[pos];
+    if (char === '\n') {
+      pos++;
+      return { type: 'newline', start, end: pos };
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /[A-Za-z_][A-Za-z0-9_-]*/y;
+      match.lastIndex = pos;
+      const [value] = match.exec(source);
+      pos += value.length;
+      return { type: 'identifier', value, start, end: pos };
+    }
+
+    if (/[0-9]/.test(char)) {
+      const match = /[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/y;
+      match.lastIndex = pos;
+      const [value] = match.exec(source);
+      pos += value.length;
+      return { type: 'number', value: Number(value), start, end: pos };
+    }
+
+    if (char === '"') {
+      pos++;
+      const parts = readTemplate({ quoted: true });
+      return { type: 'string', parts, start, end: pos };
+    }
+
+    if (char === '<' && source[pos + 1] === '<') {
+      return readHeredoc(start);
+    }
+
+    const punctuation = PUNCTUATION.find(candidate => source.startsWith(candidate, pos));
+    if (punctuation) {
+      pos += punctuation.length;
+      return { type: 'punctuation', value: punctuation, start, end: pos };
+    }
+
+    return fail(`Unexpected character "${char}"`);
+  }
+
+  const tokens = [];
+  let token;
+  do {
+    token = readToken();
+    tokens.push(token);
+  } while (token.type !== 'eof');
+
+  return tokens;
+}
+
+/**
+ * Parse a token list
+ * @param {Array<Object>} tokens - Tokens from tokenize, ending with eof unless nested
+ * @param {string} source - Source text the tokens came from
+ * @param {string} [fileName] - File name for error messages
+ * @returns {Object} Parser with parseBody and parseExpression
+ */
+function createParser(tokens, source, fileName) {
+  let index = 0;
+  // Inside (), [] and {} of expressions newlines are insignificant
+  let nesting = 0;
+  const end = tokens.length > 0 ? tokens[tokens.length - 1].end : 0;
+
+  const fail = (message, token = peek()) => {
+    throw createParseError(message, source, token.start, fileName);
+  };
+
+  function peekRaw() {
+    return tokens[index] || { type: 'eof', start: end, end };
+  }
+
+  function peek() {
+    if (nesting > 0) {
+      while (tokens[index] && tokens[index].type === 'newline') {
+        index++;
+      }
+    }
+    return peekRaw();
+  }
+
+  function next() {
+    const token = peek();
+    index++;
+    return token;
+  }
+
+  function isPunctuation(token, value) {
+    return token.type === 'punctuation' && token.value === value;
+  }
+
+  function isKeyword(token, value) {
+    return token.type === 'identifier' && token.value === value;
+  }
+
+  function expectPunctuation(value) {
+    const token = next();
+    if (!isPunctuation(token, value)) {
+      fail(`Expected "${value}"`, token);
+    }
+    return token;
+  }
+
+  function expectIdentifier(description) {
+    const token = next();
+    if (token.type !== 'identifier') {
+      fail(`Expected ${description}`, token);
+    }
+    return token;
+  }
+
+  function skipNewlines() {
+    while (peekRaw().type === 'newline') {
+      index++;
+    }
+  }
+
+  // Parse within brackets, where newlines do not end the expression
+  function nested(parse) {
+    nesting++;
+    try {
+      return parse();
+    } finally {
+      nesting--;
+    }
+  }
+
+  function parseBody(closing) {
+    const attributes = {};
+    const blocks = [];
+
+    for (;;) {
+      skipNewlines();
+      const token = peekRaw();
+
+      if (token.type === 'eof') {
+        if (closing) {
+          fail('Missing closing "}"', token);
+        }
+        break;
+      }
+      if (closing && isPunctuation(token, '}')) {
+        break;
+      }
+
+      const name = expectIdentifier('an attribute or block name');
+
+      if (isPunctuation(peekRaw(), '=')) {
+        index++;
+        if (attributes[name.value]) {
+          fail(`Duplicate attribute "${name.value}"`, name);
+        }
+        const expression = parseExpression();
+        attributes[name.value] = { name: name.value, expression, start: name.start, end: expression.end };
+      } else {
+        const labels = [];
+        while (peekRaw().type === 'string' || peekRaw().type === 'identifier') {
+          const label = next();
+          if (label.type === 'identifier') {
+            labels.push(label.value);
+          } else if (label.parts.every(part => part.type === 'literal') && !label.heredoc) {
+            labels.push(label.parts.map(part => part.value).join(''));
+          } else {
+            fail('Block labels must be plain strings', label);
+          }
+        }
+
+        expectPunctuation('{');
+        const body = parseBody(true);
+        const close = expectPunctuation('}');
+        blocks.push({ type: name.value, labels, body, start: name.start, end: close.end });
+      }
+
+      // Each attribute or block ends its line, except a single-line block's last item
+      const after = peekRaw();
+      if (after.type !== 'newline' && after.type !== 'eof' && !(closing && isPunctuation(after, '}'))) {
+        fail('Expected a newline after the attribute or block', after);
+      }
+    }
+
+    return { attributes, blocks };
+  }
+
+  function parseExpression() {
+    const condition = parseBinary(1);
+
+    if (!isPunctuation(peek(), '?')) {
+      return condition;
+    }
+
+    next();
+    const trueResult = parseExpression();
+    expectPunctuation(':');
+    const falseResult = parseExpression();
+    return { type: 'conditional', condition, trueResult, falseResult, start: condition.start, end: falseResult.end };
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'punctuation' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) {
+        return left;
+      }
+
+      next();
+      const right = parseBinary(precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right, start: left.start, end: right.end };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isPunctuation(token, '-') || isPunctuation(token, '!')) {
+      next();
+      const operand = parseUnary();
+      return { type: 'unary', operator: token.value, operand, start: token.start, end: operand.end };
+    }
+    return parsePostfix(parsePrimary());
+  }
+
+  function parseTraversal(target) {
+    const token = peek();
+
+    if (isPunctuation(token, '.')) {
+      const after = tokens[index + 1];
+      if (after && after.type === 'identifier') {
+        index += 2;
+        return { type: 'getattr', object: target, name: after.value, start: target.start, end: after.end };
+      }
+      if (after && after.type === 'number' && Number.isInteger(after.value)) {
+        // Legacy index syntax: list.0
+        index += 2;
+        const key = { type: 'literal', value: after.value, start: after.start, end: after.end };
+        return { type: 'index', object: target, key, start: target.start, end: after.end };
+      }
+      return null;
+    }
+
+    if (isPunctuation(token, '[')) {
+      next();
+      const key = nested(parseExpression);
+      const close = expectPunctuation(']');
+      return { type: 'index', object: target, key, start: target.start, end: close.end };
+    }
+
+    return null;
+  }
+
+  function parsePostfix(expression) {
+    let result = expression;
+
+    for (;;) {
+      const token = peek();
+      const after = tokens[index + 1];
+
+      // Splats: list.*.name and list[*].name apply the traversal after them to each element
+      const attributeSplat = isPunctuation(token, '.') && after && isPunctuation(after, '*');
+      const fullSplat = isPunctuation(token, '[') && after && isPunctuation(after, '*') &&
+        tokens[index + 2] && isPunctuation(tokens[index + 2], ']');
+
+      if (attributeSplat || fullSplat) {
+        index += attributeSplat ? 2 : 3;
+        const placeholder = { type: 'splat-element', start: token.start, end: tokens[index - 1].end };
+        let each = placeholder;
+        // An attribute splat only takes the attribute accesses that follow it
+        while (fullSplat || (isPunctuation(peek(), '.') && tokens[index + 1] && tokens[index + 1].type === 'identifier')) {
+          const step = parseTraversal(each);
+          if (!step) {
+            break;
+          }
+          each = step;
+        }
+        result = { type: 'splat', object: result, each, start: result.start, end: each.end };
+        continue;
+      }
+
+      const step = parseTraversal(result);
+      if (!step) {
+        return result;
+      }
+      result = step;
+    }
+  }
+
+  function parseTemplate(token) {
+    const parts = token.parts.map((part) => {
+      if (part.type === 'literal') {
+        return part;
+      }
+      if (part.type === 'directive') {
+        return { type: 'directive', source: source.substring(part.start, part.end) };
+      }
+
+      const parser = createParser(part.tokens, source, fileName);
+      const expression = parser.parseExpression();
+      parser.expectEnd();
+      return { type: 'interpolation', expression };
+    });
+
+    return { type: 'template', parts, heredoc: Boolean(token.heredoc), start: token.start, end: token.end };
+  }
+
+  function parseCall(name) {
+    expectPunctuation('(');
+    return nested(() => {
+      const args = [];
+      let expandFinal = false;
+
+      while (!isPunctuation(peek(), ')')) {
+        args.push(parseExpression());
+        if (isPunctuation(peek(), '...')) {
+          next();
+          expandFinal = true;
+          break;
+        }
+        if (!isPunctuation(peek(), ',')) {
+          break;
+        }
+        next();
+      }
+
+      const close = expectPunctuation(')');
+      return { type: 'call', name: name.value, args, expandFinal, start: name.start, end: close.end };
+    });
+  }
+
+  function parseFor(open, closing) {
+    next();
+    const first = expectIdentifier('an iterator name');
+    let keyVariable = null;
+    let valueVariable = first.value;
+
+    if (isPunctuation(peek(), ',')) {
+      next();
+      keyVariable = first.value;
+      valueVariable = expectIdentifier('an iterator name').value;
+    }
+
+    if (!isKeyword(next(), 'in')) {
+      fail('Expected "in" in for expression', tokens[index - 1]);
+    }
+    const collection = parseExpression();
+    expectPunctuation(':');
+
+    let keyExpression = null;
+    let valueExpression = parseExpression();
+    let grouping = false;
+
+    if (closing === '}') {
+      expectPunctuation('=>');
+      keyExpression = valueExpression;
+      valueExpression = parseExpression();
+      if (isPunctuation(peek(), '...')) {
+        next();
+        grouping = true;
+      }
+    }
+
+    let condition = null;
+    if (isKeyword(peek(), 'if')) {
+      next();
+      condition = parseExpression();
+    }
+
+    const close = expectPunctuation(closing);
+    return {
+      type: 'for',
+      resultType: closing === '}' ? 'object' : 'tuple',
+      keyVariable,
+      valueVariable,
+      collection,
+      keyExpression,
+      valueExpression,
+      grouping,
+      condition,
+      start: open.start,
+      end: close.end
+    };
+  }
+
+  function parseTuple(open) {
+    if (isKeyword(peek(), 'for') && tokens[index + 1] && tokens[index + 1].type === 'identifier') {
+      return parseFor(open, ']');
+    }
+
+    const items = [];
+    while (!isPunctuation(peek(), ']')) {
+      items.push(parseExpression());
+      if (!isPunctuation(peek(), ',')) {
+        break;
+      }
+      next();
+    }
+
+    const close = expectPunctuation(']');
+    return { type: 'tuple', items, start: open.start, end: close.end };
+  }
+
+  function parseObject(open) {
+    if (isKeyword(peek(), 'for') && tokens[index + 1] && tokens[index + 1].type === 'identifier') {
+      return parseFor(open, '}');
+    }
+
+    const items = [];
+    while (!isPunctuation(peek(), '}')) {
+      const token = peek();
+      const after = tokens[index + 1];
+      let key;
+
+      // A bare name before = or : is the key itself, not a variable reference
+      if (token.type === 'identifier' && after && (isPunctuation(after, '=') || isPunctuation(after, ':'))) {
+        next();
+        key = { type: 'literal', value: token.value, start: token.start, end: token.end };
+      } else {
+        key = parseExpression();
+      }
+
+      const separator = next();
+      if (!isPunctuation(separator, '=') && !isPunctuation(separator, ':')) {
+        fail('Expected "=" or ":" after object key', separator);
+      }
+
+      const value = parseExpression();
+      items.push({ key, value });
+
+      if (isPunctuation(peek(), ',')) {
+        next();
+      }
+    }
+
+    const close = expectPunctuation('}');
+    return { type: 'object', items, start: open.start, end: close.end };
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value, start: token.start, end: token.end };
+
+      case 'string':
+        return parseTemplate(token);
+
+      case 'identifier':
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true', start: token.start, end: token.end };
+        }
+        if (token.value === 'null') {
+          return { type: 'literal', value: null, start: token.start, end: token.end };
+        }
+        // A call needs the parenthesis on the same line as the function name
+        if (isPunctuation(peekRaw(), '(')) {
+          return parseCall(token);
+        }
+        return { type: 'variable', name: token.value, start: token.start, end: token.end };
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const expression = nested(parseExpression);
+          const close = expectPunctuation(')');
+          return { type: 'parenthesis', expression, start: token.start, end: close.end };
+        }
+        if (token.value === '[') {
+          return nested(() => parseTuple(token));
+        }
+        if (token.value === '{') {
+          return nested(() => parseObject(token));
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    return fail(token.type === 'eof' ? 'Unexpected end of input, expected an expression' : 'Expected an expression', token);
+  }
+
+  function expectEnd() {
+    const token = peek();
+    if (token.type !== 'eof') {
+      fail('Unexpected tokens after expression', token);
+    }
+  }
+
+  return { parseBody, parseExpression, expectEnd };
+}
+
+/**
+ * Parse an HCL file
+ * @param {string} source - HCL source
+ * @param {string} [fileName] - File name for error messages
+ * @returns {{attributes: Object, blocks: Array<Object>}} Top-level body
+ * @throws {Error} With code HCL_PARSE_ERROR and the line and column of the problem
+ */
+function parseHcl(source, fileName) {
+  const text = source.replace(/^\uFEFF/, '');
+  return createParser(tokenize(text, fileName), text, fileName).parseBody(null);
+}
+
+/**
+ * Parse a single HCL expression
+ * @param {string} source - Expression source
+ * @returns {Object} Expression syntax tree
+ * @throws {Error} With code HCL_PARSE_ERROR
+ */
+function parseHclExpression(source) {
+  const parser = createParser(tokenize(source), source);
+  const expression = parser.parseExpression();
+  parser.expectEnd();
+  return expression;
+}
+
+/**
+ * Compare two evaluated values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function valuesEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null ||
+      Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && valuesEqual(a[key], b[key]));
+}
+
+/**
+ * Describe the type of a value for error messages
+ * @param {*} value - Value
+ * @returns {string} HCL type name
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'tuple';
+  }
+  if (typeof value === 'object') {
+    return 'object';
+  }
+  return typeof value === 'boolean' ? 'bool' : typeof value;
+}
+
+/**
+ * Evaluate an expression
+ * Anything that cannot be known from the expression and scope alone, such as
+ * references to resources or calls to functions not in the scope, throws an
+ * error with code UNKNOWN_VALUE; invalid operations throw a plain Error.
+ * @param {Object} expression - Expression syntax tree
+ * @param {Object} [scope] - Evaluation scope
+ * @param {Object} [scope.variables] - Values of top-level names, e.g. { var: { region: 'eu' } }
+ * @param {Object} [scope.functions] - Functions by name, called with the evaluated arguments
+ * @returns {*} Value as plain JSON-compatible data
+ */
+function evaluateExpression(expression, scope = {}) {
+  const variables = scope.variables || {};
+  const functions = scope.functions || {};
+  const evaluate = (node, variablesOverride) => evaluateExpression(node, {
+    ...scope,
+    variables: variablesOverride || variables
+  });
+
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+
+    case 'parenthesis':
+      return evaluate(expression.expression);
+
+    case 'template': {
+      const { parts } = expression;
+      // A template that is only one interpolation keeps the value's type
+      if (parts.length === 1 && parts[0].type === 'interpolation') {
+        return evaluate(parts[0].expression);
+      }
+      return parts.map((part) => {
+        if (part.type === 'literal') {
+          return part.value;
+        }
+        if (part.type === 'directive') {
+          throw createUnknownValueError('Template directives are not evaluated');
+        }
+        const value = evaluate(part.expression);
+        if (value === null || typeof value === 'object') {
+          throw new Error(`Cannot include a ${describeType(value)} value in a string template`);
+        }
+        return String(value);
+      }).join('');
+    }
+
+    case 'variable':
+      if (!Object.prototype.hasOwnProperty.call(variables, expression.name)) {
+        throw createUnknownValueError(`Unknown reference "${expression.name}"`);
+      }
+      return variables[expression.name];
+
+    case 'getattr': {
+      const target = evaluate(expression.object);
+      if (target === null || typeof target !== 'object' || Array.isArray(target)) {
+        throw new Error(`Cannot access attribute "${expression.name}" of a ${describeType(target)} value`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(target, expression.name)) {
+        throw new Error(`Unsupported attribute "${expression.name}"`);
+      }
+      return target[expression.name];
+    }
+
+    case 'index': {
+      const target = evaluate(expression.object);
+      const key = evaluate(expression.key);
+      if (Array.isArray(target)) {
+        const position = Number(key);
+        if (!Number.isInteger(position) || position < 0 || position >= target.length) {
+          throw new Error(`Invalid index ${JSON.stringify(key)}`);
+        }
+        return target[position];
+      }
+      if (target !== null && typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, String(key))) {
+        return target[String(key)];
+      }
+      throw new Error(`Invalid index ${JSON.stringify(key)} on a ${describeType(target)} value`);
+    }
+
+    case 'splat': {
+      const target = evaluate(expression.object);
+      if (target === null) {
+        return [];
+      }
+      const elements = Array.isArray(target) ? target : [target];
+      return elements.map(element => evaluateExpression(expression.each, { ...scope, splatElement: element }));
+    }
+
+    case 'splat-element':
+      return scope.splatElement;
+
+    case 'call': {
+      // can() and try() catch errors of their arguments, so they are part of the evaluator;
+      // unknown values still propagate since they might have succeeded
+      if (expression.name === 'can' && expression.args.length === 1) {
+        try {
+          evaluate(expression.args[0]);
+          return true;
+        } catch (error) {
+          if (error.code === 'UNKNOWN_VALUE') {
+            throw error;
+          }
+          return false;
+        }
+      }
+      if (expression.name === 'try' && expression.args.length > 0) {
+        for (const arg of expression.args) {
+          try {
+            return evaluate(arg);
+          } catch (error) {
+            if (error.code === 'UNKNOWN_VALUE') {
+              throw error;
+            }
+          }
+        }
+        throw new Error('No expression in try() could be evaluated without errors');
+      }
+
+      const fn = functions[expression.name];
+      if (!fn) {
+        throw createUnknownValueError(`Function "${expression.name}" is not available`);
+      }
+      const args = expression.args.map(arg => evaluate(arg));
+      if (expression.expandFinal) {
+        const last = args.pop();
+        if (!Array.isArray(last)) {
+          throw new Error('Only a list can be expanded into function arguments');
+        }
+        args.push(...last);
+      }
+      return fn(...args);
+    }
+
+    case 'tuple':
+      return expression.items.map(item => evaluate(item));
+
+    case 'object': {
+      const result = {};
+      expression.items.forEach(({ key, value }) => {
+        const name = evaluate(key);
+        if (name === null || typeof name === 'object') {
+          throw new Error('Object keys must be strings');
+        }
+        result[String(name)] = evaluate(value);
+      });
+      return result;
+    }
+
+    case 'unary': {
+      const operand = evaluate(expression.operand);
+      if (expression.operator === '!') {
+        if (typeof operand !== 'boolean') {
+          throw new Error('The ! operator needs a bool value');
+        }
+        return !operand;
+      }
+      if (typeof operand !== 'number') {
+        throw new Error('The - operator needs a number value');
+      }
+      return -operand;
+    }
+
+    case 'binary': {
+      const { operator } = expression;
+      const left = evaluate(expression.left);
+
+      if (operator === '&&' || operator === '||') {
+        const right = evaluate(expression.right);
+        if (typeof left !== 'boolean' || typeof right !== 'boolean') {
+          throw new Error(`The ${operator} operator needs bool values`);
+        }
+        return operator === '&&' ? left && right : left || right;
+      }
+
+      const right = evaluate(expression.right);
+      if (operator === '==') {
+        return valuesEqual(left, right);
+      }
+      if (operator === '!=') {
+        return !valuesEqual(left, right);
+      }
+
+      // Numeric strings are converted like OpenTofu does for arithmetic and comparisons
+      const a = typeof left === 'string' && left.trim() !== '' ? Number(left) : left;
+      const b = typeof right === 'string' && right.trim() !== '' ? Number(right) : right;
+      if (typeof a !== 'number' || typeof b !== 'number' || Number.isNaN(a) || Number.isNaN(b)) {
+        throw new Error(`The ${operator} operator needs number values`);
+      }
+
+      switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        default: return a >= b;
+      }
+    }
+
+    case 'conditional': {
+      const condition = evaluate(expression.condition);
+      if (typeof condition !== 'boolean') {
+        throw new Error('The condition of a conditional expression must be a bool');
+      }
+      return evaluate(condition ? expression.trueResult : expression.falseResult);
+    }
+
+    case 'for': {
+      const collection = evaluate(expression.collection);
+      if (collection === null || typeof collection !== 'object') {
+        throw new Error(`Cannot iterate over a ${describeType(collection)} value`);
+      }
+
+      // Maps and objects are iterated in key order
+      const entries = Array.isArray(collection)
+        ? collection.map((value, position) => [position, value])
+        : Object.keys(collection).sort().map(key => [key, collection[key]]);
+      const result = expression.resultType === 'object' ? {} : [];
+
+      entries.forEach(([key, value]) => {
+        const iteration = { ...variables, [expression.valueVariable]: value };
+        if (expression.keyVariable) {
+          iteration[expression.keyVariable] = key;
+        }
+
+        if (expression.condition) {
+          const include = evaluate(expression.condition, iteration);
+          if (typeof include !== 'boolean') {
+            throw new Error('The condition of a for expression must be a bool');
+          }
+          if (!include) {
+            return;
+          }
+        }
+
+        const itemValue = evaluate(expression.valueExpression, iteration);
+        if (expression.resultType === 'tuple') {
+          result.push(itemValue);
+          return;
+        }
+
+        const itemKey = String(evaluate(expression.keyExpression, iteration));
+        if (expression.grouping) {
+          (result[itemKey] = result[itemKey] || []).push(itemValue);
+        } else if (Object.prototype.hasOwnProperty.call(result, itemKey)) {
+          throw new Error(`Duplicate key "${itemKey}" in for expression`);
+        } else {
+          result[itemKey] = itemValue;
+        }
+      });
+
+      return result;
+    }
+
+    default:
+      throw createUnknownValueError(`Cannot evaluate ${expression.type} expressions`);
+  }
+}
+
+/**
+ * Evaluate an expression, or report that it has no static value
+ * @param {Object} expression - Expression syntax tree
+ * @param {Object} [scope] - Evaluation scope, see evaluateExpression
+ * @returns {{known: boolean, value: *}} Value, with known false if it could not be evaluated
+ */
+function tryEvaluateExpression(expression, scope) {
+  try {
+    return { known: true, value: evaluateExpression(expression, scope) };
+  } catch {
+    return { known: false, value: undefined };
+  }
+}
+
+/**
+ * Parse a type constraint such as list(object({ name = string }))
+ * @param {Object} expression - Type expression syntax tree
+ * @param {boolean} [allowOptional] - Whether optional() is allowed here (object attributes)
+ * @returns {Object} Type, e.g. { type: 'list', element: { type: 'string' } }
+ * @throws {Error} If the expression is not a valid type constraint
+ */
+function parseTypeConstraint(expression, allowOptional = false) {
+  const node = expression.type === 'parenthesis' ? expression.expression : expression;
+
+  if (node.type === 'variable') {
+    if (PRIMITIVE_TYPES.includes(node.name)) {
+      return { type: node.name };
+    }
+    // Bare collection keywords are legacy shorthand for collections of any type
+    if (['list', 'set', 'map'].includes(node.name)) {
+      return { type: node.name, element: { type: 'any' } };
+    }
+  }
+
+  // Quoted types from Terraform 0.11 ("string", "list", "map")
+  if (node.type === 'template' && node.parts.length === 1 && node.parts[0].type === 'literal') {
+    const legacy = node.parts[0].value;
+    if (legacy === 'string') {
+      return { type: 'string' };
+    }
+    if (legacy === 'list' || legacy === 'map') {
+      return { type: legacy, element: { type: 'any' } };
+    }
+  }
+
+  if (node.type === 'call') {
+    const [first] = node.args;
+
+    if (['list', 'set', 'map'].includes(node.name) && node.args.length === 1) {
+      return { type: node.name, element: parseTypeConstraint(first) };
+    }
+
+    if (node.name === 'tuple' && node.args.length === 1 && first.type === 'tuple') {
+      return { type: 'tuple', elements: first.items.map(item => parseTypeConstraint(item)) };
+    }
+
+    if (node.name === 'object' && node.args.length === 1 && first.type === 'object') {
+      const attributes = {};
+      first.items.forEach(({ key, value }) => {
+        const name = key.type === 'literal' ? String(key.value) : evaluateExpression(key);
+        attributes[name] = parseTypeConstraint(value, true);
+      });
+      return { type: 'object', attributes };
+    }
+
+    if (node.name === 'optional' && allowOptional && node.args.length >= 1 && node.args.length <= 2) {
+      const attribute = { ...parseTypeConstraint(first), optional: true };
+      if (node.args.length === 2) {
+        attribute.default = evaluateExpression(node.args[1]);
+      }
+      return attribute;
+    }
+  }
+
+  const error = new Error('Invalid type constraint');
+  error.offset = expression.start;
+  throw error;
+}
+
+/**
+ * Format a value as an HCL literal, for showing defaults inside type constraints
+ * @param {*} value - Value
+ * @returns {string} HCL literal
+ */
+function formatLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatLiteral).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const items = Object.entries(value).map(([key, item]) => `${key} = ${formatLiteral(item)}`);
+    return items.length > 0 ? `{ ${items.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a type constraint in canonical HCL syntax
+ * @param {Object} type - Type from parseTypeConstraint
+ * @returns {string} Type constraint, e.g. "list(object({ name = string }))"
+ */
+function formatTypeConstraint(type) {
+  let text;
+
+  switch (type.type) {
+    case 'list':
+    case 'set':
+    case 'map':
+      text = `${type.type}(${formatTypeConstraint(type.element)})`;
+      break;
+    case 'tuple':
+      text = `tuple([${type.elements.map(formatTypeConstraint).join(', ')}])`;
+      break;
+    case 'object': {
+      const attributes = Object.entries(type.attributes)
+        .map(([name, attribute]) => `${name} = ${formatTypeConstraint(attribute)}`);
+      text = attributes.length > 0 ? `object({ ${attributes.join(', ')} })` : 'object({})';
+      break;
+    }
+    default:
+      text = type.type;
+  }
+
+  if (type.optional) {
+    return type.default !== undefined ? `optional(${text}, ${formatLiteral(type.default)})` : `optional(${text})`;
+  }
+  return text;
+}
+
+export {
+  tokenize,
+  parseHcl,
+  parseHclExpression,
+  evaluateExpression,
+  tryEvaluateExpression,
+  valuesEqual,
+  parseTypeConstraint,
+  formatTypeConstraint,
+  createParseError,
+  getPosition
+};
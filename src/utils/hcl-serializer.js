@@ -0,0 +1,207 @@
+/**
+ * HCL serializer
+ * Writes values as HCL literals for .tfvars files and TF_VAR_* environment variables,
+ * converting them to the variable's type constraint the way OpenTofu would read them.
+ */
+
+import { parseHclExpression, parseTypeConstraint } from './hcl-parser.js';
+
+const INDENT = '  ';
+
+// Object keys written without quotes
+const BARE_KEY = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const KEYWORDS = ['true', 'false', 'null', 'for', 'in', 'if'];
+
+// Lists of primitives up to this length are written on one line
+const INLINE_LIST_WIDTH = 80;
+
+/**
+ * Escape a string for a quoted HCL string literal
+ * Template sequences are escaped too, so values are never interpolated.
+ * @param {string} value - String
+ * @returns {string} Quoted literal
+ */
+function formatHclString(value) {
+  const escaped = value.replace(/[\\"\n\r\t]|[\u0000-\u001f\u007f]|\$\{|%\{/g, (match) => {
+    switch (match) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '${': return '$${';
+      case '%{': return '%%{';
+      default: return `\\u${match.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    }
+  });
+  return `"${escaped}"`;
+}
+
+/**
+ * Write a multi-line string as a heredoc
+ * Only strings ending with a newline and free of other control characters can be
+ * written this way, since a heredoc always ends with a newline and takes no escapes.
+ * @param {string} value - String
+ * @returns {string|null} Heredoc, or null if the string cannot be written as one
+ */
+function formatHeredoc(value) {
+  if (!value.endsWith('\n') || value.length < 2 || /[\u0000-\u0008\u000b-\u001f\u007f]/.test(value)) {
+    return null;
+  }
+
+  const lines = value.slice(0, -1).split('\n');
+  let marker = 'EOT';
+  for (let suffix = 1; lines.some(line => line.trim() === marker); suffix++) {
+    marker = `EOT${suffix}`;
+  }
+
+  const body = value.replace(/\$\{|%\{/g, match => `${match[0]}${match}`);
+  return `<<${marker}\n${body}${marker}`;
+}
+
+/**
+ * Format an object key
+ * @param {string} key - Key
+ * @returns {string} Bare identifier or quoted string
+ */
+function formatKey(key) {
+  return BARE_KEY.test(key) && !KEYWORDS.includes(key) ? key : formatHclString(key);
+}
+
+/**
+ * Get the type of a value when its type constraint is any
+ * @param {*} value - Value
+ * @returns {Object} Type
+ */
+function inferType(value) {
+  if (Array.isArray(value)) {
+    return { type: 'tuple', elements: value.map(inferType) };
+  }
+  if (value !== null && typeof value === 'object') {
+    return {
+      type: 'object',
+      attributes: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferType(item)]))
+    };
+  }
+  if (typeof value === 'boolean') {
+    return { type: 'bool' };
+  }
+  return { type: typeof value === 'number' ? 'number' : 'string' };
+}
+
+/**
+ * Resolve a variable's type constraint from its definition
+ * @param {Object} [definition] - Variable definition with typeConstraint or terraformType
+ * @returns {Object|null} Type, or null if unknown
+ */
+function getVariableType(definition) {
+  if (!definition) {
+    return null;
+  }
+  if (definition.typeConstraint) {
+    return definition.typeConstraint;
+  }
+  if (definition.terraformType && definition.terraformType !== 'any') {
+    try {
+      return parseTypeConstraint(parseHclExpression(definition.terraformType));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Serialize a value as an HCL literal
+ * @param {*} value - Value
+ * @param {Object|null} [type] - Type constraint from parseTypeConstraint; inferred from the value when missing
+ * @param {Object} [options] - Options
+ * @param {string} [options.indent] - Indentation of the line the value starts on
+ * @param {boolean} [options.heredoc] - Write multi-line strings as heredocs
+ * @returns {string} HCL literal
+ * @throws {Error} If the value cannot be converted to the type
+ */
+function serializeHclValue(value, type = null, { indent = '', heredoc = false } = {}) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  const target = !type || type.type === 'any' ? inferType(value) : type;
+  const inner = indent + INDENT;
+
+  switch (target.type) {
+    case 'string': {
+      if (value !== null && typeof value === 'object') {
+        throw new Error('Expected a string, got a list or object');
+      }
+      const text = String(value);
+      return (heredoc && text.includes('\n') && formatHeredoc(text)) || formatHclString(text);
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Expected a number, got ${JSON.stringify(value)}`);
+      }
+      return String(number);
+    }
+
+    case 'bool':
+      if (value === true || value === 'true') {
+        return 'true';
+      }
+      if (value === false || value === 'false') {
+        return 'false';
+      }
+      throw new Error(`Expected true or false, got ${JSON.stringify(value)}`);
+
+    case 'list':
+    case 'set':
+    case 'tuple': {
+      if (!Array.isArray(value)) {
+        throw new Error('Expected a list');
+      }
+      const items = value.map((item, index) => serializeHclValue(
+        item,
+        target.type === 'tuple' ? target.elements[index] : target.element,
+        { indent: inner }
+      ));
+
+      const inline = `[${items.join(', ')}]`;
+      if (items.every(item => !item.includes('\n')) && indent.length + inline.length <= INLINE_LIST_WIDTH) {
+        return inline;
+      }
+      return `[\n${items.map(item => `${inner}${item},`).join('\n')}\n${indent}]`;
+    }
+
+    case 'map':
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Expected a map or object');
+      }
+
+      const entries = Object.entries(value);
+      if (entries.length === 0) {
+        return '{}';
+      }
+
+      // Keys are aligned like `tofu fmt` does
+      const keys = entries.map(([key]) => formatKey(key));
+      const width = Math.max(...keys.map(key => key.length));
+      const lines = entries.map(([key, item], index) => {
+        const itemType = target.type === 'map' ? target.element : (target.attributes[key] || null);
+        return `${inner}${keys[index].padEnd(width)} = ${serializeHclValue(item, itemType, { indent: inner })}`;
+      });
+      return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+
+    default:
+      throw new Error(`Unsupported type ${target.type}`);
+  }
+}
+
+export {
+  serializeHclValue,
+  formatHclString,
+  getVariableType
+};
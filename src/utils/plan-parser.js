@@ -0,0 +1,104 @@
+/**
+ * OpenTofu plan parsing utilities
+ * Turns the JSON produced by `tofu show -json <planfile>` into a compact
+ * summary that can be shown to the user before a plan is approved
+ */
+
+/**
+ * Map the actions array of a resource change to a single action name
+ * @param {Array<string>} actions - Actions from resource_changes[].change.actions
+ * @returns {string|null} One of create, update, delete, replace or null for no-op/read
+ */
+function getResourceAction(actions = []) {
+  if (actions.includes('create') && actions.includes('delete')) {
+    return 'replace';
+  }
+  if (actions.includes('create')) return 'create';
+  if (actions.includes('update')) return 'update';
+  if (actions.includes('delete')) return 'delete';
+  return null;
+}
+
+/**
+ * Compare the before and after values of a resource change attribute by attribute
+ * @param {Object} change - The change object of a resource change
+ * @returns {Array} Changed attributes with before/after values (sensitive values masked)
+ */
+function diffAttributes(change = {}) {
+  const before = change.before || {};
+  const after = change.after || {};
+  const afterUnknown = change.after_unknown || {};
+  const beforeSensitive = change.before_sensitive || {};
+  const afterSensitive = change.after_sensitive || {};
+
+  const attributes = new Set([
+    ...Object.keys(before),
+    ...Object.keys(after),
+    ...Object.keys(afterUnknown)
+  ]);
+
+  const diff = [];
+
+  for (const attribute of [...attributes].sort()) {
+    const unknown = afterUnknown[attribute] === true;
+    const changed = JSON.stringify(before[attribute]) !== JSON.stringify(after[attribute]);
+
+    if (!unknown && !changed) {
+      continue;
+    }
+
+    const sensitive = Boolean(beforeSensitive[attribute] || afterSensitive[attribute]);
+
+    diff.push({
+      attribute,
+      before: sensitive ? '(sensitive value)' : (before[attribute] ?? null),
+      after: sensitive ? '(sensitive value)' : (unknown ? '(known after apply)' : (after[attribute] ?? null)),
+      unknown,
+      sensitive
+    });
+  }
+
+  return diff;
+}
+
+/**
+ * Summarize a plan into add/change/destroy counts and a per-resource diff
+ * @param {Object} planJson - Output of `tofu show -json <planfile>`
+ * @returns {Object} Plan summary with counts and resource changes
+ */
+function summarizePlan(planJson = {}) {
+  const summary = { add: 0, change: 0, destroy: 0 };
+  const resources = [];
+
+  for (const resourceChange of planJson.resource_changes || []) {
+    const action = getResourceAction(resourceChange.change?.actions);
+
+    if (!action) {
+      continue;
+    }
+
+    if (action === 'create' || action === 'replace') summary.add++;
+    if (action === 'update') summary.change++;
+    if (action === 'delete' || action === 'replace') summary.destroy++;
+
+    resources.push({
+      address: resourceChange.address,
+      type: resourceChange.type,
+      name: resourceChange.name,
+      action,
+      changes: diffAttributes(resourceChange.change)
+    });
+  }
+
+  return {
+    summary,
+    resources,
+    hasChanges: resources.length > 0
+  };
+}
+
+export {
+  getResourceAction,
+  diffAttributes,
+  summarizePlan
+};
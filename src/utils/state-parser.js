@@ -0,0 +1,83 @@
+/**
+ * OpenTofu state parsing utilities
+ * Turns the JSON produced by `tofu show -json` for a deployment's state into
+ * an inventory of the resources it manages
+ */
+
+// Attributes that identify a resource or tell where it can be reached, shown in the inventory
+const KEY_ATTRIBUTES = [
+  'id', 'name', 'arn', 'self_link',
+  'region', 'location', 'zone', 'availability_zone',
+  'instance_type', 'machine_type', 'size', 'image', 'ami',
+  'public_ip', 'private_ip', 'ip_address', 'public_dns', 'dns_name', 'fqdn', 'hostname',
+  'endpoint', 'url', 'bucket', 'domain_name', 'status'
+];
+
+/**
+ * Pick the key attributes of a resource
+ * Only scalar values are kept, and sensitive values are masked
+ * @param {Object} values - Attribute values of the resource
+ * @param {Object} sensitiveValues - Matching structure marking sensitive attributes with true
+ * @returns {Object} Key attributes by name
+ */
+function getKeyAttributes(values = {}, sensitiveValues = {}) {
+  const attributes = {};
+
+  for (const attribute of KEY_ATTRIBUTES) {
+    const value = values[attribute];
+    if (value === null || value === undefined || value === '' || typeof value === 'object') {
+      continue;
+    }
+    attributes[attribute] = sensitiveValues[attribute] === true ? '(sensitive value)' : value;
+  }
+
+  return attributes;
+}
+
+/**
+ * Collect the managed resources of a module and its child modules
+ * @param {Object} module - Module from values.root_module or child_modules
+ * @param {Array} resources - Collected resources, appended to
+ */
+function collectResources(module = {}, resources) {
+  for (const resource of module.resources || []) {
+    if (resource.mode !== 'managed') {
+      continue;
+    }
+
+    resources.push({
+      address: resource.address,
+      type: resource.type,
+      name: resource.name,
+      index: resource.index ?? null,
+      provider: resource.provider_name,
+      module: module.address || null,
+      attributes: getKeyAttributes(resource.values, resource.sensitive_values),
+      tainted: resource.tainted === true
+    });
+  }
+
+  for (const child of module.child_modules || []) {
+    collectResources(child, resources);
+  }
+}
+
+/**
+ * Summarize a state into the list of managed resources
+ * @param {Object} stateJson - Output of `tofu show -json` without a plan file
+ * @returns {Object} OpenTofu version and resources with address, type, provider, module and key attributes
+ */
+function summarizeState(stateJson = {}) {
+  const resources = [];
+  collectResources(stateJson.values?.root_module, resources);
+
+  return {
+    terraformVersion: stateJson.terraform_version || null,
+    resources
+  };
+}
+
+export {
+  getKeyAttributes,
+  summarizeState
+};
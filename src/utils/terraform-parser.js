@@ -3,141 +3,372 @@
  * Handles parsing of Terraform files, tfvars, and README files for variable definitions
  */
 
-function parseTerraformVariables(content, fileName) {
-  const variables = {};
-  
-  // Remove comments and normalize whitespace
-  const cleanContent = content
-    .replace(/\/\*[\s\S]*?\*\//g, '') // Remove /* */ comments
-    .replace(/\/\/.*$/gm, '') // Remove // comments
-    .replace(/\s+/g, ' ') // Normalize whitespace
-    .trim();
-  
-  // Regex to match variable blocks
-  const variableRegex = /variable\s+"([^"]+)"\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-  
-  let match;
-  while ((match = variableRegex.exec(cleanContent)) !== null) {
-    const [, variableName, blockContent] = match;
-    
-    const variable = {
-      name: variableName,
-      source: 'terraform',
-      file: fileName,
-      type: 'string', // default
-      description: '',
-      default: null,
-      sensitive: false,
-      nullable: true,
-      validation: []
-    };
-    
-    // Parse type
-    const typeMatch = blockContent.match(/type\s*=\s*([^\s\n]+)/);
-    if (typeMatch) {
-      variable.type = typeMatch[1].trim();
-    }
-    
-    // Parse description
-    const descriptionMatch = blockContent.match(/description\s*=\s*"([^"]*)"/) || 
-                           blockContent.match(/description\s*=\s*'([^']*)'/);
-    if (descriptionMatch) {
-      variable.description = descriptionMatch[1];
+import {
+  parseHcl,
+  tryEvaluateExpression,
+  parseTypeConstraint,
+  formatTypeConstraint,
+  createParseError,
+  getPosition
+} from './hcl-parser.js';
+
+// Arguments of module blocks that configure the call rather than pass input variables
+const MODULE_META_ARGUMENTS = ['source', 'version', 'count', 'for_each', 'providers', 'depends_on'];
+
+/**
+ * Create an empty configuration summary
+ * @returns {Object} Configuration with no blocks
+ */
+function createEmptyConfig() {
+  return {
+    variables: {},
+    outputs: {},
+    locals: {},
+    modules: {},
+    providers: [],
+    terraform: {
+      requiredVersion: null,
+      requiredProviders: {},
+      backend: null
     }
-    
-    // Parse default value - handle quoted strings and simple values
-    const defaultMatch = blockContent.match(/default\s*=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s\n]+)/);
-    if (defaultMatch) {
-      let defaultValue = defaultMatch[1].trim();
-      
-      // Parse the default value based on type
-      if (defaultValue === 'null') {
-        variable.default = null;
-      } else if (defaultValue === 'true' || defaultValue === 'false') {
-        variable.default = defaultValue === 'true';
-      } else if (defaultValue.startsWith('"') && defaultValue.endsWith('"')) {
-        variable.default = defaultValue.slice(1, -1);
-      } else if (defaultValue.startsWith("'") && defaultValue.endsWith("'")) {
-        variable.default = defaultValue.slice(1, -1);
-      } else if (!isNaN(Number(defaultValue))) {
-        variable.default = Number(defaultValue);
-      } else if (defaultValue.startsWith('[') || defaultValue.startsWith('{')) {
-        // For complex types, store as string for now
-        variable.default = defaultValue;
-      } else {
-        variable.default = defaultValue;
-      }
+  };
+}
+
+/**
+ * Describe an expression by its source text and, when it is constant, its value
+ * @param {Object} expression - Expression syntax tree
+ * @param {string} source - Source text of the file
+ * @returns {{expression: string, value: *}} Source text and value (undefined if not constant)
+ */
+function describeExpression(expression, source) {
+  const { known, value } = tryEvaluateExpression(expression);
+  return {
+    expression: source.substring(expression.start, expression.end),
+    value: known ? value : undefined
+  };
+}
+
+/**
+ * Get the constant value of an attribute
+ * @param {Object} body - Block body
+ * @param {string} name - Attribute name
+ * @param {*} fallback - Value when the attribute is missing or not constant
+ * @returns {*} Attribute value
+ */
+function getAttributeValue(body, name, fallback) {
+  const attribute = body.attributes[name];
+  if (!attribute) {
+    return fallback;
+  }
+  const { known, value } = tryEvaluateExpression(attribute.expression);
+  return known && value !== null ? value : fallback;
+}
+
+/**
+ * Describe all attributes of a body except the given ones
+ * @param {Object} body - Block body
+ * @param {string} source - Source text of the file
+ * @param {Array<string>} [exclude] - Attribute names to leave out
+ * @returns {Object} Described expressions keyed by attribute name
+ */
+function describeAttributes(body, source, exclude = []) {
+  const described = {};
+  Object.values(body.attributes).forEach((attribute) => {
+    if (!exclude.includes(attribute.name)) {
+      described[attribute.name] = describeExpression(attribute.expression, source);
     }
-    
-    // Parse sensitive
-    const sensitiveMatch = blockContent.match(/sensitive\s*=\s*(true|false)/);
-    if (sensitiveMatch) {
-      variable.sensitive = sensitiveMatch[1] === 'true';
+  });
+  return described;
+}
+
+/**
+ * Read the validation blocks of a variable
+ * @param {Object} block - Parsed variable block
+ * @param {string} source - Source text of the file
+ * @param {string} fileName - File name
+ * @returns {Array<Object>} Rules with the condition as written and the error message
+ */
+function readValidationBlocks(block, source, fileName) {
+  return block.body.blocks
+    .filter(nested => nested.type === 'validation' && nested.body.attributes.condition)
+    .map((nested) => {
+      const { condition, error_message: errorMessage } = nested.body.attributes;
+      const message = errorMessage ? describeExpression(errorMessage.expression, source) : null;
+
+      return {
+        condition: source.substring(condition.expression.start, condition.expression.end),
+        errorMessage: message ? (typeof message.value === 'string' ? message.value : message.expression) : 'Invalid value',
+        file: fileName,
+        line: getPosition(source, nested.start).line
+      };
+    });
+}
+
+/**
+ * Read a variable block
+ * @param {Object} block - Parsed variable block
+ * @param {string} source - Source text of the file
+ * @param {string} fileName - File name
+ * @returns {Object} Variable definition
+ */
+function readVariableBlock(block, source, fileName) {
+  const { attributes } = block.body;
+  let type = null;
+
+  if (attributes.type) {
+    try {
+      type = parseTypeConstraint(attributes.type.expression);
+    } catch (error) {
+      throw createParseError(error.message, source, error.offset ?? attributes.type.start, fileName);
     }
-    
-    // Parse nullable
-    const nullableMatch = blockContent.match(/nullable\s*=\s*(true|false)/);
-    if (nullableMatch) {
-      variable.nullable = nullableMatch[1] === 'true';
+  }
+
+  const description = attributes.description
+    ? describeExpression(attributes.description.expression, source)
+    : null;
+  const defaultValue = attributes.default
+    ? describeExpression(attributes.default.expression, source)
+    : null;
+
+  return {
+    name: block.labels[0],
+    file: fileName,
+    type,
+    description: description ? (typeof description.value === 'string' ? description.value : description.expression) : '',
+    hasDefault: Boolean(defaultValue),
+    // Defaults must be constant; anything else is kept as written
+    default: defaultValue ? (defaultValue.value !== undefined ? defaultValue.value : defaultValue.expression) : null,
+    defaultExpression: defaultValue ? defaultValue.expression : null,
+    sensitive: getAttributeValue(block.body, 'sensitive', false) === true,
+    nullable: getAttributeValue(block.body, 'nullable', true) !== false,
+    ephemeral: getAttributeValue(block.body, 'ephemeral', false) === true,
+    validation: readValidationBlocks(block, source, fileName)
+  };
+}
+
+/**
+ * Read the settings of a terraform block into a configuration
+ * @param {Object} block - Parsed terraform block
+ * @param {string} source - Source text of the file
+ * @param {Object} terraform - Terraform settings to add to
+ */
+function readTerraformBlock(block, source, terraform) {
+  const requiredVersion = getAttributeValue(block.body, 'required_version', null);
+  if (typeof requiredVersion === 'string') {
+    terraform.requiredVersion = requiredVersion;
+  }
+
+  block.body.blocks.forEach((nested) => {
+    if (nested.type === 'required_providers') {
+      Object.values(nested.body.attributes).forEach((attribute) => {
+        const { value } = describeExpression(attribute.expression, source);
+        // Before 0.13 only a version constraint string was given
+        terraform.requiredProviders[attribute.name] = typeof value === 'string'
+          ? { source: null, version: value }
+          : {
+            source: (value && typeof value.source === 'string') ? value.source : null,
+            version: (value && typeof value.version === 'string') ? value.version : null
+          };
+      });
+    } else if (nested.type === 'backend' || nested.type === 'cloud') {
+      terraform.backend = {
+        type: nested.type === 'cloud' ? 'cloud' : nested.labels[0],
+        config: describeAttributes(nested.body, source)
+      };
     }
-    
-    // Determine the display type for UI
-    let displayType = 'string';
-    if (variable.type === 'bool' || variable.type === 'boolean') {
-      displayType = 'boolean';
-    } else if (variable.type === 'number') {
-      displayType = 'number';
-    } else if (variable.type.includes('list') || variable.type.includes('set')) {
-      displayType = 'array';
-    } else if (variable.type.includes('map') || variable.type.includes('object')) {
-      displayType = 'object';
+  });
+}
+
+/**
+ * Parse a Terraform file into a summary of its configuration
+ * @param {string} content - File content
+ * @param {string} fileName - File name, recorded on each definition
+ * @returns {Object} Variables, outputs, locals, modules, providers and terraform settings
+ * @throws {Error} With code HCL_PARSE_ERROR if the file is not valid HCL
+ */
+function parseTerraformConfig(content, fileName) {
+  const body = parseHcl(content, fileName);
+  const config = createEmptyConfig();
+
+  body.blocks.forEach((block) => {
+    const [name] = block.labels;
+
+    switch (block.type) {
+      case 'variable':
+        config.variables[name] = readVariableBlock(block, content, fileName);
+        break;
+
+      case 'output':
+        config.outputs[name] = {
+          name,
+          file: fileName,
+          description: getAttributeValue(block.body, 'description', ''),
+          sensitive: getAttributeValue(block.body, 'sensitive', false) === true,
+          value: block.body.attributes.value
+            ? describeExpression(block.body.attributes.value.expression, content).expression
+            : null
+        };
+        break;
+
+      case 'locals':
+        Object.values(block.body.attributes).forEach((attribute) => {
+          config.locals[attribute.name] = {
+            file: fileName,
+            ...describeExpression(attribute.expression, content)
+          };
+        });
+        break;
+
+      case 'module':
+        config.modules[name] = {
+          name,
+          file: fileName,
+          source: getAttributeValue(block.body, 'source', null),
+          version: getAttributeValue(block.body, 'version', null),
+          inputs: describeAttributes(block.body, content, MODULE_META_ARGUMENTS)
+        };
+        break;
+
+      case 'provider':
+        config.providers.push({
+          name,
+          alias: getAttributeValue(block.body, 'alias', null),
+          file: fileName,
+          config: describeAttributes(block.body, content, ['alias', 'version'])
+        });
+        break;
+
+      case 'terraform':
+        readTerraformBlock(block, content, config.terraform);
+        break;
+
+      default:
+        break;
     }
-    
-    variables[variableName] = {
-      value: variable.default,
-      type: displayType,
-      original: variable.default,
-      description: variable.description,
+  });
+
+  return config;
+}
+
+/**
+ * Merge the configurations of the files of one module
+ * @param {Array<Object>} configs - Configurations from parseTerraformConfig
+ * @returns {Object} Combined configuration
+ */
+function mergeTerraformConfigs(configs) {
+  const merged = createEmptyConfig();
+
+  configs.forEach((config) => {
+    Object.assign(merged.variables, config.variables);
+    Object.assign(merged.outputs, config.outputs);
+    Object.assign(merged.locals, config.locals);
+    Object.assign(merged.modules, config.modules);
+    merged.providers.push(...config.providers);
+    Object.assign(merged.terraform.requiredProviders, config.terraform.requiredProviders);
+    merged.terraform.requiredVersion = merged.terraform.requiredVersion || config.terraform.requiredVersion;
+    merged.terraform.backend = merged.terraform.backend || config.terraform.backend;
+  });
+
+  return merged;
+}
+
+/**
+ * Get the form input type for a variable
+ * @param {Object|null} type - Type constraint from parseTypeConstraint
+ * @param {*} defaultValue - Default value, used when the type is any or not declared
+ * @returns {string} "string", "number", "boolean", "array" or "object"
+ */
+function getDisplayType(type, defaultValue) {
+  switch (type && type.type) {
+    case 'bool':
+      return 'boolean';
+    case 'number':
+      return 'number';
+    case 'list':
+    case 'set':
+    case 'tuple':
+      return 'array';
+    case 'map':
+    case 'object':
+      return 'object';
+    case 'string':
+      return 'string';
+    default:
+      if (Array.isArray(defaultValue)) {
+        return 'array';
+      }
+      if (defaultValue !== null && typeof defaultValue === 'object') {
+        return 'object';
+      }
+      if (typeof defaultValue === 'boolean') {
+        return 'boolean';
+      }
+      return typeof defaultValue === 'number' ? 'number' : 'string';
+  }
+}
+
+/**
+ * Turn variable definitions into the variables shown in the deploy form
+ * @param {Object} definitions - Variables from parseTerraformConfig
+ * @returns {Object} Form variables keyed by name
+ */
+function toFormVariables(definitions) {
+  const variables = {};
+
+  Object.values(definitions).forEach((definition) => {
+    variables[definition.name] = {
+      value: definition.default,
+      type: getDisplayType(definition.type, definition.default),
+      original: definition.defaultExpression,
+      description: definition.description,
       source: 'terraform',
-      file: fileName,
-      terraformType: variable.type,
-      sensitive: variable.sensitive,
-      nullable: variable.nullable,
-      required: variable.default === null && !variable.nullable
+      file: definition.file,
+      terraformType: definition.type ? formatTypeConstraint(definition.type) : 'any',
+      typeConstraint: definition.type,
+      sensitive: definition.sensitive,
+      nullable: definition.nullable,
+      required: !definition.hasDefault,
+      validation: definition.validation
     };
-  }
-  
+  });
+
   return variables;
 }
 
-function parseTfvarsContent(content) {
+/**
+ * Parse the variable blocks of a Terraform file
+ * @param {string} content - File content
+ * @param {string} fileName - File name
+ * @returns {Object} Form variables keyed by name
+ * @throws {Error} With code HCL_PARSE_ERROR if the file is not valid HCL
+ */
+function parseTerraformVariables(content, fileName) {
+  return toFormVariables(parseTerraformConfig(content, fileName).variables);
+}
+
+/**
+ * Parse a .tfvars file
+ * @param {string} content - File content
+ * @param {string} [fileName] - File name, for error messages
+ * @returns {Object} Variables with their values, keyed by name; constant is false for
+ *   expressions that are not literal values, whose value is the expression as written
+ * @throws {Error} With code HCL_PARSE_ERROR if the file is not valid HCL
+ */
+function parseTfvarsContent(content, fileName = 'terraform.tfvars') {
   const variables = {};
-  const lines = content.split('\n');
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    
-    const match = trimmed.match(/^(\w+)\s*=\s*(.+)$/);
-    if (match) {
-      const [, key, value] = match;
-      let parsedValue = value.replace(/^"|"$/g, '').replace(/^'|'$/g, '');
-      
-      if (parsedValue === 'true' || parsedValue === 'false') {
-        parsedValue = parsedValue === 'true';
-      } else if (!isNaN(parsedValue) && parsedValue !== '') {
-        parsedValue = Number(parsedValue);
-      }
-      
-      variables[key] = {
-        value: parsedValue,
-        type: typeof parsedValue,
-        original: value,
-        source: 'tfvars'
-      };
-    }
-  }
-  
+
+  Object.values(parseHcl(content, fileName).attributes).forEach((attribute) => {
+    const { expression, value } = describeExpression(attribute.expression, content);
+
+    variables[attribute.name] = {
+      value: value !== undefined ? value : expression,
+      type: getDisplayType(null, value),
+      original: expression,
+      constant: value !== undefined,
+      source: 'tfvars'
+    };
+  });
+
   return variables;
 }
 
@@ -314,6 +545,9 @@ function mergeVariables(tfvarsVariables, readmeVariables) {
 }
 
 export {
+  parseTerraformConfig,
+  mergeTerraformConfigs,
+  toFormVariables,
   parseTerraformVariables,
   parseTfvarsContent,
   parseReadmeForVariables,
@@ -0,0 +1,65 @@
+/**
+ * Unified diff utilities
+ * Splits the output of git diff into per-file patches, for source providers
+ * that return the diff of a whole comparison at once
+ */
+
+/**
+ * Count the added and removed lines of a patch
+ * @param {string} patch - Patch of one file, starting at its first hunk
+ * @returns {Object} { additions, deletions }
+ */
+function countPatchLines(patch) {
+  let additions = 0;
+  let deletions = 0;
+
+  (patch || '').split('\n').forEach((line) => {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      additions++;
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      deletions++;
+    }
+  });
+
+  return { additions, deletions };
+}
+
+/**
+ * Split a unified diff of several files into the patch of each file
+ * @param {string} diff - Output of git diff
+ * @returns {Map<string, string|null>} Patch keyed by file path, starting at the first hunk;
+ *   null for binary files and changes without hunks
+ */
+function splitUnifiedDiff(diff) {
+  const patches = new Map();
+  const sections = String(diff || '').split(/^(?=diff --git )/m).filter(section => section.startsWith('diff --git '));
+
+  sections.forEach((section) => {
+    const lines = section.replace(/\n$/, '').split('\n');
+    const newPath = lines.find(line => line.startsWith('+++ '));
+    const oldPath = lines.find(line => line.startsWith('--- '));
+
+    let filePath = null;
+    if (newPath && newPath !== '+++ /dev/null') {
+      filePath = newPath.substring(4).replace(/^b\//, '');
+    } else if (oldPath && oldPath !== '--- /dev/null') {
+      filePath = oldPath.substring(4).replace(/^a\//, '');
+    } else {
+      // Binary files and mode changes only name the file in the header
+      const header = lines[0].match(/^diff --git a\/(.+) b\/(.+)$/);
+      filePath = header ? header[2] : null;
+    }
+
+    if (filePath) {
+      const firstHunk = lines.findIndex(line => line.startsWith('@@'));
+      patches.set(filePath, firstHunk === -1 ? null : lines.slice(firstHunk).join('\n'));
+    }
+  });
+
+  return patches;
+}
+
+export {
+  countPatchLines,
+  splitUnifiedDiff
+};
@@ -0,0 +1,13 @@
+export interface VariableChange {
+  name: string
+  change: 'added' | 'removed' | 'changed'
+  sensitive?: boolean
+  before?: unknown
+  after?: unknown
+}
+
+export function diffVariables(
+  previous: Record<string, unknown>,
+  next: Record<string, unknown>,
+  options?: { sensitive?: string[] }
+): VariableChange[]
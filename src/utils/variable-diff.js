@@ -0,0 +1,56 @@
+/**
+ * Variable diff
+ * Compares the variables a deployment was applied with to newly entered ones.
+ * Shared by the variables form, which shows the changes before a deployment is
+ * modified, and the server, which records them in the deployment manifest.
+ */
+
+import { valuesEqual } from './hcl-parser.js';
+
+/**
+ * List the variables whose values differ between two sets of values
+ * Sensitive variables are compared by name only: their values are never part of a diff
+ * @param {Object} previous - Values the deployment was applied with, keyed by name
+ * @param {Object} next - Newly entered values, keyed by name
+ * @param {Object} [options] - Diff options
+ * @param {string[]} [options.sensitive] - Names of sensitive variables
+ * @returns {Array<Object>} Changes sorted by name, each with name, change ('added',
+ *   'removed' or 'changed') and, for non-sensitive variables, before and after values
+ */
+function diffVariables(previous = {}, next = {}, { sensitive = [] } = {}) {
+  const names = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+  const changes = [];
+
+  for (const name of names) {
+    const inPrevious = previous[name] !== undefined;
+    const inNext = next[name] !== undefined;
+
+    let change;
+    if (inPrevious && !inNext) {
+      change = 'removed';
+    } else if (!inPrevious && inNext) {
+      change = 'added';
+    } else if (inPrevious && inNext && !valuesEqual(previous[name], next[name])) {
+      change = 'changed';
+    } else {
+      continue;
+    }
+
+    if (sensitive.includes(name)) {
+      changes.push({ name, change, sensitive: true });
+    } else {
+      changes.push({
+        name,
+        change,
+        before: inPrevious ? previous[name] : null,
+        after: inNext ? next[name] : null
+      });
+    }
+  }
+
+  return changes;
+}
+
+export {
+  diffVariables
+};
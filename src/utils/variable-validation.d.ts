@@ -0,0 +1,29 @@
+export interface ValidationRule {
+  condition: string
+  errorMessage: string
+  file?: string
+  line?: number
+}
+
+export interface ValidationResult {
+  status: 'valid' | 'invalid' | 'unknown'
+  message?: string
+}
+
+export interface ValidationError {
+  variable: string
+  condition: string
+  message: string
+  file?: string
+  line?: number
+}
+
+export function checkValidation(rule: ValidationRule, values: Record<string, unknown>): ValidationResult
+
+export function validateVariables(
+  variables: Record<string, { value?: unknown, required?: boolean, validation?: ValidationRule[] }>,
+  values: Record<string, unknown>
+): {
+  errors: ValidationError[]
+  unchecked: Array<Omit<ValidationError, 'message'>>
+}
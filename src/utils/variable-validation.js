@@ -0,0 +1,129 @@
+/**
+ * Variable validation
+ * Evaluates the conditions of variable validation blocks against entered values.
+ * Shared by the variables form, which checks values as they are typed, and the
+ * server, which checks them again before planning. Conditions that reference
+ * anything besides variables, variables that have no value yet, or functions not
+ * in HCL_FUNCTIONS, are left to OpenTofu.
+ */
+
+import { parseHclExpression, evaluateExpression } from './hcl-parser.js';
+import { HCL_FUNCTIONS } from './hcl-functions.js';
+
+/**
+ * Collect the names of the variables an expression references as var.<name>
+ * @param {Object} node - Expression syntax tree
+ * @param {Set<string>} [names] - Set the names are added to
+ * @returns {Set<string>} Referenced variable names
+ */
+function getReferencedVariables(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => getReferencedVariables(child, names));
+  } else if (node && typeof node === 'object') {
+    const isVar = node.object?.type === 'variable' && node.object.name === 'var';
+    if (isVar && node.type === 'getattr') {
+      names.add(node.name);
+    } else if (isVar && node.type === 'index' && node.key.type === 'template'
+      && node.key.parts.length === 1 && node.key.parts[0].type === 'literal') {
+      names.add(node.key.parts[0].value);
+    }
+    Object.values(node).forEach((child) => getReferencedVariables(child, names));
+  }
+  return names;
+}
+
+/**
+ * Check one validation rule
+ * @param {Object} rule - Rule with condition and errorMessage
+ * @param {Object} values - Values of all variables, keyed by name; a variable left out
+ *   has no value yet, and rules referencing it are not evaluable here
+ * @returns {{status: string, message?: string}} Status "valid", "invalid" or "unknown"
+ *   (not evaluable here), with the rule's error message when invalid
+ */
+function checkValidation(rule, values) {
+  let condition;
+  try {
+    condition = parseHclExpression(rule.condition);
+  } catch {
+    return { status: 'unknown' };
+  }
+
+  const referenced = [...getReferencedVariables(condition)];
+  if (referenced.some((name) => !Object.prototype.hasOwnProperty.call(values, name))) {
+    return { status: 'unknown' };
+  }
+
+  try {
+    const result = evaluateExpression(condition, {
+      variables: { var: values },
+      functions: HCL_FUNCTIONS
+    });
+    if (typeof result !== 'boolean') {
+      return { status: 'invalid', message: 'The validation condition did not return true or false' };
+    }
+    return result ? { status: 'valid' } : { status: 'invalid', message: rule.errorMessage };
+  } catch (error) {
+    if (error.code === 'UNKNOWN_VALUE') {
+      return { status: 'unknown' };
+    }
+    // Like OpenTofu, a condition that fails to evaluate rejects the value
+    return { status: 'invalid', message: `${rule.errorMessage} (${error.message})` };
+  }
+}
+
+/**
+ * Work out the values OpenTofu will see: entered values, and the defaults of the
+ * variables left empty. Empty values are not written to the tfvars file, so they
+ * fall back to the default too; required variables left empty have no value yet.
+ * @param {Object} variables - Form variables keyed by name, with value and required
+ * @param {Object} values - Entered values keyed by name
+ * @returns {Object} Values keyed by name, without the variables that have none
+ */
+function resolveValues(variables, values) {
+  const resolved = {};
+
+  Object.entries(values || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      resolved[name] = value;
+    }
+  });
+  Object.entries(variables || {}).forEach(([name, variable]) => {
+    if (!(name in resolved) && !variable.required) {
+      resolved[name] = variable.value ?? null;
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Check the validation rules of all variables
+ * @param {Object} variables - Form variables keyed by name, each with a validation list,
+ *   and the default value of those not required
+ * @param {Object} values - Entered values keyed by name
+ * @returns {{errors: Array<Object>, unchecked: Array<Object>}} Failed rules with their
+ *   messages, and rules that could not be evaluated
+ */
+function validateVariables(variables, values) {
+  const errors = [];
+  const unchecked = [];
+  const resolved = resolveValues(variables, values);
+
+  Object.entries(variables || {}).forEach(([name, variable]) => {
+    (variable.validation || []).forEach((rule) => {
+      const result = checkValidation(rule, resolved);
+      if (result.status === 'invalid') {
+        errors.push({ variable: name, condition: rule.condition, message: result.message, file: rule.file, line: rule.line });
+      } else if (result.status === 'unknown') {
+        unchecked.push({ variable: name, condition: rule.condition, file: rule.file, line: rule.line });
+      }
+    });
+  });
+
+  return { errors, unchecked };
+}
+
+export {
+  checkValidation,
+  validateVariables
+};
@@ -0,0 +1,144 @@
+/**
+ * Webhook payload templates
+ * Turns a deployment event into the request body of a webhook: the event itself as JSON,
+ * or a message for Slack incoming webhooks or Microsoft Teams connectors
+ */
+
+const WEBHOOK_TEMPLATES = ['json', 'slack', 'teams'];
+
+// Colour of the message of each event
+const EVENT_COLORS = {
+  'started': '#2563eb',
+  'plan-ready': '#2563eb',
+  'succeeded': '#16a34a',
+  'failed': '#dc2626',
+  'destroyed': '#6b7280',
+  'drift-detected': '#d97706',
+  'ping': '#6b7280'
+};
+
+/**
+ * Describe an event in a title, a line of text and facts about its deployment
+ * @param {Object} event - Event, as built by the webhook service
+ * @returns {Object} { title, text, facts } with facts as { name, value }
+ */
+function describeEvent({ event, deployment, details }) {
+  if (event === 'ping') {
+    return { title: 'Test delivery from the OpenTofu deployer', text: details.message || '', facts: [] };
+  }
+
+  const label = deployment.environment ? `${deployment.id} (${deployment.environment})` : deployment.id;
+  let title;
+  let text = '';
+  switch (event) {
+    case 'started':
+      title = `${label}: ${details.operation} started`;
+      text = details.user ? `Started by ${details.user}` : '';
+      break;
+    case 'plan-ready': {
+      const { add = 0, change = 0, destroy = 0 } = details.summary || {};
+      title = `${label}: ${details.operation === 'destroy' ? 'destroy plan' : 'plan'} ready for approval`;
+      text = `${add} to add, ${change} to change, ${destroy} to destroy`;
+      break;
+    }
+    case 'succeeded':
+      title = `${label}: applied`;
+      break;
+    case 'failed':
+      title = `${label}: failed`;
+      text = details.message || '';
+      break;
+    case 'destroyed':
+      title = `${label}: destroyed`;
+      break;
+    case 'drift-detected':
+      title = `${label}: drift detected`;
+      text = `${details.resources.length} resource${details.resources.length === 1 ? '' : 's'} changed outside OpenTofu`;
+      break;
+    default:
+      title = `${label}: ${event}`;
+  }
+
+  const source = deployment.source;
+  const facts = [
+    source && { name: 'Source', value: deployment.sourceKey },
+    source?.branch && { name: 'Branch', value: source.branch },
+    source?.commitSha && { name: 'Commit', value: source.commitSha.substring(0, 7), url: source.commitUrl || null },
+    deployment.environment && { name: 'Environment', value: deployment.environment },
+    { name: 'Status', value: deployment.status || 'unknown' }
+  ].filter(Boolean);
+
+  return { title, text, facts };
+}
+
+/**
+ * Escape text for Slack's mrkdwn
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a Slack message with Block Kit, with the title as its notification text
+ * @param {Object} description - Result of describeEvent
+ * @returns {Object} Slack message
+ */
+function renderSlack({ title, text, facts }) {
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: `*${escapeSlack(title)}*${text ? `\n${escapeSlack(text)}` : ''}` }
+  }];
+  if (facts.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: facts.map(({ name, value, url }) => ({
+        type: 'mrkdwn',
+        text: `${escapeSlack(name)}: ${url ? `<${url}|${escapeSlack(value)}>` : escapeSlack(value)}`
+      }))
+    });
+  }
+  return { text: title, blocks };
+}
+
+/**
+ * Build a Microsoft Teams message card
+ * @param {Object} description - Result of describeEvent
+ * @param {string} color - Theme colour
+ * @returns {Object} Message card
+ */
+function renderTeams({ title, text, facts }, color) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    themeColor: color.replace('#', ''),
+    summary: title,
+    title,
+    ...(text && { text }),
+    sections: facts.length > 0
+      ? [{ facts: facts.map(({ name, value, url }) => ({ name, value: url ? `[${value}](${url})` : value })) }]
+      : []
+  };
+}
+
+/**
+ * Render the request body of a webhook
+ * @param {string} template - One of WEBHOOK_TEMPLATES
+ * @param {Object} event - Event, as built by the webhook service
+ * @returns {string} JSON request body
+ */
+function renderWebhookPayload(template, event) {
+  if (template === 'slack') {
+    return JSON.stringify(renderSlack(describeEvent(event)));
+  }
+  if (template === 'teams') {
+    return JSON.stringify(renderTeams(describeEvent(event), EVENT_COLORS[event.event] || EVENT_COLORS.ping));
+  }
+  return JSON.stringify(event);
+}
+
+export {
+  WEBHOOK_TEMPLATES,
+  renderWebhookPayload
+};
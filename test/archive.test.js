@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { detectArchiveFormat, extractArchive } from '../src/utils/archive.js';
+import { buildTar, buildTarGz, buildZip } from './fixtures/archives.js';
+
+const LIMITS = { maxEntries: 100, maxSize: 1024 * 1024 };
+
+/**
+ * List every path below a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+async function listTree(dir) {
+  const entries = await fs.readdir(dir, { recursive: true });
+  return entries.map(entry => entry.split(path.sep).join('/')).sort();
+}
+
+describe('extractArchive', () => {
+  let root;
+  let target;
+
+  beforeEach(async () => {
+    // Archives are extracted into a directory of the test's own, so anything written beside it shows
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-archive-'));
+    target = path.join(root, 'target');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Check that extracting an archive is rejected before anything is written
+   * @param {Buffer} buffer - Archive
+   * @param {string} code - Expected error code
+   * @param {Object} [limits] - Limits to extract with
+   */
+  async function assertRejected(buffer, code, limits = LIMITS) {
+    await assert.rejects(extractArchive(buffer, target, limits), { code });
+    assert.deepEqual(await listTree(root), []);
+  }
+
+  it('extracts zip and tar.gz archives', async () => {
+    const entries = [
+      { name: 'infra/', type: '5', mode: 0o40755 },
+      { name: 'infra/main.tf', content: 'resource "terraform_data" "a" {}\n' },
+      { name: 'infra/run.sh', content: '#!/bin/sh\n', mode: 0o100755 },
+      { name: '__MACOSX/infra/._main.tf', content: 'metadata' }
+    ];
+
+    const zip = await extractArchive(buildZip(entries.filter(entry => !entry.type)), path.join(target, 'zip'), LIMITS);
+    assert.deepEqual(zip, { format: 'zip', files: ['infra/main.tf', 'infra/run.sh'], skipped: [] });
+
+    const tar = await extractArchive(buildTarGz(entries.map(entry => ({ ...entry, mode: entry.mode & 0o777 }))),
+      path.join(target, 'tar'), LIMITS);
+    assert.deepEqual(tar, { format: 'tar.gz', files: ['infra/main.tf', 'infra/run.sh'], skipped: [] });
+
+    for (const dir of ['zip', 'tar']) {
+      assert.equal(await fs.readFile(path.join(target, dir, 'infra', 'main.tf'), 'utf-8'), 'resource "terraform_data" "a" {}\n');
+      assert.equal((await fs.stat(path.join(target, dir, 'infra', 'run.sh'))).mode & 0o777, 0o755);
+    }
+    assert.deepEqual(await listTree(root), [
+      'target', 'target/tar', 'target/tar/infra', 'target/tar/infra/main.tf', 'target/tar/infra/run.sh',
+      'target/zip', 'target/zip/infra', 'target/zip/infra/main.tf', 'target/zip/infra/run.sh'
+    ]);
+  });
+
+  it('rejects entries that point outside the archive', async () => {
+    for (const name of ['../evil.tf', 'infra/../../evil.tf', '..\\evil.tf']) {
+      const entries = [{ name: 'main.tf', content: 'ok' }, { name, content: 'evil' }];
+      await assertRejected(buildZip(entries), 'INVALID_ARCHIVE');
+      await assertRejected(buildTarGz(entries), 'INVALID_ARCHIVE');
+      await assertRejected(buildTar(entries), 'INVALID_ARCHIVE');
+    }
+  });
+
+  it('rejects entries with absolute paths', async () => {
+    for (const name of [path.join(root, 'evil.tf'), '/etc/evil.tf', 'C:\\evil.tf', 'c:/evil.tf']) {
+      const entries = [{ name: 'main.tf', content: 'ok' }, { name, content: 'evil' }];
+      await assertRejected(buildZip(entries), 'INVALID_ARCHIVE');
+      await assertRejected(buildTarGz(entries), 'INVALID_ARCHIVE');
+    }
+  });
+
+  it('skips links, also when later entries go through them', async () => {
+    const tar = buildTarGz([
+      { name: 'escape', type: '2', linkname: '..' },
+      { name: 'hard', type: '1', linkname: '/etc/passwd' },
+      { name: 'escape/evil.tf', content: 'evil' }
+    ]);
+    assert.deepEqual(await extractArchive(tar, path.join(target, 'tar'), LIMITS),
+      { format: 'tar.gz', files: ['escape/evil.tf'], skipped: ['escape', 'hard'] });
+    assert.ok((await fs.lstat(path.join(target, 'tar', 'escape'))).isDirectory());
+
+    const zip = buildZip([
+      { name: 'escape', content: '..', mode: 0o120777 },
+      { name: 'escape/evil.tf', content: 'evil' }
+    ]);
+    assert.deepEqual(await extractArchive(zip, path.join(target, 'zip'), LIMITS),
+      { format: 'zip', files: ['escape/evil.tf'], skipped: ['escape'] });
+    assert.ok((await fs.lstat(path.join(target, 'zip', 'escape'))).isDirectory());
+
+    assert.deepEqual(await listTree(root), [
+      'target', 'target/tar', 'target/tar/escape', 'target/tar/escape/evil.tf',
+      'target/zip', 'target/zip/escape', 'target/zip/escape/evil.tf'
+    ]);
+  });
+
+  it('rejects archives with too many entries', async () => {
+    const entries = Array.from({ length: 4 }, (_, i) => ({ name: `file-${i}.tf`, content: 'x' }));
+    const limits = { ...LIMITS, maxEntries: 3 };
+    await assertRejected(buildZip(entries), 'ARCHIVE_TOO_LARGE', limits);
+    await assertRejected(buildTarGz(entries), 'ARCHIVE_TOO_LARGE', limits);
+    // Directories and links count too
+    await assertRejected(buildTar([
+      { name: 'a/', type: '5' }, { name: 'b/', type: '5' }, { name: 'link', type: '2', linkname: 'a' }, { name: 'a/main.tf' }
+    ]), 'ARCHIVE_TOO_LARGE', limits);
+  });
+
+  it('rejects archives that expand beyond the size limit', async () => {
+    const large = '\0'.repeat(LIMITS.maxSize + 1);
+    await assertRejected(buildZip([{ name: 'large.bin', content: large }]), 'ARCHIVE_TOO_LARGE');
+    await assertRejected(buildTar([{ name: 'large.bin', content: large }]), 'ARCHIVE_TOO_LARGE');
+    // Gzip is inflated with a limit, so a bomb is stopped before the tar is read
+    await assertRejected(buildTarGz([{ name: 'large.bin', content: '\0'.repeat(2 * LIMITS.maxSize) }]), 'ARCHIVE_TOO_LARGE');
+    // Small files add up
+    const halves = [{ name: 'a.bin', content: large.substring(LIMITS.maxSize / 2) }, { name: 'b.bin', content: large.substring(LIMITS.maxSize / 2) }];
+    await assertRejected(buildZip(halves), 'ARCHIVE_TOO_LARGE');
+  });
+
+  it('rejects zip entries that inflate to more than they declare', async () => {
+    const bomb = buildZip([{ name: 'small.tf', content: '\0'.repeat(LIMITS.maxSize * 4), size: 10 }]);
+    await assertRejected(bomb, 'INVALID_ARCHIVE');
+  });
+
+  it('rejects files that are not archives', async () => {
+    assert.equal(detectArchiveFormat(Buffer.from('variable "name" {}')), null);
+    await assertRejected(Buffer.from('variable "name" {}'), 'INVALID_ARCHIVE');
+  });
+});
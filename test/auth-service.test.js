@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticateLocalUser,
+  createSessionToken,
+  verifySessionToken,
+  revokeSessions
+} from '../src/services/auth-service.js';
+
+describe('session tokens', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-auth-'));
+    process.env.AUTH_USERS_FILE = path.join(dir, 'users.json');
+    process.env.AUTH_SESSIONS_FILE = path.join(dir, 'sessions.json');
+    process.env.DEPLOYER_MASTER_KEY = 'test-master-key';
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function signIn(username, password = 'password123') {
+    const { token } = await createSessionToken(await authenticateLocalUser(username, password));
+    return token;
+  }
+
+  it('accepts tokens of existing users', async () => {
+    await createUser({ username: 'alice', password: 'password123', role: 'deployer' });
+    const token = await signIn('alice');
+    assert.deepEqual(await verifySessionToken(token), { name: 'alice', role: 'deployer', provider: 'local' });
+    assert.equal(await verifySessionToken(`${token}x`), null);
+  });
+
+  it('applies role changes to existing tokens', async () => {
+    await createUser({ username: 'bob', password: 'password123', role: 'admin' });
+    const token = await signIn('bob');
+    await updateUser('bob', { role: 'viewer' });
+    assert.equal((await verifySessionToken(token)).role, 'viewer');
+  });
+
+  it('revokes tokens when the password changes', async () => {
+    await createUser({ username: 'carol', password: 'password123', role: 'deployer' });
+    const token = await signIn('carol');
+    await updateUser('carol', { password: 'another-password' });
+    assert.equal(await verifySessionToken(token), null);
+    assert.ok(await verifySessionToken(await signIn('carol', 'another-password')));
+  });
+
+  it('revokes tokens of deleted users, also when the name is reused', async () => {
+    await createUser({ username: 'dave', password: 'password123', role: 'admin' });
+    const token = await signIn('dave');
+    await deleteUser('dave');
+    assert.equal(await verifySessionToken(token), null);
+
+    await createUser({ username: 'dave', password: 'password123', role: 'viewer' });
+    assert.equal(await verifySessionToken(token), null);
+  });
+
+  it('revokes every token of a user on sign out', async () => {
+    await createUser({ username: 'erin', password: 'password123', role: 'viewer' });
+    const first = await signIn('erin');
+    const second = await signIn('erin');
+    const other = await signIn('alice');
+
+    await revokeSessions({ name: 'erin', provider: 'local' });
+    assert.equal(await verifySessionToken(first), null);
+    assert.equal(await verifySessionToken(second), null);
+    assert.ok(await verifySessionToken(other));
+    assert.ok(await verifySessionToken(await signIn('erin')));
+  });
+
+  it('revokes tokens of OIDC users, who are not stored', async () => {
+    const user = { name: 'frank@example.com', role: 'deployer', provider: 'oidc' };
+    const { token } = await createSessionToken(user);
+    assert.deepEqual(await verifySessionToken(token), user);
+
+    await revokeSessions(user);
+    assert.equal(await verifySessionToken(token), null);
+  });
+});
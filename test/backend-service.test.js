@@ -0,0 +1,296 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import {
+  listBackendProfiles,
+  resolveBackend,
+  describeBackend,
+  getEnvironmentWorkspace,
+  hasBackendState,
+  writeBackendConfig,
+  findBackendConfig
+} from '../src/services/backend-service.js';
+import { parseTfvarsContent } from '../src/utils/terraform-parser.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Check whether OpenTofu is installed, for the test that runs it
+ * @returns {boolean} True if tofu can be run
+ */
+function hasTofu() {
+  try {
+    execFileSync('tofu', ['version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('backend profiles', () => {
+  let dir;
+  let profilesFile;
+
+  /**
+   * Use backend profiles for the following calls
+   * @param {*} profiles - Profiles, or a string written as it is
+   */
+  async function useProfiles(profiles) {
+    await fs.writeFile(profilesFile, typeof profiles === 'string' ? profiles : JSON.stringify(profiles));
+    process.env.BACKEND_PROFILES_FILE = profilesFile;
+  }
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-backends-'));
+    profilesFile = path.join(dir, 'backends.json');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    delete process.env.BACKEND_PROFILES_FILE;
+    delete process.env.DEFAULT_BACKEND_PROFILE;
+  });
+
+  it('has no profiles without a profiles file', async () => {
+    assert.deepEqual(await listBackendProfiles(), []);
+    process.env.BACKEND_PROFILES_FILE = path.join(dir, 'missing.json');
+    assert.deepEqual(await listBackendProfiles(), []);
+  });
+
+  it('lists profiles without their settings', async () => {
+    await useProfiles({
+      shared: { type: 's3', description: 'Shared bucket', config: { bucket: 'state', access_key: 'secret' } },
+      lab: { type: 'http', config: { address: 'https://state.example.com/{key}' } }
+    });
+    process.env.DEFAULT_BACKEND_PROFILE = 'shared';
+    assert.deepEqual(await listBackendProfiles(), [
+      { name: 'lab', type: 'http', description: null, workspaces: false, default: false },
+      { name: 'shared', type: 's3', description: 'Shared bucket', workspaces: true, default: true }
+    ]);
+  });
+
+  it('rejects profiles files it cannot use', async () => {
+    const invalid = [
+      ['{ not json', /Unable to read BACKEND_PROFILES_FILE/],
+      [[{ type: 's3' }], /must hold a JSON object of profiles/],
+      [{ bad: { type: 'ftp' } }, /"bad" must have a type of s3, http, pg, consul, local/],
+      [{ bad: null }, /"bad" must have a type of/],
+      [{ bad: { type: 's3', config: ['bucket'] } }, /config of backend profile "bad" must be an object/],
+      [{ bad: { type: 'http', config: {} } }, /"bad" needs a config.address/],
+      [{ bad: { type: 'local', directory: 'relative/state' } }, /"bad" needs an absolute directory/]
+    ];
+    for (const [profiles, message] of invalid) {
+      await useProfiles(profiles);
+      await assert.rejects(listBackendProfiles(), { code: 'INVALID_BACKEND_PROFILES', message });
+      await assert.rejects(resolveBackend('web', 'bad'), { code: 'INVALID_BACKEND_PROFILES' });
+    }
+  });
+
+  it('gives each deployment a state of its own in every backend type', async () => {
+    await useProfiles({
+      s3: { type: 's3', config: { bucket: 'state', region: 'eu-north-1' } },
+      s3prefixed: { type: 's3', keyPrefix: 'teams/web/', config: { bucket: 'state' } },
+      http: {
+        type: 'http',
+        config: { address: 'https://state.example.com/v1/{key}/state', lock_address: 'https://state.example.com/v1/{key}/lock', lock_method: 'LOCK' }
+      },
+      httpAppended: { type: 'http', config: { address: 'https://state.example.com/states//' } },
+      pg: { type: 'pg', config: { conn_str: 'postgres://state@db/state' } },
+      consul: { type: 'consul', keyPrefix: 'infra/', config: { address: 'consul:8500' } },
+      local: { type: 'local', directory: '/srv/state' }
+    });
+
+    assert.deepEqual(await resolveBackend('web-1', 's3'), {
+      profile: 's3',
+      type: 's3',
+      workspaces: true,
+      location: 's3://state/opentofu-deployer/web-1/terraform.tfstate',
+      settings: { bucket: 'state', region: 'eu-north-1', key: 'opentofu-deployer/web-1/terraform.tfstate' }
+    });
+    assert.equal((await resolveBackend('web-1', 's3prefixed')).settings.key, 'teams/web/web-1/terraform.tfstate');
+
+    const httpBackend = await resolveBackend('web-1', 'http');
+    assert.equal(httpBackend.workspaces, false);
+    assert.deepEqual(httpBackend.settings, {
+      address: 'https://state.example.com/v1/web-1/state',
+      lock_address: 'https://state.example.com/v1/web-1/lock',
+      lock_method: 'LOCK'
+    });
+    assert.equal(httpBackend.location, 'https://state.example.com/v1/web-1/state');
+    assert.equal((await resolveBackend('web-1', 'httpAppended')).settings.address, 'https://state.example.com/states/web-1');
+
+    // Schema names only take lower-case letters, digits and underscores
+    const pg = await resolveBackend('Web-App.2', 'pg');
+    assert.equal(pg.settings.schema_name, 'deployer_web_app_2');
+    assert.equal(pg.location, 'schema deployer_web_app_2');
+
+    assert.equal((await resolveBackend('web-1', 'consul')).settings.path, 'infra/web-1');
+    assert.deepEqual((await resolveBackend('web-1', 'local')).settings, {
+      path: path.join('/srv/state', 'web-1', 'terraform.tfstate'),
+      workspace_dir: path.join('/srv/state', 'web-1', 'terraform.tfstate.d')
+    });
+  });
+
+  it('uses the default profile unless the deployment chooses one or none', async () => {
+    await useProfiles({ shared: { type: 'consul', config: {} } });
+    assert.equal(await resolveBackend('web', undefined), null);
+
+    process.env.DEFAULT_BACKEND_PROFILE = 'shared';
+    assert.equal((await resolveBackend('web', undefined)).profile, 'shared');
+    assert.equal(await resolveBackend('web', null), null);
+    assert.equal(await resolveBackend('web', ''), null);
+  });
+
+  it('rejects unknown profiles and IDs that cannot be state keys', async () => {
+    await useProfiles({ shared: { type: 'local', directory: '/srv/state' } });
+    await assert.rejects(resolveBackend('web', 'missing'), { code: 'UNKNOWN_BACKEND_PROFILE', message: 'Unknown backend profile: missing' });
+    await assert.rejects(resolveBackend('web', 'toString'), { code: 'UNKNOWN_BACKEND_PROFILE' });
+    await assert.rejects(resolveBackend('../web', 'shared'), { code: 'INVALID_DEPLOYMENT_ID' });
+  });
+
+  it('describes backends for manifests without their settings', async () => {
+    await useProfiles({ shared: { type: 's3', config: { bucket: 'state', secret_key: 'secret' } } });
+    assert.deepEqual(describeBackend(await resolveBackend('web', 'shared')), {
+      profile: 'shared',
+      type: 's3',
+      workspaces: true,
+      location: 's3://state/opentofu-deployer/web/terraform.tfstate'
+    });
+    assert.equal(describeBackend(null), null);
+  });
+});
+
+describe('environments and state', () => {
+  it('runs environments in workspaces of backends that have them', () => {
+    assert.equal(getEnvironmentWorkspace('prod', null), 'prod');
+    assert.equal(getEnvironmentWorkspace('prod', { workspaces: true }), 'prod');
+    assert.equal(getEnvironmentWorkspace('prod', { workspaces: false }), null);
+    assert.equal(getEnvironmentWorkspace(null, { workspaces: true }), null);
+  });
+
+  it('takes deployments to have backend state from their first apply until destroyed', () => {
+    const backend = { profile: 'shared', type: 's3' };
+    assert.equal(hasBackendState({ backend, lastApplied: { at: 'now' }, status: 'succeeded' }), true);
+    assert.equal(hasBackendState({ backend, lastApplied: null, status: 'planning' }), false);
+    assert.equal(hasBackendState({ backend, lastApplied: { at: 'now' }, status: 'destroyed' }), false);
+    assert.equal(hasBackendState({ backend: null, lastApplied: { at: 'now' }, status: 'succeeded' }), false);
+    assert.equal(hasBackendState(null), false);
+  });
+});
+
+describe('backend configuration files', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-backend-config-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes the backend type and the settings of the deployment', async () => {
+    const backend = {
+      profile: 'shared',
+      type: 's3',
+      settings: { bucket: 'state', key: 'opentofu-deployer/web/terraform.tfstate', use_path_style: true, max_retries: 3 }
+    };
+    await writeBackendConfig(dir, backend);
+
+    assert.equal(await fs.readFile(path.join(dir, 'deployer_backend_override.tf'), 'utf-8'),
+      '# Generated by the deployer from backend profile "shared"\nterraform {\n  backend "s3" {}\n}\n');
+
+    const configFile = await findBackendConfig(dir);
+    assert.equal(configFile, path.join('.deployer', 'backend.tfbackend'));
+    const content = await fs.readFile(path.join(dir, configFile), 'utf-8');
+    assert.equal(content, [
+      'bucket = "state"',
+      'key = "opentofu-deployer/web/terraform.tfstate"',
+      'use_path_style = true',
+      'max_retries = 3',
+      ''
+    ].join('\n'));
+    const values = Object.fromEntries(Object.entries(parseTfvarsContent(content, 'backend.tfbackend'))
+      .map(([name, variable]) => [name, variable.value]));
+    assert.deepEqual(values, backend.settings);
+    // Settings may hold credentials
+    assert.equal((await fs.stat(path.join(dir, configFile))).mode & 0o777, 0o600);
+  });
+
+  it('removes the configuration of deployments that keep their state locally', async () => {
+    await writeBackendConfig(dir, { profile: 'shared', type: 'consul', settings: { path: 'web' } });
+    await writeBackendConfig(dir, null);
+    assert.equal(await findBackendConfig(dir), null);
+    await assert.rejects(fs.access(path.join(dir, 'deployer_backend_override.tf')), { code: 'ENOENT' });
+  });
+});
+
+describe('HTTP state server', { skip: !hasTofu() && 'OpenTofu is not installed' }, () => {
+  const states = new Map();
+  let server;
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-http-state-'));
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        if (req.method === 'GET') {
+          res.writeHead(states.has(req.url) ? 200 : 404);
+          res.end(states.get(req.url));
+        } else if (req.method === 'POST') {
+          states.set(req.url, Buffer.concat(chunks).toString('utf-8'));
+          res.writeHead(200);
+          res.end();
+        } else if (req.method === 'DELETE') {
+          states.delete(req.url);
+          res.writeHead(200);
+          res.end();
+        } else {
+          res.writeHead(405);
+          res.end();
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.BACKEND_PROFILES_FILE = path.join(dir, 'backends.json');
+    await fs.writeFile(process.env.BACKEND_PROFILES_FILE, JSON.stringify({
+      lab: { type: 'http', config: { address: `http://127.0.0.1:${server.address().port}/states/{key}` } }
+    }));
+  });
+
+  after(async () => {
+    delete process.env.BACKEND_PROFILES_FILE;
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the state of a deployment at its own address', async () => {
+    const deploymentDir = path.join(dir, 'web-1');
+    await fs.mkdir(deploymentDir);
+    await fs.writeFile(path.join(deploymentDir, 'main.tf'), 'resource "terraform_data" "marker" {\n  input = "web-1"\n}\n');
+    await writeBackendConfig(deploymentDir, await resolveBackend('web-1', 'lab'));
+
+    const tofu = args => execFileAsync('tofu', args, { cwd: deploymentDir, timeout: 120 * 1000 });
+    await tofu(['init', '-input=false', '-no-color', `-backend-config=${await findBackendConfig(deploymentDir)}`]);
+    await tofu(['apply', '-auto-approve', '-input=false', '-no-color']);
+
+    assert.deepEqual([...states.keys()], ['/states/web-1']);
+    const state = JSON.parse(states.get('/states/web-1'));
+    assert.deepEqual(state.resources.map(resource => `${resource.type}.${resource.name}`), ['terraform_data.marker']);
+    await assert.rejects(fs.access(path.join(deploymentDir, 'terraform.tfstate')), { code: 'ENOENT' });
+
+    await tofu(['destroy', '-auto-approve', '-input=false', '-no-color']);
+    assert.deepEqual(JSON.parse(states.get('/states/web-1')).resources, []);
+  });
+});
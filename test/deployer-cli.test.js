@@ -0,0 +1,282 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EXIT_SUCCESS, EXIT_FAILURE, EXIT_USAGE, parseAssignments, main } from '../bin/deployer.js';
+import { parseTerraformConfig, toFormVariables } from '../src/utils/terraform-parser.js';
+import { importTfvars } from '../src/services/tfvars-service.js';
+
+const MODULE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'modules', 'web-app', 'main.tf');
+
+/**
+ * Capture the text written to a stream
+ * The test runner reports through stdout too, with buffers, which are passed on.
+ * @param {Object} stream - process.stdout or process.stderr
+ * @param {string[]} chunks - Array the text is added to
+ * @returns {Object} Mock to restore
+ */
+function capture(stream, chunks) {
+  const write = stream.write;
+  return mock.method(stream, 'write', (chunk, ...rest) => (
+    typeof chunk === 'string' ? chunks.push(chunk) > 0 : write.call(stream, chunk, ...rest)
+  ));
+}
+
+/**
+ * Run the command line, capturing what it prints
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+async function run(args) {
+  const stdout = [];
+  const stderr = [];
+  const out = capture(process.stdout, stdout);
+  const err = capture(process.stderr, stderr);
+  try {
+    const code = await main(args);
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+  } finally {
+    out.mock.restore();
+    err.mock.restore();
+  }
+}
+
+describe('parseAssignments', () => {
+  it('splits at the first equals sign', () => {
+    assert.deepEqual(parseAssignments(['name=web', ' spaced =x', 'query=a=b', 'empty=']), [
+      ['name', 'web'],
+      ['spaced', 'x'],
+      ['query', 'a=b'],
+      ['empty', '']
+    ]);
+    assert.deepEqual(parseAssignments(undefined), []);
+  });
+
+  it('rejects assignments without a name', () => {
+    assert.throws(() => parseAssignments(['web']), { code: 'USAGE' });
+    assert.throws(() => parseAssignments(['=web']), { code: 'USAGE' });
+  });
+});
+
+describe('command line', () => {
+  it('prints the help', async () => {
+    for (const args of [[], ['--help'], ['-h']]) {
+      const { code, stdout } = await run(args);
+      assert.equal(code, EXIT_SUCCESS);
+      assert.match(stdout, /^Usage: deployer <command> \[options\]/);
+    }
+    const { code, stdout } = await run(['deploy', '--help']);
+    assert.equal(code, EXIT_SUCCESS);
+    assert.match(stdout, /^Usage: deployer deploy <repository-url>/);
+  });
+
+  it('exits with the usage code for unknown commands and options', async () => {
+    const unknownCommand = await run(['launch']);
+    assert.equal(unknownCommand.code, EXIT_USAGE);
+    assert.match(unknownCommand.stderr, /^Usage: deployer/);
+
+    const unknownOption = await run(['list', '--bogus']);
+    assert.equal(unknownOption.code, EXIT_USAGE);
+    assert.match(unknownOption.stderr, /Unknown option '--bogus'/);
+    assert.match(unknownOption.stderr, /Run deployer list --help for its usage/);
+  });
+
+  it('exits with the usage code for missing arguments', async () => {
+    for (const command of ['deploy', 'parse']) {
+      const { code, stderr } = await run([command]);
+      assert.equal(code, EXIT_USAGE);
+      assert.match(stderr, /A repository URL is required/);
+    }
+    for (const command of ['apply', 'destroy', 'status', 'logs', 'outputs']) {
+      assert.equal((await run([command])).code, EXIT_USAGE);
+    }
+  });
+});
+
+describe('against a deployer', () => {
+  const requests = [];
+  let terraformVariables;
+  let server;
+  let url;
+  let dir;
+  let deployResponse;
+  let deployments;
+  let logEntries;
+
+  before(async () => {
+    terraformVariables = toFormVariables(parseTerraformConfig(await fs.readFile(MODULE_FILE, 'utf-8'), 'main.tf').variables);
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-cli-'));
+    delete process.env.DEPLOYER_TOKEN;
+    delete process.env.DEPLOYER_USERNAME;
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const data = body ? JSON.parse(body) : {};
+        requests.push({ method: req.method, path: req.url, body: data });
+        const send = (status, payload) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+        };
+
+        if (req.url === '/api/parse-repository-url') {
+          return send(200, { host: 'github.com', owner: 'acme', repo: 'infra', branch: 'main', path: 'web-app', terraformVariables });
+        }
+        if (req.url === '/api/tfvars/import') {
+          return send(200, importTfvars(data.content, data.filename, data.repoData.terraformVariables));
+        }
+        if (req.url === '/api/deploy') {
+          return send(...deployResponse);
+        }
+        if (req.url === '/api/deployments') {
+          return send(200, deployments);
+        }
+        if (req.url === '/api/deployments/deploy-1/logs?follow=true') {
+          res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+          return res.end(logEntries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        }
+        send(404, { error: 'Not found' });
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    deployResponse = [200, { success: true, deploymentId: 'deploy-1', queue: null }];
+  });
+
+  function deploy(...args) {
+    return run(['deploy', 'https://github.com/acme/infra/tree/main/web-app', '--url', url, '--detach', ...args]);
+  }
+
+  function deployedVariables() {
+    const request = requests.find(entry => entry.path === '/api/deploy');
+    return request && request.body.variables;
+  }
+
+  it('sends --var values, reading values of other types than string as HCL', async () => {
+    const { code } = await deploy(
+      '--var', 'app_name=shop',
+      '--var', 'api_key=s3cr=t',
+      '--var', 'replicas=3',
+      '--var', 'ports=[8080, 8443]',
+      '--var', 'settings={ log_level = "debug" }',
+      '--var', 'greeting=[not, a, list]'
+    );
+    assert.equal(code, EXIT_SUCCESS);
+    assert.deepEqual(deployedVariables(), {
+      app_name: 'shop',
+      api_key: 's3cr=t',
+      greeting: '[not, a, list]',
+      replicas: 3,
+      ports: [8080, 8443],
+      settings: { log_level: 'debug' }
+    });
+  });
+
+  it('reads --var-file, with --var and later files winning', async () => {
+    const first = path.join(dir, 'first.tfvars');
+    const second = path.join(dir, 'second.tfvars.json');
+    await fs.writeFile(first, 'app_name = "from-file"\nenvironment = "staging"\nreplicas = 1\n');
+    await fs.writeFile(second, JSON.stringify({ environment: 'prod', api_key: 'key' }));
+
+    const { code } = await deploy('--var-file', first, '--var-file', second, '--var', 'replicas=5');
+    assert.equal(code, EXIT_SUCCESS);
+    assert.deepEqual(deployedVariables(), { app_name: 'from-file', environment: 'prod', replicas: 5, api_key: 'key' });
+  });
+
+  it('warns about variables a file sets that the module does not declare', async () => {
+    const file = path.join(dir, 'extra.tfvars');
+    await fs.writeFile(file, 'app_name = "shop"\napi_key = "key"\nunused = 1\n');
+
+    const { code, stderr } = await deploy('--var-file', file);
+    assert.equal(code, EXIT_SUCCESS);
+    assert.match(stderr, /extra\.tfvars sets unused, which the module does not declare/);
+    assert.deepEqual(deployedVariables(), { app_name: 'shop', api_key: 'key' });
+  });
+
+  it('exits with the usage code when required variables have no value', async () => {
+    const { code, stderr } = await deploy('--var', 'app_name=shop');
+    assert.equal(code, EXIT_USAGE);
+    assert.match(stderr, /Required variables have no value: api_key\./);
+    assert.equal(deployedVariables(), undefined);
+
+    const file = path.join(dir, 'null.tfvars');
+    await fs.writeFile(file, 'app_name = "shop"\napi_key = null\n');
+    assert.equal((await deploy('--var-file', file)).code, EXIT_USAGE);
+  });
+
+  it('exits with the usage code for values that cannot be used', async () => {
+    const unknown = await deploy('--var', 'app_name=shop', '--var', 'api_key=k', '--var', 'region=eu');
+    assert.equal(unknown.code, EXIT_USAGE);
+    assert.match(unknown.stderr, /does not declare a variable named region/);
+
+    const mistyped = await deploy('--var', 'app_name=shop', '--var', 'api_key=k', '--var', 'replicas="many"');
+    assert.equal(mistyped.code, EXIT_USAGE);
+    assert.match(mistyped.stderr, /--var: replicas: /);
+
+    const missingFile = await deploy('--var-file', path.join(dir, 'missing.tfvars'));
+    assert.equal(missingFile.code, EXIT_USAGE);
+    assert.match(missingFile.stderr, /Unable to read .*missing\.tfvars/);
+
+    assert.equal(deployedVariables(), undefined);
+  });
+
+  it('exits with the failure code when the server rejects the deployment', async () => {
+    deployResponse = [422, {
+      error: 'Some variables do not pass validation',
+      code: 'VALIDATION_FAILED',
+      errors: [{ variable: 'app_name', file: 'main.tf', line: 5, message: 'The app name must be at most 20 characters.' }]
+    }];
+
+    const { code, stderr } = await deploy('--var', 'app_name=shop', '--var', 'api_key=k');
+    assert.equal(code, EXIT_FAILURE);
+    assert.match(stderr, /Error: Some variables do not pass validation/);
+    assert.match(stderr, /app_name \(main\.tf:5\): The app name must be at most 20 characters\./);
+
+    const json = await deploy('--var', 'app_name=shop', '--var', 'api_key=k', '--json');
+    assert.equal(json.code, EXIT_FAILURE);
+    assert.equal(JSON.parse(json.stdout).code, 'VALIDATION_FAILED');
+  });
+
+  it('lists deployments with missing fields', async () => {
+    deployments = [
+      { id: 'deploy-1', status: 'succeeded', environment: 'prod', updatedAt: '2026-01-02T03:04:05.000Z', description: 'Shop' },
+      { id: 'deploy-2' }
+    ];
+    const { code, stdout } = await run(['list', '--url', url]);
+    assert.equal(code, EXIT_SUCCESS);
+    assert.deepEqual(stdout.trimEnd().split('\n').map(line => line.split(/\s{2,}/)), [
+      ['ID', 'STATUS', 'ENVIRONMENT', 'UPDATED', 'DESCRIPTION'],
+      ['deploy-1', 'succeeded', 'prod', '2026-01-02T03:04:05.000Z', 'Shop'],
+      ['deploy-2', 'unknown', '-']
+    ]);
+  });
+
+  it('exits with the failure code when a followed log ends before the run finishes', async () => {
+    const output = { event: 'output', data: { message: 'Plan: 1 to add' } };
+    logEntries = [output, { event: 'deployment-complete', data: { success: true, message: 'Deployed' } }];
+    assert.equal((await run(['logs', 'deploy-1', '--follow', '--url', url])).code, EXIT_SUCCESS);
+
+    logEntries = [output, { event: 'deployment-complete', data: { success: false, message: 'Failed' } }];
+    assert.equal((await run(['logs', 'deploy-1', '--follow', '--url', url])).code, EXIT_FAILURE);
+
+    logEntries = [output];
+    const { code, stderr } = await run(['logs', 'deploy-1', '--follow', '--url', url]);
+    assert.equal(code, EXIT_FAILURE);
+    assert.match(stderr, /The log of deployment deploy-1 ended before the run finished/);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { replaceRepositoryFiles } from '../src/services/deployment-service.js';
+
+/**
+ * List every path below a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+async function listTree(dir) {
+  const entries = await fs.readdir(dir, { recursive: true });
+  return entries.map(entry => entry.split(path.sep).join('/')).sort();
+}
+
+describe('replaceRepositoryFiles', () => {
+  let deploymentDir;
+
+  beforeEach(async () => {
+    deploymentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-files-'));
+    const files = {
+      'main.tf': 'old',
+      'removed.tf': 'old',
+      'modules/net/main.tf': 'old',
+      'terraform.tfstate': 'state',
+      '.terraform.lock.hcl': 'old lock',
+      '.terraform/providers/marker': 'provider',
+      '.deployer/manifest.json': '{}'
+    };
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(deploymentDir, file)), { recursive: true });
+      await fs.writeFile(path.join(deploymentDir, file), content);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(deploymentDir, { recursive: true, force: true });
+  });
+
+  it('swaps in the new revision once it is downloaded', async () => {
+    const result = await replaceRepositoryFiles(deploymentDir, async (stagingDir) => {
+      // The current files are still there while downloading
+      assert.equal(await fs.readFile(path.join(deploymentDir, 'removed.tf'), 'utf-8'), 'old');
+      await fs.mkdir(path.join(stagingDir, 'modules', 'db'), { recursive: true });
+      await fs.writeFile(path.join(stagingDir, 'main.tf'), 'new');
+      await fs.writeFile(path.join(stagingDir, 'modules', 'db', 'main.tf'), 'new');
+      await fs.writeFile(path.join(stagingDir, '.terraform.lock.hcl'), 'new lock');
+      await fs.mkdir(path.join(stagingDir, '.terraform'));
+      return { files: 3 };
+    });
+
+    assert.deepEqual(result, { files: 3 });
+    assert.deepEqual(await listTree(deploymentDir), [
+      '.deployer', '.deployer/manifest.json',
+      '.terraform', '.terraform.lock.hcl', '.terraform/providers', '.terraform/providers/marker',
+      'main.tf', 'modules', 'modules/db', 'modules/db/main.tf',
+      'terraform.tfstate'
+    ]);
+    assert.equal(await fs.readFile(path.join(deploymentDir, 'main.tf'), 'utf-8'), 'new');
+    assert.equal(await fs.readFile(path.join(deploymentDir, '.terraform.lock.hcl'), 'utf-8'), 'new lock');
+    assert.equal(await fs.readFile(path.join(deploymentDir, 'terraform.tfstate'), 'utf-8'), 'state');
+  });
+
+  it('leaves the current revision in place when the download fails', async () => {
+    const before = await listTree(deploymentDir);
+    await assert.rejects(replaceRepositoryFiles(deploymentDir, async (stagingDir) => {
+      await fs.writeFile(path.join(stagingDir, 'main.tf'), 'partial');
+      throw new Error('Download failed');
+    }), { message: 'Download failed' });
+
+    assert.deepEqual(await listTree(deploymentDir), before);
+    assert.equal(await fs.readFile(path.join(deploymentDir, 'main.tf'), 'utf-8'), 'old');
+  });
+});
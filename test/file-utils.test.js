@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { isValidDeploymentId, getDeploymentDir, getDeploymentsDir } from '../src/utils/file-utils.js';
+
+describe('deployment IDs', () => {
+  it('accepts single directory names', () => {
+    for (const id of ['deploy-1', 'web_app.prod', 'a', '1.2.3', 'x'.repeat(128)]) {
+      assert.equal(isValidDeploymentId(id), true, id);
+      assert.equal(getDeploymentDir(id), path.join(getDeploymentsDir(), id));
+    }
+  });
+
+  it('rejects IDs that would leave the deployments directory or name its own files', () => {
+    for (const id of ['', '.', '..', '../x', 'a/b', 'a\\b', '/etc', '.users.json', '.deployer', 'a b', 'x'.repeat(129), undefined, 42]) {
+      assert.equal(isValidDeploymentId(id), false, String(id));
+      assert.throws(() => getDeploymentDir(id), { code: 'INVALID_DEPLOYMENT_ID' });
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Archive builders for tests
+ * Builds zip and tar archives byte by byte, so tests can craft entries no archiver would write
+ */
+
+import zlib from 'zlib';
+
+/**
+ * Build a tar header block
+ * @param {Object} entry - Entry with name, type flag, mode and linkname
+ * @param {number} size - Content size
+ * @returns {Buffer} Header block
+ */
+function buildTarHeader({ name, type = '0', mode = 0o644, linkname = '' }, size) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf-8');
+  header.write(`${mode.toString(8).padStart(7, '0')}\0`, 100, 'latin1');
+  header.write('0000000\0', 108, 'latin1');
+  header.write('0000000\0', 116, 'latin1');
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 'latin1');
+  header.write('00000000000\0', 136, 'latin1');
+  header.write(type, 156, 'latin1');
+  header.write(linkname, 157, 100, 'utf-8');
+  header.write('ustar\x0000', 257, 'latin1');
+
+  // The checksum is counted with its own field as spaces
+  header.fill(0x20, 148, 156);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 'latin1');
+  return header;
+}
+
+/**
+ * Build a tar archive
+ * @param {Array} entries - Entries with name, content, type flag ('0' file, '5' directory, '1' hard link,
+ *   '2' symbolic link), mode and linkname
+ * @returns {Buffer} Tar archive
+ */
+function buildTar(entries) {
+  const blocks = entries.flatMap((entry) => {
+    const content = Buffer.from(entry.content || '');
+    return [buildTarHeader(entry, content.length), content, Buffer.alloc((512 - (content.length % 512)) % 512)];
+  });
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+/**
+ * Build a gzip-compressed tar archive
+ * @param {Array} entries - Entries, as for buildTar
+ * @returns {Buffer} Compressed tar archive
+ */
+function buildTarGz(entries) {
+  return zlib.gzipSync(buildTar(entries));
+}
+
+/**
+ * Build a zip archive, made on Unix so entries carry a file mode
+ * @param {Array} entries - Entries with name, content, mode (defaults to a regular file), method
+ *   (0 stored, 8 deflated) and size, the uncompressed size to declare if not the real one
+ * @returns {Buffer} Zip archive
+ */
+function buildZip(entries) {
+  const records = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, content = '', mode = 0o100644, method = 8, size } of entries) {
+    const data = Buffer.from(content);
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name, 'utf-8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size ?? data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt8(20, 4);
+    central.writeUInt8(3, 5);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size ?? data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(mode * 0x10000, 38);
+    central.writeUInt32LE(offset, 42);
+
+    records.push(local, nameBytes, compressed);
+    directory.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...records, directoryBytes, end]);
+}
+
+export {
+  buildTar,
+  buildTarGz,
+  buildZip
+};
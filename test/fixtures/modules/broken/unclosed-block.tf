@@ -0,0 +1,6 @@
+variable "name" {
+  type = string
+
+variable "other" {
+  default = 1
+}
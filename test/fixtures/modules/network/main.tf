@@ -0,0 +1,38 @@
+locals {
+  public_subnets = { for name, subnet in var.subnets : name => subnet if subnet.public }
+  subnet_names   = [for name in keys(var.subnets) : upper(name)]
+  vpc_name       = "${var.name}-vpc"
+  zones          = { for name, subnet in var.subnets : name => coalesce(subnet.zone, "${var.region}a") }
+}
+
+resource "aws_vpc" "this" {
+  cidr_block = var.cidr_block
+  tags       = merge(var.tags, { Name = local.vpc_name })
+}
+
+resource "aws_subnet" "this" {
+  for_each = var.subnets
+
+  vpc_id                  = aws_vpc.this.id
+  cidr_block              = each.value.cidr
+  availability_zone       = local.zones[each.key]
+  map_public_ip_on_launch = each.value.public
+}
+
+module "nat" {
+  source  = "terraform-aws-modules/nat/aws"
+  version = "1.2.0"
+  count   = var.enable_nat ? 1 : 0
+
+  vpc_id  = aws_vpc.this.id
+  subnets = [for name, subnet in local.public_subnets : aws_subnet.this[name].id]
+}
+
+output "vpc_id" {
+  description = "ID of the VPC"
+  value       = aws_vpc.this.id
+}
+
+output "subnet_ids" {
+  value = { for name, subnet in aws_subnet.this : name => subnet.id }
+}
@@ -0,0 +1,55 @@
+# Network layout of one environment
+// Both comment styles are used in the wild
+/*
+ * Block comments too, spanning lines
+ */
+
+variable "name" {
+  description = "Name prefix of every resource" # trailing comment
+  type        = string
+}
+
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "eu-north-1"
+
+  validation {
+    condition     = can(regex("^[a-z]{2}-[a-z]+-[0-9]$", var.region))
+    error_message = "Region must look like eu-north-1."
+  }
+}
+
+variable "cidr_block" {
+  type    = string
+  default = "10.0.0.0/16"
+}
+
+variable "subnets" {
+  description = "Subnets to create, keyed by name"
+  type = map(object({
+    cidr   = string
+    public = optional(bool, false)
+    zone   = optional(string)
+  }))
+  default = {
+    app = { cidr = "10.0.1.0/24" }
+    lb  = { cidr = "10.0.2.0/24", public = true }
+  }
+}
+
+variable "tags" {
+  type    = map(string)
+  default = {}
+}
+
+variable "enable_nat" {
+  type     = bool
+  default  = true
+  nullable = false
+}
+
+variable "flow_log_retention" {
+  type    = number
+  default = null
+}
@@ -0,0 +1,30 @@
+terraform {
+  required_version = ">= 1.6.0"
+
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+    random = {
+      source  = "hashicorp/random"
+      version = ">= 3.5"
+    }
+    # Before 0.13 only a version constraint was given
+    null = "~> 3.0"
+  }
+
+  backend "s3" {
+    bucket = "acme-tofu-state"
+    key    = "network/terraform.tfstate"
+    region = "eu-north-1"
+  }
+}
+
+provider "aws" {
+  region = var.region
+
+  default_tags {
+    tags = var.tags
+  }
+}
@@ -0,0 +1,78 @@
+variable "app_name" {
+  type = string
+
+  validation {
+    condition     = length(var.app_name) <= 20
+    error_message = "The app name must be at most 20 characters."
+  }
+}
+
+variable "environment" {
+  type    = string
+  default = "dev"
+
+  validation {
+    condition     = contains(["dev", "staging", "prod"], var.environment)
+    error_message = "Environment must be dev, staging or prod."
+  }
+}
+
+variable "replicas" {
+  type    = number
+  default = 2
+}
+
+variable "startup_script" {
+  description = <<-EOT
+    Script run when an instance boots.
+      Relative indentation is kept.
+  EOT
+  type        = string
+  default     = <<SCRIPT
+#!/bin/sh
+echo "starting in $${HOME}"
+SCRIPT
+}
+
+variable "greeting" {
+  type    = string
+  default = "Hello from $${app}, 100%%{sure}"
+}
+
+variable "api_key" {
+  type      = string
+  sensitive = true
+}
+
+variable "ports" {
+  type    = list(number)
+  default = [80, 443]
+}
+
+variable "settings" {
+  type = object({
+    log_level = optional(string, "info")
+    features  = optional(list(string), [])
+    limits    = optional(object({ cpu = string, memory = string }))
+  })
+  default = {}
+}
+
+locals {
+  full_name = "${var.app_name}-${var.environment}"
+  banner    = <<-EOT
+    %{ for port in var.ports ~}
+    listening on ${port}
+    %{ endfor ~}
+  EOT
+  labels    = { for index, port in var.ports : "port-${index}" => port }
+}
+
+output "url" {
+  value = "https://${local.full_name}.example.com"
+}
+
+output "api_key" {
+  value     = var.api_key
+  sensitive = true
+}
@@ -0,0 +1,50 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { parseUrl, resolveCommitSha } from '../src/services/source-providers/git.js';
+
+describe('git remotes over plain HTTP', () => {
+  const requests = [];
+  let server;
+  let port;
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-git-'));
+    process.env.ACCESS_TOKENS_FILE = path.join(dir, 'access-tokens.json');
+    process.env.SOURCE_ACCESS_TOKENS = '127.0.0.1=secret-token';
+
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+    delete process.env.ACCESS_TOKENS_FILE;
+    delete process.env.SOURCE_ACCESS_TOKENS;
+  });
+
+  it('refuses remotes of hosts with a token without contacting them', async () => {
+    requests.length = 0;
+    const location = parseUrl(`git::http://127.0.0.1:${port}/acme/infra.git`);
+    await assert.rejects(resolveCommitSha(location, 'main'), { code: 'SOURCE_INSECURE_URL', host: '127.0.0.1' });
+    assert.deepEqual(requests, []);
+  });
+
+  it('reads remotes of hosts without a token anonymously', async () => {
+    requests.length = 0;
+    const location = parseUrl(`git::http://localhost:${port}/acme/infra.git`);
+    await assert.rejects(resolveCommitSha(location, 'main'), { code: 'SOURCE_NOT_FOUND' });
+    assert.ok(requests.length > 0);
+    assert.ok(requests.every(request => request.authorization === undefined));
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize,
+  parseHcl,
+  parseHclExpression,
+  evaluateExpression,
+  tryEvaluateExpression,
+  parseTypeConstraint,
+  formatTypeConstraint
+} from '../src/utils/hcl-parser.js';
+import { HCL_FUNCTIONS } from '../src/utils/hcl-functions.js';
+
+const scope = {
+  variables: {
+    var: {
+      name: 'shop',
+      ports: [80, 443],
+      subnets: {
+        app: { cidr: '10.0.1.0/24', public: false },
+        lb: { cidr: '10.0.2.0/24', public: true }
+      }
+    }
+  },
+  functions: HCL_FUNCTIONS
+};
+
+function evaluate(source) {
+  return evaluateExpression(parseHclExpression(source), scope);
+}
+
+describe('tokenize', () => {
+  it('drops all three comment styles', () => {
+    const source = '# hash\n// slashes\n/* block\n   comment */ a = 1 # trailing\n';
+    const types = tokenize(source).map((token) => token.type);
+    assert.deepEqual(types.filter((type) => type !== 'newline'), ['identifier', 'punctuation', 'number', 'eof']);
+  });
+});
+
+describe('parseHcl', () => {
+  it('reads attributes and labelled blocks around comments', () => {
+    const body = parseHcl('a = 1 // one\n/* two */ b = "s"\nblock "x" "y" {\n  # inner\n  c = true\n}\n');
+    assert.deepEqual(Object.keys(body.attributes), ['a', 'b']);
+    assert.equal(body.blocks.length, 1);
+    assert.deepEqual(body.blocks[0].labels, ['x', 'y']);
+    assert.equal(evaluateExpression(body.blocks[0].body.attributes.c.expression), true);
+  });
+
+  it('ignores a leading byte order mark', () => {
+    assert.deepEqual(Object.keys(parseHcl('\uFEFFa = 1\n').attributes), ['a']);
+  });
+});
+
+describe('heredocs', () => {
+  it('keeps the text of a plain heredoc as written', () => {
+    assert.equal(evaluate('<<EOT\n  indented\nflush\nEOT'), '  indented\nflush\n');
+  });
+
+  it('removes the common indentation of an indented heredoc', () => {
+    assert.equal(evaluate('<<-EOT\n    first\n      second\n  EOT'), 'first\n  second\n');
+  });
+
+  it('interpolates and unescapes inside heredocs', () => {
+    assert.equal(evaluate('<<EOT\n${var.name} $${literal} %%{literal}\nEOT'), 'shop ${literal} %{literal}\n');
+  });
+});
+
+describe('templates', () => {
+  it('interpolates references and keeps the type of a lone interpolation', () => {
+    assert.equal(evaluate('"${var.name}-${length(var.ports)}"'), 'shop-2');
+    assert.deepEqual(evaluate('"${var.ports}"'), [80, 443]);
+  });
+
+  it('unescapes $${ and %%{', () => {
+    assert.equal(evaluate('"$${a} %%{b}"'), '${a} %{b}');
+  });
+
+  it('leaves template directives to OpenTofu', () => {
+    const expression = parseHclExpression('"%{ if var.name == "shop" }yes%{ else }no%{ endif }"');
+    assert.equal(tryEvaluateExpression(expression, scope).known, false);
+  });
+});
+
+describe('for expressions', () => {
+  it('builds lists', () => {
+    assert.deepEqual(evaluate('[for name in keys(var.subnets) : upper(name)]'), ['APP', 'LB']);
+    assert.deepEqual(evaluate('[for subnet in var.subnets : subnet.cidr]'), ['10.0.1.0/24', '10.0.2.0/24']);
+  });
+
+  it('builds objects with conditions and index keys', () => {
+    assert.deepEqual(evaluate('{ for name, subnet in var.subnets : name => subnet.cidr if subnet.public }'), { lb: '10.0.2.0/24' });
+    assert.deepEqual(evaluate('{ for i, port in var.ports : "port-${i}" => port }'), { 'port-0': 80, 'port-1': 443 });
+  });
+
+  it('groups values with an ellipsis', () => {
+    assert.deepEqual(evaluate('{ for name, subnet in var.subnets : subnet.public => name... }'), { false: ['app'], true: ['lb'] });
+  });
+});
+
+describe('unknown values', () => {
+  it('reports references outside the scope as unknown', () => {
+    assert.equal(tryEvaluateExpression(parseHclExpression('local.name'), scope).known, false);
+    assert.deepEqual(tryEvaluateExpression(parseHclExpression('var.name'), scope), { known: true, value: 'shop' });
+  });
+});
+
+describe('type constraints', () => {
+  it('parses optional() attributes with defaults', () => {
+    const type = parseTypeConstraint(parseHclExpression('object({ name = string, size = optional(number, 1), tags = optional(map(string)) })'));
+    assert.deepEqual(type, {
+      type: 'object',
+      attributes: {
+        name: { type: 'string' },
+        size: { type: 'number', optional: true, default: 1 },
+        tags: { type: 'map', element: { type: 'string' }, optional: true }
+      }
+    });
+    assert.equal(formatTypeConstraint(type), 'object({ name = string, size = optional(number, 1), tags = optional(map(string)) })');
+  });
+
+  it('rejects optional() outside object attributes', () => {
+    assert.throws(() => parseTypeConstraint(parseHclExpression('optional(string)')));
+  });
+});
+
+describe('syntax errors', () => {
+  it('reports the file, line and column', () => {
+    assert.throws(() => parseHcl('a = 1\nb = [1, 2,,]\n', 'main.tf'), {
+      code: 'HCL_PARSE_ERROR',
+      file: 'main.tf',
+      line: 2,
+      column: 11
+    });
+  });
+
+  it('reports unterminated strings and templates', () => {
+    assert.throws(() => parseHcl('a = "open\n'), { code: 'HCL_PARSE_ERROR', line: 1 });
+    assert.throws(() => parseHcl('a = <<EOT\n${var.name\nEOT\n'), { code: 'HCL_PARSE_ERROR', message: /Unterminated/ });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeHclValue, formatHclString } from '../src/utils/hcl-serializer.js';
+import { parseTfvarsContent, parseTerraformVariables } from '../src/utils/terraform-parser.js';
+import { generateTfvarsContent } from '../src/services/deployment-service.js';
+
+/**
+ * Write values as a tfvars file and read them back
+ * @param {Object} values - Values keyed by variable name
+ * @param {Object} [definitions] - Form variables with the type constraints
+ * @returns {Object} Values read back, keyed by variable name
+ */
+function roundTrip(values, definitions = {}) {
+  const parsed = parseTfvarsContent(generateTfvarsContent(values, definitions), 'terraform.tfvars');
+  return Object.fromEntries(Object.entries(parsed).map(([name, variable]) => [name, variable.value]));
+}
+
+const definitions = parseTerraformVariables(`
+variable "clusters" {
+  type = map(object({
+    size  = number
+    zones = list(string)
+    tags  = optional(map(string))
+  }))
+}
+
+variable "ports" {
+  type = set(number)
+}
+
+variable "script" {
+  type = string
+}
+`, 'variables.tf');
+
+describe('round trip through tfvars', () => {
+  it('keeps nested objects and lists', () => {
+    const values = {
+      clusters: {
+        main: { size: 3, zones: ['a', 'b'], tags: { team: 'web', 'cost center': '42' } },
+        'eu-west': { size: 1, zones: [], tags: {} }
+      },
+      ports: [80, 443],
+      matrix: [[1, 2], [3, [4, { deep: true }]]]
+    };
+    assert.deepEqual(roundTrip(values, definitions), values);
+  });
+
+  it('keeps values converted to their types', () => {
+    assert.deepEqual(
+      roundTrip({ clusters: { main: { size: '3', zones: ['a'] } }, ports: ['22'] }, definitions),
+      { clusters: { main: { size: 3, zones: ['a'] } }, ports: [22] }
+    );
+  });
+
+  it('keeps keys that need quoting', () => {
+    const values = { settings: { for: 1, 'with space': 2, '1st': 3, 'dash-ok': 4, 'ünïcode': 5 } };
+    assert.deepEqual(roundTrip(values), values);
+  });
+
+  it('keeps multi-line strings written as heredocs', () => {
+    const script = '#!/bin/sh\necho "${HOME}" 100%{x}\n  indented\n';
+    const content = generateTfvarsContent({ script }, definitions);
+    assert.match(content, /^script = <<EOT\n/);
+    assert.deepEqual(roundTrip({ script }, definitions), { script });
+  });
+
+  it('picks a heredoc marker that does not occur in the string', () => {
+    const script = 'first\nEOT\nEOT1\n';
+    assert.match(generateTfvarsContent({ script }, definitions), /^script = <<EOT2\n/);
+    assert.deepEqual(roundTrip({ script }, definitions), { script });
+  });
+
+  it('quotes multi-line strings that cannot be heredocs', () => {
+    const values = { text: 'no trailing newline\nhere', bell: 'ring\u0007\n' };
+    assert.deepEqual(roundTrip(values), values);
+  });
+
+  it('escapes template sequences and special characters', () => {
+    const values = {
+      template: '${var.secret} and %{ if true }x%{ endif }',
+      escaped: 'already $${escaped} and %%{escaped}',
+      special: 'quote " backslash \\ tab \t unicode \u0001 emoji 🚀'
+    };
+    assert.deepEqual(roundTrip(values), values);
+  });
+
+  it('keeps nulls inside lists and objects', () => {
+    const values = { settings: { name: null, items: [null, 1, { value: null }] } };
+    assert.deepEqual(roundTrip(values), values);
+  });
+
+  it('leaves out variables whose value is null so their default applies', () => {
+    assert.equal(generateTfvarsContent({ region: null, name: 'web' }), 'name = "web"\n');
+    assert.deepEqual(roundTrip({ region: null, name: 'web' }), { name: 'web' });
+  });
+});
+
+describe('serializeHclValue', () => {
+  it('writes null', () => {
+    assert.equal(serializeHclValue(null), 'null');
+    assert.equal(serializeHclValue(null, { type: 'string' }), 'null');
+  });
+
+  it('rejects values that do not match the type', () => {
+    assert.throws(() => serializeHclValue('many', { type: 'number' }), /Expected a number/);
+    assert.throws(() => serializeHclValue({}, { type: 'list', element: { type: 'string' } }), /Expected a list/);
+  });
+
+  it('escapes template sequences in quoted strings', () => {
+    assert.equal(formatHclString('${a} %{b}'), '"$${a} %%{b}"');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_CONCURRENT_JOBS,
+  getDeploymentJob,
+  reserveDeployment,
+  releaseDeployment,
+  enqueueJob,
+  cancelQueuedJob
+} from '../src/services/job-queue.js';
+
+/**
+ * Create a socket-like emitter that keeps what it is sent
+ * @returns {Object} Emitter with the events as { event, data }
+ */
+function createEmitter() {
+  const events = [];
+  return { events, emit: (event, data) => events.push({ event, data }) };
+}
+
+describe('cancelling jobs before they start', () => {
+  it('stops jobs still being prepared before their task runs', async () => {
+    const job = reserveDeployment('preparing-1', 'deploy');
+    assert.deepEqual(cancelQueuedJob('preparing-1'), { deploymentId: 'preparing-1', operation: 'deploy', state: 'preparing' });
+    // The deployment stays locked until its preparation is done
+    assert.equal(getDeploymentJob('preparing-1').state, 'preparing');
+    assert.throws(() => reserveDeployment('preparing-1', 'destroy'), { code: 'DEPLOYMENT_BUSY' });
+
+    const socket = createEmitter();
+    let ran = false;
+    const result = await enqueueJob(job, socket, async () => {
+      ran = true;
+    });
+
+    assert.deepEqual(result, { success: false, cancelled: true });
+    assert.equal(ran, false);
+    assert.equal(getDeploymentJob('preparing-1'), null);
+    assert.deepEqual(socket.events.map(({ event, data }) => [event, data.cancelled]), [['deployment-complete', true]]);
+  });
+
+  it('releases cancelled jobs whose preparation fails', () => {
+    const job = reserveDeployment('preparing-2', 'modify');
+    cancelQueuedJob('preparing-2');
+    releaseDeployment(job);
+    assert.equal(getDeploymentJob('preparing-2'), null);
+  });
+
+  it('drops queued jobs and leaves running ones alone', async () => {
+    const finish = [];
+    const running = Array.from({ length: MAX_CONCURRENT_JOBS }, (_, i) => {
+      const job = reserveDeployment(`running-${i}`, 'apply');
+      return enqueueJob(job, createEmitter(), () => new Promise(resolve => finish.push(resolve)));
+    });
+
+    const queued = reserveDeployment('queued-1', 'destroy');
+    const socket = createEmitter();
+    const result = enqueueJob(queued, socket, async () => ({ success: true }));
+    assert.equal(getDeploymentJob('queued-1').state, 'queued');
+
+    assert.equal(cancelQueuedJob('running-0'), null);
+    assert.deepEqual(cancelQueuedJob('queued-1'), { deploymentId: 'queued-1', operation: 'destroy', state: 'queued' });
+    assert.deepEqual(await result, { success: false, cancelled: true });
+    assert.equal(getDeploymentJob('queued-1'), null);
+    assert.equal(cancelQueuedJob('queued-1'), null);
+
+    finish.forEach(resolve => resolve({ success: true }));
+    assert.deepEqual(await Promise.all(running), running.map(() => ({ success: true })));
+  });
+});
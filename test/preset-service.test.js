@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { listPresets, savePreset } from '../src/services/preset-service.js';
+
+const location = { provider: 'github', host: 'github.com', owner: 'acme', repo: 'infra', branch: 'main', path: 'web' };
+const terraformVariables = { app_name: { type: 'string' }, api_key: { type: 'string', sensitive: true } };
+
+describe('presets', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-presets-'));
+    process.env.PRESETS_FILE = path.join(dir, 'presets.json');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    delete process.env.PRESETS_FILE;
+  });
+
+  it('saves values without sensitive and undeclared variables', async () => {
+    const { preset, excluded } = await savePreset(location, ' shop ', { app_name: 'shop', api_key: 'secret', region: 'eu' },
+      terraformVariables, 'alice');
+    assert.equal(preset.name, 'shop');
+    assert.deepEqual(preset.values, { app_name: 'shop' });
+    assert.deepEqual(excluded, ['api_key', 'region']);
+    assert.deepEqual(await listPresets({ ...location, branch: 'develop' }), [preset]);
+  });
+
+  it('rejects names and variables it cannot save with INVALID_PRESET', async () => {
+    for (const [name, variables] of [['', {}], ['x'.repeat(101), {}], ['shop', null], ['shop', ['app_name']]]) {
+      await assert.rejects(savePreset(location, name, variables, terraformVariables), { code: 'INVALID_PRESET' });
+    }
+  });
+
+  it('does not report failures to store presets as invalid presets', async () => {
+    // A directory cannot be read as the presets file
+    process.env.PRESETS_FILE = dir;
+    try {
+      await assert.rejects(savePreset(location, 'shop', {}, terraformVariables), { code: 'EISDIR' });
+    } finally {
+      process.env.PRESETS_FILE = path.join(dir, 'presets.json');
+    }
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('deployment secrets', () => {
+  let dir;
+  let store;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-secrets-'));
+    process.env.DEPLOYMENTS_DIR = dir;
+    process.env.DEPLOYER_MASTER_KEY = 'test-master-key';
+    // The deployments directory is read when the module is loaded
+    store = await import('../src/services/secret-store.js');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('stores entered values with the stored ones', async () => {
+    await store.resolveDeploymentSecrets('deploy-1', [], { password: 'one' });
+    const resolved = await store.resolveDeploymentSecrets('deploy-1', ['password', 'token'], { token: 'two' });
+    assert.deepEqual(resolved, { status: 'ok', values: { password: 'one', token: 'two' }, missing: [] });
+    assert.deepEqual((await store.loadDeploymentSecrets('deploy-1')).values, { password: 'one', token: 'two' });
+  });
+
+  it('resolves values without storing them when asked not to', async () => {
+    const resolved = await store.resolveDeploymentSecrets('deploy-2', ['token'], { password: 'one' }, { save: false });
+    assert.deepEqual(resolved, { status: 'missing', values: { password: 'one' }, missing: ['token'] });
+    await assert.rejects(fs.access(path.join(dir, 'deploy-2')), { code: 'ENOENT' });
+
+    await store.saveDeploymentSecrets('deploy-2', resolved.values);
+    assert.deepEqual(await store.loadDeploymentSecrets('deploy-2'), { status: 'ok', names: ['password'], values: { password: 'one' } });
+  });
+});
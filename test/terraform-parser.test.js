@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseTerraformConfig,
+  mergeTerraformConfigs,
+  toFormVariables
+} from '../src/utils/terraform-parser.js';
+
+const MODULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'modules');
+
+function readFixture(moduleName, fileName) {
+  return fs.readFileSync(path.join(MODULES_DIR, moduleName, fileName), 'utf-8');
+}
+
+function parseModule(moduleName) {
+  const files = fs.readdirSync(path.join(MODULES_DIR, moduleName)).filter((file) => file.endsWith('.tf')).sort();
+  return mergeTerraformConfigs(files.map((file) => parseTerraformConfig(readFixture(moduleName, file), file)));
+}
+
+describe('network module', () => {
+  const config = parseModule('network');
+
+  it('reads the terraform block', () => {
+    assert.equal(config.terraform.requiredVersion, '>= 1.6.0');
+    assert.deepEqual(config.terraform.requiredProviders, {
+      aws: { source: 'hashicorp/aws', version: '~> 5.0' },
+      random: { source: 'hashicorp/random', version: '>= 3.5' },
+      null: { source: null, version: '~> 3.0' }
+    });
+    assert.equal(config.terraform.backend.type, 's3');
+    assert.equal(config.terraform.backend.config.bucket.value, 'acme-tofu-state');
+  });
+
+  it('reads providers, modules, locals and outputs', () => {
+    assert.deepEqual(config.providers.map((provider) => provider.name), ['aws']);
+    assert.equal(config.modules.nat.source, 'terraform-aws-modules/nat/aws');
+    assert.equal(config.modules.nat.version, '1.2.0');
+    assert.deepEqual(Object.keys(config.locals), ['public_subnets', 'subnet_names', 'vpc_name', 'zones']);
+    assert.equal(config.locals.subnet_names.expression, '[for name in keys(var.subnets) : upper(name)]');
+    assert.equal(config.outputs.vpc_id.description, 'ID of the VPC');
+    assert.equal(config.outputs.subnet_ids.value, '{ for name, subnet in aws_subnet.this : name => subnet.id }');
+  });
+
+  it('reads variables despite comments', () => {
+    assert.deepEqual(Object.keys(config.variables), ['name', 'region', 'cidr_block', 'subnets', 'tags', 'enable_nat', 'flow_log_retention']);
+    assert.equal(config.variables.name.description, 'Name prefix of every resource');
+    assert.equal(config.variables.name.hasDefault, false);
+    assert.equal(config.variables.enable_nat.nullable, false);
+    assert.deepEqual(config.variables.region.validation, [{
+      condition: 'can(regex("^[a-z]{2}-[a-z]+-[0-9]$", var.region))',
+      errorMessage: 'Region must look like eu-north-1.',
+      file: 'variables.tf',
+      line: 17
+    }]);
+  });
+
+  it('reads optional() object attributes', () => {
+    const { subnets } = config.variables;
+    assert.deepEqual(subnets.type.element.attributes, {
+      cidr: { type: 'string' },
+      public: { type: 'bool', optional: true, default: false },
+      zone: { type: 'string', optional: true }
+    });
+    assert.deepEqual(subnets.default, {
+      app: { cidr: '10.0.1.0/24' },
+      lb: { cidr: '10.0.2.0/24', public: true }
+    });
+  });
+
+  it('tells an explicit null default from no default', () => {
+    assert.equal(config.variables.flow_log_retention.hasDefault, true);
+    assert.equal(config.variables.flow_log_retention.default, null);
+    assert.equal(config.variables.flow_log_retention.defaultExpression, 'null');
+  });
+
+  it('marks exactly the variables without a default as required', () => {
+    const form = toFormVariables(config.variables);
+    const required = Object.keys(form).filter((name) => form[name].required);
+    assert.deepEqual(required, ['name']);
+  });
+});
+
+describe('web-app module', () => {
+  const config = parseModule('web-app');
+
+  it('reads heredoc descriptions and defaults', () => {
+    const script = config.variables.startup_script;
+    assert.equal(script.description, 'Script run when an instance boots.\n  Relative indentation is kept.\n');
+    assert.equal(script.default, '#!/bin/sh\necho "starting in ${HOME}"\n');
+    assert.equal(script.defaultExpression, '<<SCRIPT\n#!/bin/sh\necho "starting in $${HOME}"\nSCRIPT');
+  });
+
+  it('unescapes template sequences in defaults', () => {
+    assert.equal(config.variables.greeting.default, 'Hello from ${app}, 100%{sure}');
+  });
+
+  it('keeps the source of locals with templates and for expressions', () => {
+    assert.equal(config.locals.full_name.expression, '"${var.app_name}-${var.environment}"');
+    assert.match(config.locals.banner.expression, /^<<-EOT\n {4}%\{ for port in var\.ports ~\}/);
+    assert.equal(config.locals.labels.expression, '{ for index, port in var.ports : "port-${index}" => port }');
+  });
+
+  it('formats nested optional() types for the form', () => {
+    const form = toFormVariables(config.variables);
+    assert.equal(
+      form.settings.terraformType,
+      'object({ log_level = optional(string, "info"), features = optional(list(string), []), limits = optional(object({ cpu = string, memory = string })) })'
+    );
+    assert.equal(form.api_key.sensitive, true);
+    assert.equal(form.api_key.required, true);
+    assert.equal(form.settings.required, false);
+    assert.equal(config.outputs.api_key.sensitive, true);
+  });
+
+  it('has no terraform block', () => {
+    assert.deepEqual(config.terraform, { requiredVersion: null, requiredProviders: {}, backend: null });
+  });
+});
+
+describe('syntax errors', () => {
+  const cases = [
+    ['unclosed-block.tf', 7, 1, 'Missing closing "}"'],
+    ['unterminated-string.tf', 2, 26, 'Unterminated string'],
+    ['bad-expression.tf', 2, 19, 'Expected an expression']
+  ];
+
+  cases.forEach(([file, line, column, message]) => {
+    it(`reports ${file} at ${line}:${column}`, () => {
+      assert.throws(() => parseTerraformConfig(readFixture('broken', file), file), {
+        code: 'HCL_PARSE_ERROR',
+        file,
+        line,
+        column,
+        message: `${file}:${line}:${column}: ${message}`
+      });
+    });
+  });
+});
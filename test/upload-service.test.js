@@ -0,0 +1,97 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildTarGz, buildZip } from './fixtures/archives.js';
+
+describe('uploads', () => {
+  let dir;
+  let uploads;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-uploads-'));
+    process.env.TEMP_DIR = path.join(dir, 'temp');
+    // The temp directory is read when the module is loaded
+    uploads = await import('../src/services/upload-service.js');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.UPLOAD_MAX_FILES;
+    delete process.env.UPLOAD_MAX_EXTRACTED_SIZE;
+  });
+
+  /**
+   * List the uploads kept in the temp directory
+   * @returns {Promise<string[]>} Upload IDs
+   */
+  async function listUploads() {
+    return fs.readdir(path.join(dir, 'temp', 'uploads')).catch(() => []);
+  }
+
+  /**
+   * Check that an archive is rejected and leaves nothing behind
+   * @param {Buffer} buffer - Archive
+   * @param {string} code - Expected error code
+   */
+  async function assertRejected(buffer, code) {
+    const before = await listUploads();
+    await assert.rejects(uploads.saveUpload({ buffer, originalname: 'infra.zip' }, 'alice'), { code });
+    assert.deepEqual(await listUploads(), before);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['temp']);
+  }
+
+  it('extracts archives and finds the configuration in them', async () => {
+    const buffer = buildZip([
+      { name: 'infra/main.tf', content: 'resource "terraform_data" "a" {}\n' },
+      { name: 'infra/modules/net/main.tf', content: '' },
+      { name: 'infra/link', content: '../..', mode: 0o120777 }
+    ]);
+    const upload = await uploads.saveUpload({ buffer, originalname: '../../infra.zip' }, 'alice');
+
+    assert.equal(upload.filename, 'infra.zip');
+    assert.equal(upload.format, 'zip');
+    assert.equal(upload.files, 2);
+    assert.deepEqual(upload.skipped, ['infra/link']);
+    assert.equal(upload.rootPath, 'infra');
+    assert.equal(upload.uploadedBy, 'alice');
+    assert.deepEqual(await uploads.getUpload(upload.id), upload);
+
+    const filesDir = uploads.getUploadFilesDir(upload.id);
+    assert.equal(filesDir, path.join(dir, 'temp', 'uploads', upload.id, 'files'));
+    assert.equal(await fs.readFile(path.join(filesDir, 'infra', 'main.tf'), 'utf-8'), 'resource "terraform_data" "a" {}\n');
+    await assert.rejects(fs.lstat(path.join(filesDir, 'infra', 'link')), { code: 'ENOENT' });
+  });
+
+  it('keeps the archive root when it has files of its own', async () => {
+    const upload = await uploads.saveUpload({
+      buffer: buildTarGz([{ name: 'main.tf', content: '' }, { name: 'modules/net/main.tf', content: '' }]),
+      originalname: 'infra.tar.gz'
+    });
+    assert.equal(upload.format, 'tar.gz');
+    assert.equal(upload.rootPath, '');
+    assert.equal(upload.uploadedBy, null);
+  });
+
+  it('rejects archives with entries outside the archive or with absolute paths', async () => {
+    await assertRejected(buildZip([{ name: 'main.tf', content: '' }, { name: '../../evil.tf', content: 'evil' }]), 'INVALID_ARCHIVE');
+    await assertRejected(buildTarGz([{ name: 'main.tf', content: '' }, { name: path.join(dir, 'evil.tf'), content: 'evil' }]), 'INVALID_ARCHIVE');
+  });
+
+  it('rejects archives beyond the configured limits', async () => {
+    process.env.UPLOAD_MAX_FILES = '2';
+    await assertRejected(buildZip(['a.tf', 'b.tf', 'c.tf'].map(name => ({ name, content: '' }))), 'ARCHIVE_TOO_LARGE');
+
+    process.env.UPLOAD_MAX_EXTRACTED_SIZE = '1';
+    await assertRejected(buildTarGz([{ name: 'large.bin', content: '\0'.repeat(2 * 1024 * 1024) }]), 'ARCHIVE_TOO_LARGE');
+  });
+
+  it('finds no uploads for IDs that are not upload IDs', async () => {
+    assert.equal(await uploads.getUpload('../../deployments'), null);
+    assert.equal(uploads.getUploadFilesDir('../x'), null);
+  });
+});
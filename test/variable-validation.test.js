@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkValidation, validateVariables } from '../src/utils/variable-validation.js';
+import { parseTerraformVariables } from '../src/utils/terraform-parser.js';
+
+const variables = parseTerraformVariables(`
+variable "a" {
+  type = string
+}
+
+variable "b" {
+  type    = string
+  default = "prod"
+
+  validation {
+    condition     = contains(["prod", "dev"], var.b)
+    error_message = "b must be prod or dev."
+  }
+}
+
+variable "size" {
+  type    = number
+  default = null
+
+  validation {
+    condition     = var.size == null ? true : var.size > 0
+    error_message = "size must be positive."
+  }
+}
+
+variable "name" {
+  type = string
+
+  validation {
+    condition     = length(var.name) <= 8 && var.name != var.b
+    error_message = "name must be short and differ from b."
+  }
+}
+`, 'variables.tf');
+
+describe('checkValidation', () => {
+  const rule = { condition: 'var.n > 1', errorMessage: 'n must exceed 1.' };
+
+  it('evaluates conditions against the values', () => {
+    assert.deepEqual(checkValidation(rule, { n: 2 }), { status: 'valid' });
+    assert.deepEqual(checkValidation(rule, { n: 1 }), { status: 'invalid', message: 'n must exceed 1.' });
+  });
+
+  it('leaves conditions on variables without a value unchecked', () => {
+    assert.deepEqual(checkValidation(rule, {}), { status: 'unknown' });
+    assert.deepEqual(checkValidation({ condition: 'var["n"] > 1', errorMessage: '' }, {}), { status: 'unknown' });
+  });
+
+  it('rejects values the condition fails to evaluate on', () => {
+    assert.equal(checkValidation({ condition: 'var.n.x', errorMessage: 'Bad.' }, { n: 'text' }).status, 'invalid');
+  });
+});
+
+describe('validateVariables', () => {
+  it('checks variables left out against their defaults', () => {
+    const result = validateVariables(variables, { a: '1', name: 'web' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.unchecked, []);
+  });
+
+  it('checks empty values against the default they fall back to', () => {
+    assert.deepEqual(validateVariables(variables, { a: '1', b: null, name: 'web' }).errors, []);
+  });
+
+  it('rejects entered values failing a rule', () => {
+    const { errors } = validateVariables(variables, { a: '1', b: 'staging', size: 0, name: 'web' });
+    assert.deepEqual(errors.map(({ variable, message }) => ({ variable, message })), [
+      { variable: 'b', message: 'b must be prod or dev.' },
+      { variable: 'size', message: 'size must be positive.' }
+    ]);
+  });
+
+  it('uses defaults in rules referencing other variables', () => {
+    const { errors } = validateVariables(variables, { a: '1', name: 'prod' });
+    assert.deepEqual(errors.map((error) => error.variable), ['name']);
+  });
+
+  it('leaves rules on required variables without a value unchecked', () => {
+    const result = validateVariables(variables, { a: '1' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.unchecked.map((rule) => rule.variable), ['name']);
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { renderWebhookPayload } from '../src/utils/webhook-templates.js';
+
+const COMMIT_SHA = '0123456789abcdef0123456789abcdef01234567';
+
+describe('webhook deliveries', () => {
+  // Answers of the receiver by path, each an array of [status, headers] used in turn, the last one repeated
+  const answers = {
+    '/ok': [[200]],
+    '/gone': [[404]],
+    '/down': [[500]],
+    '/busy': [[503, { 'Retry-After': '120' }]],
+    '/flaky': [[503, { 'Retry-After': '0' }], [429, { 'Retry-After': '0' }], [200]]
+  };
+  const requests = [];
+  let server;
+  let url;
+  let dir;
+  let webhooks;
+  let manifests;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deployer-webhooks-'));
+    process.env.DEPLOYMENTS_DIR = dir;
+    process.env.DEPLOYER_MASTER_KEY = 'test-master-key';
+    // The deployments directory is read when the modules are loaded
+    webhooks = await import('../src/services/webhook-service.js');
+    manifests = await import('../src/services/deployment-manifest-service.js');
+
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const received = requests.filter(request => request.path === req.url).length;
+        requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf-8') });
+        const script = answers[req.url] || [[404]];
+        const [status, headers = {}] = script[Math.min(received, script.length - 1)];
+        res.writeHead(status, headers);
+        res.end('answer');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Wait until a delivery is no longer pending or retrying
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Finished delivery
+   */
+  async function waitForDelivery(id) {
+    for (let i = 0; i < 250; i++) {
+      const delivery = (await webhooks.listDeliveries()).find(entry => entry.id === id);
+      if (delivery.status === 'delivered' || delivery.status === 'failed') {
+        return delivery;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Delivery ${id} did not finish`);
+  }
+
+  async function subscribe(name, receiverPath, details = {}) {
+    return webhooks.createWebhook({ name, url: `${url}${receiverPath}`, ...details }, 'alice');
+  }
+
+  it('signs the timestamp and body with the secret of the subscription', async () => {
+    const { webhook, secret } = await subscribe('signed', '/ok', { secret: 'a-secret-of-some-length' });
+    assert.equal(secret, 'a-secret-of-some-length');
+    assert.equal(webhook.encryptedSecret, undefined);
+
+    const delivery = await webhooks.sendTestDelivery(webhook.id, 'alice');
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+
+    const request = requests.findLast(entry => entry.path === '/ok');
+    const timestamp = request.headers['x-deployer-timestamp'];
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+    assert.equal(request.headers['x-deployer-event'], 'ping');
+    assert.equal(request.headers['x-deployer-delivery'], delivery.id);
+    assert.equal(request.body, delivery.payload);
+    assert.equal(
+      request.headers['x-deployer-signature'],
+      `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex')}`
+    );
+    assert.deepEqual(JSON.parse(request.body).details, { message: 'Sent by alice' });
+  });
+
+  it('retries 5xx and 429 answers when the receiver says to', async () => {
+    const { webhook } = await subscribe('flaky', '/flaky');
+    const first = await webhooks.sendTestDelivery(webhook.id);
+    assert.equal(first.status, 'retrying');
+    assert.equal(first.attempts[0].error, 'Receiver answered 503');
+
+    const delivery = await waitForDelivery(first.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 429, 200]);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const { webhook } = await subscribe('busy', '/busy');
+    const delivery = await webhooks.sendTestDelivery(webhook.id);
+    assert.equal(delivery.status, 'retrying');
+    const wait = Date.parse(delivery.nextAttemptAt) - Date.now();
+    assert.ok(wait > 115 * 1000 && wait <= 120 * 1000, `waits ${wait} ms`);
+    await webhooks.deleteWebhook(webhook.id);
+  });
+
+  it('doubles the delay between retries and gives up after the last attempt', async () => {
+    process.env.WEBHOOK_RETRY_DELAY = '0.05';
+    process.env.WEBHOOK_MAX_ATTEMPTS = '4';
+    try {
+      const { webhook } = await subscribe('down', '/down');
+      const delivery = await waitForDelivery((await webhooks.sendTestDelivery(webhook.id)).id);
+      assert.equal(delivery.status, 'failed');
+      assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 500, 500, 500]);
+      assert.equal(delivery.attempts[3].error, 'Receiver answered 500');
+
+      const times = delivery.attempts.map(attempt => Date.parse(attempt.timestamp));
+      [50, 100, 200].forEach((expected, i) => {
+        const gap = times[i + 1] - times[i];
+        assert.ok(gap >= expected - 5, `retry ${i + 1} came after ${gap} ms`);
+      });
+    } finally {
+      delete process.env.WEBHOOK_RETRY_DELAY;
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    }
+  });
+
+  it('does not retry other 4xx answers', async () => {
+    const { webhook } = await subscribe('gone', '/gone');
+    const delivery = await webhooks.sendTestDelivery(webhook.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].error, 'Receiver answered 404');
+    assert.equal(delivery.attempts[0].response, 'answer');
+    assert.equal(requests.filter(request => request.path === '/gone').length, 1);
+  });
+
+  it('delivers events to the subscriptions whose events and filters they match', async () => {
+    const repoData = { provider: 'github', host: 'github.com', owner: 'acme', repo: 'infra', branch: 'main', path: 'web' };
+    await manifests.createManifest('web-prod', { repoData, variables: {}, environment: 'prod', createdBy: {} });
+    await manifests.createManifest('web-dev', { repoData, variables: {}, environment: 'dev', createdBy: {} });
+    await manifests.createManifest('net', {
+      repoData: { ...repoData, owner: 'globex', repo: 'net', path: '' }, variables: {}, createdBy: {}
+    });
+
+    await subscribe('all', '/ok');
+    await subscribe('failures', '/ok', { events: ['failed'] });
+    await subscribe('acme', '/ok', { filters: { sources: ['github.com/acme/*'] } });
+    await subscribe('exact', '/ok', { filters: { sources: ['github.com/globex/net'] } });
+    // Dots in patterns are no wildcards
+    await subscribe('literal', '/ok', { filters: { sources: ['github.com/acme/in.ra*'] } });
+    await subscribe('prod', '/ok', { filters: { environments: ['prod'] } });
+    await subscribe('off', '/ok', { enabled: false });
+    // Subscriptions of the earlier tests are left out below
+    const names = ['all', 'failures', 'acme', 'exact', 'literal', 'prod', 'off'];
+
+    const delivered = async (event, deploymentId) => {
+      await webhooks.notifyWebhooks(event, deploymentId, { message: 'broken', operation: 'deploy' });
+      const deliveries = (await webhooks.listDeliveries({ deploymentId }))
+        .filter(delivery => delivery.event === event && names.includes(delivery.webhookName));
+      await Promise.all(deliveries.map(delivery => waitForDelivery(delivery.id)));
+      return deliveries.map(delivery => delivery.webhookName).sort();
+    };
+
+    assert.deepEqual(await delivered('failed', 'web-prod'), ['acme', 'all', 'failures', 'prod']);
+    assert.deepEqual(await delivered('started', 'web-dev'), ['acme', 'all']);
+    assert.deepEqual(await delivered('succeeded', 'net'), ['all', 'exact']);
+
+    const [delivery] = await webhooks.listDeliveries({ deploymentId: 'web-prod' });
+    const event = JSON.parse(delivery.payload);
+    assert.equal(event.deployment.sourceKey, 'github.com/acme/infra//web');
+    assert.equal(event.deployment.environment, 'prod');
+    assert.deepEqual(event.details, { message: 'broken', operation: 'deploy' });
+  });
+});
+
+describe('webhook templates', () => {
+  const event = {
+    event: 'plan-ready',
+    timestamp: '2026-01-02T03:04:05.000Z',
+    deployment: {
+      id: 'web-prod',
+      status: 'awaiting-approval',
+      environment: 'prod',
+      description: '',
+      sourceKey: 'github.com/acme/infra//web',
+      source: { branch: 'main', commitSha: COMMIT_SHA, commitUrl: `https://github.com/acme/infra/commit/${COMMIT_SHA}` },
+      lastApplied: null
+    },
+    details: { operation: 'deploy', summary: { add: 1, change: 2, destroy: 0 } }
+  };
+
+  it('sends the event itself as JSON', () => {
+    assert.deepEqual(JSON.parse(renderWebhookPayload('json', event)), event);
+  });
+
+  it('renders Slack messages with the facts of the deployment', () => {
+    assert.deepEqual(JSON.parse(renderWebhookPayload('slack', event)), {
+      text: 'web-prod (prod): plan ready for approval',
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: '*web-prod (prod): plan ready for approval*\n1 to add, 2 to change, 0 to destroy' }
+        },
+        {
+          type: 'context',
+          elements: [
+            'Source: github.com/acme/infra//web',
+            'Branch: main',
+            `Commit: <https://github.com/acme/infra/commit/${COMMIT_SHA}|0123456>`,
+            'Environment: prod',
+            'Status: awaiting-approval'
+          ].map(text => ({ type: 'mrkdwn', text }))
+        }
+      ]
+    });
+  });
+
+  it('escapes text in Slack messages', () => {
+    const failed = { ...event, event: 'failed', details: { message: 'Error: <b> & more' } };
+    const { blocks } = JSON.parse(renderWebhookPayload('slack', failed));
+    assert.equal(blocks[0].text.text, '*web-prod (prod): failed*\nError: &lt;b&gt; &amp; more');
+  });
+
+  it('renders Teams message cards coloured by event', () => {
+    const failed = { ...event, event: 'failed', details: { message: 'Error: <b>' } };
+    assert.deepEqual(JSON.parse(renderWebhookPayload('teams', failed)), {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      themeColor: 'dc2626',
+      summary: 'web-prod (prod): failed',
+      title: 'web-prod (prod): failed',
+      text: 'Error: <b>',
+      sections: [{
+        facts: [
+          { name: 'Source', value: 'github.com/acme/infra//web' },
+          { name: 'Branch', value: 'main' },
+          { name: 'Commit', value: `[0123456](https://github.com/acme/infra/commit/${COMMIT_SHA})` },
+          { name: 'Environment', value: 'prod' },
+          { name: 'Status', value: 'awaiting-approval' }
+        ]
+      }]
+    });
+  });
+
+  it('renders test deliveries without facts', () => {
+    const ping = { event: 'ping', timestamp: event.timestamp, deployment: null, details: { message: '' } };
+    const card = JSON.parse(renderWebhookPayload('teams', ping));
+    assert.equal(card.title, 'Test delivery from the OpenTofu deployer');
+    assert.equal(card.themeColor, '6b7280');
+    assert.equal(card.text, undefined);
+    assert.deepEqual(card.sections, []);
+    assert.deepEqual(JSON.parse(renderWebhookPayload('slack', ping)).blocks.length, 1);
+  });
+});